@@ -0,0 +1,506 @@
+#!/usr/bin/env node
+/**
+ * EO1 Command-Line Client
+ * Scripts the controller from a shell: `eo1 <command> [args]`
+ *
+ * Commands go to a running controller over its REST API, so history, the
+ * current source and the command log stay as they would for the browser.
+ * When no controller answers (or with --direct) they go straight to the
+ * device through EO1Socket instead. The device only knows its own commands
+ * then, so presets that need the server slideshow are refused.
+ *
+ * Output is for people unless --json is given, when each command prints one
+ * JSON document. Exits 1 when a command fails and 2 on bad usage.
+ *
+ * With --dry-run the commands are only recorded (see DryRun) and printed.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { parseArgs } = require('util');
+
+// Use the controller's config and .env wherever the CLI is run from
+process.env.NODE_CONFIG_DIR = process.env.NODE_CONFIG_DIR || path.join(__dirname, '../config');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const axios = require('axios');
+const config = require('config');
+const EO1Socket = require('../src/services/eo1-socket');
+const DeviceDiscovery = require('../src/services/device-discovery');
+const FlickrClient = require('../src/services/flickr-client');
+const presetStore = require('../src/services/preset-store');
+const requestContext = require('../src/utils/request-context');
+
+const SETTINGS_FILE = path.join(__dirname, '../config/settings.json');
+const COMMANDS = ['show', 'tag', 'skip', 'brightness', 'preset', 'scan', 'history'];
+const ADDRESSLESS_COMMANDS = ['scan', 'history'];  // Direct mode needs no device address for these
+
+const USAGE = `Usage: eo1 [options] <command> [args]
+
+Commands:
+  show <photo-id|flickr-url>   Show one photo (--video for a video)
+  tag <tag>                    Cycle a Flickr tag on the device
+  skip                         Skip to the next photo
+  brightness <0.0-1.0|auto>    Set the screen brightness
+  preset <id>                  Play a preset
+  scan                         Look for EO1s on the local networks
+  history                      List recently displayed photos
+
+Options:
+  --server <url>       Controller to use (default $EO1_SERVER or http://localhost:${config.get('server.port')})
+  --token <token>      API token for a controller with a password (default $EO1_TOKEN)
+  --device <id>        Registered device to control (default: the first)
+  --direct             Don't use a controller; send straight to the device
+  --host <ip[:port]>   Device address for --direct (default $EO1_IP or the saved device)
+  --video              show: the ID is a video
+  --subnet <cidr,...>  scan: ranges to scan (default: all local networks)
+  --limit <n>          history: how many to list (default 10)
+  --dry-run            Print the device commands instead of sending them
+  --json               Print JSON for scripts
+  -h, --help           Show this help`;
+
+/**
+ * An error in how the CLI was called, reported with the usage
+ */
+class UsageError extends Error {}
+
+/**
+ * Read the controller's saved settings, if any, without changing them
+ * The settings manager isn't used as it saves defaults when there are none.
+ * @returns {Promise<Object>}
+ */
+async function readSettings() {
+  try {
+    return JSON.parse(await fs.readFile(SETTINGS_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      // Nothing saved yet
+      return {};
+    }
+    throw error instanceof SyntaxError ? new Error(`${SETTINGS_FILE} isn't valid JSON (${error.message})`) : error;
+  }
+}
+
+/**
+ * Find a saved device
+ * @param {Object} settings - Saved settings
+ * @param {string} [deviceId] - Defaults to the first registered device
+ * @returns {Object|null}
+ */
+function savedDevice(settings, deviceId) {
+  const devices = settings.devices || [];
+  return deviceId ? devices.find(d => d.id === deviceId) || null : devices[0] || null;
+}
+
+/**
+ * Work out the photo to show from an ID or Flickr URL
+ * @param {string} value
+ * @returns {{ photoId: string, owner: string|null }}
+ */
+function parsePhoto(value) {
+  if (/^\d+$/.test(value)) {
+    return { photoId: value, owner: null };
+  }
+  const photo = FlickrClient.parsePhotoUrl(value);
+  if (!photo) {
+    throw new UsageError(`"${value}" isn't a photo ID or a Flickr photo URL`);
+  }
+  return photo;
+}
+
+/**
+ * Read a brightness argument
+ * @param {string} value - '0.0'-'1.0' or 'auto'
+ * @returns {number} - Level, or -1 for auto
+ */
+function parseLevel(value) {
+  if (value === 'auto') {
+    return -1;
+  }
+  const level = Number(value);
+  if (value === undefined || value === '' || !(level >= 0 && level <= 1)) {
+    throw new UsageError('Brightness must be 0.0-1.0 or auto');
+  }
+  return level;
+}
+
+/**
+ * Sends commands through a running controller's REST API
+ */
+class ServerBackend {
+  /**
+   * @param {string} baseUrl - e.g. http://localhost:3000
+   * @param {string} [deviceId] - Registered device (the controller picks the first without one)
+   * @param {string} [token] - API token with the device:read and device:control scopes
+   * @param {boolean} [dryRun] - Ask the controller to record commands instead of sending them
+   */
+  constructor(baseUrl, deviceId, token, dryRun = false) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.deviceId = deviceId;
+    this.token = token;
+    this.dryRun = dryRun;
+    this.intercepted = [];  // Commands the controller held back
+    this.mode = 'server';
+  }
+
+  /**
+   * Call the API, turning error responses into their messages
+   * @param {string} method
+   * @param {string} url - Path under the controller
+   * @param {Object} [data] - JSON body
+   * @returns {Promise<Object>}
+   */
+  async request(method, url, data) {
+    try {
+      const response = await axios({
+        method,
+        url: this.baseUrl + url,
+        data,
+        params: this.deviceId ? { deviceId: this.deviceId } : undefined,
+        headers: {
+          'User-Agent': 'eo1-cli',  // Names the CLI in the command log
+          ...(this.token && { Authorization: `Bearer ${this.token}` }),
+          ...(this.dryRun && { 'X-Dry-Run': '1' })
+        },
+        timeout: 120000  // Scans take a while
+      });
+      if (response.data.dryRun) {
+        this.intercepted.push(...response.data.dryRun.commands);
+      }
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.status === 401) {
+        throw new Error(this.token
+          ? error.response.data.error || 'The API token was refused'
+          : 'The controller has a password - pass an API token with --token or $EO1_TOKEN');
+      }
+      if (error.response && error.response.data && error.response.data.error) {
+        throw new Error(error.response.data.error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a controller is listening
+   * @returns {Promise<boolean>}
+   */
+  async reachable() {
+    try {
+      await axios.get(`${this.baseUrl}/api/devices`, { timeout: 2000 });
+      return true;
+    } catch (error) {
+      // Any HTTP answer means something is there
+      return !!error.response;
+    }
+  }
+
+  async show({ photoId, owner }, media) {
+    await this.request('POST', `/api/device/${media === 'video' ? 'video' : 'image'}/${photoId}`, { owner });
+    return { photoId, media };
+  }
+
+  async tag(tag) {
+    await this.request('POST', '/api/device/tag', { tag });
+    return { tag };
+  }
+
+  async skip() {
+    // As the browser's skip: follow the server slideshow when one is playing
+    const playback = await this.request('GET', '/api/device/playback');
+    if (playback.active) {
+      const { playback: status } = await this.request('POST', '/api/device/playback/next');
+      return { playback: true, photoId: status.current ? status.current.id : null };
+    }
+    await this.request('POST', '/api/device/skip');
+    return { playback: false };
+  }
+
+  async brightness(level) {
+    const result = await this.request('POST', '/api/device/brightness', level === -1 ? { auto: true } : { level });
+    return { level, curvePausedUntil: result.curvePausedUntil || null };
+  }
+
+  async preset(presetId) {
+    const { presets } = await this.request('GET', '/api/settings/presets');
+    const preset = presets[presetId];
+    if (!preset) {
+      throw new Error(`Preset "${presetId}" not found`);
+    }
+
+    // Unfiltered tags are cycled by the device itself, as in the browser
+    if (preset.type === 'tag' && !preset.searchParams) {
+      await this.request('POST', '/api/device/tag', { tag: preset.tag, name: preset.name });
+    } else {
+      await this.request('POST', '/api/device/playback/start', { presetId });
+    }
+    return { presetId, name: preset.name };
+  }
+
+  async scan(subnet) {
+    const result = await this.request('POST', '/api/device/scan', { subnet });
+    return { subnets: result.subnets, devices: result.devices };
+  }
+
+  async history() {
+    const { history } = await this.request('GET', '/api/settings/history');
+    return { history };
+  }
+}
+
+/**
+ * Sends commands straight to the device, for when no controller is running
+ * Commands still go in the command log, with the origin `cli`
+ */
+class DirectBackend {
+  /**
+   * @param {string|null} host - Device IP (null for scan and history, which don't use it)
+   * @param {number} port - Device port
+   * @param {Object|null} device - Saved device, if the address came from settings
+   * @param {Object} settings - Saved settings (for history)
+   * @param {boolean} [dryRun] - Record commands instead of sending them
+   */
+  constructor(host, port, device, settings, dryRun = false) {
+    this.target = new EO1Socket(host, port, config.get('eo1.timeout'));
+    this.target.deviceId = device ? device.id : null;
+    this.settings = settings;
+    this.dryRun = dryRun;
+    this.intercepted = [];  // Commands held back
+    this.mode = 'direct';
+  }
+
+  /**
+   * Send through the target with the CLI as the origin
+   * @param {Function} fn - (target) => Promise
+   */
+  send(fn) {
+    return requestContext.run({ origin: 'cli', dryRun: this.dryRun, intercepted: this.intercepted }, () => fn(this.target));
+  }
+
+  async show({ photoId }, media) {
+    await this.send(target => media === 'video' ? target.displayVideo(photoId) : target.displayImage(photoId));
+    return { photoId, media };
+  }
+
+  async tag(tag) {
+    await this.send(target => target.setTag(tag));
+    return { tag };
+  }
+
+  async skip() {
+    await this.send(target => target.resume());
+    return { playback: false };
+  }
+
+  async brightness(level) {
+    await this.send(target => target.setBrightness(level));
+    return { level, curvePausedUntil: null };
+  }
+
+  async preset(presetId) {
+    const preset = await presetStore.get(presetId);
+    if (!preset) {
+      throw new Error(`Preset "${presetId}" not found`);
+    }
+    if (preset.type !== 'tag' || preset.searchParams) {
+      throw new Error(`${preset.name} plays as a server slideshow, so it needs the controller running`);
+    }
+
+    await this.send(target => target.setTag(preset.tag));
+    return { presetId, name: preset.name };
+  }
+
+  async scan(subnet) {
+    const subnets = subnet ? subnet.split(',').map(s => s.trim()) : EO1Socket.detectSubnets();
+    if (subnets.length === 0) {
+      throw new Error('No local networks found; pass --subnet');
+    }
+
+    const ips = await EO1Socket.scanNetwork(subnets, {
+      timeout: config.get('eo1.scan.timeout'),
+      concurrency: config.get('eo1.scan.concurrency'),
+      port: this.target.port
+    });
+    return { subnets, devices: await DeviceDiscovery.identify(ips) };
+  }
+
+  async history() {
+    // The device keeps no history; show what the controller last saved
+    const deviceId = this.target.deviceId || (savedDevice(this.settings) || {}).id;
+    const state = (this.settings.deviceState || {})[deviceId] || {};
+    return { history: state.displayHistory || [] };
+  }
+}
+
+/**
+ * Pick how to reach the device
+ * @param {string} command - Command to be run
+ * @param {Object} options - Parsed options
+ * @param {Function} note - Prints a notice for people (not in --json)
+ * @returns {Promise<ServerBackend|DirectBackend>}
+ */
+async function connect(command, options, note) {
+  if (!options.direct) {
+    const baseUrl = options.server || process.env.EO1_SERVER ||
+      `http://localhost:${parseInt(process.env.PORT) || config.get('server.port')}`;
+    const server = new ServerBackend(baseUrl, options.device, options.token || process.env.EO1_TOKEN, options['dry-run']);
+
+    // A controller named outright is never bypassed
+    if (options.server || await server.reachable()) {
+      return server;
+    }
+    note(`No controller at ${baseUrl}, sending straight to the device`);
+  }
+
+  const settings = await readSettings();
+  const device = savedDevice(settings, options.device);
+  if (options.device && !device) {
+    throw new Error(`Device "${options.device}" not found in saved settings`);
+  }
+
+  const [host, port] = (options.host || (device && device.ip) || process.env.EO1_IP || '').split(':');
+  if (!host && !ADDRESSLESS_COMMANDS.includes(command)) {
+    throw new UsageError('No device address; pass --host or set EO1_IP');
+  }
+  const devicePort = parseInt(port) || (!options.host && device && device.port) ||
+    parseInt(process.env.EO1_PORT) || config.get('eo1.port');
+  // Dry-run mode saved on the controller applies here too
+  const dryRun = options['dry-run'] || settings.dryRun === true;
+  return new DirectBackend(host || null, devicePort, options.host ? null : device, settings, dryRun);
+}
+
+/**
+ * Run one command
+ * @param {string} command
+ * @param {string[]} args
+ * @param {Object} options - Parsed options
+ * @param {ServerBackend|DirectBackend} backend
+ * @returns {Promise<{ data: Object, text: string }>} - Result for --json, and for people
+ */
+async function run(command, args, options, backend) {
+  switch (command) {
+    case 'show': {
+      if (!args[0]) throw new UsageError('show needs a photo ID or Flickr URL');
+      const media = options.video ? 'video' : 'photo';
+      const data = await backend.show(parsePhoto(args[0]), media);
+      return { data, text: `Showing ${media} ${data.photoId}` };
+    }
+
+    case 'tag': {
+      const tag = (args[0] || '').trim();
+      if (!tag || tag.length > 100) throw new UsageError('tag needs a Flickr tag (max 100 characters)');
+      const data = await backend.tag(tag);
+      return { data, text: `Cycling #${data.tag}` };
+    }
+
+    case 'skip': {
+      const data = await backend.skip();
+      return { data, text: data.photoId ? `Skipped to photo ${data.photoId}` : 'Skipped to the next photo' };
+    }
+
+    case 'brightness': {
+      const data = await backend.brightness(parseLevel(args[0]));
+      const level = data.level === -1 ? 'auto' : `${Math.round(data.level * 100)}%`;
+      const paused = data.curvePausedUntil
+        ? ` (brightness curve paused until ${new Date(data.curvePausedUntil).toLocaleTimeString()})`
+        : '';
+      return { data, text: `Brightness set to ${level}${paused}` };
+    }
+
+    case 'preset': {
+      if (!args[0]) throw new UsageError('preset needs a preset ID');
+      const data = await backend.preset(args[0]);
+      return { data, text: `Playing ${data.name}` };
+    }
+
+    case 'scan': {
+      const data = await backend.scan(options.subnet);
+      const lines = data.devices.map(d => [d.ip.padEnd(15), d.hostname || '-', d.mac || ''].join('  ').trimEnd());
+      return {
+        data,
+        text: lines.length
+          ? `Found ${lines.length} on ${data.subnets.join(', ')}:\n${lines.join('\n')}`
+          : `No EO1s found on ${data.subnets.join(', ')}`
+      };
+    }
+
+    case 'history': {
+      const limit = options.limit === undefined ? 10 : parseInt(options.limit);
+      if (!(limit > 0)) throw new UsageError('--limit must be a positive number');
+      const history = (await backend.history()).history.slice(0, limit);
+      const lines = history.map(item => [
+        new Date(item.displayedAt).toLocaleString(),
+        item.id,
+        `${item.title || 'Untitled'}${item.media === 'video' ? ' (video)' : ''}`
+      ].join('  '));
+      return { data: { history }, text: lines.length ? lines.join('\n') : 'Nothing displayed yet' };
+    }
+  }
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        server: { type: 'string' },
+        token: { type: 'string' },
+        device: { type: 'string' },
+        direct: { type: 'boolean' },
+        host: { type: 'string' },
+        video: { type: 'boolean' },
+        subnet: { type: 'string' },
+        limit: { type: 'string' },
+        'dry-run': { type: 'boolean' },
+        json: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values: options, positionals: [command, ...args] } = parsed;
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (!COMMANDS.includes(command)) {
+    console.error(`${command ? `Unknown command "${command}"` : 'No command given'}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const note = (message) => {
+    if (!options.json) console.error(message);
+  };
+
+  try {
+    const backend = await connect(command, options, note);
+    const { data, text } = await run(command, args, options, backend);
+    const { intercepted } = backend;
+    if (options.json) {
+      const dryRun = intercepted.length > 0 || options['dry-run'] ? { dryRun: { commands: intercepted } } : {};
+      console.log(JSON.stringify({ success: true, mode: backend.mode, ...data, ...dryRun }, null, 2));
+    } else if (intercepted.length > 0) {
+      console.log(`${text}\nDry run - not sent:\n${intercepted.map(command => `  ${command}`).join('\n')}`);
+    } else {
+      console.log(text);
+    }
+    return 0;
+  } catch (error) {
+    const usage = error instanceof UsageError;
+    if (options.json) {
+      console.log(JSON.stringify({ success: false, error: error.message }, null, 2));
+    } else {
+      console.error(usage ? `${error.message}\n\n${USAGE}` : `Error: ${error.message}`);
+    }
+    return usage ? 2 : 1;
+  }
+}
+
+main().then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Reset the login password: `npm run reset-password`
+ *
+ * Forgets the password and logs every browser out, so the next one to open
+ * the controller is asked to set a new one. The controller keeps its
+ * settings in memory and would write the old password back, so this
+ * refuses to run while it's up.
+ */
+
+const path = require('path');
+
+process.env.NODE_CONFIG_DIR = process.env.NODE_CONFIG_DIR || path.join(__dirname, '../config');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const axios = require('axios');
+const config = require('config');
+const settingsManager = require('../src/services/settings-manager');
+const auth = require('../src/services/auth');
+
+/**
+ * Whether a controller answers on this machine
+ * @returns {Promise<boolean>}
+ */
+async function controllerRunning() {
+  const port = parseInt(process.env.PORT) || config.get('server.port');
+  try {
+    await axios.get(`http://localhost:${port}/api/auth/status`, { timeout: 2000 });
+    return true;
+  } catch (error) {
+    return !!error.response;
+  }
+}
+
+async function main() {
+  if (await controllerRunning()) {
+    console.error('The controller is running. Stop it first, then run this again.');
+    process.exit(1);
+  }
+
+  const { passwordHash } = await settingsManager.getAuth();
+  await auth.reset();
+
+  console.log(passwordHash
+    ? 'Password removed and all browsers logged out.'
+    : 'No password was set.');
+  console.log('Start the controller and open it in a browser to set a new one.');
+}
+
+main().catch((error) => {
+  console.error('Reset failed:', error.message);
+  process.exit(1);
+});
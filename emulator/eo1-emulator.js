@@ -0,0 +1,392 @@
+/**
+ * EO1 Emulator
+ * Pretends to be an EO1 so the controller can be exercised without the hardware
+ *
+ * Listens for the same plain-text, comma-delimited commands EO1Socket sends
+ * (see src/services/eo1-socket.js) and keeps the state a real frame would have:
+ * what's on screen, the tag slideshow, brightness and quiet hours.
+ *
+ * With a Flickr API key the emulator resolves photo IDs to image URLs and
+ * cycles tags like the device does; without one it still tracks IDs, so it
+ * works fully offline.
+ */
+
+const net = require('net');
+const FlickrClient = require('../src/services/flickr-client');
+
+const LOG_SIZE = 50;
+const TAG_PAGE_SIZE = 50;
+
+class EO1Emulator {
+  /**
+   * @param {Object} options
+   * @param {FlickrClient|null} options.flickrClient - Used to resolve photo URLs (optional)
+   */
+  constructor({ flickrClient = null } = {}) {
+    this.flickrClient = flickrClient;
+    this.server = null;
+    this.timer = null;
+    this.log = [];
+    this.connections = 0;
+
+    this.display = {
+      mode: 'idle',        // idle | image | video | tag
+      photoId: null,
+      imageUrl: null,
+      videoUrl: null,
+      title: null,
+      tag: null,
+      tagIndex: 0,
+      updatedAt: null
+    };
+    this.tagPhotos = [];
+
+    this.settings = {
+      brightness: -1,      // -1 = auto (light sensor)
+      interval: 5,         // Minutes between slideshow items
+      startHour: -1,       // Quiet hours start (-1 = disabled)
+      endHour: -1          // Quiet hours end (-1 = disabled)
+    };
+  }
+
+  /**
+   * Start the TCP server
+   * @param {number} port - Port to listen on (the EO1 uses 12345)
+   * @param {string} host - Interface to bind
+   * @returns {Promise<void>}
+   */
+  listen(port, host) {
+    this.server = net.createServer(socket => this.handleConnection(socket));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+  }
+
+  /**
+   * Stop the TCP server and slideshow timer
+   */
+  close() {
+    clearTimeout(this.timer);
+    if (this.server) {
+      this.server.close();
+    }
+  }
+
+  /**
+   * Read commands from a connection
+   * Like the EO1, the emulator never replies - the controller just closes the socket
+   * @param {net.Socket} socket
+   */
+  handleConnection(socket) {
+    this.connections++;
+    let buffer = '';
+    let received = 0;
+
+    socket.setEncoding('utf8');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line.trim()) {
+          received++;
+          this.handleCommand(line.trim());
+        }
+      }
+    });
+
+    socket.on('end', () => {
+      // The controller always ends commands with a newline, but accept a bare one
+      if (buffer.trim()) {
+        received++;
+        this.handleCommand(buffer.trim());
+      }
+      if (received === 0) {
+        // This is what crashes a real EO1, so make it visible
+        this.record('(none)', false, 'Connection closed without a command - a real EO1 may crash');
+      }
+    });
+
+    socket.on('error', () => {
+      socket.destroy();
+    });
+  }
+
+  /**
+   * Apply a single command
+   * @param {string} line - Raw command, e.g. 'brightness,0.5'
+   */
+  handleCommand(line) {
+    const [kind, ...args] = line.split(',');
+
+    try {
+      switch (kind) {
+        case 'image':
+        case 'video':
+          this.showPhoto(kind, this.requireArg(args[0], /^\d+$/, 'photo ID'));
+          break;
+
+        case 'resume':
+          this.resume();
+          break;
+
+        case 'tag':
+          this.startTag(this.requireArg(args.join(','), /\S/, 'tag'));
+          break;
+
+        case 'brightness':
+          this.settings.brightness = this.parseBrightness(args[0]);
+          break;
+
+        case 'options': {
+          if (args.length !== 4) {
+            throw new Error('options expects brightness,interval,startHour,endHour');
+          }
+          const [brightness, interval, startHour, endHour] = args;
+          this.settings = {
+            brightness: this.parseBrightness(brightness),
+            interval: this.parseInteger(interval, 1, 60, 'interval'),
+            startHour: this.parseHour(startHour, 'startHour'),
+            endHour: this.parseHour(endHour, 'endHour')
+          };
+          // A new interval applies to the running slideshow straight away
+          if (this.display.mode === 'tag') {
+            this.schedule();
+          }
+          break;
+        }
+
+        default:
+          throw new Error(`Unknown command "${kind}"`);
+      }
+
+      this.record(line, true);
+    } catch (error) {
+      this.record(line, false, error.message);
+    }
+  }
+
+  /**
+   * Check a required argument
+   * @param {string} value - Raw argument
+   * @param {RegExp} pattern - Pattern it must match
+   * @param {string} label - Name for the error message
+   * @returns {string}
+   */
+  requireArg(value, pattern, label) {
+    if (value === undefined || !pattern.test(value)) {
+      throw new Error(`Invalid ${label}: "${value || ''}"`);
+    }
+    return value.trim();
+  }
+
+  /**
+   * Parse a brightness argument (-1 for auto, or 0.0-1.0)
+   * @param {string} value
+   * @returns {number}
+   */
+  parseBrightness(value) {
+    const level = parseFloat(value);
+    if (level !== -1 && !(level >= 0 && level <= 1)) {
+      throw new Error(`Invalid brightness: "${value}"`);
+    }
+    return level;
+  }
+
+  /**
+   * Parse a bounded integer argument
+   * @returns {number}
+   */
+  parseInteger(value, min, max, label) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new Error(`Invalid ${label}: "${value}"`);
+    }
+    return number;
+  }
+
+  /**
+   * Parse a quiet-hours argument (-1 to disable, or 0-23)
+   * @returns {number}
+   */
+  parseHour(value, label) {
+    return Number(value) === -1 ? -1 : this.parseInteger(value, 0, 23, label);
+  }
+
+  /**
+   * Show a single photo or video, stopping any tag slideshow
+   * @param {string} media - 'image' or 'video'
+   * @param {string} photoId - Flickr photo ID
+   */
+  showPhoto(media, photoId) {
+    clearTimeout(this.timer);
+    this.display = {
+      ...this.display,
+      mode: media,
+      photoId,
+      imageUrl: null,
+      videoUrl: null,
+      title: null,
+      updatedAt: new Date().toISOString()
+    };
+    this.resolvePhoto(photoId);
+  }
+
+  /**
+   * Skip to the next slideshow item (or resume the tag after a single photo)
+   */
+  resume() {
+    if (!this.display.tag) {
+      return;
+    }
+    if (this.display.mode === 'tag') {
+      this.display.tagIndex++;
+    }
+    this.display.mode = 'tag';
+    this.showTagPhoto();
+    this.schedule();
+  }
+
+  /**
+   * Switch to cycling a Flickr tag
+   * @param {string} tag - Tag name
+   */
+  startTag(tag) {
+    this.display = { ...this.display, mode: 'tag', tag, tagIndex: 0 };
+    this.tagPhotos = [];
+    this.showTagPhoto();
+    this.schedule();
+    this.loadTag(tag);
+  }
+
+  /**
+   * Show the current item of the tag slideshow
+   */
+  showTagPhoto() {
+    const photo = this.tagPhotos.length
+      ? this.tagPhotos[this.display.tagIndex % this.tagPhotos.length]
+      : null;
+
+    this.display = {
+      ...this.display,
+      photoId: photo ? photo.id : null,
+      imageUrl: photo ? photo.largeUrl || photo.mediumUrl : null,
+      videoUrl: null,
+      title: photo ? photo.title : null,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Advance the tag slideshow on the configured interval
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.display.tagIndex++;
+      this.showTagPhoto();
+      this.schedule();
+    }, this.settings.interval * 60 * 1000);
+    this.timer.unref();
+  }
+
+  /**
+   * Fetch photos for a tag (needs a Flickr API key)
+   * @param {string} tag - Tag name
+   */
+  async loadTag(tag) {
+    if (!this.flickrClient) return;
+
+    try {
+      const data = await this.flickrClient.searchByTag(tag, 1, TAG_PAGE_SIZE);
+      // Ignore results for a tag that's since been replaced
+      if (this.display.tag !== tag) return;
+      this.tagPhotos = data.photos.photo.map(FlickrClient.transformPhoto);
+      if (this.display.mode === 'tag') {
+        this.showTagPhoto();
+      }
+    } catch (error) {
+      this.record(`tag,${tag}`, false, `Couldn't load tag photos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Look up the URLs for a photo (needs a Flickr API key)
+   * @param {string} photoId - Flickr photo ID
+   */
+  async resolvePhoto(photoId) {
+    if (!this.flickrClient) return;
+
+    try {
+      const [sizes, info] = await Promise.all([
+        this.flickrClient.getPhotoSizes(photoId),
+        this.flickrClient.getPhotoInfo(photoId)
+      ]);
+      // Ignore results for a photo that's since been replaced
+      if (this.display.photoId !== photoId) return;
+
+      const list = sizes.sizes.size;
+      const image = list.find(s => s.label === 'Large') || list.find(s => s.label === 'Medium') || list[list.length - 1];
+      const video = list.find(s => s.media === 'video' && /mp4/i.test(s.label));
+
+      this.display.imageUrl = image ? image.source : null;
+      this.display.videoUrl = video ? video.source : null;
+      this.display.title = info.photo.title._content || null;
+    } catch (error) {
+      this.record(`${this.display.mode},${photoId}`, false, `Couldn't resolve photo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether quiet hours are in effect right now
+   * Quiet hours can wrap past midnight (e.g. 22 to 7)
+   * @param {Date} now
+   * @returns {boolean}
+   */
+  isQuiet(now = new Date()) {
+    const { startHour, endHour } = this.settings;
+    if (startHour === -1 || endHour === -1 || startHour === endHour) {
+      return false;
+    }
+
+    const hour = now.getHours();
+    return startHour < endHour
+      ? hour >= startHour && hour < endHour
+      : hour >= startHour || hour < endHour;
+  }
+
+  /**
+   * Add an entry to the command log
+   * @param {string} command - Raw command
+   * @param {boolean} ok - Whether it was applied
+   * @param {string} [error] - Why it wasn't
+   */
+  record(command, ok, error = null) {
+    this.log.unshift({ command, ok, error, at: new Date().toISOString() });
+    this.log.length = Math.min(this.log.length, LOG_SIZE);
+
+    const status = ok ? '✓' : '✗';
+    console.log(`${status} ${command}${error ? ` - ${error}` : ''}`);
+  }
+
+  /**
+   * Get the emulated device state
+   * @returns {Object}
+   */
+  getState() {
+    return {
+      display: this.display,
+      settings: this.settings,
+      quiet: this.isQuiet(),
+      connections: this.connections,
+      flickr: !!this.flickrClient,
+      log: this.log
+    };
+  }
+}
+
+module.exports = EO1Emulator;
@@ -0,0 +1,70 @@
+/**
+ * EO1 Emulator
+ * Standalone fake EO1 for development and demos: `npm run emulator`
+ *
+ * Listens for device commands on the EO1 port and serves a page showing what
+ * the frame would display. Add it in Device Settings with "Use Local Emulator".
+ */
+
+require('dotenv').config();
+const express = require('express');
+const config = require('config');
+const fs = require('fs').promises;
+const path = require('path');
+
+const FlickrClient = require('../src/services/flickr-client');
+const EO1Emulator = require('./eo1-emulator');
+
+const SETTINGS_FILE = path.join(__dirname, '../config/settings.json');
+
+/**
+ * Reuse the controller's Flickr key (if any) to show real photos
+ * Reads the settings file directly - the emulator never writes it
+ * @returns {Promise<string|undefined>}
+ */
+async function getFlickrApiKey() {
+  try {
+    const settings = JSON.parse(await fs.readFile(SETTINGS_FILE, 'utf8'));
+    return (settings.flickr && settings.flickr.apiKey) || process.env.FLICKR_API_KEY;
+  } catch (error) {
+    // No settings saved yet
+    return process.env.FLICKR_API_KEY;
+  }
+}
+
+async function startEmulator() {
+  const flickrApiKey = await getFlickrApiKey();
+  const emulator = new EO1Emulator({
+    flickrClient: flickrApiKey ? new FlickrClient(flickrApiKey) : null
+  });
+
+  const host = process.env.EMULATOR_HOST || config.get('emulator.host');
+  const port = parseInt(process.env.EMULATOR_PORT) || config.get('emulator.port');
+  const webPort = parseInt(process.env.EMULATOR_WEB_PORT) || config.get('emulator.webPort');
+
+  await emulator.listen(port, host);
+
+  const app = express();
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  /**
+   * GET /state
+   * Emulated display, settings, quiet hours and recent commands
+   */
+  app.get('/state', (req, res) => {
+    res.json(emulator.getState());
+  });
+
+  app.listen(webPort, host, () => {
+    console.log('');
+    console.log(`EO1 emulator listening for commands on ${host}:${port}`);
+    console.log(`Frame view: http://localhost:${webPort}`);
+    console.log(flickrApiKey ? 'Flickr: resolving photos with the configured API key' : 'Flickr: no API key - showing photo IDs only');
+    console.log('');
+  });
+}
+
+startEmulator().catch(err => {
+  console.error('Failed to start emulator:', err.message);
+  process.exit(1);
+});
@@ -5,6 +5,45 @@
 
 const API = {
   baseUrl: '',  // Same origin
+  deviceId: null,  // Selected EO1 (null = server default)
+  groupId: null,   // Selected device group - commands go to every member
+  onPartialResult: null,  // Called when a group command only reached some devices
+  onDryRun: null,         // Called when a request's EO1 commands were recorded instead of sent
+  clientId: Math.random().toString(36).slice(2),  // This page, so it can skip events it caused
+
+  /**
+   * Add the selected device to a per-device endpoint
+   * @param {string} endpoint - API path, optionally with a query string
+   * @returns {string}
+   */
+  withDevice(endpoint) {
+    if (!API.deviceId) return endpoint;
+    const separator = endpoint.includes('?') ? '&' : '?';
+    return `${endpoint}${separator}deviceId=${encodeURIComponent(API.deviceId)}`;
+  },
+
+  /**
+   * Send a device command, broadcasting to the selected group if there is one
+   * @param {string} endpoint - Single-device endpoint
+   * @param {Object|null} body - Body for the single-device endpoint
+   * @param {Object} groupCommand - The same command for the group endpoint: { command, ...args }
+   */
+  command(endpoint, body, groupCommand) {
+    if (API.groupId) {
+      return API.groups.command(API.groupId, groupCommand);
+    }
+    return API.request('POST', API.withDevice(endpoint), body);
+  },
+
+  /**
+   * The CSRF token the server gave this browser as a cookie
+   * Echoed in a header on changes, which other websites can't do
+   * @returns {string}
+   */
+  csrfToken() {
+    const match = document.cookie.match(/(?:^|;\s*)eo1_csrf=([^;]*)/);
+    return match ? decodeURIComponent(match[1]) : '';
+  },
 
   /**
    * Make an API request
@@ -12,75 +51,408 @@ const API = {
   async request(method, endpoint, data = null) {
     const options = {
       method,
-      headers: { 'Content-Type': 'application/json' }
+      headers: { 'Content-Type': 'application/json', 'X-Client-Id': API.clientId }
     };
 
+    if (method !== 'GET') {
+      options.headers['X-CSRF-Token'] = API.csrfToken();
+    }
+
     if (data) {
       options.body = JSON.stringify(data);
     }
 
     const response = await fetch(`${this.baseUrl}${endpoint}`, options);
+
+    // Logged out, or a password was set elsewhere - log in and come back
+    if (response.status === 401 && !endpoint.startsWith('/api/auth/')) {
+      API.goToLogin();
+    }
+
     const json = await response.json();
 
     if (!response.ok) {
       throw new Error(json.error || json.message || `API Error: ${response.status}`);
     }
 
+    if (json.dryRun && API.onDryRun) {
+      API.onDryRun(json.dryRun);
+    }
+
     return json;
   },
 
+  /**
+   * Open the login page, returning to this page afterwards
+   */
+  goToLogin() {
+    location.href = `/login?next=${encodeURIComponent(location.pathname + location.search)}`;
+  },
+
+  // Login
+  auth: {
+    /**
+     * Whether a password is set and this browser is logged in
+     */
+    status: () => API.request('GET', '/api/auth/status'),
+
+    /**
+     * Set or change the password (current is needed to change it)
+     */
+    setPassword: (password, current) => API.request('PUT', '/api/auth/password', { password, current }),
+
+    /**
+     * Remove the password
+     */
+    removePassword: (current) => API.request('DELETE', '/api/auth/password', { current }),
+
+    /**
+     * End this browser's session
+     */
+    logout: () => API.request('POST', '/api/auth/logout')
+  },
+
   // Device Control
   device: {
     /**
      * Check device connection status
      */
-    status: () => API.request('GET', '/api/device/status'),
+    status: () => API.request('GET', API.withDevice('/api/device/status')),
 
     /**
      * Skip to next slideshow item
      */
-    skip: () => API.request('POST', '/api/device/skip'),
+    skip: () => API.command('/api/device/skip', null, { command: 'resume' }),
 
     /**
      * Resume slideshow
      */
-    resume: () => API.request('POST', '/api/device/resume'),
+    resume: () => API.command('/api/device/resume', null, { command: 'resume' }),
 
     /**
      * Display a specific image
      */
-    displayImage: (photoId, title, thumbnailUrl, owner) => API.request('POST', `/api/device/image/${photoId}`, { title, thumbnailUrl, owner }),
+    displayImage: (photoId, title, thumbnailUrl, owner) => API.command(`/api/device/image/${photoId}`,
+      { title, thumbnailUrl, owner },
+      { command: 'image', photoId, media: 'photo', title, thumbnailUrl, owner }),
 
     /**
      * Display a specific video
      */
-    displayVideo: (photoId, title, thumbnailUrl, owner) => API.request('POST', `/api/device/video/${photoId}`, { title, thumbnailUrl, owner }),
+    displayVideo: (photoId, title, thumbnailUrl, owner) => API.command(`/api/device/video/${photoId}`,
+      { title, thumbnailUrl, owner },
+      { command: 'image', photoId, media: 'video', title, thumbnailUrl, owner }),
 
     /**
      * Set brightness level
      * @param {number|null} level - 0.0-1.0, or null for auto
      */
     setBrightness: (level) => {
-      if (level === null) {
-        return API.request('POST', '/api/device/brightness', { auto: true });
-      }
-      return API.request('POST', '/api/device/brightness', { level });
+      const body = level === null ? { auto: true } : { level };
+      return API.command('/api/device/brightness', body, { command: 'brightness', ...body });
     },
 
+    /**
+     * Turn the screen off, or back on at its last level
+     * @param {boolean} on
+     */
+    setScreen: (on) => API.command('/api/device/screen', { on }, { command: 'screen', on }),
+
+    /**
+     * Set a sleep or wake timer, carried out by the server
+     * @param {string} type - 'sleep' or 'wake'
+     * @param {Object} when - { minutes } or { time: 'HH:MM' }
+     */
+    setScreenTimer: (type, when) => API.request('POST', API.withDevice(`/api/device/screen/${type}`), when),
+
+    /**
+     * Cancel a sleep or wake timer
+     * @param {string} type - 'sleep' or 'wake'
+     */
+    clearScreenTimer: (type) => API.request('DELETE', API.withDevice(`/api/device/screen/${type}`)),
+
     /**
      * Change the Flickr tag
      */
-    setTag: (tag, name) => API.request('POST', '/api/device/tag', { tag, name }),
+    setTag: (tag, name) => API.command('/api/device/tag', { tag, name }, { command: 'tag', tag, name }),
 
     /**
      * Update multiple settings at once
      */
-    setOptions: (options) => API.request('POST', '/api/device/options', options),
+    setOptions: (options) => API.command('/api/device/options', options, { command: 'options', ...options }),
 
     /**
      * Scan network for EO1 devices
      */
-    scanNetwork: (subnet) => API.request('POST', '/api/device/scan', { subnet })
+    scanNetwork: (subnet) => API.request('POST', '/api/device/scan', { subnet }),
+
+    /**
+     * Scan network for EO1 devices, streaming progress
+     * @param {string} [subnet] - CIDR ranges, comma-separated (defaults to all local networks)
+     * @param {Object} handlers - { start, progress, found, done, failed } event callbacks
+     * @returns {EventSource} - Close it to stop the scan
+     */
+    scanStream: (subnet, handlers) => {
+      const query = subnet ? `?subnet=${encodeURIComponent(subnet)}` : '';
+      const source = new EventSource(`${API.baseUrl}/api/device/scan${query}`);
+
+      for (const event of ['start', 'progress', 'found', 'done', 'failed']) {
+        source.addEventListener(event, (e) => {
+          // The server closes the stream after these, so don't let EventSource reconnect
+          if (event === 'done' || event === 'failed') source.close();
+          if (handlers[event]) handlers[event](JSON.parse(e.data));
+        });
+      }
+
+      // Dropped connection (server restarted, network gone)
+      source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED) return;
+        source.close();
+        if (handlers.failed) handlers.failed({ error: 'Lost connection to the server' });
+      };
+
+      return source;
+    },
+
+    /**
+     * Commands sent to the device, newest first
+     * @param {Object} filters - { from?, to?, command?, limit? } (times as ISO strings)
+     */
+    log: (filters = {}) => {
+      const params = new URLSearchParams();
+      for (const [key, value] of Object.entries(filters)) {
+        if (value) params.set(key, value);
+      }
+      const query = params.toString() ? `?${params}` : '';
+      return API.request('GET', API.withDevice(`/api/device/log${query}`));
+    },
+
+    // Server-driven slideshow
+    playback: {
+      /**
+       * Get playback status
+       */
+      status: () => API.request('GET', API.withDevice('/api/device/playback')),
+
+      /**
+       * Play a preset on the device
+       * @param {string} presetId - Preset to play
+       * @param {Object} options - { searchParams?, interval? }
+       */
+      start: (presetId, options = {}) => API.request('POST', API.withDevice('/api/device/playback/start'), { presetId, ...options }),
+
+      /**
+       * Stop playback
+       */
+      stop: () => API.request('POST', API.withDevice('/api/device/playback/stop')),
+
+      /**
+       * Show next photo
+       */
+      next: () => API.request('POST', API.withDevice('/api/device/playback/next')),
+
+      /**
+       * Show previous photo
+       */
+      previous: () => API.request('POST', API.withDevice('/api/device/playback/previous'))
+    }
+  },
+
+  // Device Registry
+  devices: {
+    /**
+     * List registered devices
+     */
+    list: () => API.request('GET', '/api/devices'),
+
+    /**
+     * Register a new device
+     */
+    add: (device) => API.request('POST', '/api/devices', device),
+
+    /**
+     * EO1s found by earlier network scans
+     */
+    discovered: () => API.request('GET', '/api/devices/discovered'),
+
+    /**
+     * Register the local emulator (or get it if already registered)
+     */
+    addEmulator: () => API.request('POST', '/api/devices/emulator'),
+
+    /**
+     * Update a device
+     */
+    update: (id, device) => API.request('PUT', `/api/devices/${encodeURIComponent(id)}`, device),
+
+    /**
+     * Remove a device
+     */
+    remove: (id) => API.request('DELETE', `/api/devices/${encodeURIComponent(id)}`)
+  },
+
+  // Device Groups
+  groups: {
+    /**
+     * List device groups
+     */
+    list: () => API.request('GET', '/api/groups'),
+
+    /**
+     * Create a group
+     */
+    add: (group) => API.request('POST', '/api/groups', group),
+
+    /**
+     * Update a group
+     */
+    update: (id, group) => API.request('PUT', `/api/groups/${encodeURIComponent(id)}`, group),
+
+    /**
+     * Remove a group
+     */
+    remove: (id) => API.request('DELETE', `/api/groups/${encodeURIComponent(id)}`),
+
+    /**
+     * Send one command to every device in a group
+     * Resolves when at least one device succeeded; the result lists each device's outcome
+     * @param {string} id - Group ID
+     * @param {Object} command - { command, ...args }
+     */
+    command: async (id, command) => {
+      const result = await API.request('POST', `/api/groups/${encodeURIComponent(id)}/command`, command);
+      if (result.partial && API.onPartialResult) {
+        API.onPartialResult(result);
+      }
+      return result;
+    }
+  },
+
+  // Playlists
+  playlists: {
+    /**
+     * List playlists
+     */
+    list: () => API.request('GET', '/api/playlists'),
+
+    /**
+     * Create a playlist
+     * @param {Object} playlist - { name, items? }
+     */
+    add: (playlist) => API.request('POST', '/api/playlists', playlist),
+
+    /**
+     * Rename a playlist or replace (e.g. reorder) its items
+     * @param {Object} updates - { name?, items? }
+     */
+    update: (id, updates) => API.request('PUT', `/api/playlists/${encodeURIComponent(id)}`, updates),
+
+    /**
+     * Remove a playlist
+     */
+    remove: (id) => API.request('DELETE', `/api/playlists/${encodeURIComponent(id)}`),
+
+    /**
+     * Add a photo to the end of a playlist
+     * @param {Object} item - { id, title, owner, thumbnailUrl, media }
+     */
+    addItem: (id, item) => API.request('POST', `/api/playlists/${encodeURIComponent(id)}/items`, item),
+
+    /**
+     * Play a playlist on the selected device
+     * @param {Object} options - { interval?, shuffle? }
+     */
+    play: (id, options = {}) => API.request('POST', `/api/playlists/${encodeURIComponent(id)}/play`, { deviceId: API.deviceId, ...options })
+  },
+
+  // Schedules
+  schedules: {
+    /**
+     * List schedules (with the timezone they run in)
+     */
+    list: () => API.request('GET', '/api/schedules'),
+
+    /**
+     * Create a schedule
+     * @param {Object} schedule - { name, time, days, deviceIds, presetId?, brightness?, interval?, enabled? }
+     */
+    add: (schedule) => API.request('POST', '/api/schedules', schedule),
+
+    /**
+     * Update a schedule
+     */
+    update: (id, updates) => API.request('PUT', `/api/schedules/${encodeURIComponent(id)}`, updates),
+
+    /**
+     * Remove a schedule
+     */
+    remove: (id) => API.request('DELETE', `/api/schedules/${encodeURIComponent(id)}`),
+
+    /**
+     * Apply a schedule now
+     */
+    run: (id) => API.request('POST', `/api/schedules/${encodeURIComponent(id)}/run`),
+
+    /**
+     * Get the selected device's next scheduled change
+     */
+    next: () => API.request('GET', API.withDevice('/api/schedules/next'))
+  },
+
+  // Webhooks
+  webhooks: {
+    /**
+     * List webhooks (tokens masked)
+     */
+    list: () => API.request('GET', '/api/webhooks'),
+
+    /**
+     * Create a webhook; the response holds its URL, shown only this once
+     * @param {Object} webhook - { name, action, deviceIds, ...args for the action }
+     */
+    add: (webhook) => API.request('POST', '/api/webhooks', webhook),
+
+    /**
+     * Revoke a webhook
+     */
+    remove: (id) => API.request('DELETE', `/api/webhooks/${encodeURIComponent(id)}`)
+  },
+
+  // API Tokens
+  tokens: {
+    /**
+     * List API tokens (masked)
+     */
+    list: () => API.request('GET', '/api/tokens'),
+
+    /**
+     * Create an API token; the response holds the token, shown only this once
+     * @param {Object} apiToken - { name, scopes }
+     */
+    add: (apiToken) => API.request('POST', '/api/tokens', apiToken),
+
+    /**
+     * Revoke an API token
+     */
+    remove: (id) => API.request('DELETE', `/api/tokens/${encodeURIComponent(id)}`)
+  },
+
+  // Dry Run
+  dryRun: {
+    /**
+     * Whether dry-run mode is on, and the commands it intercepted
+     */
+    get: () => API.request('GET', '/api/dry-run'),
+
+    /**
+     * Turn dry-run mode on or off for every command
+     */
+    set: (enabled) => API.request('PUT', '/api/dry-run', { enabled }),
+
+    /**
+     * Clear the intercepted commands
+     */
+    clear: () => API.request('DELETE', '/api/dry-run/commands')
   },
 
   // Flickr Browser
@@ -151,12 +523,12 @@ const API = {
     /**
      * Get current settings
      */
-    get: () => API.request('GET', '/api/settings'),
+    get: () => API.request('GET', API.withDevice('/api/settings')),
 
     /**
      * Update settings
      */
-    update: (settings) => API.request('PUT', '/api/settings', settings),
+    update: (settings) => API.request('PUT', API.withDevice('/api/settings'), settings),
 
     /**
      * Get Flickr settings
@@ -168,15 +540,55 @@ const API = {
      */
     updateFlickr: (settings) => API.request('PUT', '/api/settings/flickr', settings),
 
+    /**
+     * Get MQTT broker settings and connection status
+     */
+    getMqtt: () => API.request('GET', '/api/settings/mqtt'),
+
+    /**
+     * Update MQTT broker settings (reconnects)
+     */
+    updateMqtt: (settings) => API.request('PUT', '/api/settings/mqtt', settings),
+
     /**
      * Get slideshow settings
      */
-    getSlideshow: () => API.request('GET', '/api/settings/slideshow'),
+    getSlideshow: () => API.request('GET', API.withDevice('/api/settings/slideshow')),
 
     /**
      * Update slideshow settings
      */
-    updateSlideshow: (settings) => API.request('PUT', '/api/settings/slideshow', settings),
+    updateSlideshow: (settings) => API.request('PUT', API.withDevice('/api/settings/slideshow'), settings),
+
+    /**
+     * Get the brightness curve and where it is now
+     */
+    getBrightnessCurve: () => API.request('GET', API.withDevice('/api/settings/brightness-curve')),
+
+    /**
+     * Update the brightness curve
+     */
+    updateBrightnessCurve: (curve) => API.request('PUT', API.withDevice('/api/settings/brightness-curve'), curve),
+
+    /**
+     * Get the location for sunset/sunrise quiet hours, with today's sun times
+     */
+    getLocation: () => API.request('GET', '/api/settings/location'),
+
+    /**
+     * Set the location for sunset/sunrise quiet hours (null, null to clear)
+     */
+    setLocation: (latitude, longitude) => API.request('PUT', '/api/settings/location', { latitude, longitude }),
+
+    /**
+     * Get the timezone schedules run in
+     */
+    getTimezone: () => API.request('GET', '/api/settings/timezone'),
+
+    /**
+     * Set the timezone schedules run in ('' for the server's)
+     */
+    setTimezone: (timezone) => API.request('PUT', '/api/settings/timezone', { timezone }),
 
     /**
      * Get all presets
@@ -201,26 +613,61 @@ const API = {
     /**
      * Get current source being displayed on EO1
      */
-    getCurrentSource: () => API.request('GET', '/api/settings/current-source'),
+    getCurrentSource: () => API.request('GET', API.withDevice('/api/settings/current-source')),
 
     /**
      * Update current source
      */
-    setCurrentSource: (source) => API.request('PUT', '/api/settings/current-source', source),
+    setCurrentSource: (source) => API.request('PUT', API.withDevice('/api/settings/current-source'), source),
 
     /**
      * Get display history
      */
-    getHistory: () => API.request('GET', '/api/settings/history'),
+    getHistory: () => API.request('GET', API.withDevice('/api/settings/history')),
 
     /**
      * Clear all display history
      */
-    clearHistory: () => API.request('DELETE', '/api/settings/history'),
+    clearHistory: () => API.request('DELETE', API.withDevice('/api/settings/history')),
 
     /**
      * Remove a single photo from history
      */
-    removeFromHistory: (photoId) => API.request('DELETE', `/api/settings/history/${photoId}`)
+    removeFromHistory: (photoId) => API.request('DELETE', API.withDevice(`/api/settings/history/${photoId}`))
+  },
+
+  // Live updates
+  events: {
+    /**
+     * Follow state changes made by other browsers and the server
+     * Events this page caused are skipped. EventSource reconnects by itself
+     * after a dropped connection, and `reconnected` is called once it has,
+     * since anything in between was missed.
+     * @param {Object} handlers - Callbacks by event type ({ source, history, ... }),
+     *   each given the event: { type, deviceId, data, ... }
+     * @returns {EventSource}
+     */
+    subscribe: (handlers) => {
+      const source = new EventSource(`${API.baseUrl}/api/events`);
+      let dropped = false;
+
+      for (const type of Object.keys(handlers)) {
+        if (type === 'reconnected') continue;
+        source.addEventListener(type, (e) => {
+          const event = JSON.parse(e.data);
+          if (event.clientId !== API.clientId) handlers[type](event);
+        });
+      }
+
+      source.onerror = () => {
+        dropped = true;
+      };
+      source.onopen = () => {
+        if (dropped && handlers.reconnected) handlers.reconnected();
+        dropped = false;
+      };
+
+      return source;
+    }
   }
 };
@@ -10,6 +10,11 @@
  * - Display images/videos on the EO1 device
  * - Control brightness and slideshow settings
  * - Save custom Flickr sources as presets
+ * - Play any preset on the EO1 via the server-side slideshow
+ * - Switch source, brightness and interval on a weekly schedule
+ * - Follow a brightness curve through the day
+ * - Switch between several registered EO1 devices
+ * - Send commands to a group of devices at once
  * - Portrait orientation detection (EO1 is a vertical display)
  */
 
@@ -17,12 +22,49 @@
 // Application State
 // ============================================================================
 
+/**
+ * Filter defaults for the EO1 display
+ */
+const DEFAULT_FILTERS = {
+  portrait: true,      // orientation: 'portrait'
+  minSize: true,       // min_width/min_height: 1024
+  recent: true,        // min_taken_date: 3 months ago
+  interesting: false,  // sort: 'interestingness-desc'
+  inGallery: false,    // in_gallery: true
+  isGetty: false,      // is_getty: true
+  isCommons: false,    // is_commons: true
+  styleBW: false,      // styles includes 'blackandwhite'
+  styleDOF: false,     // styles includes 'depthoffield'
+  styleMinimal: false, // styles includes 'minimalism'
+  stylePattern: false  // styles includes 'pattern'
+};
+
 /**
  * Global application state
  * All UI state is managed here rather than in the DOM
  */
 const state = {
   connected: false,
+  devices: [],             // Registered EO1 devices and virtual frames
+  deviceType: null,        // Selected device's type: 'eo1' or 'virtual'
+  pickedDevice: null,      // Scan result chosen with "Use": { ip, mac }
+  groups: [],              // Device groups
+  playlists: [],
+  activePlaylistId: localStorage.getItem('eo1PlaylistId'),  // Playlist shown and added to
+  draggedItemIndex: null,  // Playlist item being dragged
+  schedules: [],
+  timezone: null,          // Timezone schedules run in
+  editingScheduleId: null, // Schedule loaded into the schedule form
+  webhooks: [],            // Webhooks, tokens masked
+  apiTokens: [],           // API tokens, masked
+  dryRun: false,           // Whether dry-run mode is on for every command
+  quietWeek: [null, null, null, null, null, null, null],  // Weekly quiet hours being edited, Sunday first
+  quietHours: null,        // Quiet hours the device has now: { quietStart, quietEnd }
+  sun: null,               // Today's sunrise/sunset at the saved location: { location, timezone, sun }
+  curve: null,             // Brightness curve being edited: { enabled, keyframes, step, pausedUntil }
+  curveLevel: null,        // Level the curve puts the device at now (null when off)
+  screen: null,            // Screen power as the server has it: { on, level, sleepAt, wakeAt }
+  editingGroupId: null,    // Group loaded into the group form
   presets: {},
   activePreset: null,
   currentSearch: null,
@@ -33,21 +75,9 @@ const state = {
   currentAlbum: null,
   selectedPhoto: null,
   displayedPhotoId: null,  // Track what's currently showing on EO1
+  playback: null,          // Server-driven slideshow status
   flickrUserId: null,
-  // Filter state - defaults for EO1 display
-  filters: {
-    portrait: true,      // orientation: 'portrait'
-    minSize: true,       // min_width/min_height: 1024
-    recent: true,        // min_taken_date: 3 months ago
-    interesting: false,  // sort: 'interestingness-desc'
-    inGallery: false,    // in_gallery: true
-    isGetty: false,      // is_getty: true
-    isCommons: false,    // is_commons: true
-    styleBW: false,      // styles includes 'blackandwhite'
-    styleDOF: false,     // styles includes 'depthoffield'
-    styleMinimal: false, // styles includes 'minimalism'
-    stylePattern: false  // styles includes 'pattern'
-  }
+  filters: { ...DEFAULT_FILTERS }
 };
 
 // ============================================================================
@@ -60,6 +90,7 @@ const state = {
  */
 const elements = {
   statusIndicator: document.getElementById('statusIndicator'),
+  deviceSwitcher: document.getElementById('deviceSwitcher'),
   // Current source
   currentSourceCard: document.getElementById('currentSourceCard'),
   currentSourceThumb: document.getElementById('currentSourceThumb'),
@@ -80,21 +111,72 @@ const elements = {
   brightnessSlider: document.getElementById('brightnessSlider'),
   brightnessSliderRow: document.getElementById('brightnessSliderRow'),
   brightnessValue: document.getElementById('brightnessValue'),
+  sleepTimer: document.getElementById('sleepTimer'),
+  wakeTimer: document.getElementById('wakeTimer'),
+  wakeTime: document.getElementById('wakeTime'),
+  screenTimerList: document.getElementById('screenTimerList'),
+  // Playback
+  playbackBar: document.getElementById('playbackBar'),
+  playbackName: document.getElementById('playbackName'),
+  playbackPosition: document.getElementById('playbackPosition'),
+  btnPlaybackPrev: document.getElementById('btnPlaybackPrev'),
+  btnPlaybackStop: document.getElementById('btnPlaybackStop'),
+  btnPlaybackNext: document.getElementById('btnPlaybackNext'),
   presetGrid: document.getElementById('presetGrid'),
   btnAddPreset: document.getElementById('btnAddPreset'),
+  btnPlayPreset: document.getElementById('btnPlayPreset'),
   interval: document.getElementById('interval'),
-  quietStart: document.getElementById('quietStart'),
-  quietEnd: document.getElementById('quietEnd'),
+  quietMode: document.getElementById('quietMode'),
+  quietWeek: document.getElementById('quietWeek'),
+  quietWeekGrid: document.getElementById('quietWeekGrid'),
+  btnCopyQuietDay: document.getElementById('btnCopyQuietDay'),
+  quietSun: document.getElementById('quietSun'),
+  locationLatitude: document.getElementById('locationLatitude'),
+  locationLongitude: document.getElementById('locationLongitude'),
+  btnLocate: document.getElementById('btnLocate'),
+  btnSaveLocation: document.getElementById('btnSaveLocation'),
+  sunsetOffset: document.getElementById('sunsetOffset'),
+  sunriseOffset: document.getElementById('sunriseOffset'),
+  sunInfo: document.getElementById('sunInfo'),
   btnApplySettings: document.getElementById('btnApplySettings'),
+  curveEnabled: document.getElementById('curveEnabled'),
+  curveGraph: document.getElementById('curveGraph'),
+  curveStatus: document.getElementById('curveStatus'),
+  curveKeyframes: document.getElementById('curveKeyframes'),
+  btnAddKeyframe: document.getElementById('btnAddKeyframe'),
+  curveStep: document.getElementById('curveStep'),
+  btnSaveCurve: document.getElementById('btnSaveCurve'),
   searchInput: document.getElementById('searchInput'),
   btnSearch: document.getElementById('btnSearch'),
   photoGrid: document.getElementById('photoGrid'),
   paginationTop: document.getElementById('paginationTop'),
   paginationBottom: document.getElementById('paginationBottom'),
+  deviceName: document.getElementById('deviceName'),
+  deviceRoom: document.getElementById('deviceRoom'),
+  deviceAddress: document.getElementById('deviceAddress'),
+  frameInfo: document.getElementById('frameInfo'),
+  frameClients: document.getElementById('frameClients'),
   deviceIp: document.getElementById('deviceIp'),
+  devicePort: document.getElementById('devicePort'),
+  btnAddDevice: document.getElementById('btnAddDevice'),
+  btnRemoveDevice: document.getElementById('btnRemoveDevice'),
+  btnUseEmulator: document.getElementById('btnUseEmulator'),
+  groupList: document.getElementById('groupList'),
+  groupName: document.getElementById('groupName'),
+  groupMembers: document.getElementById('groupMembers'),
+  btnSaveGroup: document.getElementById('btnSaveGroup'),
+  btnCancelGroup: document.getElementById('btnCancelGroup'),
+  logCommand: document.getElementById('logCommand'),
+  logFrom: document.getElementById('logFrom'),
+  logTo: document.getElementById('logTo'),
+  btnRefreshLog: document.getElementById('btnRefreshLog'),
+  commandLog: document.getElementById('commandLog'),
   btnTestConnection: document.getElementById('btnTestConnection'),
   btnScanNetwork: document.getElementById('btnScanNetwork'),
+  scanSubnet: document.getElementById('scanSubnet'),
   scanStatus: document.getElementById('scanStatus'),
+  scanProgress: document.getElementById('scanProgress'),
+  scanProgressBar: document.getElementById('scanProgressBar'),
   scanResults: document.getElementById('scanResults'),
   foundDevices: document.getElementById('foundDevices'),
   btnUseDevice: document.getElementById('btnUseDevice'),
@@ -105,6 +187,39 @@ const elements = {
   flickrApiKey: document.getElementById('flickrApiKey'),
   flickrUserId: document.getElementById('flickrUserId'),
   btnSaveFlickr: document.getElementById('btnSaveFlickr'),
+
+  // MQTT settings
+  mqttStatus: document.getElementById('mqttStatus'),
+  mqttError: document.getElementById('mqttError'),
+  mqttEnabled: document.getElementById('mqttEnabled'),
+  mqttUrl: document.getElementById('mqttUrl'),
+  mqttUsername: document.getElementById('mqttUsername'),
+  mqttPassword: document.getElementById('mqttPassword'),
+  mqttBaseTopic: document.getElementById('mqttBaseTopic'),
+  mqttDiscoveryPrefix: document.getElementById('mqttDiscoveryPrefix'),
+  btnSaveMqtt: document.getElementById('btnSaveMqtt'),
+  securityStatus: document.getElementById('securityStatus'),
+  securityNote: document.getElementById('securityNote'),
+  securityCurrentGroup: document.getElementById('securityCurrentGroup'),
+  securityCurrent: document.getElementById('securityCurrent'),
+  securityPassword: document.getElementById('securityPassword'),
+  securityConfirm: document.getElementById('securityConfirm'),
+  btnSavePassword: document.getElementById('btnSavePassword'),
+  securityActions: document.getElementById('securityActions'),
+  btnRemovePassword: document.getElementById('btnRemovePassword'),
+  btnLogout: document.getElementById('btnLogout'),
+  tokenList: document.getElementById('tokenList'),
+  tokenCreated: document.getElementById('tokenCreated'),
+  tokenValue: document.getElementById('tokenValue'),
+  btnCopyToken: document.getElementById('btnCopyToken'),
+  tokenName: document.getElementById('tokenName'),
+  tokenScopes: document.getElementById('tokenScopes'),
+  btnAddToken: document.getElementById('btnAddToken'),
+  dryRunBanner: document.getElementById('dryRunBanner'),
+  btnDryRunOff: document.getElementById('btnDryRunOff'),
+  dryRunEnabled: document.getElementById('dryRunEnabled'),
+  dryRunCommands: document.getElementById('dryRunCommands'),
+  btnClearDryRun: document.getElementById('btnClearDryRun'),
   // Modals
   previewModal: document.getElementById('previewModal'),
   btnClosePreview: document.getElementById('btnClosePreview'),
@@ -113,6 +228,48 @@ const elements = {
   previewTitle: document.getElementById('previewTitle'),
   previewMeta: document.getElementById('previewMeta'),
   btnDisplayOnEO1: document.getElementById('btnDisplayOnEO1'),
+  btnAddToPlaylist: document.getElementById('btnAddToPlaylist'),
+  nextChange: document.getElementById('nextChange'),
+  scheduleTimezone: document.getElementById('scheduleTimezone'),
+  timezoneList: document.getElementById('timezoneList'),
+  btnSaveTimezone: document.getElementById('btnSaveTimezone'),
+  scheduleTimeline: document.getElementById('scheduleTimeline'),
+  scheduleList: document.getElementById('scheduleList'),
+  scheduleFormTitle: document.getElementById('scheduleFormTitle'),
+  scheduleName: document.getElementById('scheduleName'),
+  scheduleTime: document.getElementById('scheduleTime'),
+  scheduleDays: document.getElementById('scheduleDays'),
+  schedulePreset: document.getElementById('schedulePreset'),
+  scheduleBrightness: document.getElementById('scheduleBrightness'),
+  scheduleAutoBrightness: document.getElementById('scheduleAutoBrightness'),
+  scheduleInterval: document.getElementById('scheduleInterval'),
+  scheduleDevices: document.getElementById('scheduleDevices'),
+  btnSaveSchedule: document.getElementById('btnSaveSchedule'),
+  btnCancelSchedule: document.getElementById('btnCancelSchedule'),
+  webhookList: document.getElementById('webhookList'),
+  webhookCreated: document.getElementById('webhookCreated'),
+  webhookUrl: document.getElementById('webhookUrl'),
+  btnCopyWebhook: document.getElementById('btnCopyWebhook'),
+  webhookName: document.getElementById('webhookName'),
+  webhookAction: document.getElementById('webhookAction'),
+  webhookPreset: document.getElementById('webhookPreset'),
+  webhookPhotoId: document.getElementById('webhookPhotoId'),
+  webhookTitle: document.getElementById('webhookTitle'),
+  webhookVideo: document.getElementById('webhookVideo'),
+  webhookBrightness: document.getElementById('webhookBrightness'),
+  webhookAutoBrightness: document.getElementById('webhookAutoBrightness'),
+  webhookPlaylist: document.getElementById('webhookPlaylist'),
+  webhookShuffle: document.getElementById('webhookShuffle'),
+  webhookDevices: document.getElementById('webhookDevices'),
+  btnAddWebhook: document.getElementById('btnAddWebhook'),
+  playlistSelect: document.getElementById('playlistSelect'),
+  btnNewPlaylist: document.getElementById('btnNewPlaylist'),
+  btnRenamePlaylist: document.getElementById('btnRenamePlaylist'),
+  btnDeletePlaylist: document.getElementById('btnDeletePlaylist'),
+  playlistItems: document.getElementById('playlistItems'),
+  playlistInterval: document.getElementById('playlistInterval'),
+  playlistShuffle: document.getElementById('playlistShuffle'),
+  btnPlayPlaylist: document.getElementById('btnPlayPlaylist'),
   addPresetModal: document.getElementById('addPresetModal'),
   btnCloseAddPreset: document.getElementById('btnCloseAddPreset'),
   presetUrl: document.getElementById('presetUrl'),
@@ -176,8 +333,9 @@ function showToast(message, type = 'info') {
   const icon = type === 'success' ? '✓' : type === 'error' ? '✕' : 'ℹ';
   toast.innerHTML = `
     <span class="toast-icon">${icon}</span>
-    <span class="toast-message">${message}</span>
+    <span class="toast-message"></span>
   `;
+  toast.querySelector('.toast-message').textContent = message;
 
   elements.toastContainer.appendChild(toast);
 
@@ -223,18 +381,51 @@ function formatError(context, error) {
   return `${context}: ${msg}`;
 }
 
-// Update connection status
-function updateStatus(connected) {
-  state.connected = connected;
+/**
+ * Update the header connection indicator from the device's command history
+ * The server builds health from commands it's already sent, so this never opens a socket
+ * @param {Object|null} health - Health from /api/device/status
+ */
+function updateStatus(health) {
+  const status = health ? health.status : 'unknown';
+  state.connected = status === 'healthy' || status === 'degraded';
   const dot = elements.statusIndicator.querySelector('.status-dot');
   const text = elements.statusIndicator.querySelector('.status-text');
 
-  if (connected) {
-    dot.className = 'status-dot connected';
-    text.textContent = 'Connected';
-  } else {
-    dot.className = 'status-dot disconnected';
-    text.textContent = 'Disconnected';
+  const labels = {
+    healthy: ['connected', 'Connected'],
+    degraded: ['degraded', 'Unstable'],
+    unreachable: ['disconnected', 'Unreachable'],
+    unknown: ['unknown', 'Ready']
+  };
+  const [className, label] = labels[status] || labels.unknown;
+  dot.className = `status-dot ${className}`;
+  text.textContent = label;
+
+  // Details on hover
+  const details = [];
+  if (health && health.lastSuccessAt) {
+    details.push(`Last command OK: ${new Date(health.lastSuccessAt).toLocaleTimeString()}`);
+  }
+  if (health && health.averageLatency !== null) {
+    details.push(`Average response: ${health.averageLatency}ms`);
+  }
+  if (health && health.lastError) {
+    details.push(`Last error: ${health.lastError} (${new Date(health.lastErrorAt).toLocaleTimeString()})`);
+  }
+  elements.statusIndicator.title = details.length ? details.join('\n') : 'No commands sent yet';
+}
+
+/**
+ * Refresh the connection indicator
+ * Only asks our server - nothing here touches the EO1
+ */
+async function refreshHealth() {
+  try {
+    const result = await API.device.status();
+    updateStatus(result.health);
+  } catch (error) {
+    console.error('Failed to refresh device health:', error);
   }
 }
 
@@ -275,6 +466,14 @@ function buildSearchParams(baseQuery) {
   return params;
 }
 
+/**
+ * Check whether the filters have been changed from the defaults
+ * @returns {boolean}
+ */
+function filtersChanged() {
+  return Object.keys(DEFAULT_FILTERS).some(key => state.filters[key] !== DEFAULT_FILTERS[key]);
+}
+
 /**
  * Sync filter checkboxes to match current state
  */
@@ -317,19 +516,7 @@ function syncUIToFilters() {
 function setFiltersFromSearchParams(searchParams) {
   if (!searchParams) {
     // Reset to defaults
-    state.filters = {
-      portrait: true,
-      minSize: true,
-      recent: true,
-      interesting: false,
-      inGallery: false,
-      isGetty: false,
-      isCommons: false,
-      styleBW: false,
-      styleDOF: false,
-      styleMinimal: false,
-      stylePattern: false
-    };
+    state.filters = { ...DEFAULT_FILTERS };
   } else {
     state.filters.portrait = searchParams.orientation === 'portrait';
     state.filters.minSize = searchParams.min_width >= 1024 || searchParams.min_height >= 1024;
@@ -420,17 +607,25 @@ function renderHistory(history) {
     div.className = 'history-item' + (item.media === 'video' ? ' video' : '');
     div.title = item.title || 'Untitled';
     div.innerHTML = `
-      <img src="${item.thumbnailUrl || ''}" alt="${item.title || 'Photo'}" loading="lazy">
+      <img loading="lazy">
+      <button class="playlist-add-btn" title="Add to playlist">+</button>
       <button class="remove-btn" title="Remove from history">&times;</button>
     `;
+    div.querySelector('img').src = item.thumbnailUrl || '';
+    div.querySelector('img').alt = item.title || 'Photo';
 
     // Click to re-display
     div.addEventListener('click', (e) => {
-      if (!e.target.classList.contains('remove-btn')) {
+      if (!e.target.classList.contains('remove-btn') && !e.target.classList.contains('playlist-add-btn')) {
         displayFromHistory(item);
       }
     });
 
+    div.querySelector('.playlist-add-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      addToPlaylist(item);
+    });
+
     // Remove button
     div.querySelector('.remove-btn').addEventListener('click', (e) => {
       e.stopPropagation();
@@ -541,9 +736,23 @@ function updateCurrentSourceDisplay(source) {
 async function getDeviceInfo() {
   try {
     const result = await API.device.status();
-    if (result.ip) {
-      elements.deviceIp.value = result.ip;
+    state.deviceType = result.type;
+    elements.deviceName.value = result.name || '';
+    elements.deviceRoom.value = result.room || '';
+    elements.deviceIp.value = result.ip || '';
+    elements.devicePort.value = result.port || 12345;
+
+    // Virtual frames have no address - show how many browsers are showing it instead
+    const isVirtual = result.type === 'virtual';
+    elements.deviceAddress.style.display = isVirtual ? 'none' : '';
+    elements.frameInfo.style.display = isVirtual ? '' : 'none';
+    if (isVirtual) {
+      elements.frameClients.textContent = result.clients === 1
+        ? 'Open in 1 browser'
+        : `Open in ${result.clients} browsers`;
     }
+    updateStatus(result.health);
+    renderScreen(result.screen);
     return result;
   } catch (error) {
     console.error('Failed to get device info:', error);
@@ -551,6 +760,508 @@ async function getDeviceInfo() {
   }
 }
 
+// ============================================================================
+// Device Registry
+// ============================================================================
+
+/**
+ * Load registered devices and restore the last selected one
+ * @param {string} [selectId] - Device to select instead of the saved one
+ */
+async function loadDevices(selectId) {
+  try {
+    const [deviceResult, groupResult] = await Promise.all([API.devices.list(), API.groups.list()]);
+    state.devices = deviceResult.devices;
+    state.groups = groupResult.groups;
+
+    const savedId = selectId || localStorage.getItem('eo1DeviceId');
+    const selected = state.devices.find(d => d.id === savedId) ||
+      state.devices.find(d => d.isDefault) ||
+      state.devices[0];
+    API.deviceId = selected ? selected.id : null;
+
+    // A selected group overrides the device until another device is picked
+    const groupId = selectId ? null : localStorage.getItem('eo1GroupId');
+    const group = state.groups.find(g => g.id === groupId && g.deviceIds.length > 0);
+    selectGroup(group || null);
+
+    renderDeviceSwitcher();
+    renderGroups();
+  } catch (error) {
+    console.error('Failed to load devices:', error);
+  }
+}
+
+/**
+ * Render the header device switcher
+ */
+function renderDeviceSwitcher() {
+  elements.deviceSwitcher.innerHTML = '';
+
+  for (const device of state.devices) {
+    const option = document.createElement('option');
+    option.value = device.id;
+    option.textContent = device.room ? `${device.name} · ${device.room}` : device.name;
+    elements.deviceSwitcher.appendChild(option);
+  }
+
+  const groups = state.groups.filter(g => g.deviceIds.length > 0);
+  if (groups.length > 0) {
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = 'Groups';
+    for (const group of groups) {
+      const option = document.createElement('option');
+      option.value = `group:${group.id}`;
+      option.textContent = `${group.name} (${group.deviceIds.length})`;
+      optgroup.appendChild(option);
+    }
+    elements.deviceSwitcher.appendChild(optgroup);
+  }
+
+  elements.deviceSwitcher.value = API.groupId ? `group:${API.groupId}` : API.deviceId;
+  // No point showing a switcher with only one device
+  elements.deviceSwitcher.style.display = state.devices.length > 1 || groups.length > 0 ? '' : 'none';
+  elements.btnRemoveDevice.disabled = state.devices.length <= 1;
+}
+
+/**
+ * Switch the UI to another device and reload its per-device state
+ * @param {string} deviceId - Device ID
+ */
+async function switchDevice(deviceId) {
+  selectGroup(null);
+  API.deviceId = deviceId;
+  localStorage.setItem('eo1DeviceId', deviceId);
+  elements.deviceSwitcher.value = deviceId;
+  state.displayedPhotoId = null;
+
+  await Promise.all([
+    getDeviceInfo(),
+    loadSlideshowSettings(),
+    loadBrightnessCurve(),
+    loadCurrentSource(),
+    loadHistory(),
+    loadPlaybackStatus(),
+    loadCommandLog(),
+    loadNextChange()
+  ]);
+  renderScheduleTimeline();
+}
+
+/**
+ * Read the device form fields
+ * @returns {Object} - { name, room, ip, port }
+ */
+function readDeviceForm() {
+  if (state.deviceType === 'virtual') {
+    return {
+      name: elements.deviceName.value.trim(),
+      room: elements.deviceRoom.value.trim()
+    };
+  }
+
+  const device = {
+    name: elements.deviceName.value.trim(),
+    room: elements.deviceRoom.value.trim(),
+    ip: elements.deviceIp.value.trim(),
+    port: parseInt(elements.devicePort.value) || 12345
+  };
+  // MAC of the scan result picked with "Use", if the IP wasn't changed since
+  if (state.pickedDevice && state.pickedDevice.ip === device.ip && state.pickedDevice.mac) {
+    device.mac = state.pickedDevice.mac;
+  }
+  return device;
+}
+
+/**
+ * Save the form to the selected device
+ */
+async function saveDevice() {
+  const device = readDeviceForm();
+  if (!device.name || (state.deviceType !== 'virtual' && !device.ip)) {
+    showToast('Please enter a name and IP address', 'error');
+    return;
+  }
+
+  try {
+    await API.devices.update(API.deviceId, device);
+    await loadDevices(API.groupId ? null : API.deviceId);
+    showToast('Device settings saved!', 'success');
+  } catch (error) {
+    showToast(formatError('Failed to save device', error), 'error');
+  }
+}
+
+/**
+ * Register the form as a new device and switch to it
+ */
+async function addDevice() {
+  const device = readDeviceForm();
+  if (!device.name || !device.ip) {
+    showToast('Please enter a name and IP address', 'error');
+    return;
+  }
+
+  try {
+    const result = await API.devices.add(device);
+    await loadDevices(result.device.id);
+    await switchDevice(result.device.id);
+    showToast(`Added ${result.device.name}`, 'success');
+  } catch (error) {
+    showToast(formatError('Failed to add device', error), 'error');
+  }
+}
+
+/**
+ * Register the local emulator (`npm run emulator`) and switch to it
+ */
+async function useEmulator() {
+  try {
+    const result = await API.devices.addEmulator();
+    await loadDevices(result.device.id);
+    await switchDevice(result.device.id);
+    showToast(`Using emulator at ${result.device.ip}:${result.device.port} - start it with npm run emulator`, 'success');
+  } catch (error) {
+    showToast(formatError('Failed to add emulator', error), 'error');
+  }
+}
+
+/**
+ * Remove the selected device and switch back to the default
+ */
+async function removeDevice() {
+  if (API.groupId) {
+    showToast('Select a single device to remove it', 'error');
+    return;
+  }
+
+  const device = state.devices.find(d => d.id === API.deviceId);
+  if (!device || !confirm(`Remove ${device.name}?`)) return;
+
+  try {
+    await API.devices.remove(device.id);
+    localStorage.removeItem('eo1DeviceId');
+    await loadDevices();
+    await switchDevice(API.deviceId);
+    showToast('Device removed', 'success');
+  } catch (error) {
+    showToast(formatError('Failed to remove device', error), 'error');
+  }
+}
+
+// ============================================================================
+// Network Scan
+// ============================================================================
+
+let scanSource = null;  // EventSource while a scan is running
+
+/**
+ * Scan for EO1s, showing progress and each device as it's found
+ */
+function startScan() {
+  const subnet = elements.scanSubnet.value.trim();
+  let found = 0;
+
+  elements.btnScanNetwork.textContent = 'Stop';
+  elements.scanStatus.textContent = 'Starting scan...';
+  elements.scanProgressBar.style.width = '0';
+  elements.scanProgress.style.display = 'block';
+  elements.scanResults.style.display = 'none';
+  elements.foundDevices.innerHTML = '';
+
+  scanSource = API.device.scanStream(subnet, {
+    start: ({ subnets, total }) => {
+      elements.scanStatus.textContent = `Scanning ${total} addresses on ${subnets.join(', ')}...`;
+    },
+    progress: ({ scanned, total }) => {
+      elements.scanProgressBar.style.width = `${Math.round((scanned / total) * 100)}%`;
+      elements.scanStatus.textContent = `Scanned ${scanned}/${total}` + (found ? ` · found ${found}` : '');
+    },
+    found: (device) => {
+      found++;
+      addFoundDevice(device);
+      elements.scanResults.style.display = 'flex';
+    },
+    done: ({ subnets, found: count }) => {
+      const where = subnets.join(', ');
+      stopScan(count > 0 ? `Found ${count} EO1 on ${where}` : `No EO1 found on ${where}`);
+      showToast(count > 0 ? `Found ${count} EO1 device(s)` : 'No EO1 found on network', count > 0 ? 'success' : 'info');
+    },
+    failed: ({ error }) => {
+      stopScan('Scan failed');
+      showToast('EO1 scan failed: ' + error, 'error');
+    }
+  });
+}
+
+/**
+ * Add a device to the scan results dropdown
+ * @param {Object} device - { ip, hostname, mac, lastSeen? }
+ */
+function addFoundDevice(device) {
+  const option = document.createElement('option');
+  option.value = device.ip;
+  option.dataset.mac = device.mac || '';
+
+  const details = [device.hostname, device.mac].filter(Boolean).join(', ');
+  const seen = device.lastSeen ? ` · seen ${new Date(device.lastSeen).toLocaleDateString()}` : '';
+  option.textContent = `${device.ip}${details ? ` (${details})` : ''}${seen}`;
+
+  elements.foundDevices.appendChild(option);
+}
+
+/**
+ * Show EO1s found by earlier scans, so a rescan isn't needed to pick one
+ */
+async function loadDiscoveredDevices() {
+  try {
+    const result = await API.devices.discovered();
+    if (result.devices.length === 0 || scanSource) return;
+
+    elements.foundDevices.innerHTML = '';
+    result.devices.forEach(addFoundDevice);
+    elements.scanResults.style.display = 'flex';
+  } catch (error) {
+    console.error('Failed to load discovered devices:', error);
+  }
+}
+
+/**
+ * End the scan (closing the stream also stops the server probing)
+ * @param {string} message - Final status text
+ */
+function stopScan(message) {
+  if (scanSource) {
+    scanSource.close();
+    scanSource = null;
+  }
+  elements.btnScanNetwork.textContent = 'Scan for EO1';
+  elements.scanProgress.style.display = 'none';
+  elements.scanStatus.textContent = message;
+}
+
+// ============================================================================
+// Device Groups
+// ============================================================================
+
+/**
+ * Point device commands at a group (or back at the selected device)
+ * Per-device views (current source, history, settings) follow the group's first member
+ * @param {Object|null} group - Group to select, or null for a single device
+ */
+function selectGroup(group) {
+  API.groupId = group ? group.id : null;
+  if (group) {
+    API.deviceId = group.deviceIds[0];
+    localStorage.setItem('eo1GroupId', group.id);
+  } else {
+    localStorage.removeItem('eo1GroupId');
+  }
+}
+
+/**
+ * Switch the UI to a group
+ * @param {string} groupId - Group ID
+ */
+async function switchGroup(groupId) {
+  const group = state.groups.find(g => g.id === groupId);
+  if (!group) return;
+
+  selectGroup(group);
+  elements.deviceSwitcher.value = `group:${group.id}`;
+  state.displayedPhotoId = null;
+
+  await Promise.all([
+    getDeviceInfo(),
+    loadSlideshowSettings(),
+    loadBrightnessCurve(),
+    loadCurrentSource(),
+    loadHistory(),
+    loadPlaybackStatus(),
+    loadCommandLog(),
+    loadNextChange()
+  ]);
+  renderScheduleTimeline();
+}
+
+/**
+ * Warn when a group command only reached some of its devices
+ * @param {Object} result - Response from /api/groups/:id/command
+ */
+function reportPartialResult(result) {
+  const failed = result.results.filter(r => !r.success).map(r => r.name);
+  showToast(`Not sent to ${failed.join(', ')} (${result.succeeded}/${result.results.length} devices updated)`, 'error');
+}
+
+/**
+ * Render the group list and the member checkboxes in Device Settings
+ */
+function renderGroups() {
+  elements.groupList.innerHTML = '';
+
+  for (const group of state.groups) {
+    const members = group.deviceIds
+      .map(id => state.devices.find(d => d.id === id))
+      .filter(Boolean)
+      .map(d => d.name);
+
+    const item = document.createElement('li');
+    item.innerHTML = `
+      <span class="group-info">
+        <span class="group-name"></span>
+        <span class="group-members-summary"></span>
+      </span>
+      <button class="btn btn-outline btn-sm btn-danger">Delete</button>
+    `;
+    item.querySelector('.group-name').textContent = group.name;
+    item.querySelector('.group-members-summary').textContent = members.length ? members.join(', ') : 'No devices';
+    item.querySelector('.group-info').addEventListener('click', () => editGroup(group));
+    item.querySelector('.btn-danger').addEventListener('click', () => deleteGroup(group));
+    elements.groupList.appendChild(item);
+  }
+
+  const editing = state.groups.find(g => g.id === state.editingGroupId);
+  const checked = editing ? editing.deviceIds : [];
+
+  elements.groupMembers.innerHTML = '';
+  for (const device of state.devices) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = device.id;
+    checkbox.checked = checked.includes(device.id);
+
+    const label = document.createElement('label');
+    label.className = 'filter-checkbox';
+    label.append(checkbox, ` ${device.name}`);
+    elements.groupMembers.appendChild(label);
+  }
+
+  elements.btnSaveGroup.textContent = editing ? 'Save Group' : 'Create Group';
+  elements.btnCancelGroup.style.display = editing ? '' : 'none';
+}
+
+/**
+ * Load a group into the form for editing
+ * @param {Object|null} group - Group to edit, or null to reset the form
+ */
+function editGroup(group) {
+  state.editingGroupId = group ? group.id : null;
+  elements.groupName.value = group ? group.name : '';
+  renderGroups();
+}
+
+/**
+ * Create or update a group from the form
+ */
+async function saveGroup() {
+  const name = elements.groupName.value.trim();
+  const deviceIds = [...elements.groupMembers.querySelectorAll('input:checked')].map(input => input.value);
+
+  if (!name) {
+    showToast('Please enter a group name', 'error');
+    return;
+  }
+
+  try {
+    if (state.editingGroupId) {
+      await API.groups.update(state.editingGroupId, { name, deviceIds });
+    } else {
+      await API.groups.add({ name, deviceIds });
+    }
+    state.editingGroupId = null;
+    elements.groupName.value = '';
+    await loadDevices(API.groupId ? null : API.deviceId);
+    showToast(`Saved ${name}`, 'success');
+  } catch (error) {
+    showToast(formatError('Failed to save group', error), 'error');
+  }
+}
+
+/**
+ * Delete a group (its devices are kept)
+ * @param {Object} group - Group to delete
+ */
+async function deleteGroup(group) {
+  if (!confirm(`Delete group ${group.name}?`)) return;
+
+  try {
+    await API.groups.remove(group.id);
+    if (state.editingGroupId === group.id) {
+      editGroup(null);
+    }
+    const wasSelected = API.groupId === group.id;
+    await loadDevices(wasSelected ? API.deviceId : null);
+    if (wasSelected) {
+      await switchDevice(API.deviceId);
+    }
+    showToast('Group deleted', 'success');
+  } catch (error) {
+    showToast(formatError('Failed to delete group', error), 'error');
+  }
+}
+
+// ============================================================================
+// Command Log
+// ============================================================================
+
+/**
+ * Load the selected device's command log using the filter fields
+ */
+async function loadCommandLog() {
+  // datetime-local values are local time; the server wants an absolute time
+  const toIso = (value) => value ? new Date(value).toISOString() : null;
+
+  try {
+    const result = await API.device.log({
+      command: elements.logCommand.value,
+      from: toIso(elements.logFrom.value),
+      to: toIso(elements.logTo.value)
+    });
+    renderCommandLog(result.entries);
+  } catch (error) {
+    console.error('Failed to load command log:', error);
+  }
+}
+
+/**
+ * Render command log entries
+ * @param {Object[]} entries - Newest first
+ */
+function renderCommandLog(entries) {
+  elements.commandLog.innerHTML = '';
+
+  if (entries.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'log-empty';
+    empty.textContent = 'No commands logged';
+    elements.commandLog.appendChild(empty);
+    return;
+  }
+
+  for (const entry of entries) {
+    const item = document.createElement('li');
+    item.className = `log-${entry.result}`;
+    item.innerHTML = `
+      <span class="log-time"></span>
+      <span class="log-command"></span>
+      <span class="log-result"></span>
+      <span class="log-origin"></span>
+    `;
+    item.querySelector('.log-time').textContent = new Date(entry.at).toLocaleString();
+    item.querySelector('.log-command').textContent = entry.command;
+    if (entry.result === 'failed') {
+      item.querySelector('.log-result').textContent = `Failed: ${entry.error}`;
+    } else if (entry.result === 'dry-run') {
+      item.querySelector('.log-result').textContent = 'Dry run - not sent';
+    } else {
+      item.querySelector('.log-result').textContent = `${entry.result === 'sent' ? 'Sent' : 'Superseded'} in ${entry.latency}ms`;
+    }
+    item.querySelector('.log-origin').textContent = [entry.origin, entry.clientIp].filter(Boolean).join(' · ');
+    item.title = entry.userAgent || '';
+    elements.commandLog.appendChild(item);
+  }
+}
+
 // ============================================================================
 // Preset Management
 // ============================================================================
@@ -591,10 +1302,12 @@ function renderPresets() {
     const typeLabel = typeLabels[preset.type] || preset.type;
 
     card.innerHTML = `
-      <div class="preset-name">${preset.name}</div>
-      <div class="preset-type-badge">${typeLabel}</div>
+      <div class="preset-name"></div>
+      <div class="preset-type-badge"></div>
       ${!preset.builtin ? '<button class="delete-btn" title="Delete">×</button>' : ''}
     `;
+    card.querySelector('.preset-name').textContent = preset.name;
+    card.querySelector('.preset-type-badge').textContent = typeLabel;
 
     // Click to activate preset
     card.addEventListener('click', (e) => {
@@ -608,12 +1321,16 @@ function renderPresets() {
 
     elements.presetGrid.appendChild(card);
   }
+
+  renderSchedulePresets();
+  renderWebhookSources();
 }
 
 // Activate a preset
 async function activatePreset(id, preset) {
   state.activePreset = id;
   renderPresets();
+  elements.btnPlayPreset.disabled = preset.type === 'my-albums';
 
   // Load photos from this preset
   try {
@@ -636,17 +1353,23 @@ async function activatePreset(id, preset) {
         await loadPhotos(preset.tag, 'tag');
       }
 
-      // Also update the EO1 device
-      await API.device.setTag(preset.tag, preset.name);
-      showToast(`Switched to ${preset.name}`, 'success');
-
-      // Update current source display
-      updateCurrentSourceDisplay({
-        type: 'tag',
-        value: preset.tag,
-        name: preset.name,
-        url: `https://www.flickr.com/photos/tags/${encodeURIComponent(preset.tag)}/`
-      });
+      if (useFilters && filtersChanged() && !API.groupId) {
+        // The EO1 can't filter a tag itself, so the server plays results narrowed
+        // beyond the defaults; otherwise the device cycles the tag as before
+        await startPlayback(id, { searchParams: state.currentSearch.searchParams });
+      } else {
+        // Also update the EO1 device
+        await API.device.setTag(preset.tag, preset.name);
+        showToast(`Switched to ${preset.name}`, 'success');
+
+        // Update current source display
+        updateCurrentSourceDisplay({
+          type: 'tag',
+          value: preset.tag,
+          name: preset.name,
+          url: `https://www.flickr.com/photos/tags/${encodeURIComponent(preset.tag)}/`
+        });
+      }
     } else if (preset.type === 'my-photos') {
       // Get user's own photos using configured User ID
       const flickrSettings = await API.settings.getFlickr();
@@ -732,6 +1455,7 @@ async function deletePreset(id) {
     delete state.presets[id];
     if (state.activePreset === id) {
       state.activePreset = null;
+      elements.btnPlayPreset.disabled = true;
     }
     renderPresets();
     showToast('Preset deleted', 'success');
@@ -741,45 +1465,169 @@ async function deletePreset(id) {
 }
 
 // ============================================================================
-// Photo Browsing
+// Server Playback
 // ============================================================================
 
+let playbackPollTimer = null;
+
 /**
- * Load photos from Flickr based on query and type
- * @param {string} query - Search term, user ID, group ID, or gallery ID
- * @param {string} type - 'tag', 'user', 'group', 'gallery', or 'album'
- * @param {number} page - Page number for pagination
+ * Load server-driven slideshow status
  */
-async function loadPhotos(query, type = 'tag', page = 1) {
-  elements.photoGrid.innerHTML = '<div class="photo-grid-empty">Loading...</div>';
-  elements.photoGrid.classList.add('loading');
-  disablePaginationButtons();
+async function loadPlaybackStatus() {
+  // Server playback is per device, so there's nothing to show for a group
+  if (API.groupId) {
+    renderPlayback(null);
+    return;
+  }
 
   try {
-    let result;
-    if (type === 'tag') {
-      result = await API.flickr.searchByTag(query, page);
-    } else if (type === 'explore') {
-      result = await API.flickr.getExplorePhotos(page);
-    } else if (type === 'search') {
-      // Advanced search - query is the searchParams object
-      result = await API.flickr.advancedSearch(query, page);
-    } else if (type === 'group') {
-      result = await API.flickr.getGroupPhotos(query, page);
-    } else if (type === 'gallery') {
-      result = await API.flickr.getGalleryPhotos(query, page);
-    } else {
-      result = await API.flickr.getUserPhotos(query, page);
-    }
+    renderPlayback(await API.device.playback.status());
+  } catch (error) {
+    console.error('Failed to load playback status:', error);
+  }
+}
 
-    state.photos = result.photos;
-    state.currentPage = result.page;
-    state.totalPages = result.pages;
+/**
+ * Show or hide the playback bar and keep it fresh while playing
+ * @param {Object} playback - Status from /api/device/playback
+ */
+function renderPlayback(playback) {
+  state.playback = playback;
+
+  clearInterval(playbackPollTimer);
+  if (!playback || !playback.active) {
+    elements.playbackBar.style.display = 'none';
+    return;
+  }
+
+  elements.playbackBar.style.display = 'flex';
+  elements.playbackName.textContent = playback.preset.name;
+  elements.playbackPosition.textContent = playback.position
+    ? `${playback.position.index + 1}/${playback.position.count}` +
+      (playback.position.pages > 1 ? ` · page ${playback.position.page}` : '') +
+      (playback.shuffle ? ' · shuffled' : '')
+    : '';
+
+  // The server advances on its own, so poll to keep "Now Displaying" in step
+  playbackPollTimer = setInterval(() => {
+    loadPlaybackStatus();
+    loadCurrentSource();
+  }, 30000);
+}
+
+/**
+ * Start playing a preset on the EO1
+ * @param {string} presetId - Preset ID
+ * @param {Object} options - { searchParams?, interval? }
+ */
+async function startPlayback(presetId, options = {}) {
+  const result = await API.device.playback.start(presetId, options);
+  renderPlayback(result.playback);
+  await Promise.all([loadCurrentSource(), loadHistory()]);
+  showToast(`Playing ${result.playback.preset.name} on EO1`, 'success');
+}
+
+/**
+ * Play the selected preset, using the filter bar if it's showing
+ */
+async function playActivePreset() {
+  if (!state.activePreset) return;
+
+  if (API.groupId) {
+    showToast('Playback runs on one device at a time - pick a device to play', 'error');
+    return;
+  }
+
+  const options = {};
+  if (elements.filterBar.style.display !== 'none' && state.currentSearch && state.currentSearch.searchParams) {
+    options.searchParams = state.currentSearch.searchParams;
+  }
+
+  try {
+    await startPlayback(state.activePreset, options);
+  } catch (error) {
+    showToast(formatError('Failed to play', error), 'error');
+  }
+}
+
+/**
+ * Move the server slideshow forwards or backwards
+ * @param {string} direction - 'next' or 'previous'
+ */
+async function stepPlayback(direction) {
+  try {
+    const result = await API.device.playback[direction]();
+    renderPlayback(result.playback);
+    await Promise.all([loadCurrentSource(), loadHistory()]);
+  } catch (error) {
+    showToast(formatError('Playback failed', error), 'error');
+  }
+}
+
+/**
+ * Stop the server slideshow
+ */
+async function stopPlayback() {
+  try {
+    const result = await API.device.playback.stop();
+    renderPlayback(result.playback);
+    showToast('Playback stopped', 'success');
+  } catch (error) {
+    showToast(formatError('Failed to stop playback', error), 'error');
+  }
+}
+
+// ============================================================================
+// Photo Browsing
+// ============================================================================
+
+/**
+ * Replace the photo grid with a message, e.g. an error from Flickr
+ * @param {string} message
+ */
+function showPhotoGridMessage(message) {
+  const empty = document.createElement('div');
+  empty.className = 'photo-grid-empty';
+  empty.textContent = message;
+  elements.photoGrid.replaceChildren(empty);
+}
+
+/**
+ * Load photos from Flickr based on query and type
+ * @param {string} query - Search term, user ID, group ID, or gallery ID
+ * @param {string} type - 'tag', 'user', 'group', 'gallery', or 'album'
+ * @param {number} page - Page number for pagination
+ */
+async function loadPhotos(query, type = 'tag', page = 1) {
+  elements.photoGrid.innerHTML = '<div class="photo-grid-empty">Loading...</div>';
+  elements.photoGrid.classList.add('loading');
+  disablePaginationButtons();
+
+  try {
+    let result;
+    if (type === 'tag') {
+      result = await API.flickr.searchByTag(query, page);
+    } else if (type === 'explore') {
+      result = await API.flickr.getExplorePhotos(page);
+    } else if (type === 'search') {
+      // Advanced search - query is the searchParams object
+      result = await API.flickr.advancedSearch(query, page);
+    } else if (type === 'group') {
+      result = await API.flickr.getGroupPhotos(query, page);
+    } else if (type === 'gallery') {
+      result = await API.flickr.getGalleryPhotos(query, page);
+    } else {
+      result = await API.flickr.getUserPhotos(query, page);
+    }
+
+    state.photos = result.photos;
+    state.currentPage = result.page;
+    state.totalPages = result.pages;
 
     renderPhotos();
     updatePagination();
   } catch (error) {
-    elements.photoGrid.innerHTML = `<div class="photo-grid-empty">Error: ${error.message}</div>`;
+    showPhotoGridMessage(`Error: ${error.message}`);
     hidePagination();
   } finally {
     elements.photoGrid.classList.remove('loading');
@@ -798,7 +1646,7 @@ async function loadAlbums(userId) {
     state.photos = [];
     renderAlbums();
   } catch (error) {
-    elements.photoGrid.innerHTML = `<div class="photo-grid-empty">Error: ${error.message}</div>`;
+    showPhotoGridMessage(`Error: ${error.message}`);
   } finally {
     elements.photoGrid.classList.remove('loading');
   }
@@ -822,12 +1670,14 @@ function renderAlbums() {
     const count = album.photoCount + album.videoCount;
 
     card.innerHTML = `
-      <div class="album-thumb" style="background-image: url('${thumbUrl}')"></div>
+      <div class="album-thumb"></div>
       <div class="album-info">
-        <div class="album-title">${album.title || 'Untitled'}</div>
+        <div class="album-title"></div>
         <div class="album-count">${count} items</div>
       </div>
     `;
+    card.querySelector('.album-thumb').style.backgroundImage = `url(${JSON.stringify(thumbUrl)})`;
+    card.querySelector('.album-title').textContent = album.title || 'Untitled';
 
     card.addEventListener('click', () => openAlbum(album));
     elements.photoGrid.appendChild(card);
@@ -855,7 +1705,7 @@ async function loadAlbumPhotos(albumId, userId, page = 1) {
     renderPhotos();
     updatePagination();
   } catch (error) {
-    elements.photoGrid.innerHTML = `<div class="photo-grid-empty">Error: ${error.message}</div>`;
+    showPhotoGridMessage(`Error: ${error.message}`);
     hidePagination();
   } finally {
     elements.photoGrid.classList.remove('loading');
@@ -877,8 +1727,9 @@ function renderPhotos() {
     backBar.className = 'album-back-bar';
     backBar.innerHTML = `
       <button class="btn btn-outline btn-sm" id="btnBackToAlbums">← Back to Albums</button>
-      <span class="album-current-title">${state.currentAlbum.title}</span>
+      <span class="album-current-title"></span>
     `;
+    backBar.querySelector('.album-current-title').textContent = state.currentAlbum.title;
     elements.photoGrid.appendChild(backBar);
 
     backBar.querySelector('#btnBackToAlbums').addEventListener('click', () => {
@@ -899,12 +1750,19 @@ function renderPhotos() {
     card.className = 'photo-card' + (isPortrait ? ' portrait' : '') + (isLandscape ? ' landscape' : '');
 
     card.innerHTML = `
-      <img src="${photo.thumbnailUrl}" alt="${photo.title}" loading="lazy">
+      <img loading="lazy">
       ${photo.media === 'video' ? '<span class="media-badge">Video</span>' : ''}
       ${isPortrait ? '<span class="orientation-badge portrait" title="Portrait - optimised for EO1">▮</span>' : ''}
+      <button class="playlist-add-btn" title="Add to playlist">+</button>
     `;
+    card.querySelector('img').src = photo.thumbnailUrl;
+    card.querySelector('img').alt = photo.title;
 
     card.addEventListener('click', () => openPreview(photo));
+    card.querySelector('.playlist-add-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      addToPlaylist(photo);
+    });
     elements.photoGrid.appendChild(card);
   }
 }
@@ -943,359 +1801,2188 @@ function updatePagination() {
 }
 
 // ============================================================================
-// Preview Modal & EO1 Display
+// Playlists
 // ============================================================================
 
 /**
- * Open the preview modal for a photo
- * Shows larger image, dimensions, and orientation info
+ * Load playlists and show the last selected one
  */
-function openPreview(photo) {
-  state.selectedPhoto = photo;
+async function loadPlaylists() {
+  try {
+    const result = await API.playlists.list();
+    state.playlists = result.playlists;
+    if (!state.playlists.some(p => p.id === state.activePlaylistId)) {
+      state.activePlaylistId = state.playlists.length ? state.playlists[0].id : null;
+    }
+    renderPlaylists();
+  } catch (error) {
+    console.error('Failed to load playlists:', error);
+  }
+}
 
-  elements.previewTitle.textContent = photo.title || 'Untitled';
+/**
+ * Get the playlist shown in the Playlists section
+ * @returns {Object|null}
+ */
+function activePlaylist() {
+  return state.playlists.find(p => p.id === state.activePlaylistId) || null;
+}
 
-  // Build meta info with orientation
-  const mediaType = photo.media === 'video' ? 'Video' : 'Photo';
-  let metaText = mediaType;
+/**
+ * Replace a playlist in state with the server's copy and re-render
+ * @param {Object} playlist - Saved playlist
+ */
+function storePlaylist(playlist) {
+  const index = state.playlists.findIndex(p => p.id === playlist.id);
+  if (index === -1) {
+    state.playlists.push(playlist);
+  } else {
+    state.playlists[index] = playlist;
+  }
+  renderPlaylists();
+}
 
-  if (photo.width && photo.height) {
-    const isPortrait = photo.height > photo.width;
-    metaText += ` · ${photo.width}×${photo.height}`;
-    if (isPortrait) {
-      metaText += ' · Portrait ✓';
-    } else {
-      metaText += ' · Landscape';
-    }
+/**
+ * Show a playlist in the Playlists section (and add new photos to it)
+ * @param {string} playlistId - Playlist ID
+ */
+function selectPlaylist(playlistId) {
+  state.activePlaylistId = playlistId || null;
+  if (playlistId) {
+    localStorage.setItem('eo1PlaylistId', playlistId);
   }
-  elements.previewMeta.textContent = metaText;
+  renderPlaylists();
+}
 
-  // Show appropriate media
-  if (photo.media === 'video') {
-    elements.previewImage.style.display = 'none';
-    elements.previewVideo.style.display = 'block';
-    elements.previewVideo.src = photo.largeUrl || photo.mediumUrl;
-  } else {
-    elements.previewVideo.style.display = 'none';
-    elements.previewImage.style.display = 'block';
-    elements.previewImage.src = photo.largeUrl || photo.mediumUrl || photo.thumbnailUrl;
+/**
+ * Render the playlist picker and the active playlist's items
+ */
+function renderPlaylists() {
+  const playlist = activePlaylist();
+
+  elements.playlistSelect.innerHTML = '';
+  if (state.playlists.length === 0) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = 'No playlists yet';
+    elements.playlistSelect.appendChild(option);
+  }
+  for (const p of state.playlists) {
+    const option = document.createElement('option');
+    option.value = p.id;
+    option.textContent = `${p.name} (${p.items.length})`;
+    elements.playlistSelect.appendChild(option);
   }
+  elements.playlistSelect.value = playlist ? playlist.id : '';
 
-  elements.previewModal.classList.add('open');
+  elements.btnRenamePlaylist.disabled = !playlist;
+  elements.btnDeletePlaylist.disabled = !playlist;
+  elements.btnPlayPlaylist.disabled = !playlist || playlist.items.length === 0;
+
+  renderSchedulePresets();
+  renderWebhookSources();
+
+  elements.playlistItems.innerHTML = '';
+  if (!playlist) return;
+
+  if (playlist.items.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'playlist-empty';
+    empty.textContent = 'No photos yet';
+    elements.playlistItems.appendChild(empty);
+    return;
+  }
+
+  playlist.items.forEach((item, index) => {
+    const li = document.createElement('li');
+    li.className = 'playlist-item' + (item.media === 'video' ? ' video' : '');
+    li.draggable = true;
+    li.innerHTML = `
+      <span class="drag-handle" aria-hidden="true">⋮⋮</span>
+      <img alt="" loading="lazy">
+      <span class="playlist-item-title"></span>
+      <button class="remove-btn" title="Remove from playlist">&times;</button>
+    `;
+    li.querySelector('img').src = item.thumbnailUrl || '';
+    li.querySelector('.playlist-item-title').textContent = item.title || 'Untitled';
+    li.querySelector('.remove-btn').addEventListener('click', () => removePlaylistItem(index));
+
+    // Drag and drop reordering
+    li.addEventListener('dragstart', (e) => {
+      state.draggedItemIndex = index;
+      e.dataTransfer.effectAllowed = 'move';
+      li.classList.add('dragging');
+    });
+    li.addEventListener('dragend', () => {
+      state.draggedItemIndex = null;
+      li.classList.remove('dragging');
+    });
+    li.addEventListener('dragover', (e) => {
+      if (state.draggedItemIndex === null) return;
+      e.preventDefault();
+      li.classList.add('drag-over');
+    });
+    li.addEventListener('dragleave', () => li.classList.remove('drag-over'));
+    li.addEventListener('drop', (e) => {
+      e.preventDefault();
+      li.classList.remove('drag-over');
+      if (state.draggedItemIndex !== null && state.draggedItemIndex !== index) {
+        movePlaylistItem(state.draggedItemIndex, index);
+      }
+    });
+
+    elements.playlistItems.appendChild(li);
+  });
 }
 
-// Close preview modal
-function closePreview() {
-  elements.previewModal.classList.remove('open');
-  elements.previewVideo.pause();
-  elements.previewVideo.src = '';
-  state.selectedPhoto = null;
+/**
+ * Create a playlist and select it
+ * @returns {Promise<Object|null>} - The new playlist, or null if cancelled or failed
+ */
+async function createPlaylist() {
+  const name = prompt('Playlist name');
+  if (!name || !name.trim()) return null;
+
+  try {
+    const result = await API.playlists.add({ name: name.trim() });
+    state.activePlaylistId = result.playlist.id;
+    localStorage.setItem('eo1PlaylistId', result.playlist.id);
+    storePlaylist(result.playlist);
+    showToast(`Created ${result.playlist.name}`, 'success');
+    return result.playlist;
+  } catch (error) {
+    showToast(formatError('Failed to create playlist', error), 'error');
+    return null;
+  }
 }
 
-// Display on EO1
-async function displayOnEO1() {
-  if (!state.selectedPhoto) return;
+/**
+ * Rename the active playlist
+ */
+async function renamePlaylist() {
+  const playlist = activePlaylist();
+  if (!playlist) return;
 
-  const photo = state.selectedPhoto;
+  const name = prompt('Playlist name', playlist.name);
+  if (!name || !name.trim() || name.trim() === playlist.name) return;
 
-  // Check if landscape - warn user but allow display
-  // EO1 display is 1080x1920 portrait
-  if (photo.width && photo.height && photo.width > photo.height) {
-    const proceed = confirm(
-      'This image is landscape orientation.\n\n' +
-      'The EO1 display is portrait (1080×1920), so this image may not look optimal.\n\n' +
-      'Display anyway?'
-    );
-    if (!proceed) return;
+  try {
+    const result = await API.playlists.update(playlist.id, { name: name.trim() });
+    storePlaylist(result.playlist);
+  } catch (error) {
+    showToast(formatError('Failed to rename playlist', error), 'error');
   }
+}
+
+/**
+ * Delete the active playlist
+ */
+async function deletePlaylist() {
+  const playlist = activePlaylist();
+  if (!playlist || !confirm(`Delete playlist ${playlist.name}?`)) return;
 
   try {
-    const title = photo.title || 'Untitled';
-    const mediaType = photo.media === 'video' ? 'video' : 'photo';
+    await API.playlists.remove(playlist.id);
+    state.activePlaylistId = null;
+    localStorage.removeItem('eo1PlaylistId');
+    await Promise.all([loadPlaylists(), loadPlaybackStatus()]);
+    showToast('Playlist deleted', 'success');
+  } catch (error) {
+    showToast(formatError('Failed to delete playlist', error), 'error');
+  }
+}
 
-    if (photo.media === 'video') {
-      await API.device.displayVideo(photo.id, title, photo.thumbnailUrl, photo.owner);
-    } else {
-      await API.device.displayImage(photo.id, title, photo.thumbnailUrl, photo.owner);
-    }
+/**
+ * Add a photo to the active playlist (creating one if there isn't any)
+ * @param {Object} photo - Grid photo or history item
+ */
+async function addToPlaylist(photo) {
+  const playlist = activePlaylist() || await createPlaylist();
+  if (!playlist) return;
 
-    // Track what's displayed and update UI
-    state.displayedPhotoId = photo.id;
-    updateCurrentSourceDisplay({
-      type: mediaType,
-      value: photo.id,
-      name: title,
-      url: `https://www.flickr.com/photos/${photo.owner}/${photo.id}/`,
-      thumbnailUrl: photo.thumbnailUrl
+  try {
+    const result = await API.playlists.addItem(playlist.id, {
+      id: photo.id,
+      title: photo.title || 'Untitled',
+      owner: photo.owner || null,
+      thumbnailUrl: photo.thumbnailUrl || null,
+      media: photo.media === 'video' ? 'video' : 'photo'
     });
+    storePlaylist(result.playlist);
+    showToast(result.added ? `Added to ${playlist.name}` : `Already in ${playlist.name}`, result.added ? 'success' : 'info');
+  } catch (error) {
+    showToast(formatError('Failed to add to playlist', error), 'error');
+  }
+}
 
-    showToast('Displaying on EO1!', 'success');
-    closePreview();
-    // Reload history to show new item
-    loadHistory();
+/**
+ * Save a new item order for the active playlist
+ * Shows the new order straight away and puts the old one back if saving fails
+ * @param {Object[]} items - Reordered items
+ */
+async function savePlaylistItems(items) {
+  const playlist = activePlaylist();
+  const previous = playlist.items;
+  storePlaylist({ ...playlist, items });
+
+  try {
+    const result = await API.playlists.update(playlist.id, { items });
+    storePlaylist(result.playlist);
   } catch (error) {
-    showToast(formatError('Failed to send to EO1', error), 'error');
+    storePlaylist({ ...playlist, items: previous });
+    showToast(formatError('Failed to update playlist', error), 'error');
   }
 }
 
 /**
- * Skip to the next photo in the current grid and display it on EO1
+ * Move a playlist item to another position
+ * @param {number} from - Index of the dragged item
+ * @param {number} to - Index it was dropped on
  */
-async function skipToNextPhoto() {
-  // Need photos in the grid to skip through
-  if (!state.photos.length) {
-    showToast('No photos to skip through', 'error');
+function movePlaylistItem(from, to) {
+  const items = [...activePlaylist().items];
+  const [moved] = items.splice(from, 1);
+  items.splice(to, 0, moved);
+  savePlaylistItems(items);
+}
+
+/**
+ * Remove an item from the active playlist
+ * @param {number} index - Item position
+ */
+function removePlaylistItem(index) {
+  savePlaylistItems(activePlaylist().items.filter((item, i) => i !== index));
+}
+
+/**
+ * Play the active playlist on the selected device
+ */
+async function playPlaylist() {
+  const playlist = activePlaylist();
+  if (!playlist) return;
+
+  if (API.groupId) {
+    showToast('Playback runs on one device at a time - pick a device to play', 'error');
     return;
   }
 
-  // Find current photo's position in the grid
-  let currentIndex = -1;
-  if (state.displayedPhotoId) {
-    currentIndex = state.photos.findIndex(p => p.id === state.displayedPhotoId);
+  const interval = parseInt(elements.playlistInterval.value);
+  if (elements.playlistInterval.value && !(interval >= 1 && interval <= 60)) {
+    showToast('Interval must be 1-60 minutes', 'error');
+    return;
   }
 
-  // Get next photo (wrap to start if at end, or start from 0 if not found)
-  const nextIndex = currentIndex >= 0 ? (currentIndex + 1) % state.photos.length : 0;
-  const nextPhoto = state.photos[nextIndex];
+  try {
+    const result = await API.playlists.play(playlist.id, {
+      interval: interval || undefined,
+      shuffle: elements.playlistShuffle.checked
+    });
+    renderPlayback(result.playback);
+    await Promise.all([loadCurrentSource(), loadHistory()]);
+    showToast(`Playing ${playlist.name} on EO1${elements.playlistShuffle.checked ? ' (shuffled)' : ''}`, 'success');
+  } catch (error) {
+    showToast(formatError('Failed to play playlist', error), 'error');
+  }
+}
 
-  // Display it on EO1
+// ============================================================================
+// Schedules
+// ============================================================================
+
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];  // Days as shown, Monday first (0 = Sunday)
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MINUTES_PER_DAY = 24 * 60;
+const SCHEDULE_COLOURS = ['#e94560', '#60a5fa', '#4ade80', '#fbbf24', '#c084fc', '#f472b6', '#2dd4bf'];
+
+let nextChangeTimer = null;  // Reloads the card once the next change has happened
+
+/**
+ * Load schedules and the timezone they run in
+ */
+async function loadSchedules() {
   try {
-    const title = nextPhoto.title || 'Untitled';
-    const mediaType = nextPhoto.media === 'video' ? 'video' : 'photo';
+    const [result, timezone] = await Promise.all([API.schedules.list(), API.settings.getTimezone()]);
+    state.schedules = result.schedules;
+    state.timezone = result.timezone;
+    elements.scheduleTimezone.value = timezone.configured || '';
+    elements.scheduleTimezone.placeholder = `Server timezone (${timezone.system})`;
+    renderSchedules();
+  } catch (error) {
+    console.error('Failed to load schedules:', error);
+  }
+}
 
-    if (nextPhoto.media === 'video') {
-      await API.device.displayVideo(nextPhoto.id, title, nextPhoto.thumbnailUrl, nextPhoto.owner);
-    } else {
-      await API.device.displayImage(nextPhoto.id, title, nextPhoto.thumbnailUrl, nextPhoto.owner);
-    }
+/**
+ * Describe the days a schedule runs on
+ * @param {number[]} days - Weekdays (0 = Sunday)
+ * @returns {string}
+ */
+function describeDays(days) {
+  const key = WEEK_ORDER.filter(day => days.includes(day)).join(',');
+  if (key === '1,2,3,4,5,6,0') return 'Every day';
+  if (key === '1,2,3,4,5') return 'Weekdays';
+  if (key === '6,0') return 'Weekends';
+  return WEEK_ORDER.filter(day => days.includes(day)).map(day => DAY_NAMES[day]).join(', ');
+}
 
-    // Track what's displayed and update UI
-    state.displayedPhotoId = nextPhoto.id;
-    updateCurrentSourceDisplay({
-      type: mediaType,
-      value: nextPhoto.id,
-      name: title,
-      url: `https://www.flickr.com/photos/${nextPhoto.owner}/${nextPhoto.id}/`,
-      thumbnailUrl: nextPhoto.thumbnailUrl
+/**
+ * Get the display name of a schedule's preset or playlist
+ * @param {string} presetId - Preset ID or 'playlist:<id>'
+ * @returns {string}
+ */
+function schedulePresetName(presetId) {
+  if (presetId.startsWith('playlist:')) {
+    const playlist = state.playlists.find(p => `playlist:${p.id}` === presetId);
+    return playlist ? playlist.name : 'Missing playlist';
+  }
+  const preset = state.presets[presetId];
+  return preset ? preset.name : presetId;
+}
+
+/**
+ * Summarise what a schedule does, e.g. "07:00 · Weekdays · Community Art · 40%"
+ * @param {Object} schedule
+ * @returns {string}
+ */
+function describeSchedule(schedule) {
+  const parts = [schedule.time, describeDays(schedule.days)];
+  if (schedule.presetId) parts.push(schedulePresetName(schedule.presetId));
+  if (schedule.brightness === -1) parts.push('Auto brightness');
+  else if (schedule.brightness !== null) parts.push(`${Math.round(schedule.brightness * 100)}%`);
+  if (schedule.interval !== null) parts.push(`${schedule.interval} min`);
+  return parts.join(' · ');
+}
+
+/**
+ * Read the day of the week and time of day in a timezone
+ * @param {Date} date
+ * @param {string} timeZone - IANA timezone
+ * @returns {{ weekday: number, minutes: number }}
+ */
+function zonedClock(date, timeZone) {
+  const parts = {};
+  const format = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: 'numeric', minute: 'numeric', hourCycle: 'h23' });
+  for (const { type, value } of format.formatToParts(date)) {
+    parts[type] = value;
+  }
+  return { weekday: DAY_NAMES.indexOf(parts.weekday), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+/**
+ * Render the schedule list and the timeline
+ */
+function renderSchedules() {
+  elements.scheduleList.innerHTML = '';
+
+  for (const schedule of state.schedules) {
+    const devices = schedule.deviceIds
+      .map(id => state.devices.find(d => d.id === id))
+      .filter(Boolean)
+      .map(d => d.name);
+    const failed = schedule.lastRun ? schedule.lastRun.results.filter(r => !r.success) : [];
+
+    const item = document.createElement('li');
+    item.innerHTML = `
+      <input type="checkbox" title="Enabled">
+      <span class="schedule-swatch"></span>
+      <span class="group-info">
+        <span class="group-name"></span>
+        <span class="group-members-summary"></span>
+      </span>
+      <button class="btn btn-outline btn-sm" title="Apply now">Run</button>
+      <button class="btn btn-outline btn-sm btn-danger">Delete</button>
+    `;
+    const toggle = item.querySelector('input');
+    toggle.checked = schedule.enabled;
+    toggle.addEventListener('change', () => toggleSchedule(schedule, toggle.checked));
+    item.querySelector('.schedule-swatch').style.background = scheduleColour(schedule);
+    item.querySelector('.group-name').textContent = schedule.name;
+    item.querySelector('.group-members-summary').textContent = describeSchedule(schedule) +
+      (devices.length ? ` · ${devices.join(', ')}` : ' · No devices') +
+      (failed.length ? ` · Last run failed: ${failed[0].error}` : '');
+    item.classList.toggle('disabled', !schedule.enabled);
+    item.classList.toggle('failed', failed.length > 0);
+    item.querySelector('.group-info').addEventListener('click', () => editSchedule(schedule));
+    item.querySelector('[title="Apply now"]').addEventListener('click', () => runSchedule(schedule));
+    item.querySelector('.btn-danger').addEventListener('click', () => deleteSchedule(schedule));
+    elements.scheduleList.appendChild(item);
+  }
+
+  renderScheduleTimeline();
+}
+
+/**
+ * Get a schedule's colour on the timeline
+ * @param {Object} schedule
+ * @returns {string}
+ */
+function scheduleColour(schedule) {
+  const index = state.schedules.findIndex(s => s.id === schedule.id);
+  return SCHEDULE_COLOURS[index % SCHEDULE_COLOURS.length];
+}
+
+/**
+ * Draw the selected device's week: each change holds until the next one
+ */
+function renderScheduleTimeline() {
+  const timeline = elements.scheduleTimeline;
+  const week = 7 * MINUTES_PER_DAY;
+  timeline.innerHTML = '';
+
+  // Minute of the week (Monday 00:00 = 0) of every change for this device
+  const events = [];
+  for (const schedule of state.schedules) {
+    if (!schedule.enabled || !schedule.deviceIds.includes(API.deviceId)) continue;
+    const [hours, minutes] = schedule.time.split(':').map(Number);
+    for (const day of schedule.days) {
+      events.push({ schedule, start: WEEK_ORDER.indexOf(day) * MINUTES_PER_DAY + hours * 60 + minutes });
+    }
+  }
+  events.sort((a, b) => a.start - b.start);
+
+  if (events.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'schedule-empty';
+    empty.textContent = 'No schedules for this device';
+    timeline.appendChild(empty);
+    return;
+  }
+
+  const scale = document.createElement('div');
+  scale.className = 'timeline-scale';
+  for (const hour of ['00', '06', '12', '18', '24']) {
+    const tick = document.createElement('span');
+    tick.textContent = hour;
+    scale.appendChild(tick);
+  }
+  timeline.appendChild(scale);
+
+  const now = state.timezone ? zonedClock(new Date(), state.timezone) : null;
+
+  WEEK_ORDER.forEach((day, row) => {
+    const dayStart = row * MINUTES_PER_DAY;
+    const rowElement = document.createElement('div');
+    rowElement.className = 'timeline-row';
+    const label = document.createElement('span');
+    label.className = 'timeline-day';
+    label.textContent = DAY_NAMES[day];
+    const track = document.createElement('div');
+    track.className = 'timeline-track';
+
+    events.forEach((event, i) => {
+      const next = events[(i + 1) % events.length];
+      const end = next.start > event.start ? next.start : next.start + week;
+
+      // The last change of the week carries on into Monday
+      for (const shift of [0, -week]) {
+        const from = Math.max(event.start + shift, dayStart);
+        const to = Math.min(end + shift, dayStart + MINUTES_PER_DAY);
+        if (to <= from) continue;
+
+        const segment = document.createElement('div');
+        segment.className = 'timeline-segment';
+        segment.style.left = `${(from - dayStart) / MINUTES_PER_DAY * 100}%`;
+        segment.style.width = `${(to - from) / MINUTES_PER_DAY * 100}%`;
+        segment.style.background = scheduleColour(event.schedule);
+        segment.title = `${event.schedule.name}: ${describeSchedule(event.schedule)}`;
+        if (from === event.start + shift) {
+          segment.classList.add('starts');
+          segment.textContent = event.schedule.name;
+        }
+        track.appendChild(segment);
+      }
+    });
+
+    if (now && now.weekday === day) {
+      const marker = document.createElement('div');
+      marker.className = 'timeline-now';
+      marker.style.left = `${now.minutes / MINUTES_PER_DAY * 100}%`;
+      marker.title = 'Now';
+      track.appendChild(marker);
+    }
+
+    rowElement.append(label, track);
+    timeline.appendChild(rowElement);
+  });
+}
+
+/**
+ * Fill the schedule form's source list with presets and playlists
+ * Keeps the current choice if it's still there
+ */
+function renderSchedulePresets() {
+  const select = elements.schedulePreset;
+  const selected = select.value;
+  select.innerHTML = '<option value="">Don\'t change</option>';
+
+  const presets = document.createElement('optgroup');
+  presets.label = 'Presets';
+  for (const [id, preset] of Object.entries(state.presets)) {
+    if (preset.type === 'my-albums') continue;  // Not a photo source
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = preset.name;
+    presets.appendChild(option);
+  }
+  select.appendChild(presets);
+
+  if (state.playlists.length > 0) {
+    const playlists = document.createElement('optgroup');
+    playlists.label = 'Playlists';
+    for (const playlist of state.playlists) {
+      const option = document.createElement('option');
+      option.value = `playlist:${playlist.id}`;
+      option.textContent = playlist.name;
+      playlists.appendChild(option);
+    }
+    select.appendChild(playlists);
+  }
+
+  select.value = [...select.options].some(o => o.value === selected) ? selected : '';
+}
+
+/**
+ * Load a schedule into the form, or reset it for a new one
+ * @param {Object|null} schedule - Schedule to edit, or null for a new one
+ */
+function editSchedule(schedule) {
+  state.editingScheduleId = schedule ? schedule.id : null;
+  renderSchedulePresets();
+
+  elements.scheduleFormTitle.textContent = schedule ? `Edit ${schedule.name}` : 'New Schedule';
+  elements.scheduleName.value = schedule ? schedule.name : '';
+  elements.scheduleTime.value = schedule ? schedule.time : '07:00';
+  const days = schedule ? schedule.days : [1, 2, 3, 4, 5];
+  for (const checkbox of elements.scheduleDays.querySelectorAll('input')) {
+    checkbox.checked = days.includes(Number(checkbox.value));
+  }
+  elements.schedulePreset.value = schedule && schedule.presetId ? schedule.presetId : '';
+
+  const brightness = schedule ? schedule.brightness : null;
+  elements.scheduleAutoBrightness.checked = brightness === -1;
+  elements.scheduleBrightness.disabled = brightness === -1;
+  elements.scheduleBrightness.value = brightness !== null && brightness !== -1 ? Math.round(brightness * 100) : '';
+  elements.scheduleInterval.value = schedule && schedule.interval !== null ? schedule.interval : '';
+
+  // New schedules start with the device (or group) being controlled
+  const group = state.groups.find(g => g.id === API.groupId);
+  const deviceIds = schedule ? schedule.deviceIds : group ? group.deviceIds : [API.deviceId];
+  elements.scheduleDevices.innerHTML = '';
+  for (const device of state.devices) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = device.id;
+    checkbox.checked = deviceIds.includes(device.id);
+
+    const label = document.createElement('label');
+    label.className = 'filter-checkbox';
+    label.append(checkbox, ` ${device.name}`);
+    elements.scheduleDevices.appendChild(label);
+  }
+
+  elements.btnSaveSchedule.textContent = schedule ? 'Save Schedule' : 'Add Schedule';
+  elements.btnCancelSchedule.style.display = schedule ? '' : 'none';
+}
+
+/**
+ * Read the schedule form
+ * @returns {Object} - Schedule fields for the API
+ */
+function readScheduleForm() {
+  const brightness = elements.scheduleAutoBrightness.checked
+    ? -1
+    : elements.scheduleBrightness.value === '' ? null : Number(elements.scheduleBrightness.value) / 100;
+
+  return {
+    name: elements.scheduleName.value.trim(),
+    time: elements.scheduleTime.value,
+    days: [...elements.scheduleDays.querySelectorAll('input:checked')].map(input => Number(input.value)),
+    deviceIds: [...elements.scheduleDevices.querySelectorAll('input:checked')].map(input => input.value),
+    presetId: elements.schedulePreset.value || null,
+    brightness,
+    interval: elements.scheduleInterval.value === '' ? null : parseInt(elements.scheduleInterval.value)
+  };
+}
+
+/**
+ * Create or update a schedule from the form
+ */
+async function saveSchedule() {
+  const schedule = readScheduleForm();
+
+  if (!schedule.name) {
+    showToast('Please enter a schedule name', 'error');
+    return;
+  }
+
+  try {
+    if (state.editingScheduleId) {
+      await API.schedules.update(state.editingScheduleId, schedule);
+    } else {
+      await API.schedules.add(schedule);
+    }
+    editSchedule(null);
+    await Promise.all([loadSchedules(), loadNextChange()]);
+    showToast(`Saved ${schedule.name}`, 'success');
+  } catch (error) {
+    showToast(formatError('Failed to save schedule', error), 'error');
+  }
+}
+
+/**
+ * Turn a schedule on or off
+ * @param {Object} schedule
+ * @param {boolean} enabled
+ */
+async function toggleSchedule(schedule, enabled) {
+  try {
+    await API.schedules.update(schedule.id, { enabled });
+    await Promise.all([loadSchedules(), loadNextChange()]);
+  } catch (error) {
+    showToast(formatError('Failed to update schedule', error), 'error');
+    await loadSchedules();
+  }
+}
+
+/**
+ * Apply a schedule straight away
+ * @param {Object} schedule
+ */
+async function runSchedule(schedule) {
+  try {
+    const result = await API.schedules.run(schedule.id);
+    await Promise.all([loadSchedules(), loadCurrentSource(), loadSlideshowSettings(), loadBrightnessCurve(), loadPlaybackStatus(), loadHistory()]);
+
+    const failed = result.run.results.filter(r => !r.success);
+    if (failed.length === 0) {
+      showToast(`Applied ${schedule.name}`, 'success');
+    } else {
+      showToast(`${schedule.name} failed: ${failed[0].error}`, 'error');
+    }
+  } catch (error) {
+    showToast(formatError('Failed to run schedule', error), 'error');
+  }
+}
+
+/**
+ * Delete a schedule
+ * @param {Object} schedule
+ */
+async function deleteSchedule(schedule) {
+  if (!confirm(`Delete schedule ${schedule.name}?`)) return;
+
+  try {
+    await API.schedules.remove(schedule.id);
+    if (state.editingScheduleId === schedule.id) {
+      editSchedule(null);
+    }
+    await Promise.all([loadSchedules(), loadNextChange()]);
+    showToast('Schedule deleted', 'success');
+  } catch (error) {
+    showToast(formatError('Failed to delete schedule', error), 'error');
+  }
+}
+
+/**
+ * Save the timezone schedules run in
+ */
+async function saveTimezone() {
+  try {
+    const result = await API.settings.setTimezone(elements.scheduleTimezone.value.trim());
+    await Promise.all([loadSchedules(), loadNextChange(), loadLocation()]);
+    showToast(`Schedules now run on ${result.timezone} time`, 'success');
+  } catch (error) {
+    showToast(formatError('Failed to save timezone', error), 'error');
+  }
+}
+
+/**
+ * Load the selected device's next scheduled change
+ */
+async function loadNextChange() {
+  try {
+    const result = await API.schedules.next();
+    renderNextChange(result.next, result.timezone);
+  } catch (error) {
+    console.error('Failed to load next scheduled change:', error);
+  }
+}
+
+/**
+ * Show the next scheduled change in the Now Displaying card
+ * @param {Object|null} next - { name, at }
+ * @param {string} timeZone - Timezone schedules run in
+ */
+function renderNextChange(next, timeZone) {
+  clearTimeout(nextChangeTimer);
+
+  if (!next) {
+    elements.nextChange.style.display = 'none';
+    return;
+  }
+
+  const when = new Date(next.at).toLocaleString([], { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit' });
+  const local = Intl.DateTimeFormat().resolvedOptions().timeZone === timeZone;
+  elements.nextChange.textContent = `Next scheduled change: ${next.name} · ${when}${local ? '' : ` (${timeZone})`}`;
+  elements.nextChange.style.display = '';
+
+  // Once it's happened, show what the schedule put on
+  const wait = new Date(next.at) - Date.now() + 5000;
+  if (wait < MINUTES_PER_DAY * 60 * 1000) {
+    nextChangeTimer = setTimeout(() => {
+      loadNextChange();
+      loadCurrentSource();
+      loadSlideshowSettings();
+      loadBrightnessCurve();
+      loadPlaybackStatus();
+    }, wait);
+  }
+}
+
+// ============================================================================
+// Webhooks
+// ============================================================================
+
+const WEBHOOK_ACTIONS = {
+  preset: 'Play',
+  photo: 'Show',
+  brightness: 'Brightness',
+  resume: 'Skip to next',
+  playlist: 'Play'
+};
+
+/**
+ * Load the webhook list
+ */
+async function loadWebhooks() {
+  try {
+    const result = await API.webhooks.list();
+    state.webhooks = result.webhooks;
+    renderWebhooks();
+  } catch (error) {
+    console.error('Failed to load webhooks:', error);
+  }
+}
+
+/**
+ * Summarise what a webhook does, e.g. "Play Community Art"
+ * @param {Object} webhook
+ * @returns {string}
+ */
+function describeWebhook(webhook) {
+  const verb = WEBHOOK_ACTIONS[webhook.action];
+  switch (webhook.action) {
+    case 'preset':
+      return `${verb} ${schedulePresetName(webhook.presetId)}`;
+    case 'photo':
+      return `${verb} ${webhook.title || `${webhook.media} ${webhook.photoId}`}`;
+    case 'brightness':
+      return `${verb} ${webhook.level === -1 ? 'auto' : `${Math.round(webhook.level * 100)}%`}`;
+    case 'playlist':
+      return `${verb} ${schedulePresetName(`playlist:${webhook.playlistId}`)}${webhook.shuffle ? ' (shuffled)' : ''}`;
+    default:
+      return verb;
+  }
+}
+
+/**
+ * Render the webhook list
+ */
+function renderWebhooks() {
+  elements.webhookList.innerHTML = '';
+
+  for (const webhook of state.webhooks) {
+    const devices = webhook.deviceIds
+      .map(id => state.devices.find(d => d.id === id))
+      .filter(Boolean)
+      .map(d => d.name);
+    const used = webhook.lastUsedAt ? `Last used ${new Date(webhook.lastUsedAt).toLocaleString()}` : 'Never used';
+
+    const item = document.createElement('li');
+    item.innerHTML = `
+      <span class="group-info">
+        <span class="group-name"></span>
+        <span class="group-members-summary"></span>
+      </span>
+      <button class="btn btn-outline btn-sm btn-danger">Revoke</button>
+    `;
+    item.querySelector('.group-name').textContent = webhook.name;
+    item.querySelector('.group-members-summary').textContent = [
+      describeWebhook(webhook),
+      devices.length ? devices.join(', ') : 'No devices',
+      used,
+      `Token ${webhook.token}`
+    ].join(' · ');
+    item.querySelector('.btn-danger').addEventListener('click', () => revokeWebhook(webhook));
+    elements.webhookList.appendChild(item);
+  }
+}
+
+/**
+ * Fill the webhook form's preset and playlist lists
+ * Keeps the current choices if they're still there
+ */
+function renderWebhookSources() {
+  const presetSelect = elements.webhookPreset;
+  const selectedPreset = presetSelect.value;
+  presetSelect.innerHTML = '';
+  for (const [id, preset] of Object.entries(state.presets)) {
+    if (preset.type === 'my-albums') continue;  // Not a photo source
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = preset.name;
+    presetSelect.appendChild(option);
+  }
+  if ([...presetSelect.options].some(o => o.value === selectedPreset)) {
+    presetSelect.value = selectedPreset;
+  }
+
+  const playlistSelect = elements.webhookPlaylist;
+  const selectedPlaylist = playlistSelect.value;
+  playlistSelect.innerHTML = '';
+  for (const playlist of state.playlists) {
+    const option = document.createElement('option');
+    option.value = playlist.id;
+    option.textContent = playlist.name;
+    playlistSelect.appendChild(option);
+  }
+  if ([...playlistSelect.options].some(o => o.value === selectedPlaylist)) {
+    playlistSelect.value = selectedPlaylist;
+  }
+}
+
+/**
+ * Show only the fields the chosen action needs
+ */
+function showWebhookFields() {
+  for (const field of document.querySelectorAll('[data-webhook-action]')) {
+    field.style.display = field.dataset.webhookAction === elements.webhookAction.value ? '' : 'none';
+  }
+}
+
+/**
+ * Reset the webhook form, starting with the device (or group) being controlled
+ */
+function resetWebhookForm() {
+  elements.webhookName.value = '';
+  elements.webhookPhotoId.value = '';
+  elements.webhookTitle.value = '';
+  elements.webhookVideo.checked = false;
+  showWebhookFields();
+
+  const group = state.groups.find(g => g.id === API.groupId);
+  const deviceIds = group ? group.deviceIds : [API.deviceId];
+  elements.webhookDevices.innerHTML = '';
+  for (const device of state.devices) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = device.id;
+    checkbox.checked = deviceIds.includes(device.id);
+
+    const label = document.createElement('label');
+    label.className = 'filter-checkbox';
+    label.append(checkbox, ` ${device.name}`);
+    elements.webhookDevices.appendChild(label);
+  }
+}
+
+/**
+ * Read the webhook form
+ * @returns {Object} - Webhook fields for the API
+ */
+function readWebhookForm() {
+  const webhook = {
+    name: elements.webhookName.value.trim(),
+    action: elements.webhookAction.value,
+    deviceIds: [...elements.webhookDevices.querySelectorAll('input:checked')].map(input => input.value)
+  };
+
+  switch (webhook.action) {
+    case 'preset':
+      webhook.presetId = elements.webhookPreset.value;
+      break;
+    case 'photo':
+      webhook.photoId = elements.webhookPhotoId.value.trim();
+      webhook.media = elements.webhookVideo.checked ? 'video' : 'photo';
+      webhook.title = elements.webhookTitle.value.trim() || null;
+      break;
+    case 'brightness':
+      webhook.level = elements.webhookAutoBrightness.checked ? -1 : Number(elements.webhookBrightness.value) / 100;
+      break;
+    case 'playlist':
+      webhook.playlistId = elements.webhookPlaylist.value;
+      webhook.shuffle = elements.webhookShuffle.checked;
+      break;
+  }
+  return webhook;
+}
+
+/**
+ * Create a webhook from the form and show its URL
+ */
+async function addWebhook() {
+  const webhook = readWebhookForm();
+
+  if (!webhook.name) {
+    showToast('Please enter a webhook name', 'error');
+    return;
+  }
+
+  try {
+    const result = await API.webhooks.add(webhook);
+    elements.webhookUrl.value = new URL(result.url, window.location.origin).href;
+    elements.webhookCreated.style.display = '';
+    resetWebhookForm();
+    await loadWebhooks();
+    showToast(`Created ${result.webhook.name}`, 'success');
+  } catch (error) {
+    showToast(formatError('Failed to create webhook', error), 'error');
+  }
+}
+
+/**
+ * Copy the new webhook's URL
+ */
+async function copyWebhookUrl() {
+  try {
+    await navigator.clipboard.writeText(elements.webhookUrl.value);
+    showToast('Webhook URL copied', 'success');
+  } catch (error) {
+    // Clipboard access needs HTTPS or localhost; leave it selected instead
+    elements.webhookUrl.select();
+  }
+}
+
+/**
+ * Revoke a webhook
+ * @param {Object} webhook
+ */
+async function revokeWebhook(webhook) {
+  if (!confirm(`Revoke ${webhook.name}? Anything still using its URL will stop working.`)) return;
+
+  try {
+    await API.webhooks.remove(webhook.id);
+    await loadWebhooks();
+    showToast('Webhook revoked', 'success');
+  } catch (error) {
+    showToast(formatError('Failed to revoke webhook', error), 'error');
+  }
+}
+
+// ============================================================================
+// Brightness Curve
+// ============================================================================
+
+const CURVE_WIDTH = 240;   // Graph viewBox size
+const CURVE_HEIGHT = 80;
+
+/**
+ * Load the selected device's brightness curve
+ */
+async function loadBrightnessCurve() {
+  try {
+    const result = await API.settings.getBrightnessCurve();
+    state.curve = result.curve;
+    state.curveLevel = result.status.level;
+    renderBrightnessCurve();
+  } catch (error) {
+    console.error('Failed to load brightness curve:', error);
+  }
+}
+
+/**
+ * Reload the curve after a manual brightness change, which pauses it
+ */
+function refreshCurvePause() {
+  if (state.curve && state.curve.enabled) {
+    loadBrightnessCurve();
+  }
+}
+
+/**
+ * Parse an 'HH:MM' time
+ * @param {string} time
+ * @returns {number} - Minutes since midnight
+ */
+function curveMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Interpolate the curve at a time of day, as the server does
+ * @param {Object[]} keyframes - [{ time, level }]
+ * @param {number} minutes - Minutes since midnight
+ * @param {number} step - Level step the device is sent
+ * @returns {number} - 0.0-1.0
+ */
+function curveLevelAt(keyframes, minutes, step) {
+  const points = keyframes
+    .map(k => ({ at: curveMinutes(k.time), level: k.level }))
+    .sort((a, b) => a.at - b.at);
+
+  let before = points[points.length - 1];
+  let after = points[0];
+  points.forEach((point, i) => {
+    if (point.at <= minutes) {
+      before = point;
+      after = points[(i + 1) % points.length];
+    }
+  });
+
+  const span = (after.at - before.at + MINUTES_PER_DAY) % MINUTES_PER_DAY || MINUTES_PER_DAY;
+  const elapsed = (minutes - before.at + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const level = before.level + (after.level - before.level) * (elapsed / span);
+  return Math.min(1, Math.max(0, Math.round(level / step) * step));
+}
+
+/**
+ * Fill the curve editor from state.curve
+ */
+function renderBrightnessCurve() {
+  const curve = state.curve;
+  elements.curveEnabled.checked = curve.enabled;
+  elements.curveStep.value = String(curve.step);
+
+  elements.curveKeyframes.innerHTML = '';
+  curve.keyframes.forEach((keyframe, index) => {
+    const item = document.createElement('li');
+    item.innerHTML = `
+      <input type="time" aria-label="Keyframe time">
+      <input type="number" min="0" max="100" aria-label="Brightness (%)">
+      <span>%</span>
+      <button class="btn btn-outline btn-sm btn-danger" title="Remove keyframe" aria-label="Remove keyframe">×</button>
+    `;
+    const [time, level] = item.querySelectorAll('input');
+    time.value = keyframe.time;
+    level.value = Math.round(keyframe.level * 100);
+
+    time.addEventListener('change', () => {
+      if (!time.value) return;
+      keyframe.time = time.value;
+      renderCurveGraph();
+    });
+    level.addEventListener('input', () => {
+      keyframe.level = Math.min(100, Math.max(0, Number(level.value) || 0)) / 100;
+      renderCurveGraph();
     });
+    item.querySelector('button').addEventListener('click', () => {
+      curve.keyframes.splice(index, 1);
+      renderBrightnessCurve();
+    });
+    elements.curveKeyframes.appendChild(item);
+  });
+
+  renderCurveGraph();
+  renderCurveStatus();
+}
+
+/**
+ * Draw the day's brightness as the device will be sent it
+ */
+function renderCurveGraph() {
+  const svg = elements.curveGraph;
+  const { keyframes, step } = state.curve;
+  const x = (minutes) => minutes / MINUTES_PER_DAY * CURVE_WIDTH;
+  const y = (level) => CURVE_HEIGHT - 4 - level * (CURVE_HEIGHT - 8);
+  const draw = (tag, attributes) => {
+    const shape = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    for (const [name, value] of Object.entries(attributes)) {
+      shape.setAttribute(name, value);
+    }
+    svg.appendChild(shape);
+    return shape;
+  };
+
+  svg.innerHTML = '';
+  if (keyframes.length === 0) return;
+
+  const points = [];
+  for (let minutes = 0; minutes <= MINUTES_PER_DAY; minutes += 10) {
+    points.push(`${x(minutes)},${y(curveLevelAt(keyframes, minutes % MINUTES_PER_DAY, step))}`);
+  }
+  draw('polyline', { points: points.join(' '), class: 'curve-line' });
+
+  for (const keyframe of keyframes) {
+    const dot = draw('circle', { cx: x(curveMinutes(keyframe.time)), cy: y(keyframe.level), r: 3, class: 'curve-keyframe' });
+    const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+    title.textContent = `${keyframe.time} · ${Math.round(keyframe.level * 100)}%`;
+    dot.appendChild(title);
+  }
+
+  if (state.timezone) {
+    const now = x(zonedClock(new Date(), state.timezone).minutes);
+    draw('line', { x1: now, x2: now, y1: 0, y2: CURVE_HEIGHT, class: 'curve-now' });
+  }
+}
+
+/**
+ * Say whether the curve is in charge, or paused by a manual change
+ */
+function renderCurveStatus() {
+  const { enabled, keyframes, pausedUntil } = state.curve;
+
+  if (!enabled || keyframes.length === 0) {
+    elements.curveStatus.textContent = 'Off - brightness only changes when you set it';
+  } else if (pausedUntil && new Date(pausedUntil) > Date.now()) {
+    const until = new Date(pausedUntil).toLocaleTimeString([], { timeZone: state.timezone || undefined, hour: '2-digit', minute: '2-digit' });
+    elements.curveStatus.textContent = `Paused by a manual change until the ${until} keyframe`;
+  } else if (state.curveLevel !== null) {
+    elements.curveStatus.textContent = `Following the curve · ${Math.round(state.curveLevel * 100)}% now`;
+  } else {
+    elements.curveStatus.textContent = 'Following the curve';
+  }
+}
+
+/**
+ * Add a keyframe an hour after the last one
+ */
+function addKeyframe() {
+  const { keyframes } = state.curve;
+  const last = keyframes.length ? curveMinutes(keyframes[keyframes.length - 1].time) : 7 * 60;
+  const minutes = keyframes.length ? (last + 60) % MINUTES_PER_DAY : last;
+  const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+  keyframes.push({ time, level: keyframes.length ? keyframes[keyframes.length - 1].level : 0.5 });
+  renderBrightnessCurve();
+}
+
+/**
+ * Save the curve; the device is sent its level straight away
+ */
+async function saveBrightnessCurve() {
+  try {
+    const result = await API.settings.updateBrightnessCurve({
+      enabled: elements.curveEnabled.checked,
+      keyframes: state.curve.keyframes,
+      step: Number(elements.curveStep.value)
+    });
+    state.curve = result.curve;
+    state.curveLevel = result.status.level;
+    renderBrightnessCurve();
+    await loadSlideshowSettings();
+    showToast(result.curve.enabled ? 'Brightness curve saved' : 'Brightness curve off', 'success');
+  } catch (error) {
+    showToast(formatError('Failed to save brightness curve', error), 'error');
+  }
+}
+
+// ============================================================================
+// Screen Power
+// ============================================================================
+
+/**
+ * Show the screen's power state and any pending sleep/wake timers
+ * @param {Object} screen - { on, level, sleepAt, wakeAt } from the server
+ */
+function renderScreen(screen) {
+  if (!screen) return;
+  state.screen = screen;
+  updateScreenButton(screen.on);
+
+  const time = (iso) => new Date(iso).toLocaleTimeString([], { timeZone: state.timezone || undefined, hour: '2-digit', minute: '2-digit' });
+  elements.screenTimerList.innerHTML = '';
+
+  for (const [type, at, label] of [['sleep', screen.sleepAt, 'Off at'], ['wake', screen.wakeAt, 'On at']]) {
+    if (!at) continue;
+
+    const item = document.createElement('span');
+    item.textContent = `${label} ${time(at)}`;
+
+    const cancel = document.createElement('button');
+    cancel.className = 'btn btn-text';
+    cancel.textContent = '✕';
+    cancel.title = `Cancel ${type} timer`;
+    cancel.setAttribute('aria-label', `Cancel ${type} timer`);
+    cancel.addEventListener('click', () => clearScreenTimer(type));
+
+    item.appendChild(cancel);
+    elements.screenTimerList.appendChild(item);
+  }
+}
+
+/**
+ * Turn the screen off, or back on at the level the server kept for it
+ */
+async function toggleScreen() {
+  const on = !(state.screen && state.screen.on);
+
+  try {
+    const result = await API.device.setScreen(on);
+    if (API.groupId) {
+      // Group results are per device, so read back the member the page follows
+      await getDeviceInfo();
+    } else {
+      renderScreen(result.screen);
+    }
+    showToast(on ? 'Screen on' : 'Screen off', 'success');
+  } catch (error) {
+    showToast(formatError('Screen toggle failed', error), 'error');
+  }
+}
+
+/**
+ * Set a sleep or wake timer on the selected device
+ * @param {string} type - 'sleep' or 'wake'
+ * @param {Object} when - { minutes } or { time: 'HH:MM' }
+ */
+async function setScreenTimer(type, when) {
+  // Reset the pickers so the same choice can be made again
+  elements.sleepTimer.value = '';
+  elements.wakeTimer.value = '';
+  elements.wakeTime.value = '';
+  elements.wakeTime.style.display = 'none';
+
+  if (API.groupId) {
+    showToast('Timers run on one device at a time - pick a device to set one', 'error');
+    return;
+  }
+
+  try {
+    const result = await API.device.setScreenTimer(type, when);
+    renderScreen(result.screen);
+    showToast(type === 'sleep' ? 'Sleep timer set' : 'Wake timer set', 'success');
+  } catch (error) {
+    showToast(formatError(`Failed to set ${type} timer`, error), 'error');
+  }
+}
+
+/**
+ * Cancel a sleep or wake timer on the selected device
+ * @param {string} type - 'sleep' or 'wake'
+ */
+async function clearScreenTimer(type) {
+  try {
+    const result = await API.device.clearScreenTimer(type);
+    renderScreen(result.screen);
+  } catch (error) {
+    showToast(formatError(`Failed to cancel ${type} timer`, error), 'error');
+  }
+}
+
+// ============================================================================
+// Live Updates
+// ============================================================================
+
+/**
+ * Follow changes made in other browsers, by schedules and timers, and by
+ * the server slideshow, so this page never shows stale state
+ */
+function subscribeToEvents() {
+  // Per-device events only matter for the device (or group member) on show
+  const forDevice = (handler) => (event) => {
+    if (event.deviceId === API.deviceId) handler(event.data);
+  };
+
+  API.events.subscribe({
+    source: forDevice(({ source }) => updateCurrentSourceDisplay(source)),
+    history: forDevice(({ history }) => renderHistory(history)),
+    slideshow: forDevice(({ slideshow }) => renderSlideshowSettings(slideshow)),
+    curve: forDevice(() => loadBrightnessCurve()),
+    screen: forDevice(({ screen }) => {
+      renderScreen(screen);
+      if (!screen.on) {
+        renderBrightness(0);
+      } else if (screen.level !== null) {
+        renderBrightness(screen.level);
+      }
+    }),
+    playback: forDevice(() => loadPlaybackStatus()),
+    displayed: forDevice(({ photoId }) => {
+      state.displayedPhotoId = photoId;
+    }),
+    'device-error': forDevice(({ health }) => updateStatus(health)),
+    devices: () => loadDevices(API.groupId ? null : API.deviceId),
+    groups: () => loadDevices(API.groupId ? null : API.deviceId),
+    playlists: () => loadPlaylists(),
+    presets: () => loadPresets(),
+    webhooks: () => loadWebhooks(),
+    tokens: () => loadApiTokens(),
+    intercepted: () => loadDryRun(),
+    'dry-run': () => loadDryRun(),
+    schedules: () => Promise.all([loadSchedules(), loadNextChange()]),
+    timezone: () => Promise.all([loadSchedules(), loadNextChange(), loadLocation()]),
+    location: () => loadLocation(),
+    // Anything could have changed while the connection was down
+    reconnected: () => Promise.all([
+      getDeviceInfo(),
+      loadPresets(),
+      loadSlideshowSettings(),
+      loadBrightnessCurve(),
+      loadCurrentSource(),
+      loadHistory(),
+      loadPlaybackStatus(),
+      loadPlaylists(),
+      loadSchedules(),
+      loadNextChange(),
+      loadWebhooks(),
+      loadApiTokens(),
+      loadDryRun()
+    ])
+  });
+}
+
+// ============================================================================
+// Preview Modal & EO1 Display
+// ============================================================================
+
+/**
+ * Open the preview modal for a photo
+ * Shows larger image, dimensions, and orientation info
+ */
+function openPreview(photo) {
+  state.selectedPhoto = photo;
+
+  elements.previewTitle.textContent = photo.title || 'Untitled';
+
+  // Build meta info with orientation
+  const mediaType = photo.media === 'video' ? 'Video' : 'Photo';
+  let metaText = mediaType;
+
+  if (photo.width && photo.height) {
+    const isPortrait = photo.height > photo.width;
+    metaText += ` · ${photo.width}×${photo.height}`;
+    if (isPortrait) {
+      metaText += ' · Portrait ✓';
+    } else {
+      metaText += ' · Landscape';
+    }
+  }
+  elements.previewMeta.textContent = metaText;
+
+  // Show appropriate media
+  if (photo.media === 'video') {
+    elements.previewImage.style.display = 'none';
+    elements.previewVideo.style.display = 'block';
+    elements.previewVideo.src = photo.largeUrl || photo.mediumUrl;
+  } else {
+    elements.previewVideo.style.display = 'none';
+    elements.previewImage.style.display = 'block';
+    elements.previewImage.src = photo.largeUrl || photo.mediumUrl || photo.thumbnailUrl;
+  }
+
+  elements.previewModal.classList.add('open');
+}
+
+// Close preview modal
+function closePreview() {
+  elements.previewModal.classList.remove('open');
+  elements.previewVideo.pause();
+  elements.previewVideo.src = '';
+  state.selectedPhoto = null;
+}
+
+// Display on EO1
+async function displayOnEO1() {
+  if (!state.selectedPhoto) return;
+
+  const photo = state.selectedPhoto;
+
+  // Check if landscape - warn user but allow display
+  // EO1 display is 1080x1920 portrait
+  if (photo.width && photo.height && photo.width > photo.height) {
+    const proceed = confirm(
+      'This image is landscape orientation.\n\n' +
+      'The EO1 display is portrait (1080×1920), so this image may not look optimal.\n\n' +
+      'Display anyway?'
+    );
+    if (!proceed) return;
+  }
+
+  try {
+    const title = photo.title || 'Untitled';
+    const mediaType = photo.media === 'video' ? 'video' : 'photo';
+
+    if (photo.media === 'video') {
+      await API.device.displayVideo(photo.id, title, photo.thumbnailUrl, photo.owner);
+    } else {
+      await API.device.displayImage(photo.id, title, photo.thumbnailUrl, photo.owner);
+    }
+
+    // Track what's displayed and update UI
+    state.displayedPhotoId = photo.id;
+    updateCurrentSourceDisplay({
+      type: mediaType,
+      value: photo.id,
+      name: title,
+      url: `https://www.flickr.com/photos/${photo.owner}/${photo.id}/`,
+      thumbnailUrl: photo.thumbnailUrl
+    });
+
+    showToast('Displaying on EO1!', 'success');
+    closePreview();
+    // Reload history to show new item
+    loadHistory();
+  } catch (error) {
+    showToast(formatError('Failed to send to EO1', error), 'error');
+  }
+}
+
+/**
+ * Skip to the next photo in the current grid and display it on EO1
+ */
+async function skipToNextPhoto() {
+  // Need photos in the grid to skip through
+  if (!state.photos.length) {
+    showToast('No photos to skip through', 'error');
+    return;
+  }
+
+  // Find current photo's position in the grid
+  let currentIndex = -1;
+  if (state.displayedPhotoId) {
+    currentIndex = state.photos.findIndex(p => p.id === state.displayedPhotoId);
+  }
+
+  // Get next photo (wrap to start if at end, or start from 0 if not found)
+  const nextIndex = currentIndex >= 0 ? (currentIndex + 1) % state.photos.length : 0;
+  const nextPhoto = state.photos[nextIndex];
+
+  // Display it on EO1
+  try {
+    const title = nextPhoto.title || 'Untitled';
+    const mediaType = nextPhoto.media === 'video' ? 'video' : 'photo';
+
+    if (nextPhoto.media === 'video') {
+      await API.device.displayVideo(nextPhoto.id, title, nextPhoto.thumbnailUrl, nextPhoto.owner);
+    } else {
+      await API.device.displayImage(nextPhoto.id, title, nextPhoto.thumbnailUrl, nextPhoto.owner);
+    }
+
+    // Track what's displayed and update UI
+    state.displayedPhotoId = nextPhoto.id;
+    updateCurrentSourceDisplay({
+      type: mediaType,
+      value: nextPhoto.id,
+      name: title,
+      url: `https://www.flickr.com/photos/${nextPhoto.owner}/${nextPhoto.id}/`,
+      thumbnailUrl: nextPhoto.thumbnailUrl
+    });
+
+    showToast(`Skipped to ${nextIndex + 1}/${state.photos.length}`, 'success');
+    // Reload history to show new item
+    loadHistory();
+  } catch (error) {
+    showToast(formatError('Skip failed', error), 'error');
+  }
+}
+
+// ============================================================================
+// Add Preset Modal
+// ============================================================================
+
+/**
+ * Open the modal for adding a custom preset
+ */
+function openAddPresetModal() {
+  elements.presetUrl.value = '';
+  elements.presetName.value = '';
+  elements.presetPreview.style.display = 'none';
+  elements.addPresetModal.classList.add('open');
+}
+
+// Close add preset modal
+function closeAddPresetModal() {
+  elements.addPresetModal.classList.remove('open');
+}
+
+// Parse preset URL
+async function parsePresetUrl() {
+  const url = elements.presetUrl.value.trim();
+  if (!url) {
+    elements.presetPreview.style.display = 'none';
+    return;
+  }
+
+  try {
+    const result = await API.settings.parseUrl(url);
+    elements.presetPreview.style.display = 'flex';
+    elements.presetPreview.querySelector('.preset-type').textContent = result.type;
+    elements.presetPreview.querySelector('.preset-value').textContent = result.value;
+  } catch (error) {
+    elements.presetPreview.style.display = 'none';
+  }
+}
+
+// Save preset
+async function savePreset() {
+  const url = elements.presetUrl.value.trim();
+  const name = elements.presetName.value.trim();
+
+  if (!url || !name) {
+    showToast('Please enter both URL and name', 'error');
+    return;
+  }
+
+  try {
+    const presetData = { url, name };
+
+    // If "Apply filters" is checked, build searchParams from preset filter checkboxes
+    if (elements.presetUseFilters.checked) {
+      const searchParams = {};
+
+      if (elements.presetFilterPortrait.checked) searchParams.orientation = 'portrait';
+      if (elements.presetFilterMinSize.checked) {
+        searchParams.min_width = 1024;
+        searchParams.min_height = 1024;
+      }
+      if (elements.presetFilterRecent.checked) {
+        searchParams.min_taken_date = Math.floor(Date.now() / 1000) - (90 * 24 * 60 * 60);
+      }
+      if (elements.presetFilterInteresting.checked) searchParams.sort = 'interestingness-desc';
+      if (elements.presetFilterGallery.checked) searchParams.in_gallery = true;
+      if (elements.presetFilterGetty.checked) searchParams.is_getty = true;
+      if (elements.presetFilterCommons.checked) searchParams.is_commons = true;
+
+      const styles = [];
+      if (elements.presetFilterBW.checked) styles.push('blackandwhite');
+      if (elements.presetFilterDOF.checked) styles.push('depthoffield');
+      if (elements.presetFilterMinimal.checked) styles.push('minimalism');
+      if (elements.presetFilterPattern.checked) styles.push('pattern');
+      if (styles.length) searchParams.styles = styles.join(',');
+
+      presetData.searchParams = searchParams;
+    }
+
+    const result = await API.settings.addPreset(presetData);
+    state.presets[result.preset.id] = result.preset;
+    renderPresets();
+    closeAddPresetModal();
+    showToast('Preset saved!', 'success');
+  } catch (error) {
+    showToast(formatError('Failed to save preset', error), 'error');
+  }
+}
+
+// ============================================================================
+// Settings Management
+// ============================================================================
+
+/**
+ * Load and display Flickr API settings
+ */
+async function loadFlickrSettings() {
+  try {
+    const flickr = await API.settings.getFlickr();
+
+    // Update status badge
+    const statusBadge = elements.flickrStatus.querySelector('.status-badge');
+    if (flickr.hasApiKey) {
+      statusBadge.textContent = 'Configured';
+      statusBadge.className = 'status-badge configured';
+
+      // Show source of configuration
+      if (flickr.source) {
+        elements.flickrSource.textContent = `from ${flickr.source}`;
+        elements.flickrSource.style.display = 'inline';
+      }
+    } else {
+      statusBadge.textContent = 'Not Configured';
+      statusBadge.className = 'status-badge not-configured';
+      elements.flickrSource.style.display = 'none';
+    }
+
+    // Show masked values in inputs as placeholders
+    if (flickr.apiKey) {
+      elements.flickrApiKey.placeholder = flickr.apiKey;
+    }
+    if (flickr.userId) {
+      elements.flickrUserId.value = flickr.userId;
+    }
+  } catch (error) {
+    console.error('Failed to load Flickr settings:', error);
+  }
+}
+
+/**
+ * Load and populate slideshow settings from backend
+ */
+async function loadSlideshowSettings() {
+  try {
+    renderSlideshowSettings(await API.settings.getSlideshow());
+  } catch (error) {
+    console.error('Failed to load slideshow settings:', error);
+  }
+}
+
+/**
+ * Fill in the slideshow form and brightness control
+ * @param {Object} settings - The device's slideshow settings
+ */
+function renderSlideshowSettings(settings) {
+  // Populate interval
+  if (settings.interval) {
+    elements.interval.value = settings.interval;
+  }
+
+  // Populate quiet hours - fixed hours from older settings show as the same every day
+  state.quietHours = { quietStart: settings.quietStart, quietEnd: settings.quietEnd };
+  if (settings.quietMode === 'fixed' || !settings.quietMode) {
+    const fixed = settings.quietStart !== -1 && settings.quietEnd !== -1 && settings.quietStart !== settings.quietEnd;
+    state.quietWeek = Array.from({ length: 7 }, () => fixed ? { start: settings.quietStart, end: settings.quietEnd } : null);
+  } else {
+    state.quietWeek = settings.quietWeek.map(day => day && { ...day });
+  }
+  elements.quietMode.value = settings.quietMode === 'sun' ? 'sun' : 'weekly';
+  elements.sunsetOffset.value = settings.sunsetOffset || 0;
+  elements.sunriseOffset.value = settings.sunriseOffset || 0;
+  renderQuietMode();
+
+  // Populate brightness
+  if (settings.brightness !== undefined) {
+    renderBrightness(settings.brightness);
+  }
+}
+
+/**
+ * Show a brightness on the auto toggle and slider
+ * @param {number} level - 0.0-1.0, or -1 for auto
+ */
+function renderBrightness(level) {
+  if (level === -1) {
+    elements.autoBrightness.checked = true;
+    elements.brightnessSliderRow.classList.add('hidden');
+  } else {
+    elements.autoBrightness.checked = false;
+    elements.brightnessSliderRow.classList.remove('hidden');
+    elements.brightnessSlider.value = Math.round(level * 100);
+    elements.brightnessValue.textContent = `${Math.round(level * 100)}%`;
+  }
+}
+
+/**
+ * Show the weekly table or the sunset/sunrise options
+ */
+function renderQuietMode() {
+  const sun = elements.quietMode.value === 'sun';
+  elements.quietWeek.style.display = sun ? 'none' : '';
+  elements.quietSun.style.display = sun ? '' : 'none';
+  renderQuietWeek();
+  renderSunInfo();
+}
+
+/**
+ * Whether the weekly table has a day quiet at an hour
+ * A period ending at or before its start carries on into the next morning.
+ * @param {number} weekday - 0 = Sunday
+ * @param {number} hour - 0-23
+ * @returns {boolean}
+ */
+function isQuietHour(weekday, hour) {
+  const today = state.quietWeek[weekday];
+  const yesterday = state.quietWeek[(weekday + 6) % 7];
+  if (yesterday && yesterday.end <= yesterday.start && hour < yesterday.end) return true;
+  return !!today && hour >= today.start && (today.end <= today.start || hour < today.end);
+}
+
+/**
+ * Draw the weekly quiet hours: start and end pickers and a 24-hour strip per day
+ */
+function renderQuietWeek() {
+  const grid = elements.quietWeekGrid;
+  grid.innerHTML = '';
+
+  const hourSelect = (value, label, onChange) => {
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', label);
+    select.appendChild(new Option('—', '-1'));
+    for (let hour = 0; hour < 24; hour++) {
+      select.appendChild(new Option(`${String(hour).padStart(2, '0')}:00`, String(hour)));
+    }
+    select.value = String(value);
+    select.addEventListener('change', () => onChange(parseInt(select.value)));
+    return select;
+  };
+
+  for (const weekday of WEEK_ORDER) {
+    const day = state.quietWeek[weekday];
+    const row = document.createElement('div');
+    row.className = 'quiet-week-row';
+
+    const label = document.createElement('span');
+    label.className = 'timeline-day';
+    label.textContent = DAY_NAMES[weekday];
+
+    // Picking one end of a new period fills in the other from the day before
+    const update = (field, value) => {
+      if (value === -1) {
+        state.quietWeek[weekday] = null;
+      } else {
+        const previous = state.quietWeek[(weekday + 6) % 7] || { start: 22, end: 7 };
+        const current = state.quietWeek[weekday] || { ...previous };
+        current[field] = value;
+        state.quietWeek[weekday] = current.start === current.end ? null : current;
+      }
+      renderQuietWeek();
+    };
+    const start = hourSelect(day ? day.start : -1, `${DAY_NAMES[weekday]} quiet from`, value => update('start', value));
+    const end = hourSelect(day ? day.end : -1, `${DAY_NAMES[weekday]} quiet until`, value => update('end', value));
+
+    const strip = document.createElement('div');
+    strip.className = 'quiet-strip';
+    for (let hour = 0; hour < 24; hour++) {
+      const cell = document.createElement('span');
+      cell.classList.toggle('quiet', isQuietHour(weekday, hour));
+      cell.title = `${DAY_NAMES[weekday]} ${String(hour).padStart(2, '0')}:00`;
+      strip.appendChild(cell);
+    }
+
+    row.append(label, start, end, strip);
+    grid.appendChild(row);
+  }
+}
+
+/**
+ * Give every day Monday's quiet hours
+ */
+function copyQuietDay() {
+  const monday = state.quietWeek[1];
+  state.quietWeek = state.quietWeek.map(() => monday && { ...monday });
+  renderQuietWeek();
+}
+
+/**
+ * Load the saved location and today's sun times
+ */
+async function loadLocation() {
+  try {
+    state.sun = await API.settings.getLocation();
+    const { location } = state.sun;
+    elements.locationLatitude.value = location ? location.latitude : '';
+    elements.locationLongitude.value = location ? location.longitude : '';
+    renderSunInfo();
+  } catch (error) {
+    console.error('Failed to load location:', error);
+  }
+}
+
+/**
+ * Describe today's sun times and the quiet hours they give
+ */
+function renderSunInfo() {
+  if (!state.sun || !state.sun.location) {
+    elements.sunInfo.textContent = 'Enter a location to work out sunset and sunrise (nothing is looked up online)';
+    return;
+  }
+
+  const { sun, timezone } = state.sun;
+  if (sun.polar) {
+    elements.sunInfo.textContent = `The sun doesn't ${sun.polar === 'day' ? 'set' : 'rise'} here today, so there are no quiet hours`;
+    return;
+  }
+
+  const time = (iso) => new Date(iso).toLocaleTimeString([], { timeZone: timezone, hour: '2-digit', minute: '2-digit' });
+  const hour = (value) => `${String(value).padStart(2, '0')}:00`;
+  let text = `Today: sunrise ${time(sun.sunrise)} · sunset ${time(sun.sunset)}`;
+  const hours = state.quietHours;
+  if (elements.quietMode.value === 'sun' && hours && hours.quietStart !== -1) {
+    text += ` · quiet ${hour(hours.quietStart)}–${hour(hours.quietEnd)} (whole hours, as the EO1 takes them)`;
+  }
+  elements.sunInfo.textContent = text;
+}
+
+/**
+ * Fill the location from the browser
+ */
+function locateBrowser() {
+  if (!navigator.geolocation) {
+    showToast('This browser can\'t share its location', 'error');
+    return;
+  }
+
+  navigator.geolocation.getCurrentPosition(
+    (position) => {
+      elements.locationLatitude.value = position.coords.latitude.toFixed(4);
+      elements.locationLongitude.value = position.coords.longitude.toFixed(4);
+    },
+    (error) => showToast(`Couldn't get your location: ${error.message}`, 'error')
+  );
+}
+
+/**
+ * Save the location sunset and sunrise are worked out for
+ */
+async function saveLocation() {
+  const latitude = elements.locationLatitude.value === '' ? null : Number(elements.locationLatitude.value);
+  const longitude = elements.locationLongitude.value === '' ? null : Number(elements.locationLongitude.value);
+
+  try {
+    await API.settings.setLocation(latitude, longitude);
+    await Promise.all([loadLocation(), loadSlideshowSettings()]);
+    showToast(latitude === null ? 'Location cleared' : 'Location saved', 'success');
+  } catch (error) {
+    showToast(formatError('Failed to save location', error), 'error');
+  }
+}
+
+// Save Flickr settings
+async function saveFlickrSettings() {
+  const apiKey = elements.flickrApiKey.value.trim();
+  const userId = elements.flickrUserId.value.trim();
+
+  // Only send values that were entered (not empty)
+  const updates = {};
+  if (apiKey) updates.apiKey = apiKey;
+  if (userId !== undefined) updates.userId = userId;
+
+  if (Object.keys(updates).length === 0) {
+    showToast('No changes to save', 'info');
+    return;
+  }
+
+  try {
+    const result = await API.settings.updateFlickr(updates);
+
+    // Clear the input field (it'll show masked value as placeholder)
+    elements.flickrApiKey.value = '';
+
+    // Update placeholder with new masked value
+    if (result.flickr.apiKey) {
+      elements.flickrApiKey.placeholder = result.flickr.apiKey;
+    }
+
+    // Update status
+    const statusBadge = elements.flickrStatus.querySelector('.status-badge');
+    if (result.flickr.hasApiKey) {
+      statusBadge.textContent = 'Configured';
+      statusBadge.className = 'status-badge configured';
+    }
+
+    showToast('Flickr settings saved!', 'success');
+  } catch (error) {
+    showToast(formatError('Failed to save Flickr settings', error), 'error');
+  }
+}
+
+/**
+ * Load MQTT broker settings and how the connection is doing
+ */
+async function loadMqttSettings() {
+  try {
+    renderMqttSettings(await API.settings.getMqtt());
+  } catch (error) {
+    console.error('Failed to load MQTT settings:', error);
+  }
+}
+
+/**
+ * Fill in the MQTT form and status badge
+ * @param {Object} mqtt - Settings with hasPassword and status, from the server
+ */
+function renderMqttSettings(mqtt) {
+  elements.mqttEnabled.checked = mqtt.enabled;
+  elements.mqttUrl.value = mqtt.url;
+  elements.mqttUsername.value = mqtt.username;
+  elements.mqttPassword.value = '';
+  elements.mqttPassword.placeholder = mqtt.hasPassword ? '••••••••' : '';
+  elements.mqttBaseTopic.value = mqtt.baseTopic;
+  elements.mqttDiscoveryPrefix.value = mqtt.discoveryPrefix;
+
+  const statusBadge = elements.mqttStatus.querySelector('.status-badge');
+  const { enabled, connected, lastError } = mqtt.status;
+  if (!enabled) {
+    statusBadge.textContent = 'Off';
+    statusBadge.className = 'status-badge';
+  } else if (connected) {
+    statusBadge.textContent = 'Connected';
+    statusBadge.className = 'status-badge configured';
+  } else {
+    statusBadge.textContent = 'Not Connected';
+    statusBadge.className = 'status-badge not-configured';
+  }
+  elements.mqttError.textContent = enabled && !connected && lastError ? lastError : '';
+}
 
-    showToast(`Skipped to ${nextIndex + 1}/${state.photos.length}`, 'success');
-    // Reload history to show new item
-    loadHistory();
+/**
+ * Save MQTT broker settings
+ * The server reconnects in the background, so the status is checked again shortly after
+ */
+async function saveMqttSettings() {
+  const updates = {
+    enabled: elements.mqttEnabled.checked,
+    url: elements.mqttUrl.value.trim(),
+    username: elements.mqttUsername.value.trim(),
+    baseTopic: elements.mqttBaseTopic.value.trim(),
+    discoveryPrefix: elements.mqttDiscoveryPrefix.value.trim()
+  };
+  // A blank password keeps the saved one
+  if (elements.mqttPassword.value) {
+    updates.password = elements.mqttPassword.value;
+  }
+
+  try {
+    const result = await API.settings.updateMqtt(updates);
+    renderMqttSettings(result.mqtt);
+    showToast('MQTT settings saved!', 'success');
+    if (updates.enabled) {
+      setTimeout(loadMqttSettings, 3000);
+    }
   } catch (error) {
-    showToast(formatError('Skip failed', error), 'error');
+    showToast(formatError('Failed to save MQTT settings', error), 'error');
   }
 }
 
 // ============================================================================
-// Add Preset Modal
+// Security
 // ============================================================================
 
 /**
- * Open the modal for adding a custom preset
+ * Show whether the controller has a password
+ * @param {Object} auth - { enabled, setupNeeded, authenticated } from the server
  */
-function openAddPresetModal() {
-  elements.presetUrl.value = '';
-  elements.presetName.value = '';
-  elements.presetPreview.style.display = 'none';
-  elements.addPresetModal.classList.add('open');
-}
+function renderSecurity(auth) {
+  const statusBadge = elements.securityStatus.querySelector('.status-badge');
+  if (auth.enabled) {
+    statusBadge.textContent = 'Password Set';
+    statusBadge.className = 'status-badge configured';
+    elements.securityNote.textContent = 'Browsers need to log in';
+  } else {
+    statusBadge.textContent = 'No Password';
+    statusBadge.className = 'status-badge not-configured';
+    elements.securityNote.textContent = 'Anyone on your network can use the controller';
+  }
 
-// Close add preset modal
-function closeAddPresetModal() {
-  elements.addPresetModal.classList.remove('open');
+  elements.securityCurrentGroup.style.display = auth.enabled ? '' : 'none';
+  elements.securityActions.style.display = auth.enabled ? '' : 'none';
+  elements.btnSavePassword.textContent = auth.enabled ? 'Change Password' : 'Set Password';
+  elements.securityCurrent.value = '';
+  elements.securityPassword.value = '';
+  elements.securityConfirm.value = '';
 }
 
-// Parse preset URL
-async function parsePresetUrl() {
-  const url = elements.presetUrl.value.trim();
-  if (!url) {
-    elements.presetPreview.style.display = 'none';
+/**
+ * Set or change the password
+ * This browser stays logged in; every other one has to log in again
+ */
+async function savePassword() {
+  const password = elements.securityPassword.value;
+  if (password !== elements.securityConfirm.value) {
+    showToast("The passwords don't match", 'error');
     return;
   }
 
   try {
-    const result = await API.settings.parseUrl(url);
-    elements.presetPreview.style.display = 'flex';
-    elements.presetPreview.querySelector('.preset-type').textContent = result.type;
-    elements.presetPreview.querySelector('.preset-value').textContent = result.value;
+    const result = await API.auth.setPassword(password, elements.securityCurrent.value || undefined);
+    renderSecurity(result.auth);
+    showToast('Password saved', 'success');
   } catch (error) {
-    elements.presetPreview.style.display = 'none';
+    showToast(formatError('Failed to save password', error), 'error');
   }
 }
 
-// Save preset
-async function savePreset() {
-  const url = elements.presetUrl.value.trim();
-  const name = elements.presetName.value.trim();
-
-  if (!url || !name) {
-    showToast('Please enter both URL and name', 'error');
+/**
+ * Remove the password, opening the controller to the network
+ */
+async function removePassword() {
+  if (!elements.securityCurrent.value) {
+    showToast('Enter the current password to remove it', 'error');
+    elements.securityCurrent.focus();
+    return;
+  }
+  if (!confirm('Remove the password? Anyone on your network will be able to use the controller.')) {
     return;
   }
 
   try {
-    const presetData = { url, name };
-
-    // If "Apply filters" is checked, build searchParams from preset filter checkboxes
-    if (elements.presetUseFilters.checked) {
-      const searchParams = {};
-
-      if (elements.presetFilterPortrait.checked) searchParams.orientation = 'portrait';
-      if (elements.presetFilterMinSize.checked) {
-        searchParams.min_width = 1024;
-        searchParams.min_height = 1024;
-      }
-      if (elements.presetFilterRecent.checked) {
-        searchParams.min_taken_date = Math.floor(Date.now() / 1000) - (90 * 24 * 60 * 60);
-      }
-      if (elements.presetFilterInteresting.checked) searchParams.sort = 'interestingness-desc';
-      if (elements.presetFilterGallery.checked) searchParams.in_gallery = true;
-      if (elements.presetFilterGetty.checked) searchParams.is_getty = true;
-      if (elements.presetFilterCommons.checked) searchParams.is_commons = true;
-
-      const styles = [];
-      if (elements.presetFilterBW.checked) styles.push('blackandwhite');
-      if (elements.presetFilterDOF.checked) styles.push('depthoffield');
-      if (elements.presetFilterMinimal.checked) styles.push('minimalism');
-      if (elements.presetFilterPattern.checked) styles.push('pattern');
-      if (styles.length) searchParams.styles = styles.join(',');
-
-      presetData.searchParams = searchParams;
-    }
-
-    const result = await API.settings.addPreset(presetData);
-    state.presets[result.preset.id] = result.preset;
-    renderPresets();
-    closeAddPresetModal();
-    showToast('Preset saved!', 'success');
+    const result = await API.auth.removePassword(elements.securityCurrent.value);
+    renderSecurity(result.auth);
+    showToast('Password removed', 'success');
   } catch (error) {
-    showToast(formatError('Failed to save preset', error), 'error');
+    showToast(formatError('Failed to remove password', error), 'error');
   }
 }
 
-// Populate quiet hours dropdowns
-function populateHourDropdowns() {
-  for (let i = 0; i < 24; i++) {
-    const hour = i.toString().padStart(2, '0') + ':00';
-    elements.quietStart.innerHTML += `<option value="${i}">${hour}</option>`;
-    elements.quietEnd.innerHTML += `<option value="${i}">${hour}</option>`;
+/**
+ * Log this browser out
+ */
+async function logout() {
+  try {
+    await API.auth.logout();
+    API.goToLogin();
+  } catch (error) {
+    showToast(formatError('Failed to log out', error), 'error');
   }
 }
 
 // ============================================================================
-// Settings Management
+// API Tokens
 // ============================================================================
 
 /**
- * Load and display Flickr API settings
+ * Load the API token list
  */
-async function loadFlickrSettings() {
+async function loadApiTokens() {
   try {
-    const flickr = await API.settings.getFlickr();
+    const result = await API.tokens.list();
+    state.apiTokens = result.tokens;
+    renderApiTokens();
+  } catch (error) {
+    console.error('Failed to load API tokens:', error);
+  }
+}
 
-    // Update status badge
-    const statusBadge = elements.flickrStatus.querySelector('.status-badge');
-    if (flickr.hasApiKey) {
-      statusBadge.textContent = 'Configured';
-      statusBadge.className = 'status-badge configured';
+/**
+ * Render the API token list
+ */
+function renderApiTokens() {
+  elements.tokenList.innerHTML = '';
+
+  for (const apiToken of state.apiTokens) {
+    const used = apiToken.lastUsedAt ? `Last used ${new Date(apiToken.lastUsedAt).toLocaleString()}` : 'Never used';
+
+    const item = document.createElement('li');
+    item.innerHTML = `
+      <span class="group-info">
+        <span class="group-name"></span>
+        <span class="group-members-summary"></span>
+      </span>
+      <button class="btn btn-outline btn-sm btn-danger">Revoke</button>
+    `;
+    item.querySelector('.group-name').textContent = apiToken.name;
+    item.querySelector('.group-members-summary').textContent = [
+      apiToken.scopes.join(', '),
+      `Created ${new Date(apiToken.createdAt).toLocaleDateString()}`,
+      used,
+      apiToken.token
+    ].join(' · ');
+    item.querySelector('.btn-danger').addEventListener('click', () => revokeApiToken(apiToken));
+    elements.tokenList.appendChild(item);
+  }
+}
 
-      // Show source of configuration
-      if (flickr.source) {
-        elements.flickrSource.textContent = `from ${flickr.source}`;
-        elements.flickrSource.style.display = 'inline';
-      }
-    } else {
-      statusBadge.textContent = 'Not Configured';
-      statusBadge.className = 'status-badge not-configured';
-      elements.flickrSource.style.display = 'none';
-    }
+/**
+ * Create an API token from the form and show it once
+ */
+async function addApiToken() {
+  const name = elements.tokenName.value.trim();
+  const scopes = [...elements.tokenScopes.querySelectorAll('input:checked')].map(input => input.value);
 
-    // Show masked values in inputs as placeholders
-    if (flickr.apiKey) {
-      elements.flickrApiKey.placeholder = flickr.apiKey;
-    }
-    if (flickr.userId) {
-      elements.flickrUserId.value = flickr.userId;
-    }
+  if (!name) {
+    showToast('Please enter a token name', 'error');
+    return;
+  }
+  if (scopes.length === 0) {
+    showToast('Pick at least one scope', 'error');
+    return;
+  }
+
+  try {
+    const result = await API.tokens.add({ name, scopes });
+    elements.tokenValue.value = result.token;
+    elements.tokenCreated.style.display = '';
+    elements.tokenName.value = '';
+    await loadApiTokens();
+    showToast(`Created ${result.apiToken.name}`, 'success');
   } catch (error) {
-    console.error('Failed to load Flickr settings:', error);
+    showToast(formatError('Failed to create API token', error), 'error');
   }
 }
 
 /**
- * Load and populate slideshow settings from backend
+ * Copy the new API token
  */
-async function loadSlideshowSettings() {
+async function copyApiToken() {
   try {
-    const settings = await API.settings.getSlideshow();
-
-    // Populate interval
-    if (settings.interval) {
-      elements.interval.value = settings.interval;
-    }
+    await navigator.clipboard.writeText(elements.tokenValue.value);
+    showToast('API token copied', 'success');
+  } catch (error) {
+    // Clipboard access needs HTTPS or localhost; leave it selected instead
+    elements.tokenValue.select();
+  }
+}
 
-    // Populate quiet hours
-    if (settings.quietStart !== undefined) {
-      elements.quietStart.value = settings.quietStart;
-    }
-    if (settings.quietEnd !== undefined) {
-      elements.quietEnd.value = settings.quietEnd;
-    }
+/**
+ * Revoke an API token
+ * @param {Object} apiToken
+ */
+async function revokeApiToken(apiToken) {
+  if (!confirm(`Revoke ${apiToken.name}? Anything still using it will stop working.`)) return;
 
-    // Populate brightness
-    if (settings.brightness !== undefined) {
-      if (settings.brightness === -1) {
-        elements.autoBrightness.checked = true;
-        elements.brightnessSliderRow.classList.add('hidden');
-      } else {
-        elements.autoBrightness.checked = false;
-        elements.brightnessSliderRow.classList.remove('hidden');
-        elements.brightnessSlider.value = Math.round(settings.brightness * 100);
-        elements.brightnessValue.textContent = `${Math.round(settings.brightness * 100)}%`;
-      }
-    }
+  try {
+    await API.tokens.remove(apiToken.id);
+    await loadApiTokens();
+    showToast('API token revoked', 'success');
   } catch (error) {
-    console.error('Failed to load slideshow settings:', error);
+    showToast(formatError('Failed to revoke API token', error), 'error');
   }
 }
 
-// Save Flickr settings
-async function saveFlickrSettings() {
-  const apiKey = elements.flickrApiKey.value.trim();
-  const userId = elements.flickrUserId.value.trim();
+// ============================================================================
+// Dry Run
+// ============================================================================
 
-  // Only send values that were entered (not empty)
-  const updates = {};
-  if (apiKey) updates.apiKey = apiKey;
-  if (userId !== undefined) updates.userId = userId;
+/**
+ * Load whether dry-run mode is on and the commands it intercepted
+ */
+async function loadDryRun() {
+  try {
+    const result = await API.dryRun.get();
+    state.dryRun = result.enabled;
+    renderDryRun(result.commands);
+  } catch (error) {
+    console.error('Failed to load dry run:', error);
+  }
+}
 
-  if (Object.keys(updates).length === 0) {
-    showToast('No changes to save', 'info');
+/**
+ * Render the banner, toggle and intercepted commands
+ * @param {Object[]} commands - Newest first: { at, deviceId, command, origin }
+ */
+function renderDryRun(commands) {
+  elements.dryRunBanner.style.display = state.dryRun ? '' : 'none';
+  elements.dryRunEnabled.checked = state.dryRun;
+  elements.dryRunCommands.innerHTML = '';
+
+  if (commands.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'log-empty';
+    empty.textContent = 'No commands intercepted';
+    elements.dryRunCommands.appendChild(empty);
     return;
   }
 
-  try {
-    const result = await API.settings.updateFlickr(updates);
-
-    // Clear the input field (it'll show masked value as placeholder)
-    elements.flickrApiKey.value = '';
-
-    // Update placeholder with new masked value
-    if (result.flickr.apiKey) {
-      elements.flickrApiKey.placeholder = result.flickr.apiKey;
-    }
+  for (const entry of commands) {
+    const device = (state.devices || []).find(d => d.id === entry.deviceId);
+    const item = document.createElement('li');
+    item.className = 'log-dry-run';
+    item.innerHTML = `
+      <span class="log-time"></span>
+      <span class="log-command"></span>
+      <span class="log-result"></span>
+      <span class="log-origin"></span>
+    `;
+    item.querySelector('.log-time').textContent = new Date(entry.at).toLocaleString();
+    item.querySelector('.log-command').textContent = entry.command;
+    item.querySelector('.log-result').textContent = device ? device.name : entry.deviceId;
+    item.querySelector('.log-origin').textContent = entry.origin;
+    elements.dryRunCommands.appendChild(item);
+  }
+}
 
-    // Update status
-    const statusBadge = elements.flickrStatus.querySelector('.status-badge');
-    if (result.flickr.hasApiKey) {
-      statusBadge.textContent = 'Configured';
-      statusBadge.className = 'status-badge configured';
-    }
+/**
+ * Turn dry-run mode on or off for every command
+ * @param {boolean} enabled
+ */
+async function setDryRun(enabled) {
+  try {
+    await API.dryRun.set(enabled);
+    await loadDryRun();
+    showToast(enabled ? 'Dry run on - commands will be recorded, not sent' : 'Dry run off - commands go to your EO1s again', 'success');
+  } catch (error) {
+    elements.dryRunEnabled.checked = state.dryRun;
+    showToast(formatError('Failed to change dry run', error), 'error');
+  }
+}
 
-    showToast('Flickr settings saved!', 'success');
+/**
+ * Forget the intercepted commands
+ */
+async function clearDryRun() {
+  try {
+    await API.dryRun.clear();
+    renderDryRun([]);
   } catch (error) {
-    showToast(formatError('Failed to save Flickr settings', error), 'error');
+    showToast(formatError('Failed to clear dry run', error), 'error');
   }
 }
 
@@ -1318,32 +4005,37 @@ function setupCollapsibles() {
  * Set up all event listeners for UI interactions
  */
 function setupEventListeners() {
-  // Quick controls
-  elements.btnSkip.addEventListener('click', () => skipToNextPhoto());
+  // Quick controls - skip follows the server slideshow when one is playing
+  elements.btnSkip.addEventListener('click', () => {
+    if (state.playback && state.playback.active) {
+      stepPlayback('next');
+    } else {
+      skipToNextPhoto();
+    }
+  });
 
-  elements.btnScreenToggle.addEventListener('click', async () => {
-    try {
-      // Switch to manual brightness mode
-      elements.autoBrightness.checked = false;
-      elements.brightnessSlider.disabled = false;
-
-      // Toggle between off (0%) and on (50%)
-      const current = parseInt(elements.brightnessSlider.value) / 100;
-      if (current === 0) {
-        await API.device.setBrightness(0.5);
-        elements.brightnessSlider.value = 50;
-        elements.brightnessValue.textContent = '50%';
-        updateScreenButton(true);
-        showToast('Screen on', 'success');
-      } else {
-        await API.device.setBrightness(0);
-        elements.brightnessSlider.value = 0;
-        elements.brightnessValue.textContent = '0%';
-        updateScreenButton(false);
-        showToast('Screen off', 'success');
-      }
-    } catch (error) {
-      showToast(formatError('Screen toggle failed', error), 'error');
+  // Playback
+  elements.btnPlayPreset.addEventListener('click', playActivePreset);
+  elements.btnPlaybackPrev.addEventListener('click', () => stepPlayback('previous'));
+  elements.btnPlaybackNext.addEventListener('click', () => stepPlayback('next'));
+  elements.btnPlaybackStop.addEventListener('click', stopPlayback);
+
+  elements.btnScreenToggle.addEventListener('click', toggleScreen);
+  elements.sleepTimer.addEventListener('change', () => {
+    if (elements.sleepTimer.value) {
+      setScreenTimer('sleep', { minutes: Number(elements.sleepTimer.value) });
+    }
+  });
+  elements.wakeTimer.addEventListener('change', () => {
+    const value = elements.wakeTimer.value;
+    elements.wakeTime.style.display = value === 'time' ? '' : 'none';
+    if (value && value !== 'time') {
+      setScreenTimer('wake', { minutes: Number(value) });
+    }
+  });
+  elements.wakeTime.addEventListener('change', () => {
+    if (elements.wakeTime.value) {
+      setScreenTimer('wake', { time: elements.wakeTime.value });
     }
   });
 
@@ -1358,6 +4050,7 @@ function setupEventListeners() {
       } else {
         await API.device.setBrightness(parseInt(elements.brightnessSlider.value) / 100);
       }
+      refreshCurvePause();
     } catch (error) {
       showToast(formatError('Brightness failed', error), 'error');
     }
@@ -1373,6 +4066,8 @@ function setupEventListeners() {
     brightnessTimeout = setTimeout(async () => {
       try {
         await API.device.setBrightness(value / 100);
+        refreshCurvePause();
+        if (state.screen) state.screen.on = value > 0;
       } catch (error) {
         showToast(formatError('Brightness failed', error), 'error');
       }
@@ -1413,6 +4108,7 @@ function setupEventListeners() {
       const searchParams = buildSearchParams(query);
       state.currentSearch = { type: 'search', value: query, searchParams };
       state.activePreset = null;
+      elements.btnPlayPreset.disabled = true;
       renderPresets();
       showFilterBar(true);
       syncFiltersToUI();
@@ -1461,32 +4157,91 @@ function setupEventListeners() {
   elements.btnClosePreview.addEventListener('click', closePreview);
   elements.previewModal.querySelector('.modal-backdrop').addEventListener('click', closePreview);
   elements.btnDisplayOnEO1.addEventListener('click', displayOnEO1);
+  elements.btnAddToPlaylist.addEventListener('click', () => {
+    if (state.selectedPhoto) addToPlaylist(state.selectedPhoto);
+  });
+
+  // Playlists
+  elements.playlistSelect.addEventListener('change', () => selectPlaylist(elements.playlistSelect.value));
+  elements.btnNewPlaylist.addEventListener('click', createPlaylist);
+  elements.btnRenamePlaylist.addEventListener('click', renamePlaylist);
+  elements.btnDeletePlaylist.addEventListener('click', deletePlaylist);
+  elements.btnPlayPlaylist.addEventListener('click', playPlaylist);
+
+  // Schedules
+  elements.btnSaveTimezone.addEventListener('click', saveTimezone);
+  elements.btnSaveSchedule.addEventListener('click', saveSchedule);
+  elements.btnCancelSchedule.addEventListener('click', () => editSchedule(null));
+  elements.scheduleAutoBrightness.addEventListener('change', () => {
+    elements.scheduleBrightness.disabled = elements.scheduleAutoBrightness.checked;
+  });
+
+  // Webhooks
+  elements.webhookAction.addEventListener('change', showWebhookFields);
+  elements.webhookAutoBrightness.addEventListener('change', () => {
+    elements.webhookBrightness.disabled = elements.webhookAutoBrightness.checked;
+  });
+  elements.btnAddWebhook.addEventListener('click', addWebhook);
+  elements.btnCopyWebhook.addEventListener('click', copyWebhookUrl);
+  if (Intl.supportedValuesOf) {
+    for (const timeZone of Intl.supportedValuesOf('timeZone')) {
+      const option = document.createElement('option');
+      option.value = timeZone;
+      elements.timezoneList.appendChild(option);
+    }
+  }
 
   // Slideshow settings
   elements.btnApplySettings.addEventListener('click', async () => {
     try {
       const brightness = elements.autoBrightness.checked ? -1 : parseInt(elements.brightnessSlider.value) / 100;
       const interval = parseInt(elements.interval.value) || 5;
-      const startHour = parseInt(elements.quietStart.value);
-      const endHour = parseInt(elements.quietEnd.value);
-
-      // Send to device AND save to backend for persistence
-      await Promise.all([
-        API.device.setOptions({ brightness, interval, startHour, endHour }),
-        API.settings.updateSlideshow({
-          brightness,
-          interval,
-          quietStart: startHour,
-          quietEnd: endHour
-        })
-      ]);
+
+      const updates = { brightness, interval, quietMode: elements.quietMode.value };
+      if (updates.quietMode === 'sun') {
+        updates.sunsetOffset = parseInt(elements.sunsetOffset.value) || 0;
+        updates.sunriseOffset = parseInt(elements.sunriseOffset.value) || 0;
+      } else {
+        updates.quietWeek = state.quietWeek;
+      }
+
+      // Save first: the server works out the quiet hours the device needs today,
+      // and keeps them up to date from then on
+      const { slideshow } = await API.settings.updateSlideshow(updates);
+      await API.device.setOptions({ brightness, interval, startHour: slideshow.quietStart, endHour: slideshow.quietEnd });
+      state.quietHours = { quietStart: slideshow.quietStart, quietEnd: slideshow.quietEnd };
+      renderSunInfo();
+      refreshCurvePause();
       showToast('Settings applied!', 'success');
     } catch (error) {
       showToast(formatError('Failed to apply settings', error), 'error');
     }
   });
 
+  // Quiet hours
+  elements.quietMode.addEventListener('change', renderQuietMode);
+  elements.btnCopyQuietDay.addEventListener('click', copyQuietDay);
+  elements.btnLocate.addEventListener('click', locateBrowser);
+  elements.btnSaveLocation.addEventListener('click', saveLocation);
+
+  // Brightness curve
+  elements.btnAddKeyframe.addEventListener('click', addKeyframe);
+  elements.btnSaveCurve.addEventListener('click', saveBrightnessCurve);
+  elements.curveStep.addEventListener('change', () => {
+    state.curve.step = Number(elements.curveStep.value);
+    renderCurveGraph();
+  });
+
   // Device settings
+  elements.deviceSwitcher.addEventListener('change', () => {
+    const value = elements.deviceSwitcher.value;
+    if (value.startsWith('group:')) {
+      switchGroup(value.slice('group:'.length));
+    } else {
+      switchDevice(value);
+    }
+  });
+
   elements.btnTestConnection.addEventListener('click', async () => {
     const ip = elements.deviceIp.value.trim();
     if (!ip) {
@@ -1494,69 +4249,70 @@ function setupEventListeners() {
       return;
     }
     try {
-      await API.settings.update({ deviceIp: ip });
+      await API.devices.update(API.deviceId, {
+        ip,
+        port: parseInt(elements.devicePort.value) || 12345
+      });
       // Try sending a skip command to test - if it works, device is connected
       await API.device.skip();
       showToast('Connected! Skipped to next image.', 'success');
     } catch (error) {
       showToast(formatError('Connection failed', error), 'error');
+    } finally {
+      refreshHealth();
     }
   });
 
-  elements.btnSaveDevice.addEventListener('click', async () => {
-    const ip = elements.deviceIp.value.trim();
-    if (ip) {
-      try {
-        await API.settings.update({ deviceIp: ip });
-        showToast('Device IP saved!', 'success');
-      } catch (error) {
-        showToast(formatError('Failed to save device IP', error), 'error');
-      }
-    }
-  });
+  elements.btnSaveDevice.addEventListener('click', saveDevice);
+  elements.btnAddDevice.addEventListener('click', addDevice);
+  elements.btnRemoveDevice.addEventListener('click', removeDevice);
+  elements.btnUseEmulator.addEventListener('click', useEmulator);
 
-  // Network scanning
-  elements.btnScanNetwork.addEventListener('click', async () => {
-    elements.btnScanNetwork.disabled = true;
-    elements.scanStatus.textContent = 'Scanning for EO1 on port 12345...';
-    elements.scanResults.style.display = 'none';
+  // Device groups
+  elements.btnSaveGroup.addEventListener('click', saveGroup);
+  elements.btnCancelGroup.addEventListener('click', () => editGroup(null));
+  API.onPartialResult = reportPartialResult;
 
-    try {
-      const result = await API.device.scanNetwork();
-
-      if (result.devices && result.devices.length > 0) {
-        elements.foundDevices.innerHTML = '';
-        for (const ip of result.devices) {
-          const option = document.createElement('option');
-          option.value = ip;
-          option.textContent = ip;
-          elements.foundDevices.appendChild(option);
-        }
-        elements.scanResults.style.display = 'flex';
-        elements.scanStatus.textContent = `Found ${result.devices.length} EO1 on ${result.subnet}.*`;
-        showToast(`Found ${result.devices.length} EO1 device(s)`, 'success');
-      } else {
-        elements.scanStatus.textContent = `No EO1 found on ${result.subnet}.*`;
-        showToast('No EO1 found on network', 'info');
-      }
-    } catch (error) {
-      elements.scanStatus.textContent = 'Scan failed';
-      showToast('EO1 scan failed: ' + error.message, 'error');
-    } finally {
-      elements.btnScanNetwork.disabled = false;
+  // Command log
+  elements.btnRefreshLog.addEventListener('click', loadCommandLog);
+  for (const filter of [elements.logCommand, elements.logFrom, elements.logTo]) {
+    filter.addEventListener('change', loadCommandLog);
+  }
+
+  // Network scanning
+  elements.btnScanNetwork.addEventListener('click', () => {
+    if (scanSource) {
+      stopScan('Scan stopped');
+    } else {
+      startScan();
     }
   });
 
   elements.btnUseDevice.addEventListener('click', () => {
-    const selectedIp = elements.foundDevices.value;
-    if (selectedIp) {
-      elements.deviceIp.value = selectedIp;
-      showToast(`Selected ${selectedIp}`, 'success');
+    const selected = elements.foundDevices.selectedOptions[0];
+    if (selected) {
+      elements.deviceIp.value = selected.value;
+      state.pickedDevice = { ip: selected.value, mac: selected.dataset.mac || null };
+      showToast(`Selected ${selected.value}`, 'success');
     }
   });
 
   // Flickr settings
   elements.btnSaveFlickr.addEventListener('click', saveFlickrSettings);
+
+  // MQTT settings
+  elements.btnSaveMqtt.addEventListener('click', saveMqttSettings);
+  elements.btnSavePassword.addEventListener('click', savePassword);
+  elements.btnRemovePassword.addEventListener('click', removePassword);
+  elements.btnLogout.addEventListener('click', logout);
+  elements.btnAddToken.addEventListener('click', addApiToken);
+  elements.btnCopyToken.addEventListener('click', copyApiToken);
+
+  // Dry run - the list is fetched again when a command of ours is intercepted
+  elements.dryRunEnabled.addEventListener('change', () => setDryRun(elements.dryRunEnabled.checked));
+  elements.btnDryRunOff.addEventListener('click', () => setDryRun(false));
+  elements.btnClearDryRun.addEventListener('click', clearDryRun);
+  API.onDryRun = () => loadDryRun();
 }
 
 // ============================================================================
@@ -1568,25 +4324,63 @@ function setupEventListeners() {
  * Called once when the page loads
  */
 async function init() {
-  populateHourDropdowns();
+  // First run asks for a password, and once one is set this page needs a login
+  try {
+    const auth = await API.auth.status();
+    if (auth.setupNeeded || !auth.authenticated) {
+      API.goToLogin();
+      return;
+    }
+    renderSecurity(auth);
+  } catch (error) {
+    console.error('Failed to check login:', error);
+  }
+
   setupCollapsibles();
   setupEventListeners();
 
   // Initialize filter checkboxes to match default state
   syncFiltersToUI();
 
+  // Pick the device first - everything below is per-device
+  await loadDevices();
+
   // Load data (skip connection check - it can crash the EO1 app)
   await Promise.all([
     getDeviceInfo(),
     loadPresets(),
     loadFlickrSettings(),
+    loadMqttSettings(),
     loadSlideshowSettings(),
+    loadBrightnessCurve(),
+    loadLocation(),
     loadCurrentSource(),
-    loadHistory()
+    loadHistory(),
+    loadPlaybackStatus(),
+    loadDiscoveredDevices(),
+    loadCommandLog(),
+    loadPlaylists(),
+    loadSchedules(),
+    loadNextChange(),
+    loadWebhooks(),
+    loadApiTokens(),
+    loadDryRun()
   ]);
+  // Schedules and webhooks name presets, playlists and devices, so draw them once they're all in
+  renderSchedules();
+  editSchedule(null);
+  renderWebhooks();
+  resetWebhookForm();
+  if (state.curve) {
+    renderCurveGraph();  // Its now marker needs the timezone
+  }
 
   // Don't auto-check connection - it opens/closes sockets which can crash EO1
-  // User can manually test connection in Device Settings
+  // Health comes from commands already sent, so polling the server is safe
+  setInterval(refreshHealth, 15000);
+
+  // Keep in step with other browsers from here on
+  subscribeToEvents();
 }
 
 // Start the app
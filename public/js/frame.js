@@ -0,0 +1,407 @@
+/**
+ * EO1 Web Controller - Virtual Frame
+ * Turns a browser (e.g. a spare tablet) into a display target
+ *
+ * Registers with the server over WebSocket, then applies the same raw
+ * commands an EO1 gets: image, video, resume, tag, brightness and options.
+ * The frame ID is kept in localStorage so the page rejoins as the same
+ * device; open /frame?name=Kitchen to name a new frame.
+ */
+
+// ============================================================================
+// State
+// ============================================================================
+
+const TAG_PAGE_SIZE = 50;
+const RECONNECT_MAX = 30000;
+
+const frame = {
+  id: localStorage.getItem('eo1FrameId'),
+  socket: null,
+  reconnectDelay: 1000,
+  mode: 'idle',            // idle | photo | tag
+  photoId: null,
+  tag: null,
+  tagPhotos: [],
+  tagIndex: 0,
+  timer: null,
+  settings: {
+    brightness: -1,        // -1 = auto (shown at full)
+    interval: 5,           // Minutes between slideshow items
+    startHour: -1,         // Quiet hours start (-1 = disabled)
+    endHour: -1            // Quiet hours end (-1 = disabled)
+  }
+};
+
+const elements = {
+  stage: document.getElementById('stage'),
+  frameImage: document.getElementById('frameImage'),
+  frameVideo: document.getElementById('frameVideo'),
+  quietOverlay: document.getElementById('quietOverlay'),
+  status: document.getElementById('status')
+};
+
+// ============================================================================
+// Connection
+// ============================================================================
+
+/**
+ * Show a status message, fading it out unless it should stay
+ * @param {string} message
+ * @param {boolean} [sticky=false] - Keep it on screen
+ */
+function showStatus(message, sticky = false) {
+  elements.status.textContent = message;
+  elements.status.classList.remove('hidden');
+  clearTimeout(showStatus.timer);
+  if (!sticky) {
+    showStatus.timer = setTimeout(() => elements.status.classList.add('hidden'), 3000);
+  }
+}
+
+/**
+ * Connect to the server and register as a frame
+ */
+function connect() {
+  const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  const socket = new WebSocket(`${protocol}//${location.host}/frame/socket`);
+  frame.socket = socket;
+
+  socket.addEventListener('open', () => {
+    const name = new URLSearchParams(location.search).get('name');
+    socket.send(JSON.stringify({ type: 'register', id: frame.id, name }));
+  });
+
+  socket.addEventListener('message', (event) => {
+    const message = JSON.parse(event.data);
+
+    if (message.type === 'registered') {
+      frame.id = message.id;
+      frame.reconnectDelay = 1000;
+      localStorage.setItem('eo1FrameId', message.id);
+      showStatus(`Connected as ${message.name}`);
+    } else if (message.type === 'command') {
+      const error = applyCommand(message.command);
+      // Replayed state has no seq and needs no answer
+      if (message.seq) {
+        socket.send(JSON.stringify({ type: 'ack', seq: message.seq, error }));
+      }
+    }
+  });
+
+  socket.addEventListener('close', (event) => {
+    if (event.reason === 'Frame removed') {
+      // Deleted in the controller - start over as a new frame on reload
+      localStorage.removeItem('eo1FrameId');
+      frame.id = null;
+      showStatus('This frame was removed. Reload to add it again.', true);
+      return;
+    }
+
+    showStatus('Disconnected - reconnecting…', true);
+    // The socket is refused without a session once the controller has a password
+    goToLoginIfNeeded().then((redirected) => {
+      if (!redirected) {
+        setTimeout(connect, frame.reconnectDelay);
+        frame.reconnectDelay = Math.min(frame.reconnectDelay * 2, RECONNECT_MAX);
+      }
+    });
+  });
+}
+
+/**
+ * Open the login page if the controller wants one, coming back here after
+ * @returns {Promise<boolean>} - Whether the page is going to the login page
+ */
+async function goToLoginIfNeeded() {
+  try {
+    const auth = await getJson('/api/auth/status');
+    if (auth.authenticated) {
+      return false;
+    }
+  } catch (error) {
+    return false;  // Server unreachable - keep reconnecting
+  }
+  location.href = `/login?next=${encodeURIComponent(location.pathname + location.search)}`;
+  return true;
+}
+
+// ============================================================================
+// Commands
+// ============================================================================
+
+/**
+ * Apply a raw EO1 command
+ * @param {string} command - e.g. 'brightness,0.5'
+ * @returns {string|null} - Error message, or null if applied
+ */
+function applyCommand(command) {
+  const [kind, ...args] = command.split(',');
+
+  try {
+    switch (kind) {
+      case 'image':
+      case 'video':
+        if (!/^\d+$/.test(args[0])) throw new Error(`Invalid photo ID: "${args[0] || ''}"`);
+        showPhoto(kind, args[0]);
+        break;
+
+      case 'resume':
+        resume();
+        break;
+
+      case 'tag': {
+        const tag = args.join(',').trim();
+        if (!tag) throw new Error('Invalid tag');
+        startTag(tag);
+        break;
+      }
+
+      case 'brightness':
+        frame.settings.brightness = parseBrightness(args[0]);
+        break;
+
+      case 'options': {
+        if (args.length !== 4) throw new Error('options expects brightness,interval,startHour,endHour');
+        const interval = Number(args[1]);
+        if (!Number.isInteger(interval) || interval < 1 || interval > 60) {
+          throw new Error(`Invalid interval: "${args[1]}"`);
+        }
+        frame.settings = {
+          brightness: parseBrightness(args[0]),
+          interval,
+          startHour: parseHour(args[2]),
+          endHour: parseHour(args[3])
+        };
+        if (frame.mode === 'tag') {
+          schedule();
+        }
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown command "${kind}"`);
+    }
+  } catch (error) {
+    console.error(`Command "${command}" failed:`, error.message);
+    return error.message;
+  }
+
+  applySettings();
+  return null;
+}
+
+/**
+ * Parse a brightness argument (-1 for auto, or 0.0-1.0)
+ * @returns {number}
+ */
+function parseBrightness(value) {
+  const level = parseFloat(value);
+  if (level !== -1 && !(level >= 0 && level <= 1)) {
+    throw new Error(`Invalid brightness: "${value}"`);
+  }
+  return level;
+}
+
+/**
+ * Parse a quiet-hours argument (-1 to disable, or 0-23)
+ * @returns {number}
+ */
+function parseHour(value) {
+  const hour = Number(value);
+  if (hour !== -1 && !(Number.isInteger(hour) && hour >= 0 && hour <= 23)) {
+    throw new Error(`Invalid hour: "${value}"`);
+  }
+  return hour;
+}
+
+// ============================================================================
+// Display
+// ============================================================================
+
+/**
+ * Fetch JSON from the controller
+ * @param {string} endpoint
+ */
+async function getJson(endpoint) {
+  const response = await fetch(endpoint);
+  const json = await response.json();
+  if (!response.ok) {
+    throw new Error(json.error || json.message || `API Error: ${response.status}`);
+  }
+  return json;
+}
+
+/**
+ * Show an image URL, cross-fading from the last one
+ * @param {string} url
+ */
+function showImage(url) {
+  const image = new Image();
+  image.onload = () => {
+    elements.frameVideo.classList.remove('visible');
+    elements.frameVideo.pause();
+    elements.frameImage.src = url;
+    elements.frameImage.classList.add('visible');
+  };
+  image.src = url;
+}
+
+/**
+ * Play a video URL
+ * @param {string} url
+ */
+function showVideo(url) {
+  elements.frameImage.classList.remove('visible');
+  elements.frameVideo.src = url;
+  elements.frameVideo.classList.add('visible');
+  elements.frameVideo.play().catch(() => {});
+}
+
+/**
+ * Show a single photo or video, pausing any tag slideshow
+ * @param {string} media - 'image' or 'video'
+ * @param {string} photoId - Flickr photo ID
+ */
+async function showPhoto(media, photoId) {
+  clearTimeout(frame.timer);
+  frame.mode = 'photo';
+  frame.photoId = photoId;
+
+  try {
+    const { sizes } = await getJson(`/api/flickr/photo/${photoId}/sizes`);
+    if (frame.mode !== 'photo' || frame.photoId !== photoId) return;  // Replaced while loading
+
+    const video = Object.entries(sizes).find(([key]) => /mp4/.test(key));
+    if (media === 'video' && video) {
+      showVideo(video[1].source);
+      return;
+    }
+
+    // Largest size that's still sensible for a 1080x1920 screen
+    const preferred = ['large_2048', 'large_1600', 'large', 'original', 'medium_800', 'medium'];
+    const size = preferred.map(key => sizes[key]).find(Boolean);
+    if (size) {
+      showImage(size.source);
+    }
+  } catch (error) {
+    showStatus(`Couldn't load photo: ${error.message}`);
+  }
+}
+
+/**
+ * Switch to cycling a Flickr tag
+ * @param {string} tag - Tag name
+ */
+async function startTag(tag) {
+  frame.mode = 'tag';
+  frame.tag = tag;
+  frame.tagIndex = 0;
+  frame.tagPhotos = [];
+  schedule();
+
+  try {
+    const result = await getJson(`/api/flickr/search?tags=${encodeURIComponent(tag)}&per_page=${TAG_PAGE_SIZE}`);
+    if (frame.tag !== tag) return;  // Replaced while loading
+    frame.tagPhotos = result.photos;
+    if (frame.mode === 'tag') {
+      showTagPhoto();
+    }
+  } catch (error) {
+    showStatus(`Couldn't load tag: ${error.message}`);
+  }
+}
+
+/**
+ * Show the current item of the tag slideshow
+ */
+function showTagPhoto() {
+  if (frame.tagPhotos.length === 0) return;
+  const photo = frame.tagPhotos[frame.tagIndex % frame.tagPhotos.length];
+  const url = photo.largeUrl || photo.mediumUrl;
+  if (url) {
+    showImage(url);
+  }
+}
+
+/**
+ * Skip to the next slideshow item (or resume the tag after a single photo)
+ */
+function resume() {
+  if (!frame.tag) return;
+  if (frame.mode === 'tag') {
+    frame.tagIndex++;
+  }
+  frame.mode = 'tag';
+  showTagPhoto();
+  schedule();
+}
+
+/**
+ * Advance the tag slideshow on the configured interval
+ */
+function schedule() {
+  clearTimeout(frame.timer);
+  frame.timer = setTimeout(() => {
+    frame.tagIndex++;
+    showTagPhoto();
+    schedule();
+  }, frame.settings.interval * 60 * 1000);
+}
+
+/**
+ * Whether quiet hours are in effect right now
+ * Quiet hours can wrap past midnight (e.g. 22 to 7)
+ * @returns {boolean}
+ */
+function isQuiet() {
+  const { startHour, endHour } = frame.settings;
+  if (startHour === -1 || endHour === -1 || startHour === endHour) {
+    return false;
+  }
+
+  const hour = new Date().getHours();
+  return startHour < endHour
+    ? hour >= startHour && hour < endHour
+    : hour >= startHour || hour < endHour;
+}
+
+/**
+ * Apply brightness and quiet hours to the screen
+ */
+function applySettings() {
+  // A browser can't drive the backlight, so dim the picture instead
+  const level = frame.settings.brightness === -1 ? 1 : frame.settings.brightness;
+  elements.stage.style.filter = `brightness(${Math.max(level, 0.05)})`;
+  elements.quietOverlay.style.display = isQuiet() ? 'block' : 'none';
+}
+
+// ============================================================================
+// Initialisation
+// ============================================================================
+
+/**
+ * Keep the screen awake and go full screen on the first tap
+ */
+function setupScreen() {
+  document.addEventListener('click', () => {
+    if (!document.fullscreenElement && document.documentElement.requestFullscreen) {
+      document.documentElement.requestFullscreen().catch(() => {});
+    }
+  });
+
+  const requestWakeLock = () => {
+    if ('wakeLock' in navigator && document.visibilityState === 'visible') {
+      navigator.wakeLock.request('screen').catch(() => {});
+    }
+  };
+  // The lock is released whenever the page is hidden
+  document.addEventListener('visibilitychange', requestWakeLock);
+  requestWakeLock();
+}
+
+setupScreen();
+applySettings();
+// Quiet hours start and end on the hour
+setInterval(applySettings, 60 * 1000);
+connect();
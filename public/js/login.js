@@ -0,0 +1,128 @@
+/**
+ * EO1 Web Controller - Login
+ * Logs in, or sets the password on first run, then returns to the page
+ * that sent us here (?next=/frame, for instance)
+ */
+
+const elements = {
+  loginCard: document.getElementById('loginCard'),
+  loginForm: document.getElementById('loginForm'),
+  loginPassword: document.getElementById('loginPassword'),
+  loginError: document.getElementById('loginError'),
+  setupCard: document.getElementById('setupCard'),
+  setupForm: document.getElementById('setupForm'),
+  setupPassword: document.getElementById('setupPassword'),
+  setupConfirm: document.getElementById('setupConfirm'),
+  setupError: document.getElementById('setupError'),
+  btnSkipSetup: document.getElementById('btnSkipSetup')
+};
+
+/**
+ * Where to go once logged in: ?next if it's a page on this server
+ * @returns {string}
+ */
+function nextPage() {
+  const next = new URLSearchParams(location.search).get('next') || '/';
+  return next.startsWith('/') && !next.startsWith('//') ? next : '/';
+}
+
+/**
+ * Call an auth endpoint
+ * @param {string} method
+ * @param {string} endpoint
+ * @param {Object} [data]
+ */
+async function request(method, endpoint, data) {
+  const csrf = document.cookie.match(/(?:^|;\s*)eo1_csrf=([^;]*)/);
+  const response = await fetch(endpoint, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-CSRF-Token': csrf ? decodeURIComponent(csrf[1]) : ''  // Echo the cookie, as other sites can't
+    },
+    body: data ? JSON.stringify(data) : undefined
+  });
+  const json = await response.json();
+  if (!response.ok) {
+    throw new Error(json.error || json.message || `API Error: ${response.status}`);
+  }
+  return json;
+}
+
+/**
+ * Log in with the password
+ * @param {Event} event
+ */
+async function login(event) {
+  event.preventDefault();
+  elements.loginError.textContent = '';
+
+  try {
+    await request('POST', '/api/auth/login', { password: elements.loginPassword.value });
+    location.replace(nextPage());
+  } catch (error) {
+    elements.loginError.textContent = error.message;
+    elements.loginPassword.select();
+  }
+}
+
+/**
+ * Set the first password, which also logs this browser in
+ * @param {Event} event
+ */
+async function setPassword(event) {
+  event.preventDefault();
+  elements.setupError.textContent = '';
+
+  if (elements.setupPassword.value !== elements.setupConfirm.value) {
+    elements.setupError.textContent = "The passwords don't match";
+    return;
+  }
+
+  try {
+    await request('PUT', '/api/auth/password', { password: elements.setupPassword.value });
+    location.replace(nextPage());
+  } catch (error) {
+    elements.setupError.textContent = error.message;
+  }
+}
+
+/**
+ * Finish setup leaving the controller open
+ */
+async function skipSetup() {
+  try {
+    await request('POST', '/api/auth/skip');
+    location.replace(nextPage());
+  } catch (error) {
+    elements.setupError.textContent = error.message;
+  }
+}
+
+/**
+ * Show the form the controller needs, or go straight on if neither is
+ */
+async function init() {
+  elements.loginForm.addEventListener('submit', login);
+  elements.setupForm.addEventListener('submit', setPassword);
+  elements.btnSkipSetup.addEventListener('click', skipSetup);
+
+  try {
+    const auth = await request('GET', '/api/auth/status');
+
+    if (auth.setupNeeded) {
+      elements.setupCard.hidden = false;
+      elements.setupPassword.focus();
+    } else if (!auth.authenticated) {
+      elements.loginCard.hidden = false;
+      elements.loginPassword.focus();
+    } else {
+      location.replace(nextPage());
+    }
+  } catch (error) {
+    elements.loginCard.hidden = false;
+    elements.loginError.textContent = `Can't reach the controller: ${error.message}`;
+  }
+}
+
+init();
@@ -5,30 +5,81 @@
 
 require('dotenv').config();
 const express = require('express');
-const cors = require('cors');
 const config = require('config');
 const path = require('path');
 const { execSync } = require('child_process');
 
-const EO1Socket = require('./src/services/eo1-socket');
 const FlickrClient = require('./src/services/flickr-client');
 const settingsManager = require('./src/services/settings-manager');
+const DeviceRegistry = require('./src/services/device-registry');
+const FrameHub = require('./src/services/frame-hub');
+const Scheduler = require('./src/services/scheduler');
+const MqttBridge = require('./src/services/mqtt-bridge');
+const QuietHours = require('./src/services/quiet-hours');
+const auth = require('./src/services/auth');
+const requestGuard = require('./src/services/request-guard');
+const dryRun = require('./src/services/dry-run');
+const { CommandError } = require('./src/services/eo1-command');
+const requestContext = require('./src/utils/request-context');
 
 const deviceRoutes = require('./src/routes/api/device');
+const devicesRoutes = require('./src/routes/api/devices');
+const groupsRoutes = require('./src/routes/api/groups');
+const playlistsRoutes = require('./src/routes/api/playlists');
+const schedulesRoutes = require('./src/routes/api/schedules');
 const flickrRoutes = require('./src/routes/api/flickr');
 const settingsRoutes = require('./src/routes/api/settings');
+const eventsRoutes = require('./src/routes/api/events');
+const webhooksRoutes = require('./src/routes/api/webhooks');
+const hooksRoutes = require('./src/routes/api/hooks');
+const authRoutes = require('./src/routes/api/auth');
+const tokensRoutes = require('./src/routes/api/tokens');
+const dryRunRoutes = require('./src/routes/api/dry-run');
 
 const app = express();
 
 // Middleware
-app.use(cors());
+app.use(requestGuard.cors);
 app.use(express.json());
+app.use(requestContext.middleware);
+app.use(requestGuard.issueCsrfCookie);
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Other websites can't make a visitor's browser change anything
+app.use('/api', requestGuard.checkOrigin, requestGuard.checkCsrf);
+
+// X-Dry-Run: 1 or ?dryRun=1 records a request's EO1 commands instead of sending them
+app.use('/api', dryRun.middleware);
+
+// Open API routes: logging in, and webhooks (the token in the URL is their credential)
+app.use('/api/auth', authRoutes);
+app.use('/api/hooks', hooksRoutes);
+
+// Everything else under /api needs an API token, or a session once a password is set
+app.use('/api', auth.protect);
+
 // API Routes
 app.use('/api/device', deviceRoutes);
+app.use('/api/devices', devicesRoutes);
+app.use('/api/groups', groupsRoutes);
+app.use('/api/playlists', playlistsRoutes);
+app.use('/api/schedules', schedulesRoutes);
 app.use('/api/flickr', flickrRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/events', eventsRoutes);
+app.use('/api/webhooks', webhooksRoutes);
+app.use('/api/tokens', tokensRoutes);
+app.use('/api/dry-run', dryRunRoutes);
+
+// Login and first-run password setup
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
+// Virtual frame page for spare tablets (connects back over WebSocket)
+app.get('/frame', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'frame.html'));
+});
 
 // Serve SPA for all other routes
 app.get('*', (req, res) => {
@@ -40,6 +91,13 @@ app.use((err, req, res, next) => {
   console.error('Error:', err.message);
 
   // Handle specific error types
+  if (err instanceof CommandError) {
+    return res.status(400).json({
+      error: err.message,
+      command: err.kind
+    });
+  }
+
   if (err.message.includes('Connection failed') || err.message.includes('Connection timeout')) {
     return res.status(503).json({
       error: 'Device not reachable',
@@ -61,52 +119,82 @@ app.use((err, req, res, next) => {
   });
 });
 
+/**
+ * Find this machine's Tailscale IPv4 address, if Tailscale is connected
+ * @returns {string|null}
+ */
+function detectTailscaleIp() {
+  // Try common Tailscale CLI locations
+  const tailscalePaths = [
+    'tailscale',  // If in PATH
+    '/Applications/Tailscale.app/Contents/MacOS/Tailscale',  // macOS app
+    '/usr/local/bin/tailscale',  // Homebrew/Linux
+    '/usr/bin/tailscale'  // Linux package
+  ];
+  for (const tsPath of tailscalePaths) {
+    try {
+      const ip = execSync(`"${tsPath}" ip -4 2>/dev/null`, { encoding: 'utf8' }).trim();
+      if (ip) return ip;
+    } catch (e) {
+      // Try next path
+    }
+  }
+  return null;
+}
+
 // Start server
 async function startServer() {
-  // Load settings
-  const settings = await settingsManager.load();
+  // Load settings. Never start on defaults when the file is there but
+  // unreadable: that would drop the password, sessions and API tokens and
+  // leave the controller open to anyone on the network.
+  let settings;
+  try {
+    settings = await settingsManager.load();
+  } catch (error) {
+    console.error(`Can't read the saved settings: ${error.message}`);
+    console.error('Not starting, so the login password and API tokens stay in force.');
+    process.exit(1);
+  }
 
   // Initialise services with settings (fallback to env vars)
-  const eo1Ip = settings.device.ip || process.env.EO1_IP || config.get('eo1.defaultIp');
-  const eo1Port = settings.device.port || parseInt(process.env.EO1_PORT) || config.get('eo1.port');
-  const eo1Socket = new EO1Socket(eo1Ip, eo1Port);
-
   const flickrApiKey = settings.flickr.apiKey || process.env.FLICKR_API_KEY;
   if (!flickrApiKey) {
     console.warn('Warning: No Flickr API key configured. Add one in Settings.');
   }
   const flickrClient = new FlickrClient(flickrApiKey);
 
+  // One socket and playback engine per registered EO1
+  const devices = new DeviceRegistry(flickrClient);
+  await devices.load();
+
+  // Time-based rules that switch source, brightness and interval
+  const scheduler = new Scheduler(devices);
+  // Sunset/sunrise quiet hours, recomputed daily
+  const quietHours = new QuietHours(devices);
+  // Home Assistant over MQTT, if a broker is set up
+  const mqttBridge = new MqttBridge(devices);
+
   // Store services in app for routes to access
-  app.set('eo1Socket', eo1Socket);
+  app.set('devices', devices);
   app.set('flickrClient', flickrClient);
+  app.set('scheduler', scheduler);
+  app.set('quietHours', quietHours);
+  app.set('mqttBridge', mqttBridge);
+
+  // Pick up any slideshows that were playing before the restart
+  await devices.restore();
+  scheduler.start();
+  quietHours.start();
+  await mqttBridge.start();
 
   const port = parseInt(process.env.PORT) || config.get('server.port');
   const host = process.env.HOST || config.get('server.host');
 
-  const server = app.listen(port, host, () => {
-    // Get Tailscale IP if available
-    let tailscaleIp = null;
-    try {
-      // Try common Tailscale CLI locations
-      const tailscalePaths = [
-        'tailscale',  // If in PATH
-        '/Applications/Tailscale.app/Contents/MacOS/Tailscale',  // macOS app
-        '/usr/local/bin/tailscale',  // Homebrew/Linux
-        '/usr/bin/tailscale'  // Linux package
-      ];
-      for (const tsPath of tailscalePaths) {
-        try {
-          tailscaleIp = execSync(`"${tsPath}" ip -4 2>/dev/null`, { encoding: 'utf8' }).trim();
-          if (tailscaleIp) break;
-        } catch (e) {
-          // Try next path
-        }
-      }
-    } catch (e) {
-      // Tailscale not available or not connected
-    }
+  // Browsers may use the controller from its local and Tailscale addresses
+  const tailscaleIp = detectTailscaleIp();
+  requestGuard.setLocalOrigins(port, tailscaleIp);
 
+  const server = app.listen(port, host, () => {
     const localUrl = `http://localhost:${port}`;
     const tailscaleUrl = tailscaleIp ? `http://${tailscaleIp}:${port}` : null;
 
@@ -114,8 +202,15 @@ async function startServer() {
     console.log('╔═══════════════════════════════════════════════════════════╗');
     console.log('║           EO1 Web Controller                              ║');
     console.log('╠═══════════════════════════════════════════════════════════╣');
-    console.log(`║  Device:    ${eo1Ip}:${eo1Port}`.padEnd(62) + '║');
+    for (const device of settings.devices) {
+      const label = device.room ? `${device.name} (${device.room})` : device.name;
+      const address = device.type === 'virtual' ? 'virtual frame' : `${device.ip || 'not set'}:${device.port}`;
+      console.log(`║  Device:    ${label} - ${address}`.padEnd(62) + '║');
+    }
     console.log(`║  Flickr:    ${flickrApiKey ? 'API key configured' : 'No API key - add in Settings'}`.padEnd(62) + '║');
+    if (settings.dryRun) {
+      console.log('║  Dry run:   ON - commands are recorded, not sent'.padEnd(62) + '║');
+    }
     console.log('╠═══════════════════════════════════════════════════════════╣');
     console.log('║  Local:     ' + localUrl.padEnd(48) + '║');
     if (tailscaleUrl) {
@@ -124,6 +219,9 @@ async function startServer() {
     console.log('╚═══════════════════════════════════════════════════════════╝');
     console.log('');
   });
+
+  // Browser frames register and receive commands over WebSocket
+  new FrameHub(devices).attach(server);
 }
 
 startServer().catch(err => {
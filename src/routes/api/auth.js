@@ -0,0 +1,133 @@
+/**
+ * Auth API Routes
+ * Login, logout and the optional password for the web UI and API
+ *
+ * These are mounted ahead of the login check so the login page can use them.
+ * Changing or removing a password still needs a session and the current password.
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../../services/auth');
+
+/**
+ * GET /api/auth/status
+ * Whether a password is set, first-run setup is due and this browser is logged in
+ */
+router.get('/status', async (req, res, next) => {
+  try {
+    res.json(await auth.status(req));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Log in and get a session cookie
+ * Body: { password }
+ */
+router.post('/login', async (req, res, next) => {
+  try {
+    const clientIp = req.ip || 'unknown';
+    const wait = auth.lockedFor(clientIp);
+    if (wait > 0) {
+      return res.status(429).json({ error: `Too many attempts - try again in ${Math.ceil(wait / 1000)} seconds` });
+    }
+
+    const { password } = req.body || {};
+    if (!(await auth.login(password, req, res))) {
+      return res.status(401).json({ error: 'Wrong password' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End this browser's session
+ */
+router.post('/logout', async (req, res, next) => {
+  try {
+    await auth.endSession(req, res);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/auth/password
+ * Set the password (first-run setup or Settings), or change it
+ * Body: { password, current? } - current is needed when one is already set
+ * Other browsers are logged out; this one stays logged in.
+ */
+router.put('/password', async (req, res, next) => {
+  try {
+    const { password, current } = req.body || {};
+    const { enabled } = await auth.status(req);
+
+    if (enabled) {
+      if (!(await auth.isAllowed(req))) {
+        return res.status(401).json({ error: 'Login required' });
+      }
+      if (!(await auth.checkPassword(current))) {
+        return res.status(400).json({ error: 'Current password is wrong' });
+      }
+    }
+    if (!auth.isValidPassword(password)) {
+      return res.status(400).json({ error: 'Password must be 4-200 characters' });
+    }
+
+    await auth.setPassword(password, req, res);
+    res.json({ success: true, auth: { enabled: true, setupNeeded: false, authenticated: true } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/password
+ * Remove the password so the controller is open to the network again
+ * Body: { current }
+ */
+router.delete('/password', async (req, res, next) => {
+  try {
+    const { current } = req.body || {};
+
+    if (!(await auth.isAllowed(req))) {
+      return res.status(401).json({ error: 'Login required' });
+    }
+    if (!(await auth.checkPassword(current))) {
+      return res.status(400).json({ error: 'Current password is wrong' });
+    }
+
+    await auth.removePassword(res);
+    res.json({ success: true, auth: { enabled: false, setupNeeded: false, authenticated: true } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/skip
+ * Finish first-run setup without a password
+ */
+router.post('/skip', async (req, res, next) => {
+  try {
+    const { enabled } = await auth.status(req);
+    if (enabled) {
+      return res.status(400).json({ error: 'A password is already set' });
+    }
+
+    await auth.skipSetup();
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -4,42 +4,132 @@
  */
 
 const express = require('express');
+const config = require('config');
 const router = express.Router();
 const settingsManager = require('../../services/settings-manager');
 const EO1Socket = require('../../services/eo1-socket');
+const DeviceDiscovery = require('../../services/device-discovery');
+const PlaybackEngine = require('../../services/playback-engine');
+const ScreenPower = require('../../services/screen-power');
+const presetStore = require('../../services/preset-store');
+const auditLog = require('../../services/audit-log');
+const requestContext = require('../../utils/request-context');
+const { requireScope } = require('../../services/auth');
+const { parseCidr } = require('../../utils/network');
 
 /**
- * Middleware to get the EO1 socket client from the app
+ * Middleware to resolve the target device from an optional deviceId
+ * (query string or body). Without one, the default device is used.
  */
-const getSocket = (req) => {
-  return req.app.get('eo1Socket');
+router.use((req, res, next) => {
+  const deviceId = req.query.deviceId || (req.body && req.body.deviceId) || undefined;
+  const device = req.app.get('devices').get(deviceId);
+
+  if (!device) {
+    return res.status(404).json({ error: `Device "${deviceId}" not found` });
+  }
+
+  req.device = device;
+  next();
+});
+
+/**
+ * Get the display target (EO1 socket or virtual frame) for the target device
+ */
+const getTarget = (req) => {
+  return req.device.target;
+};
+
+/**
+ * Get the server-side playback engine for the target device
+ */
+const getPlayback = (req) => {
+  return req.device.playback;
 };
 
 /**
  * GET /api/device/status
  * Get configured device info (doesn't actually test connection to avoid crashing EO1)
+ * Includes the command queue depth, how the last command went, health
+ * built from the commands already sent, and the screen's power state and timers
  */
-router.get('/status', async (req, res, next) => {
+router.get('/status', requireScope('device:read'), async (req, res, next) => {
   try {
-    const socket = getSocket(req);
-    const info = await socket.checkConnection();
+    const target = getTarget(req);
+    const info = await target.checkConnection();
+    const device = await settingsManager.getDevice(req.device.id);
+    const screen = await req.device.screen.status();
     res.json({
+      id: req.device.id,
+      type: req.device.type,
+      name: device.name,
+      room: device.room,
+      mac: device.mac || null,
       ip: info.host,
-      port: info.port
+      port: info.port,
+      clients: info.clients,   // Virtual frames only: pages showing it
+      queue: target.queueStatus(),
+      health: target.health.status(),
+      screen
     });
   } catch (error) {
     next(error);
   }
 });
 
+// Command types that appear in the audit log
+const COMMAND_KINDS = ['image', 'video', 'resume', 'tag', 'brightness', 'options'];
+
+/**
+ * Parse a time filter: an ISO date or milliseconds since the epoch
+ * @param {string} [value]
+ * @returns {Date|null|undefined} - undefined if not given, null if invalid
+ */
+const parseTime = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+  return isNaN(date) ? null : date;
+};
+
+/**
+ * GET /api/device/log
+ * Commands sent to the device, newest first
+ * Query: ?from=<ISO date|ms>&to=<ISO date|ms>&command=brightness[,tag]&limit=100
+ */
+router.get('/log', requireScope('device:read'), async (req, res, next) => {
+  try {
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ error: 'from and to must be ISO dates or milliseconds since the epoch' });
+    }
+
+    const kinds = req.query.command ? String(req.query.command).split(',').map(k => k.trim()) : [];
+    const unknown = kinds.find(kind => !COMMAND_KINDS.includes(kind));
+    if (unknown) {
+      return res.status(400).json({ error: `Unknown command "${unknown}". Use one of: ${COMMAND_KINDS.join(', ')}` });
+    }
+
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+    if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+      return res.status(400).json({ error: 'limit must be a positive whole number' });
+    }
+
+    const entries = await auditLog.query({ deviceId: req.device.id, from, to, kinds, limit });
+    res.json({ deviceId: req.device.id, entries });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/device/skip
  * Skip to next slideshow item
  */
-router.post('/skip', async (req, res, next) => {
+router.post('/skip', requireScope('device:control'), async (req, res, next) => {
   try {
-    const socket = getSocket(req);
-    await socket.resume();
+    const target = getTarget(req);
+    await target.resume();
     res.json({ success: true, action: 'skip' });
   } catch (error) {
     next(error);
@@ -50,10 +140,10 @@ router.post('/skip', async (req, res, next) => {
  * POST /api/device/resume
  * Resume slideshow (alias for skip)
  */
-router.post('/resume', async (req, res, next) => {
+router.post('/resume', requireScope('device:control'), async (req, res, next) => {
   try {
-    const socket = getSocket(req);
-    await socket.resume();
+    const target = getTarget(req);
+    await target.resume();
     res.json({ success: true, action: 'resume' });
   } catch (error) {
     next(error);
@@ -62,10 +152,10 @@ router.post('/resume', async (req, res, next) => {
 
 /**
  * POST /api/device/image/:photoId
- * Display a specific image
+ * Display a specific image, stopping any server slideshow
  * Body: { title?: string }
  */
-router.post('/image/:photoId', async (req, res, next) => {
+router.post('/image/:photoId', requireScope('device:control'), async (req, res, next) => {
   try {
     const { photoId } = req.params;
     const { title, thumbnailUrl, owner } = req.body || {};
@@ -74,26 +164,29 @@ router.post('/image/:photoId', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid photo ID' });
     }
 
-    const socket = getSocket(req);
-    await socket.displayImage(photoId);
-
-    // Track current source
-    await settingsManager.setCurrentSource({
-      type: 'photo',
-      value: photoId,
-      name: title || `Photo ${photoId}`,
-      url: `https://www.flickr.com/photos/${owner || 'any'}/${photoId}/`,
-      thumbnailUrl: thumbnailUrl || null
-    });
-
-    // Add to display history
-    await settingsManager.addToHistory({
-      id: photoId,
-      owner: owner || null,
-      title: title || `Photo ${photoId}`,
-      thumbnailUrl: thumbnailUrl || null,
-      media: 'photo'
-    });
+    await getPlayback(req).yieldToManual();
+    const target = getTarget(req);
+    await target.displayImage(photoId);
+
+    if (!requestContext.isDryRun()) {
+      // Track current source
+      await settingsManager.setCurrentSource({
+        type: 'photo',
+        value: photoId,
+        name: title || `Photo ${photoId}`,
+        url: `https://www.flickr.com/photos/${owner || 'any'}/${photoId}/`,
+        thumbnailUrl: thumbnailUrl || null
+      }, req.device.id);
+
+      // Add to display history
+      await settingsManager.addToHistory({
+        id: photoId,
+        owner: owner || null,
+        title: title || `Photo ${photoId}`,
+        thumbnailUrl: thumbnailUrl || null,
+        media: 'photo'
+      }, req.device.id);
+    }
 
     res.json({ success: true, action: 'displayImage', photoId });
   } catch (error) {
@@ -103,10 +196,10 @@ router.post('/image/:photoId', async (req, res, next) => {
 
 /**
  * POST /api/device/video/:photoId
- * Display a specific video
+ * Display a specific video, stopping any server slideshow
  * Body: { title?: string }
  */
-router.post('/video/:photoId', async (req, res, next) => {
+router.post('/video/:photoId', requireScope('device:control'), async (req, res, next) => {
   try {
     const { photoId } = req.params;
     const { title, thumbnailUrl, owner } = req.body || {};
@@ -115,26 +208,29 @@ router.post('/video/:photoId', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid photo ID' });
     }
 
-    const socket = getSocket(req);
-    await socket.displayVideo(photoId);
-
-    // Track current source
-    await settingsManager.setCurrentSource({
-      type: 'video',
-      value: photoId,
-      name: title || `Video ${photoId}`,
-      url: `https://www.flickr.com/photos/${owner || 'any'}/${photoId}/`,
-      thumbnailUrl: thumbnailUrl || null
-    });
-
-    // Add to display history
-    await settingsManager.addToHistory({
-      id: photoId,
-      owner: owner || null,
-      title: title || `Video ${photoId}`,
-      thumbnailUrl: thumbnailUrl || null,
-      media: 'video'
-    });
+    await getPlayback(req).yieldToManual();
+    const target = getTarget(req);
+    await target.displayVideo(photoId);
+
+    if (!requestContext.isDryRun()) {
+      // Track current source
+      await settingsManager.setCurrentSource({
+        type: 'video',
+        value: photoId,
+        name: title || `Video ${photoId}`,
+        url: `https://www.flickr.com/photos/${owner || 'any'}/${photoId}/`,
+        thumbnailUrl: thumbnailUrl || null
+      }, req.device.id);
+
+      // Add to display history
+      await settingsManager.addToHistory({
+        id: photoId,
+        owner: owner || null,
+        title: title || `Video ${photoId}`,
+        thumbnailUrl: thumbnailUrl || null,
+        media: 'video'
+      }, req.device.id);
+    }
 
     res.json({ success: true, action: 'displayVideo', photoId });
   } catch (error) {
@@ -144,22 +240,26 @@ router.post('/video/:photoId', async (req, res, next) => {
 
 /**
  * POST /api/device/brightness
- * Set screen brightness
+ * Set screen brightness (pauses a brightness curve until its next keyframe)
  * Body: { level: number (0.0-1.0) } or { auto: true }
  */
-router.post('/brightness', async (req, res, next) => {
+router.post('/brightness', requireScope('device:control'), async (req, res, next) => {
   try {
     const { level, auto } = req.body;
 
     if (auto) {
       // Send -1 to indicate auto brightness
-      const socket = getSocket(req);
-      await socket.setBrightness(-1);
-      res.json({ success: true, action: 'brightness', auto: true });
+      const target = getTarget(req);
+      await target.setBrightness(-1);
+      const curvePausedUntil = await req.device.curve.pause();
+      await req.device.screen.noteBrightness(-1);
+      res.json({ success: true, action: 'brightness', auto: true, curvePausedUntil });
     } else if (typeof level === 'number' && level >= 0 && level <= 1) {
-      const socket = getSocket(req);
-      await socket.setBrightness(level);
-      res.json({ success: true, action: 'brightness', level });
+      const target = getTarget(req);
+      await target.setBrightness(level);
+      const curvePausedUntil = await req.device.curve.pause();
+      await req.device.screen.noteBrightness(level);
+      res.json({ success: true, action: 'brightness', level, curvePausedUntil });
     } else {
       res.status(400).json({ error: 'Invalid brightness level. Must be 0.0-1.0 or { auto: true }' });
     }
@@ -169,68 +269,155 @@ router.post('/brightness', async (req, res, next) => {
 });
 
 /**
- * POST /api/device/tag
- * Change the Flickr tag
- * Body: { tag: string, name?: string }
+ * POST /api/device/screen
+ * Turn the screen off (brightness 0), or back on at its last level or the
+ * brightness curve's. Cancels a pending sleep or wake timer it makes redundant.
+ * Body: { on: boolean }
  */
-router.post('/tag', async (req, res, next) => {
+router.post('/screen', requireScope('device:control'), async (req, res, next) => {
   try {
-    const { tag, name } = req.body;
+    const { on } = req.body;
 
-    if (!tag || typeof tag !== 'string' || tag.length > 100) {
-      return res.status(400).json({ error: 'Invalid tag' });
+    if (typeof on !== 'boolean') {
+      return res.status(400).json({ error: 'on must be true or false' });
     }
 
-    const socket = getSocket(req);
-    await socket.setTag(tag.trim());
+    const screen = on ? await req.device.screen.turnOn() : await req.device.screen.turnOff();
+    res.json({ success: true, action: 'screen', screen });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Track current source
-    await settingsManager.setCurrentSource({
-      type: 'tag',
-      value: tag.trim(),
-      name: name || tag.trim(),
-      url: `https://www.flickr.com/photos/tags/${encodeURIComponent(tag.trim())}/`
-    });
+/**
+ * Read a sleep/wake time from a request body
+ * @param {Object} body - { minutes } (1-1440) or { time: 'HH:MM' }
+ * @returns {Promise<number|null>} - Epoch ms, or null if invalid
+ */
+const timerTime = async (body) => {
+  const { minutes, time } = body;
+  if ((minutes === undefined) === (time === undefined)) {
+    return null;
+  }
+  return ScreenPower.resolveTime({ minutes, time }, await settingsManager.getTimezone());
+};
 
-    res.json({ success: true, action: 'setTag', tag: tag.trim() });
+/**
+ * POST /api/device/screen/sleep
+ * Turn the screen off later. Carried out by the server, so it fires with no
+ * browser open; setting it again replaces the old time.
+ * Body: { minutes: number (1-1440) } or { time: 'HH:MM' } (next occurrence, settings timezone)
+ */
+router.post('/screen/sleep', requireScope('device:control'), async (req, res, next) => {
+  try {
+    const at = await timerTime(req.body);
+    if (at === null) {
+      return res.status(400).json({ error: 'Give either minutes (1-1440) or time (HH:MM)' });
+    }
+
+    const screen = await req.device.screen.setTimer('sleep', at);
+    res.json({ success: true, screen });
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * POST /api/device/options
- * Update multiple settings at once
- * Body: { brightness: number, interval: number, startHour: number, endHour: number }
+ * DELETE /api/device/screen/sleep
+ * Cancel the sleep timer
  */
-router.post('/options', async (req, res, next) => {
+router.delete('/screen/sleep', requireScope('device:control'), async (req, res, next) => {
   try {
-    const { brightness = -1, interval = 5, startHour = -1, endHour = -1 } = req.body;
+    const screen = await req.device.screen.clearTimer('sleep');
+    res.json({ success: true, screen });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Validate brightness (-1 for auto, or 0.0-1.0)
-    if (brightness !== -1 && (brightness < 0 || brightness > 1)) {
-      return res.status(400).json({ error: 'Brightness must be -1 (auto) or 0.0-1.0' });
+/**
+ * POST /api/device/screen/wake
+ * Turn the screen back on later, as POST /api/device/screen/sleep
+ * Body: { minutes: number (1-1440) } or { time: 'HH:MM' }
+ */
+router.post('/screen/wake', requireScope('device:control'), async (req, res, next) => {
+  try {
+    const at = await timerTime(req.body);
+    if (at === null) {
+      return res.status(400).json({ error: 'Give either minutes (1-1440) or time (HH:MM)' });
     }
 
-    // Validate interval (1-60 minutes)
-    if (!Number.isInteger(interval) || interval < 1 || interval > 60) {
-      return res.status(400).json({ error: 'Interval must be 1-60 minutes' });
-    }
+    const screen = await req.device.screen.setTimer('wake', at);
+    res.json({ success: true, screen });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Validate quiet hours (-1 to disable, or 0-23)
-    if (startHour !== -1 && (!Number.isInteger(startHour) || startHour < 0 || startHour > 23)) {
-      return res.status(400).json({ error: 'Start hour must be -1 (disabled) or 0-23' });
-    }
-    if (endHour !== -1 && (!Number.isInteger(endHour) || endHour < 0 || endHour > 23)) {
-      return res.status(400).json({ error: 'End hour must be -1 (disabled) or 0-23' });
+/**
+ * DELETE /api/device/screen/wake
+ * Cancel the wake timer
+ */
+router.delete('/screen/wake', requireScope('device:control'), async (req, res, next) => {
+  try {
+    const screen = await req.device.screen.clearTimer('wake');
+    res.json({ success: true, screen });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/device/tag
+ * Change the Flickr tag
+ * Body: { tag: string, name?: string } - tags can't contain commas or control characters
+ */
+router.post('/tag', requireScope('device:control'), async (req, res, next) => {
+  try {
+    const { tag, name } = req.body;
+
+    // The command builder checks the tag, answering 400 if the EO1 can't take it
+    const target = getTarget(req);
+    await target.setTag(tag);
+
+    // The device now cycles the tag itself, so stop any server-driven slideshow
+    await getPlayback(req).yieldToManual();
+
+    if (!requestContext.isDryRun()) {
+      // Track current source
+      await settingsManager.setCurrentSource({
+        type: 'tag',
+        value: tag.trim(),
+        name: name || tag.trim(),
+        url: `https://www.flickr.com/photos/tags/${encodeURIComponent(tag.trim())}/`
+      }, req.device.id);
     }
 
-    const socket = getSocket(req);
-    await socket.setOptions(brightness, interval, startHour, endHour);
+    res.json({ success: true, action: 'setTag', tag: tag.trim() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/device/options
+ * Update multiple settings at once (the brightness pauses a brightness curve, as above)
+ * Body: { brightness: number, interval: number, startHour: number, endHour: number }
+ */
+router.post('/options', requireScope('device:control'), async (req, res, next) => {
+  try {
+    const { brightness = -1, interval = 5, startHour = -1, endHour = -1 } = req.body;
+
+    // The command builder checks the ranges, answering 400 before anything changes
+    const target = getTarget(req);
+    await target.setOptions(brightness, interval, startHour, endHour);
+    const curvePausedUntil = await req.device.curve.pause();
+    await req.device.screen.noteBrightness(brightness);
     res.json({
       success: true,
       action: 'setOptions',
-      options: { brightness, interval, startHour, endHour }
+      options: { brightness, interval, startHour, endHour },
+      curvePausedUntil
     });
   } catch (error) {
     next(error);
@@ -238,27 +425,134 @@ router.post('/options', async (req, res, next) => {
 });
 
 /**
- * POST /api/device/scan
- * Scan network for EO1 devices (port 12345)
- * Body: { subnet?: string } - Optional subnet override
+ * Work out which ranges to scan
+ * @param {string|string[]} [subnet] - CIDR ranges (comma-separated or array), or a
+ *   '192.168.1' prefix. Defaults to every non-internal interface's network.
+ * @returns {{ error?: string, subnets?: string[], total?: number }}
+ */
+function resolveScanRanges(subnet) {
+  const requested = Array.isArray(subnet)
+    ? subnet
+    : String(subnet || '').split(',').map(s => s.trim()).filter(Boolean);
+  const subnets = requested.length > 0 ? requested : EO1Socket.detectSubnets();
+
+  if (subnets.length === 0) {
+    return { error: 'Could not detect network subnet' };
+  }
+
+  const ranges = subnets.map(parseCidr);
+  const invalid = subnets.find((s, i) => !ranges[i]);
+  if (invalid) {
+    return { error: `Invalid network range "${invalid}". Use CIDR notation, e.g. 192.168.1.0/24` };
+  }
+
+  const total = ranges.reduce((sum, range) => sum + range.count, 0);
+  const maxHosts = config.get('eo1.scan.maxHosts');
+  if (total > maxHosts) {
+    return { error: `Range too large (${total} hosts). Scan at most ${maxHosts} hosts at a time` };
+  }
+
+  return { subnets: ranges.map(range => range.cidr), total };
+}
+
+/**
+ * GET /api/device/scan
+ * Scan the network for EO1 devices, streaming progress as Server-Sent Events
+ * Query: ?subnet=10.0.0.0/22[,192.168.1.0/24] (defaults to all local networks)
+ * Events:
+ *   start    { subnets, total }
+ *   progress { scanned, total }
+ *   found    { ip, hostname, mac }
+ *   done     { subnets, devices: [{ ip, hostname, mac }], found, scanned, total }
+ *   failed   { error }
  */
-router.post('/scan', async (req, res, next) => {
+router.get('/scan', requireScope('device:control'), async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const { error, subnets, total } = resolveScanRanges(req.query.subnet);
+  if (error) {
+    send('failed', { error });
+    return res.end();
+  }
+
+  // Stop probing if the browser goes away
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  console.log(`Scanning ${subnets.join(', ')} for EO1 devices...`);
+  send('start', { subnets, total });
+
+  // Progress fires per host, so only pass it on every so often
+  let lastProgress = 0;
+  let scanned = 0;
+  const identified = [];
+
   try {
-    const { subnet } = req.body;
+    await EO1Socket.scanNetwork(subnets, {
+      timeout: config.get('eo1.scan.timeout'),
+      concurrency: config.get('eo1.scan.concurrency'),
+      signal: controller.signal,
+      // Look up hostname and MAC while the ARP entry is fresh
+      onFound: (ip) => identified.push(
+        DeviceDiscovery.identify([ip]).then(([device]) => {
+          send('found', device);
+          return device;
+        })
+      ),
+      onProgress: (progress) => {
+        scanned = progress.scanned;
+        if (Date.now() - lastProgress >= 200) {
+          lastProgress = Date.now();
+          send('progress', progress);
+        }
+      }
+    });
+
+    const devices = await Promise.all(identified);
+    await settingsManager.recordDiscovered(devices);
 
-    // Auto-detect subnet if not provided
-    const targetSubnet = subnet || EO1Socket.detectSubnet();
+    send('done', { subnets, devices, found: devices.length, scanned, total });
+  } catch (err) {
+    send('failed', { error: err.message });
+  }
+  res.end();
+});
 
-    if (!targetSubnet) {
-      return res.status(400).json({ error: 'Could not detect network subnet' });
+/**
+ * POST /api/device/scan
+ * Scan the network for EO1 devices and return all results at once
+ * Body: { subnet?: string|string[] } - CIDR ranges (defaults to all local networks)
+ * Returns devices as [{ ip, hostname, mac }]
+ */
+router.post('/scan', requireScope('device:control'), async (req, res, next) => {
+  try {
+    const { error, subnets } = resolveScanRanges(req.body.subnet);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    console.log(`Scanning ${targetSubnet}.* for EO1 devices...`);
-    const devices = await EO1Socket.scanNetwork(targetSubnet, 500);
+    console.log(`Scanning ${subnets.join(', ')} for EO1 devices...`);
+    const ips = await EO1Socket.scanNetwork(subnets, {
+      timeout: config.get('eo1.scan.timeout'),
+      concurrency: config.get('eo1.scan.concurrency')
+    });
+
+    const devices = await DeviceDiscovery.identify(ips);
+    await settingsManager.recordDiscovered(devices);
 
     res.json({
       success: true,
-      subnet: targetSubnet,
+      subnet: subnets.join(', '),
+      subnets,
       devices,
       found: devices.length
     });
@@ -267,4 +561,93 @@ router.post('/scan', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/device/playback
+ * Get server-driven slideshow status
+ */
+router.get('/playback', requireScope('device:read'), (req, res) => {
+  res.json(getPlayback(req).status());
+});
+
+/**
+ * POST /api/device/playback/start
+ * Play a preset on the device, pushing photos on the slideshow interval
+ * Body: { presetId: string, searchParams?: Object, interval?: number }
+ */
+router.post('/playback/start', requireScope('device:control'), async (req, res, next) => {
+  try {
+    const { presetId, searchParams, interval } = req.body;
+
+    if (!presetId) {
+      return res.status(400).json({ error: 'presetId is required' });
+    }
+
+    if (interval !== undefined && (!Number.isInteger(interval) || interval < 1 || interval > 60)) {
+      return res.status(400).json({ error: 'Interval must be 1-60 minutes' });
+    }
+
+    const preset = await presetStore.get(presetId);
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+    if (!PlaybackEngine.isPlayable(preset)) {
+      return res.status(400).json({ error: `${preset.name} can't be played on the device` });
+    }
+
+    const status = await getPlayback(req).start(preset, { searchParams, interval });
+    res.json({ success: true, action: 'playbackStart', playback: status });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/device/playback/stop
+ * Stop the server-driven slideshow (current photo stays on screen)
+ */
+router.post('/playback/stop', requireScope('device:control'), async (req, res, next) => {
+  try {
+    const status = await getPlayback(req).stop();
+    res.json({ success: true, action: 'playbackStop', playback: status });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/device/playback/next
+ * Show the next photo in the playing preset
+ */
+router.post('/playback/next', requireScope('device:control'), async (req, res, next) => {
+  try {
+    const playback = getPlayback(req);
+    if (!playback.active) {
+      return res.status(409).json({ error: 'Playback is not running' });
+    }
+
+    const status = await playback.next();
+    res.json({ success: true, action: 'playbackNext', playback: status });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/device/playback/previous
+ * Show the previous photo in the playing preset
+ */
+router.post('/playback/previous', requireScope('device:control'), async (req, res, next) => {
+  try {
+    const playback = getPlayback(req);
+    if (!playback.active) {
+      return res.status(409).json({ error: 'Playback is not running' });
+    }
+
+    const status = await playback.previous();
+    res.json({ success: true, action: 'playbackPrevious', playback: status });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,238 @@
+/**
+ * Device Registry API Routes
+ * Manages the list of EO1 devices the controller can target
+ */
+
+const express = require('express');
+const config = require('config');
+const router = express.Router();
+const settingsManager = require('../../services/settings-manager');
+const { requireScope } = require('../../services/auth');
+
+const DEVICE_TYPES = ['eo1', 'virtual'];
+
+/**
+ * Get the device registry from the app
+ */
+const getDevices = (req) => {
+  return req.app.get('devices');
+};
+
+/**
+ * Validate device fields
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Whether fields are optional (updates)
+ * @param {string} [type] - Device type: 'eo1' (default) or 'virtual'
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateDevice(body, partial, type = 'eo1') {
+  const { name, ip, port, room, mac } = body;
+
+  if (!DEVICE_TYPES.includes(type)) {
+    return `Type must be one of: ${DEVICE_TYPES.join(', ')}`;
+  }
+
+  if (name !== undefined || !partial) {
+    if (!name || typeof name !== 'string' || name.length > 50) {
+      return 'Name is required (max 50 characters)';
+    }
+  }
+
+  // Virtual frames connect to the server, so have no address
+  if (type === 'virtual') {
+    return ip !== undefined || port !== undefined || mac !== undefined
+      ? 'Virtual frames have no IP address, port or MAC'
+      : null;
+  }
+
+  if (ip !== undefined || !partial) {
+    const ipRegex = /^(\d{1,3}\.){3}\d{1,3}$/;
+    if (!ip || !ipRegex.test(ip)) {
+      return 'Invalid IP address format';
+    }
+  }
+
+  if (port !== undefined && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+    return 'Port must be 1-65535';
+  }
+
+  if (room !== undefined && (typeof room !== 'string' || room.length > 50)) {
+    return 'Room must be a string (max 50 characters)';
+  }
+
+  if (mac !== undefined && mac !== null && !/^([0-9a-f]{2}:){5}[0-9a-f]{2}$/i.test(mac)) {
+    return 'Invalid MAC address format';
+  }
+
+  return null;
+}
+
+/**
+ * GET /api/devices
+ * List registered devices
+ */
+router.get('/', requireScope('device:read'), async (req, res, next) => {
+  try {
+    const devices = await settingsManager.getDevices();
+    const defaultId = settingsManager.getDefaultDeviceId();
+
+    res.json({
+      devices: devices.map(device => ({ ...device, isDefault: device.id === defaultId }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Fill in a device's MAC from scan results when it wasn't given
+ * @param {Object} fields - Device fields being saved
+ */
+async function withDiscoveredMac(fields) {
+  if (fields.mac !== undefined || !fields.ip) {
+    return fields;
+  }
+  const discovered = await settingsManager.getDiscoveredDevices();
+  const match = discovered.find(d => d.ip === fields.ip && d.mac);
+  return match ? { ...fields, mac: match.mac } : fields;
+}
+
+/**
+ * GET /api/devices/discovered
+ * EO1s found by network scans, with hostname, MAC and when they were last seen
+ */
+router.get('/discovered', requireScope('device:read'), async (req, res, next) => {
+  try {
+    const discovered = await settingsManager.getDiscoveredDevices();
+    res.json({ devices: discovered });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/devices/:id
+ * Get a single device
+ */
+router.get('/:id', requireScope('device:read'), async (req, res, next) => {
+  try {
+    const device = await settingsManager.getDevice(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    res.json({ device });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/devices
+ * Register a new device
+ * Body: { name: string, ip: string, port?: number, room?: string, mac?: string }
+ *   or { name: string, type: 'virtual', room?: string } for a browser frame (see /frame)
+ * The MAC is filled in from scan results if not given
+ */
+router.post('/', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const { name, ip, port, room, mac, type } = req.body;
+    const error = validateDevice(req.body, false, type);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const fields = type === 'virtual'
+      ? { name: name.trim(), type, room: room ? room.trim() : '' }
+      : await withDiscoveredMac({ name: name.trim(), ip, port, room: room ? room.trim() : '', mac: mac ? mac.toLowerCase() : undefined });
+    const device = await getDevices(req).add(fields);
+
+    res.json({ success: true, device });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/devices/emulator
+ * Register the local EO1 emulator (`npm run emulator`), or return it if it's already registered
+ */
+router.post('/emulator', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const ip = '127.0.0.1';
+    const port = config.get('emulator.port');
+    const devices = await settingsManager.getDevices();
+
+    const existing = devices.find(d => d.ip === ip && d.port === port);
+    if (existing) {
+      return res.json({ success: true, device: existing, created: false });
+    }
+
+    const device = await getDevices(req).add({ name: 'Emulator', ip, port, room: 'Local' });
+    res.json({ success: true, device, created: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/devices/:id
+ * Update a device
+ * Body: { name?: string, ip?: string, port?: number, room?: string, mac?: string|null }
+ * Changing the IP picks up the MAC seen at that address by a scan, if any
+ */
+router.put('/:id', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const existing = await settingsManager.getDevice(req.params.id);
+    const error = validateDevice(req.body, true, existing ? existing.type : undefined);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    let updates = {};
+    for (const field of ['name', 'ip', 'port', 'room', 'mac']) {
+      if (req.body[field] !== undefined) {
+        updates[field] = typeof req.body[field] === 'string' ? req.body[field].trim() : req.body[field];
+      }
+    }
+    if (updates.mac) {
+      updates.mac = updates.mac.toLowerCase();
+    }
+    updates = await withDiscoveredMac(updates);
+
+    const device = await getDevices(req).update(req.params.id, updates);
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    res.json({ success: true, device });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/devices/:id
+ * Remove a device (the last remaining device can't be removed)
+ */
+router.delete('/:id', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const devices = await settingsManager.getDevices();
+
+    if (!devices.some(d => d.id === req.params.id)) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    if (devices.length === 1) {
+      return res.status(400).json({ error: 'Cannot remove the only device' });
+    }
+
+    await getDevices(req).remove(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * Dry Run API Routes
+ * Turn dry-run mode on or off for every command, and list what it intercepted
+ *
+ * A single request can also be a dry run with an `X-Dry-Run: 1` header or
+ * `?dryRun=1` (see DryRun).
+ */
+
+const express = require('express');
+const router = express.Router();
+const settingsManager = require('../../services/settings-manager');
+const dryRun = require('../../services/dry-run');
+const { requireScope } = require('../../services/auth');
+
+/**
+ * GET /api/dry-run
+ * Whether dry-run mode is on, and the commands it has intercepted (newest first)
+ */
+router.get('/', requireScope('device:read'), async (req, res, next) => {
+  try {
+    res.json({
+      enabled: await settingsManager.getDryRun(),
+      commands: dryRun.list()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/dry-run
+ * Turn dry-run mode on or off for every command
+ * Body: { enabled: boolean }
+ */
+router.put('/', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const { enabled } = req.body || {};
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+
+    res.json({ success: true, enabled: await settingsManager.setDryRun(enabled) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/dry-run/commands
+ * Clear the intercepted commands
+ */
+router.delete('/commands', requireScope('settings:write'), (req, res) => {
+  dryRun.clear();
+  res.json({ success: true });
+});
+
+module.exports = router;
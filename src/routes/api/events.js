@@ -0,0 +1,51 @@
+/**
+ * Event Stream API Route
+ * Pushes state changes to open browsers as Server-Sent Events
+ */
+
+const express = require('express');
+const config = require('config');
+const router = express.Router();
+const events = require('../../services/event-bus');
+const { requireScope } = require('../../services/auth');
+
+/**
+ * GET /api/events
+ * Stream every state change as it's saved. Each event is named by its type
+ * and carries { id, type, deviceId, clientId, at, data }:
+ *   source, history, slideshow, curve, screen, playback - per device
+ *   displayed - a photo or video reached the device ({ photoId, media })
+ *   device-error - a command failed ({ command, error, health })
+ *   intercepted - dry-run mode held a command back ({ at, host, port, command, origin }, or { cleared: true })
+ *   dry-run - dry-run mode was turned on or off ({ enabled })
+ *   devices, groups, playlists, schedules, timezone, location, presets, webhooks, tokens - shared settings
+ * Query: deviceId? - only that device's events (shared ones are always sent)
+ */
+router.get('/', requireScope('device:read'), (req, res) => {
+  const { deviceId } = req.query;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    if (deviceId && event.deviceId && event.deviceId !== deviceId) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // A comment now and then stops proxies timing out a quiet stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), config.get('events.keepAlive'));
+
+  events.on('event', send);
+  res.write(': connected\n\n');
+
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    events.off('event', send);
+  });
+});
+
+module.exports = router;
@@ -5,6 +5,8 @@
 
 const express = require('express');
 const router = express.Router();
+const FlickrClient = require('../../services/flickr-client');
+const { requireScope } = require('../../services/auth');
 
 /**
  * Middleware to get the Flickr client from the app
@@ -13,40 +15,12 @@ const getFlickr = (req) => {
   return req.app.get('flickrClient');
 };
 
-/**
- * Transform a Flickr photo object into a standardized format
- * @param {Object} photo - Raw Flickr photo object
- * @returns {Object} - Standardized photo object
- */
-function transformPhoto(photo) {
-  // Get dimensions - prefer original, fall back to large, then medium
-  const width = photo.o_width ? parseInt(photo.o_width) :
-                photo.width_l ? parseInt(photo.width_l) :
-                photo.width_m ? parseInt(photo.width_m) : null;
-  const height = photo.o_height ? parseInt(photo.o_height) :
-                 photo.height_l ? parseInt(photo.height_l) :
-                 photo.height_m ? parseInt(photo.height_m) : null;
-
-  return {
-    id: photo.id,
-    owner: photo.owner,
-    title: photo.title,
-    media: photo.media || 'photo',
-    thumbnailUrl: photo.url_n || photo.url_m || photo.url_sq,
-    mediumUrl: photo.url_m,
-    largeUrl: photo.url_l,
-    originalUrl: photo.url_o,
-    width,
-    height
-  };
-}
-
 /**
  * GET /api/flickr/user/:userId/photos
  * Get public photos from a Flickr user
  * Query params: page (default: 1), per_page (default: 24)
  */
-router.get('/user/:userId/photos', async (req, res, next) => {
+router.get('/user/:userId/photos', requireScope('flickr:read'), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const page = parseInt(req.query.page) || 1;
@@ -60,7 +34,7 @@ router.get('/user/:userId/photos', async (req, res, next) => {
     const result = await flickr.getUserPhotos(userId, page, perPage);
 
     // Transform response for easier frontend consumption
-    const photos = (result.photos.photo || []).map(transformPhoto);
+    const photos = (result.photos.photo || []).map(FlickrClient.transformPhoto);
 
     res.json({
       photos,
@@ -79,7 +53,7 @@ router.get('/user/:userId/photos', async (req, res, next) => {
  * Search photos by tag(s)
  * Query params: tags (required), page (default: 1), per_page (default: 24)
  */
-router.get('/search', async (req, res, next) => {
+router.get('/search', requireScope('flickr:read'), async (req, res, next) => {
   try {
     const { tags } = req.query;
     const page = parseInt(req.query.page) || 1;
@@ -93,7 +67,7 @@ router.get('/search', async (req, res, next) => {
     const result = await flickr.searchByTag(tags, page, perPage);
 
     // Transform response for easier frontend consumption
-    const photos = (result.photos.photo || []).map(transformPhoto);
+    const photos = (result.photos.photo || []).map(FlickrClient.transformPhoto);
 
     res.json({
       photos,
@@ -114,7 +88,7 @@ router.get('/search', async (req, res, next) => {
  * Body: { text, orientation?, min_width?, min_height?, content_type? }
  * Query params: page (default: 1), per_page (default: 24)
  */
-router.post('/search/advanced', async (req, res, next) => {
+router.post('/search/advanced', requireScope('flickr:read'), async (req, res, next) => {
   try {
     const {
       text, orientation, min_width, min_height, content_type,
@@ -143,7 +117,7 @@ router.post('/search/advanced', async (req, res, next) => {
     const result = await flickr.advancedSearch(searchParams, page, perPage);
 
     // Transform response for easier frontend consumption
-    const photos = (result.photos.photo || []).map(transformPhoto);
+    const photos = (result.photos.photo || []).map(FlickrClient.transformPhoto);
 
     res.json({
       photos,
@@ -162,7 +136,7 @@ router.post('/search/advanced', async (req, res, next) => {
  * GET /api/flickr/photo/:photoId/sizes
  * Get available sizes for a photo
  */
-router.get('/photo/:photoId/sizes', async (req, res, next) => {
+router.get('/photo/:photoId/sizes', requireScope('flickr:read'), async (req, res, next) => {
   try {
     const { photoId } = req.params;
 
@@ -201,7 +175,7 @@ router.get('/photo/:photoId/sizes', async (req, res, next) => {
  * GET /api/flickr/photo/:photoId/info
  * Get detailed info about a photo
  */
-router.get('/photo/:photoId/info', async (req, res, next) => {
+router.get('/photo/:photoId/info', requireScope('flickr:read'), async (req, res, next) => {
   try {
     const { photoId } = req.params;
 
@@ -237,7 +211,7 @@ router.get('/photo/:photoId/info', async (req, res, next) => {
  * GET /api/flickr/user/:userId/albums
  * Get a user's photosets/albums
  */
-router.get('/user/:userId/albums', async (req, res, next) => {
+router.get('/user/:userId/albums', requireScope('flickr:read'), async (req, res, next) => {
   try {
     const { userId } = req.params;
 
@@ -276,7 +250,7 @@ router.get('/user/:userId/albums', async (req, res, next) => {
  * Get photos from a photoset/album
  * Query params: user_id (required), page (default: 1)
  */
-router.get('/album/:albumId/photos', async (req, res, next) => {
+router.get('/album/:albumId/photos', requireScope('flickr:read'), async (req, res, next) => {
   try {
     const { albumId } = req.params;
     const { user_id: userId } = req.query;
@@ -294,7 +268,7 @@ router.get('/album/:albumId/photos', async (req, res, next) => {
     const result = await flickr.getPhotosetPhotos(albumId, userId, page, perPage);
 
     // Transform response
-    const photos = (result.photoset.photo || []).map(transformPhoto);
+    const photos = (result.photoset.photo || []).map(FlickrClient.transformPhoto);
 
     res.json({
       photos,
@@ -315,7 +289,7 @@ router.get('/album/:albumId/photos', async (req, res, next) => {
  * Get photos from a group pool
  * Query params: page (default: 1), per_page (default: 24)
  */
-router.get('/group/:groupId/photos', async (req, res, next) => {
+router.get('/group/:groupId/photos', requireScope('flickr:read'), async (req, res, next) => {
   try {
     const { groupId } = req.params;
     const page = parseInt(req.query.page) || 1;
@@ -329,7 +303,7 @@ router.get('/group/:groupId/photos', async (req, res, next) => {
     const result = await flickr.getGroupPhotos(groupId, page, perPage);
 
     // Transform response
-    const photos = (result.photos.photo || []).map(transformPhoto);
+    const photos = (result.photos.photo || []).map(FlickrClient.transformPhoto);
 
     res.json({
       photos,
@@ -349,7 +323,7 @@ router.get('/group/:groupId/photos', async (req, res, next) => {
  * Get photos from a gallery
  * Query params: page (default: 1), per_page (default: 24)
  */
-router.get('/gallery/:galleryId/photos', async (req, res, next) => {
+router.get('/gallery/:galleryId/photos', requireScope('flickr:read'), async (req, res, next) => {
   try {
     const { galleryId } = req.params;
     const page = parseInt(req.query.page) || 1;
@@ -363,7 +337,7 @@ router.get('/gallery/:galleryId/photos', async (req, res, next) => {
     const result = await flickr.getGalleryPhotos(galleryId, page, perPage);
 
     // Transform response
-    const photos = (result.photos.photo || []).map(transformPhoto);
+    const photos = (result.photos.photo || []).map(FlickrClient.transformPhoto);
 
     res.json({
       photos,
@@ -383,7 +357,7 @@ router.get('/gallery/:galleryId/photos', async (req, res, next) => {
  * Get interesting photos from Flickr Explore
  * Query params: page (default: 1), per_page (default: 24)
  */
-router.get('/explore', async (req, res, next) => {
+router.get('/explore', requireScope('flickr:read'), async (req, res, next) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const perPage = parseInt(req.query.per_page) || 24;
@@ -392,7 +366,7 @@ router.get('/explore', async (req, res, next) => {
     const result = await flickr.getInterestingPhotos(page, perPage);
 
     // Transform response
-    const photos = (result.photos.photo || []).map(transformPhoto);
+    const photos = (result.photos.photo || []).map(FlickrClient.transformPhoto);
 
     res.json({
       photos,
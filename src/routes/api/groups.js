@@ -0,0 +1,348 @@
+/**
+ * Device Group API Routes
+ * Named groups of EO1s that can be sent one command in parallel
+ *
+ * Broadcast commands report each member's outcome rather than failing as a
+ * whole, so one unplugged frame doesn't hide that the others updated.
+ */
+
+const express = require('express');
+const router = express.Router();
+const settingsManager = require('../../services/settings-manager');
+const { requireScope } = require('../../services/auth');
+const eo1Command = require('../../services/eo1-command');
+const requestContext = require('../../utils/request-context');
+
+const COMMANDS = ['image', 'tag', 'brightness', 'options', 'screen', 'resume'];
+
+/**
+ * Get the device registry from the app
+ */
+const getDevices = (req) => {
+  return req.app.get('devices');
+};
+
+/**
+ * Validate group fields
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Whether fields are optional (updates)
+ * @param {Object[]} devices - Registered devices
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateGroup(body, partial, devices) {
+  const { name, deviceIds } = body;
+
+  if (name !== undefined || !partial) {
+    if (!name || typeof name !== 'string' || name.length > 50) {
+      return 'Name is required (max 50 characters)';
+    }
+  }
+
+  if (deviceIds !== undefined || !partial) {
+    if (!Array.isArray(deviceIds)) {
+      return 'deviceIds must be an array';
+    }
+    const unknown = deviceIds.find(id => !devices.some(d => d.id === id));
+    if (unknown !== undefined) {
+      return `Device "${unknown}" not found`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a broadcast command and build the task to run on each member
+ * Tag and options arguments go through the command builder here, before any
+ * member is contacted, so a bad one is reported once as a 400.
+ * @param {Object} body - { command, ...args } using the same args as /api/device
+ * @returns {{ error?: string, task?: Function, details?: Object }}
+ * @throws {CommandError} - Arguments the EO1 can't take
+ */
+function buildCommand(body) {
+  const { command } = body;
+
+  switch (command) {
+    case 'image': {
+      const { photoId, media, title, thumbnailUrl, owner } = body;
+      if (!photoId || !/^\d+$/.test(String(photoId))) {
+        return { error: 'Invalid photo ID' };
+      }
+      const isVideo = media === 'video';
+      const label = title || `${isVideo ? 'Video' : 'Photo'} ${photoId}`;
+
+      return {
+        details: { photoId: String(photoId), media: isVideo ? 'video' : 'photo' },
+        task: async (entry) => {
+          await entry.playback.yieldToManual();
+
+          if (isVideo) {
+            await entry.target.displayVideo(photoId);
+          } else {
+            await entry.target.displayImage(photoId);
+          }
+          if (requestContext.isDryRun()) {
+            return;
+          }
+
+          await settingsManager.setCurrentSource({
+            type: isVideo ? 'video' : 'photo',
+            value: String(photoId),
+            name: label,
+            url: `https://www.flickr.com/photos/${owner || 'any'}/${photoId}/`,
+            thumbnailUrl: thumbnailUrl || null
+          }, entry.id);
+
+          await settingsManager.addToHistory({
+            id: String(photoId),
+            owner: owner || null,
+            title: label,
+            thumbnailUrl: thumbnailUrl || null,
+            media: isVideo ? 'video' : 'photo'
+          }, entry.id);
+        }
+      };
+    }
+
+    case 'tag': {
+      const { tag, name } = body;
+      eo1Command.tag(tag);
+      const value = tag.trim();
+
+      return {
+        details: { tag: value },
+        task: async (entry) => {
+          await entry.target.setTag(value);
+
+          // The device now cycles the tag itself, so stop any server-driven slideshow
+          await entry.playback.yieldToManual();
+          if (requestContext.isDryRun()) {
+            return;
+          }
+
+          await settingsManager.setCurrentSource({
+            type: 'tag',
+            value,
+            name: name || value,
+            url: `https://www.flickr.com/photos/tags/${encodeURIComponent(value)}/`
+          }, entry.id);
+        }
+      };
+    }
+
+    case 'brightness': {
+      const { level, auto } = body;
+      if (!auto && !(typeof level === 'number' && level >= 0 && level <= 1)) {
+        return { error: 'Invalid brightness level. Must be 0.0-1.0 or { auto: true }' };
+      }
+      const value = auto ? -1 : level;
+
+      return {
+        details: auto ? { auto: true } : { level },
+        task: async (entry) => {
+          await entry.target.setBrightness(value);
+          await entry.curve.pause();
+          await entry.screen.noteBrightness(value);
+        }
+      };
+    }
+
+    case 'options': {
+      const { brightness = -1, interval = 5, startHour = -1, endHour = -1 } = body;
+      eo1Command.options(brightness, interval, startHour, endHour);
+
+      return {
+        details: { options: { brightness, interval, startHour, endHour } },
+        task: async (entry) => {
+          await entry.target.setOptions(brightness, interval, startHour, endHour);
+          await entry.curve.pause();
+          await entry.screen.noteBrightness(brightness);
+        }
+      };
+    }
+
+    case 'screen': {
+      const { on } = body;
+      if (typeof on !== 'boolean') {
+        return { error: 'on must be true or false' };
+      }
+
+      return {
+        details: { on },
+        task: (entry) => on ? entry.screen.turnOn() : entry.screen.turnOff()
+      };
+    }
+
+    case 'resume':
+      return {
+        details: {},
+        task: (entry) => entry.target.resume()
+      };
+
+    default:
+      return { error: `Command must be one of: ${COMMANDS.join(', ')}` };
+  }
+}
+
+/**
+ * GET /api/groups
+ * List device groups
+ */
+router.get('/', requireScope('device:read'), async (req, res, next) => {
+  try {
+    const groups = await settingsManager.getGroups();
+    res.json({ groups });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/groups/:id
+ * Get a single group
+ */
+router.get('/:id', requireScope('device:read'), async (req, res, next) => {
+  try {
+    const group = await settingsManager.getGroup(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    res.json({ group });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/groups
+ * Create a group
+ * Body: { name: string, deviceIds: string[] }
+ */
+router.post('/', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const devices = await settingsManager.getDevices();
+    const error = validateGroup(req.body, false, devices);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { name, deviceIds } = req.body;
+    const group = await settingsManager.addGroup({ name: name.trim(), deviceIds: [...new Set(deviceIds)] });
+
+    res.json({ success: true, group });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/groups/:id
+ * Update a group
+ * Body: { name?: string, deviceIds?: string[] }
+ */
+router.put('/:id', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const devices = await settingsManager.getDevices();
+    const error = validateGroup(req.body, true, devices);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updates = {};
+    if (req.body.name !== undefined) {
+      updates.name = req.body.name.trim();
+    }
+    if (req.body.deviceIds !== undefined) {
+      updates.deviceIds = [...new Set(req.body.deviceIds)];
+    }
+
+    const group = await settingsManager.updateGroup(req.params.id, updates);
+
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    res.json({ success: true, group });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/groups/:id
+ * Remove a group (its devices are kept)
+ */
+router.delete('/:id', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const removed = await settingsManager.removeGroup(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/groups/:id/command
+ * Send one command to every device in the group in parallel
+ * Body: { command: 'image'|'tag'|'brightness'|'options'|'screen'|'resume', ...args }
+ *   image: { photoId, media?: 'photo'|'video', title?, thumbnailUrl?, owner? }
+ *   tag: { tag, name? }
+ *   brightness: { level } or { auto: true }
+ *   options: { brightness, interval, startHour, endHour }
+ *   screen: { on } - turn each screen off, or back on at its last level
+ * brightness and options pause each device's brightness curve until its next keyframe.
+ * Responds 200 when every device succeeded, 207 when some failed and 503 when
+ * none could be reached. The per-device report is always included.
+ */
+router.post('/:id/command', requireScope('device:control'), async (req, res, next) => {
+  try {
+    const group = await settingsManager.getGroup(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    if (group.deviceIds.length === 0) {
+      return res.status(400).json({ error: 'Group has no devices' });
+    }
+
+    const { error, task, details } = buildCommand(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const results = await getDevices(req).broadcast(group.deviceIds, task);
+    const devices = await settingsManager.getDevices();
+    for (const result of results) {
+      const device = devices.find(d => d.id === result.deviceId);
+      result.name = device ? device.name : result.deviceId;
+    }
+
+    const succeeded = results.filter(r => r.success).length;
+    const failed = results.length - succeeded;
+    const status = failed === 0 ? 200 : (succeeded > 0 ? 207 : 503);
+
+    res.status(status).json({
+      success: failed === 0,
+      partial: succeeded > 0 && failed > 0,
+      action: 'groupCommand',
+      command: req.body.command,
+      ...details,
+      group: { id: group.id, name: group.name },
+      succeeded,
+      failed,
+      results,
+      ...(succeeded === 0 && { error: `No devices in ${group.name} could be reached` })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+/**
+ * Incoming Webhook Route
+ * Lets scripts and home-automation tools run a saved action with one POST
+ *
+ * The token in the URL is the only credential, so it's never written to the
+ * command log: commands are logged with the origin `webhook:<id>` instead.
+ */
+
+const express = require('express');
+const router = express.Router();
+const settingsManager = require('../../services/settings-manager');
+const presetStore = require('../../services/preset-store');
+const PlaybackEngine = require('../../services/playback-engine');
+const requestContext = require('../../utils/request-context');
+
+/**
+ * Build the task a webhook runs on each of its devices
+ * Presets and playlists are looked up now, so edits since the webhook was made count
+ * @param {Object} webhook - Saved webhook
+ * @returns {Promise<{ error?: string, task?: Function }>}
+ */
+async function buildTask(webhook) {
+  switch (webhook.action) {
+    case 'preset': {
+      const preset = await presetStore.get(webhook.presetId);
+      if (!PlaybackEngine.isPlayable(preset)) {
+        return { error: `Preset "${webhook.presetId}" no longer exists` };
+      }
+      return { task: (entry) => entry.playback.play(preset) };
+    }
+
+    case 'playlist': {
+      const playlist = await settingsManager.getPlaylist(webhook.playlistId);
+      if (!playlist) {
+        return { error: `Playlist "${webhook.playlistId}" no longer exists` };
+      }
+      if (playlist.items.length === 0) {
+        return { error: `${playlist.name} has no photos yet` };
+      }
+      return {
+        task: (entry) => entry.playback.start(PlaybackEngine.playlistPreset(playlist), { shuffle: webhook.shuffle })
+      };
+    }
+
+    case 'photo': {
+      const { photoId, media } = webhook;
+      const isVideo = media === 'video';
+      const label = webhook.title || `${isVideo ? 'Video' : 'Photo'} ${photoId}`;
+
+      return {
+        task: async (entry) => {
+          await entry.playback.yieldToManual();
+
+          if (isVideo) {
+            await entry.target.displayVideo(photoId);
+          } else {
+            await entry.target.displayImage(photoId);
+          }
+          if (requestContext.isDryRun()) {
+            return;
+          }
+
+          await settingsManager.setCurrentSource({
+            type: media,
+            value: photoId,
+            name: label,
+            url: `https://www.flickr.com/photos/any/${photoId}/`,
+            thumbnailUrl: null
+          }, entry.id);
+
+          await settingsManager.addToHistory({
+            id: photoId,
+            owner: null,
+            title: label,
+            thumbnailUrl: null,
+            media
+          }, entry.id);
+        }
+      };
+    }
+
+    case 'brightness':
+      return {
+        task: async (entry) => {
+          await entry.target.setBrightness(webhook.level);
+          await entry.curve.pause();
+          await entry.screen.noteBrightness(webhook.level);
+        }
+      };
+
+    case 'resume':
+      return { task: (entry) => entry.target.resume() };
+
+    default:
+      return { error: `Unknown action "${webhook.action}"` };
+  }
+}
+
+/**
+ * POST /api/hooks/:token
+ * Run the webhook the token belongs to on each of its devices
+ * No body is needed. Responds like a group command: 200 when every device
+ * succeeded, 207 when some failed and 503 when none could be reached.
+ * Add ?dryRun=1 to see the commands it would send without sending them.
+ */
+router.post('/:token', async (req, res, next) => {
+  try {
+    const webhook = await settingsManager.getWebhookByToken(req.params.token);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    if (webhook.deviceIds.length === 0) {
+      return res.status(400).json({ error: `${webhook.name} has no devices` });
+    }
+
+    const { error, task } = await buildTask(webhook);
+    if (error) {
+      return res.status(404).json({ error });
+    }
+
+    const results = await requestContext.run({
+      origin: `webhook:${webhook.id}`,
+      clientIp: req.ip || null,
+      userAgent: req.get('User-Agent') || null,
+      ...requestContext.dryRunState()
+    }, async () => {
+      const outcome = await req.app.get('devices').broadcast(webhook.deviceIds, task);
+      if (!requestContext.isDryRun()) {
+        await settingsManager.updateWebhook(webhook.id, { lastUsedAt: new Date().toISOString() });
+      }
+      return outcome;
+    });
+
+    const succeeded = results.filter(r => r.success).length;
+    const failed = results.length - succeeded;
+    const status = failed === 0 ? 200 : (succeeded > 0 ? 207 : 503);
+
+    res.status(status).json({
+      success: failed === 0,
+      partial: succeeded > 0 && failed > 0,
+      action: 'webhook',
+      webhook: { id: webhook.id, name: webhook.name, action: webhook.action },
+      succeeded,
+      failed,
+      results,
+      ...(succeeded === 0 && { error: `No devices for ${webhook.name} could be reached` })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,247 @@
+/**
+ * Playlist API Routes
+ * Named, ordered collections of photos that can be played on a device
+ *
+ * Items keep the same metadata as display history (title, owner, thumbnail,
+ * media) so they can be shown and played without asking Flickr again.
+ */
+
+const express = require('express');
+const router = express.Router();
+const settingsManager = require('../../services/settings-manager');
+const PlaybackEngine = require('../../services/playback-engine');
+const { requireScope } = require('../../services/auth');
+
+const MAX_ITEMS = 500;
+
+/**
+ * Get the device registry from the app
+ */
+const getDevices = (req) => {
+  return req.app.get('devices');
+};
+
+/**
+ * Check and normalise a playlist item
+ * @param {Object} item - { id, title?, owner?, thumbnailUrl?, media? }
+ * @returns {Object|null} - Stored item, or null if invalid
+ */
+function normaliseItem(item) {
+  if (!item || typeof item !== 'object' || !/^\d+$/.test(String(item.id))) {
+    return null;
+  }
+
+  const text = (value) => typeof value === 'string' && value ? value : null;
+  return {
+    id: String(item.id),
+    title: text(item.title),
+    owner: text(item.owner),
+    thumbnailUrl: text(item.thumbnailUrl),
+    media: item.media === 'video' ? 'video' : 'photo'
+  };
+}
+
+/**
+ * Validate playlist fields
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Whether fields are optional (updates)
+ * @returns {{ error?: string, updates?: Object }} - Normalised fields
+ */
+function validatePlaylist(body, partial) {
+  const { name, items } = body;
+  const updates = {};
+
+  if (name !== undefined || !partial) {
+    if (!name || typeof name !== 'string' || name.trim().length > 50) {
+      return { error: 'Name is required (max 50 characters)' };
+    }
+    updates.name = name.trim();
+  }
+
+  if (items !== undefined || !partial) {
+    const list = items === undefined ? [] : items;
+    if (!Array.isArray(list)) {
+      return { error: 'items must be an array' };
+    }
+    if (list.length > MAX_ITEMS) {
+      return { error: `A playlist can hold at most ${MAX_ITEMS} photos` };
+    }
+
+    const normalised = list.map(normaliseItem);
+    if (normalised.includes(null)) {
+      return { error: 'Every item needs a numeric Flickr photo id' };
+    }
+    // A photo appears once; keep its first position
+    updates.items = normalised.filter((item, i) => normalised.findIndex(other => other.id === item.id) === i);
+  }
+
+  return { updates };
+}
+
+/**
+ * GET /api/playlists
+ * List playlists
+ */
+router.get('/', requireScope('device:read'), async (req, res, next) => {
+  try {
+    const playlists = await settingsManager.getPlaylists();
+    res.json({ playlists });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/playlists/:id
+ * Get a single playlist
+ */
+router.get('/:id', requireScope('device:read'), async (req, res, next) => {
+  try {
+    const playlist = await settingsManager.getPlaylist(req.params.id);
+
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    res.json({ playlist });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/playlists
+ * Create a playlist
+ * Body: { name: string, items?: [{ id, title?, owner?, thumbnailUrl?, media? }] }
+ */
+router.post('/', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const { error, updates } = validatePlaylist(req.body, false);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const playlist = await settingsManager.addPlaylist(updates);
+    res.json({ success: true, playlist });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/playlists/:id
+ * Rename a playlist or replace its items (this is also how items are reordered or removed)
+ * Body: { name?: string, items?: [{ id, title?, owner?, thumbnailUrl?, media? }] }
+ */
+router.put('/:id', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const { error, updates } = validatePlaylist(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const playlist = await settingsManager.updatePlaylist(req.params.id, updates);
+
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    res.json({ success: true, playlist });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/playlists/:id/items
+ * Add a photo to the end of a playlist (a photo already in it stays where it is)
+ * Body: { id, title?, owner?, thumbnailUrl?, media? }
+ */
+router.post('/:id/items', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const item = normaliseItem(req.body);
+    if (!item) {
+      return res.status(400).json({ error: 'A numeric Flickr photo id is required' });
+    }
+
+    const playlist = await settingsManager.getPlaylist(req.params.id);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    if (playlist.items.some(existing => existing.id === item.id)) {
+      return res.json({ success: true, added: false, playlist });
+    }
+    if (playlist.items.length >= MAX_ITEMS) {
+      return res.status(400).json({ error: `A playlist can hold at most ${MAX_ITEMS} photos` });
+    }
+
+    const updated = await settingsManager.updatePlaylist(playlist.id, { items: [...playlist.items, item] });
+    res.json({ success: true, added: true, playlist: updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/playlists/:id
+ * Remove a playlist, stopping it on any device that's playing it
+ */
+router.delete('/:id', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const removed = await settingsManager.removePlaylist(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    for (const entry of getDevices(req).all()) {
+      const { preset } = entry.playback;
+      if (preset && preset.playlistId === req.params.id) {
+        await entry.playback.stop();
+      }
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/playlists/:id/play
+ * Play a playlist on a device, one photo per interval
+ * Body: { deviceId?: string, interval?: number, shuffle?: boolean }
+ */
+router.post('/:id/play', requireScope('device:control'), async (req, res, next) => {
+  try {
+    const { deviceId, interval, shuffle } = req.body;
+
+    if (interval !== undefined && (!Number.isInteger(interval) || interval < 1 || interval > 60)) {
+      return res.status(400).json({ error: 'Interval must be 1-60 minutes' });
+    }
+
+    const playlist = await settingsManager.getPlaylist(req.params.id);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    if (playlist.items.length === 0) {
+      return res.status(400).json({ error: `${playlist.name} has no photos yet` });
+    }
+
+    const device = getDevices(req).get(deviceId);
+    if (!device) {
+      return res.status(404).json({ error: `Device "${deviceId}" not found` });
+    }
+
+    const status = await device.playback.start(PlaybackEngine.playlistPreset(playlist), {
+      interval,
+      shuffle: !!shuffle
+    });
+    res.json({ success: true, action: 'playbackStart', playback: status });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,258 @@
+/**
+ * Schedule API Routes
+ * Weekly rules that switch presets, brightness and interval automatically
+ *
+ * Times are wall-clock 'HH:MM' in the timezone from /api/settings/timezone;
+ * days are 0 (Sunday) to 6 (Saturday).
+ */
+
+const express = require('express');
+const router = express.Router();
+const settingsManager = require('../../services/settings-manager');
+const Scheduler = require('../../services/scheduler');
+const { requireScope } = require('../../services/auth');
+const { parseTime } = require('../../utils/time');
+const requestContext = require('../../utils/request-context');
+
+/**
+ * Get the scheduler from the app
+ */
+const getScheduler = (req) => {
+  return req.app.get('scheduler');
+};
+
+/**
+ * Validate a complete schedule (updates are merged with the saved one first)
+ * @param {Object} schedule - Schedule fields
+ * @param {Object[]} devices - Registered devices
+ * @returns {Promise<{ error?: string, schedule?: Object }>} - Normalised schedule
+ */
+async function validateSchedule(schedule, devices) {
+  const { name, time, days, deviceIds, presetId = null, brightness = null, interval = null, enabled = true } = schedule;
+
+  if (!name || typeof name !== 'string' || name.trim().length > 50) {
+    return { error: 'Name is required (max 50 characters)' };
+  }
+
+  if (parseTime(time) === null) {
+    return { error: 'Time must be HH:MM (24-hour)' };
+  }
+
+  if (!Array.isArray(days) || days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    return { error: 'days must be a non-empty array of weekdays 0-6 (0 = Sunday)' };
+  }
+
+  if (!Array.isArray(deviceIds) || deviceIds.length === 0) {
+    return { error: 'deviceIds must list at least one device' };
+  }
+  const unknown = deviceIds.find(id => !devices.some(d => d.id === id));
+  if (unknown !== undefined) {
+    return { error: `Device "${unknown}" not found` };
+  }
+
+  if (presetId !== null) {
+    if (typeof presetId !== 'string' || !(await Scheduler.resolvePreset(presetId))) {
+      return { error: `Preset "${presetId}" not found or can't be played` };
+    }
+  }
+
+  if (brightness !== null && brightness !== -1 && (typeof brightness !== 'number' || brightness < 0 || brightness > 1)) {
+    return { error: 'Brightness must be -1 (auto) or 0.0-1.0' };
+  }
+
+  if (interval !== null && (!Number.isInteger(interval) || interval < 1 || interval > 60)) {
+    return { error: 'Interval must be 1-60 minutes' };
+  }
+
+  if (presetId === null && brightness === null && interval === null) {
+    return { error: 'A schedule needs a preset, brightness or interval to apply' };
+  }
+
+  if (typeof enabled !== 'boolean') {
+    return { error: 'enabled must be true or false' };
+  }
+
+  return {
+    schedule: {
+      name: name.trim(),
+      time,
+      days: [...new Set(days)].sort((a, b) => a - b),
+      deviceIds: [...new Set(deviceIds)],
+      presetId,
+      brightness,
+      interval,
+      enabled
+    }
+  };
+}
+
+/**
+ * Add the next run time and last outcome to a saved schedule
+ * @param {Object} schedule - Saved schedule
+ * @param {Object[]} upcoming - From Scheduler#upcoming
+ * @param {Scheduler} scheduler
+ */
+function describe(schedule, upcoming, scheduler) {
+  const next = upcoming.find(u => u.schedule.id === schedule.id);
+  return {
+    ...schedule,
+    nextAt: next ? new Date(next.at).toISOString() : null,
+    lastRun: scheduler.lastRun(schedule.id)
+  };
+}
+
+/**
+ * GET /api/schedules
+ * List schedules with when each next fires
+ */
+router.get('/', requireScope('device:read'), async (req, res, next) => {
+  try {
+    const scheduler = getScheduler(req);
+    const [schedules, upcoming, timezone] = await Promise.all([
+      settingsManager.getSchedules(),
+      scheduler.upcoming(),
+      settingsManager.getTimezone()
+    ]);
+
+    res.json({
+      timezone,
+      schedules: schedules.map(schedule => describe(schedule, upcoming, scheduler))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/schedules/next
+ * The next scheduled change for a device
+ * Query: deviceId? - Defaults to the first registered device
+ */
+router.get('/next', requireScope('device:read'), async (req, res, next) => {
+  try {
+    const device = req.app.get('devices').get(req.query.deviceId || undefined);
+    if (!device) {
+      return res.status(404).json({ error: `Device "${req.query.deviceId}" not found` });
+    }
+
+    const [upcoming] = await getScheduler(req).upcoming({ deviceId: device.id, limit: 1 });
+    res.json({
+      timezone: await settingsManager.getTimezone(),
+      next: upcoming ? {
+        id: upcoming.schedule.id,
+        name: upcoming.schedule.name,
+        time: upcoming.schedule.time,
+        at: new Date(upcoming.at).toISOString()
+      } : null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/schedules/:id
+ * Get a single schedule
+ */
+router.get('/:id', requireScope('device:read'), async (req, res, next) => {
+  try {
+    const schedule = await settingsManager.getSchedule(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const scheduler = getScheduler(req);
+    res.json({ schedule: describe(schedule, await scheduler.upcoming(), scheduler) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/schedules
+ * Create a schedule
+ * Body: { name, time: 'HH:MM', days: number[], deviceIds: string[], presetId?, brightness?, interval?, enabled? }
+ */
+router.post('/', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const devices = await settingsManager.getDevices();
+    const { error, schedule } = await validateSchedule(req.body, devices);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const saved = await settingsManager.addSchedule(schedule);
+    getScheduler(req).reload();
+    res.json({ success: true, schedule: saved });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/schedules/:id
+ * Update a schedule (send null to clear presetId, brightness or interval)
+ * Body: any of the POST fields
+ */
+router.put('/:id', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const existing = await settingsManager.getSchedule(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const devices = await settingsManager.getDevices();
+    const { error, schedule } = await validateSchedule({ ...existing, ...req.body }, devices);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const saved = await settingsManager.updateSchedule(existing.id, schedule);
+    getScheduler(req).reload();
+    res.json({ success: true, schedule: saved });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/schedules/:id
+ * Remove a schedule (whatever it last applied stays on the device)
+ */
+router.delete('/:id', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const removed = await settingsManager.removeSchedule(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    getScheduler(req).reload();
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/schedules/:id/run
+ * Apply a schedule now, without waiting for its time
+ */
+router.post('/:id/run', requireScope('device:control'), async (req, res, next) => {
+  try {
+    const schedule = await settingsManager.getSchedule(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    // A dry-run request runs the schedule dry too
+    const run = await getScheduler(req).run(schedule, requestContext.dryRunState());
+    res.json({ success: run.results.every(r => r.success), action: 'scheduleRun', run });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
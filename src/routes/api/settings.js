@@ -5,41 +5,42 @@
 
 const express = require('express');
 const router = express.Router();
-const fs = require('fs').promises;
-const path = require('path');
 const config = require('config');
 const FlickrClient = require('../../services/flickr-client');
 const settingsManager = require('../../services/settings-manager');
+const presetStore = require('../../services/preset-store');
+const QuietHours = require('../../services/quiet-hours');
+const MqttBridge = require('../../services/mqtt-bridge');
+const { requireScope } = require('../../services/auth');
+const { isValidTimezone, systemTimezone, parseTime, zonedParts } = require('../../utils/time');
+const { sunTimes, isValidLocation } = require('../../utils/solar');
 
-const PRESETS_FILE = path.join(__dirname, '../../../config/presets.json');
+const MAX_KEYFRAMES = 24;
 
 /**
- * Load user presets from file
+ * Middleware to resolve the device for per-device settings (slideshow,
+ * current source, history) from an optional deviceId in the query or body
  */
-async function loadUserPresets() {
-  try {
-    const data = await fs.readFile(PRESETS_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    // File doesn't exist or is invalid, return empty object
-    return {};
+const resolveDevice = (req, res, next) => {
+  const deviceId = req.query.deviceId || (req.body && req.body.deviceId) || undefined;
+  const device = req.app.get('devices').get(deviceId);
+
+  if (!device) {
+    return res.status(404).json({ error: `Device "${deviceId}" not found` });
   }
-}
 
-/**
- * Save user presets to file
- */
-async function saveUserPresets(presets) {
-  await fs.writeFile(PRESETS_FILE, JSON.stringify(presets, null, 2));
-}
+  req.device = device;
+  next();
+};
 
 /**
  * GET /api/settings
  * Get current app settings
+ * Query: deviceId? - Which device to report (defaults to the first registered device)
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requireScope('device:read'), resolveDevice, async (req, res, next) => {
   try {
-    const socket = req.app.get('eo1Socket');
+    const target = req.device.target;
     const settings = await settingsManager.getAll();
 
     // Mask the API key for security (show last 4 chars only)
@@ -49,8 +50,10 @@ router.get('/', async (req, res, next) => {
 
     res.json({
       device: {
-        ip: socket.host,
-        port: socket.port
+        id: req.device.id,
+        type: req.device.type,
+        ip: target.host,
+        port: target.port
       },
       flickr: {
         apiKey: maskedApiKey,
@@ -66,24 +69,25 @@ router.get('/', async (req, res, next) => {
 /**
  * PUT /api/settings
  * Update app settings
- * Body: { deviceIp: string }
+ * Body: { deviceIp: string, deviceId?: string }
  */
-router.put('/', async (req, res, next) => {
+router.put('/', requireScope('settings:write'), resolveDevice, async (req, res, next) => {
   try {
     const { deviceIp } = req.body;
 
     if (deviceIp) {
+      if (req.device.type === 'virtual') {
+        return res.status(400).json({ error: 'Virtual frames have no IP address' });
+      }
+
       // Validate IP address format
       const ipRegex = /^(\d{1,3}\.){3}\d{1,3}$/;
       if (!ipRegex.test(deviceIp)) {
         return res.status(400).json({ error: 'Invalid IP address format' });
       }
 
-      const socket = req.app.get('eo1Socket');
-      socket.setHost(deviceIp);
-
-      // Also save to settings
-      await settingsManager.updateDevice({ ip: deviceIp });
+      // Updates the target and saves to settings
+      await req.app.get('devices').update(req.device.id, { ip: deviceIp });
     }
 
     res.json({ success: true });
@@ -96,7 +100,7 @@ router.put('/', async (req, res, next) => {
  * GET /api/settings/flickr
  * Get Flickr API settings (masked)
  */
-router.get('/flickr', async (req, res, next) => {
+router.get('/flickr', requireScope('settings:write'), async (req, res, next) => {
   try {
     const flickr = await settingsManager.getFlickr();
 
@@ -117,7 +121,7 @@ router.get('/flickr', async (req, res, next) => {
  * Update Flickr API settings
  * Body: { apiKey?: string, userId?: string }
  */
-router.put('/flickr', async (req, res, next) => {
+router.put('/flickr', requireScope('settings:write'), async (req, res, next) => {
   try {
     const { apiKey, userId } = req.body;
 
@@ -147,13 +151,185 @@ router.put('/flickr', async (req, res, next) => {
   }
 });
 
+/**
+ * Strip the password from MQTT settings for the browser
+ * @param {Object} mqtt - Saved MQTT settings
+ * @returns {Object}
+ */
+function maskMqtt(mqtt) {
+  const { password, ...rest } = mqtt;
+  return { ...rest, hasPassword: !!password };
+}
+
+/**
+ * GET /api/settings/mqtt
+ * Get the MQTT broker settings (password hidden) and connection status
+ */
+router.get('/mqtt', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const mqtt = await settingsManager.getMqtt();
+    res.json({
+      ...maskMqtt(mqtt),
+      status: req.app.get('mqttBridge').status()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/settings/mqtt
+ * Update the MQTT broker settings and reconnect
+ * Body: { enabled?: boolean, url?: string, username?: string, password?: string,
+ *         baseTopic?: string, discoveryPrefix?: string }
+ * A password left out keeps the saved one; an empty one clears it.
+ */
+router.put('/mqtt', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const { enabled, url, username, password, baseTopic, discoveryPrefix } = req.body;
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+    if (url !== undefined && (typeof url !== 'string' || !/^(mqtts?|wss?|tcp|ssl):\/\/\S+$/.test(url))) {
+      return res.status(400).json({ error: 'Broker URL must look like mqtt://host:1883' });
+    }
+    for (const [name, value] of [['username', username], ['password', password]]) {
+      if (value !== undefined && typeof value !== 'string') {
+        return res.status(400).json({ error: `${name} must be a string` });
+      }
+    }
+    for (const [name, value] of [['Base topic', baseTopic], ['Discovery prefix', discoveryPrefix]]) {
+      if (value !== undefined && !MqttBridge.isValidTopic(value)) {
+        return res.status(400).json({ error: `${name} must be a topic without wildcards or leading/trailing slashes` });
+      }
+    }
+
+    const updates = {};
+    if (enabled !== undefined) updates.enabled = enabled;
+    if (url !== undefined) updates.url = url;
+    if (username !== undefined) updates.username = username;
+    if (password !== undefined) updates.password = password;
+    if (baseTopic !== undefined) updates.baseTopic = baseTopic;
+    if (discoveryPrefix !== undefined) updates.discoveryPrefix = discoveryPrefix;
+
+    // MQTT 3.1.1 has no password without a username, and brokers just hang up
+    const merged = { ...(await settingsManager.getMqtt()), ...updates };
+    if (merged.password && !merged.username) {
+      return res.status(400).json({ error: 'A password needs a username' });
+    }
+
+    const updated = await settingsManager.updateMqtt(updates);
+
+    // Connects in the background; the status shows how it went
+    const bridge = req.app.get('mqttBridge');
+    await bridge.reload();
+
+    res.json({
+      success: true,
+      mqtt: { ...maskMqtt(updated), status: bridge.status() }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/settings/timezone
+ * Get the timezone schedules run in
+ */
+router.get('/timezone', requireScope('device:read'), async (req, res, next) => {
+  try {
+    const settings = await settingsManager.getAll();
+    res.json({
+      timezone: await settingsManager.getTimezone(),
+      configured: settings.timezone || null,
+      system: systemTimezone()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/settings/timezone
+ * Set the timezone schedules run in
+ * Body: { timezone: string } - IANA name (e.g. 'Europe/London'), or '' for the server's
+ */
+router.put('/timezone', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const { timezone } = req.body;
+
+    if (timezone !== '' && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Unknown timezone (use an IANA name like Europe/London)' });
+    }
+
+    const effective = await settingsManager.setTimezone(timezone);
+    // Rule times are wall-clock, so they move with the timezone
+    req.app.get('scheduler').reload();
+    req.app.get('quietHours').reload();
+    res.json({ success: true, timezone: effective });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/settings/location
+ * Get the location sunset/sunrise quiet hours use, with today's sun times
+ */
+router.get('/location', requireScope('device:read'), async (req, res, next) => {
+  try {
+    const [location, timezone] = await Promise.all([
+      settingsManager.getLocation(),
+      settingsManager.getTimezone()
+    ]);
+
+    let sun = null;
+    if (location) {
+      const today = sunTimes(zonedParts(Date.now(), timezone), location.latitude, location.longitude);
+      sun = {
+        sunrise: today.sunrise && new Date(today.sunrise).toISOString(),
+        sunset: today.sunset && new Date(today.sunset).toISOString(),
+        polar: today.polar
+      };
+    }
+
+    res.json({ location, timezone, sun });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/settings/location
+ * Set the location for sunset/sunrise quiet hours (devices using them are updated)
+ * Body: { latitude: number, longitude: number }, or { latitude: null, longitude: null } to clear
+ */
+router.put('/location', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const { latitude, longitude } = req.body;
+    const clear = latitude === null && longitude === null;
+
+    if (!clear && !isValidLocation(latitude, longitude)) {
+      return res.status(400).json({ error: 'Latitude must be -90 to 90 and longitude -180 to 180' });
+    }
+
+    const location = await settingsManager.setLocation(clear ? null : { latitude, longitude });
+    req.app.get('quietHours').reload();
+    res.json({ success: true, location });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/settings/slideshow
  * Get slideshow settings (interval, quiet hours, brightness)
  */
-router.get('/slideshow', async (req, res, next) => {
+router.get('/slideshow', requireScope('device:read'), resolveDevice, async (req, res, next) => {
   try {
-    const slideshow = await settingsManager.getSlideshow();
+    const slideshow = await settingsManager.getSlideshow(req.device.id);
     res.json(slideshow);
   } catch (error) {
     next(error);
@@ -163,11 +339,17 @@ router.get('/slideshow', async (req, res, next) => {
 /**
  * PUT /api/settings/slideshow
  * Update slideshow settings
- * Body: { interval?: number, quietStart?: number, quietEnd?: number, brightness?: number }
+ * Body: { interval?: number, quietStart?: number, quietEnd?: number, brightness?: number,
+ *         quietMode?: 'fixed'|'weekly'|'sun', quietWeek?: Array<{ start, end }|null>,
+ *         sunsetOffset?: number, sunriseOffset?: number }
+ * quietWeek has one entry per weekday, Sunday first; a period ending at or
+ * before its start runs past midnight. In 'weekly' and 'sun' modes the server
+ * keeps quietStart/quietEnd up to date itself; the pair needed now is returned,
+ * to send on with /api/device/options.
  */
-router.put('/slideshow', async (req, res, next) => {
+router.put('/slideshow', requireScope('settings:write'), resolveDevice, async (req, res, next) => {
   try {
-    const { interval, quietStart, quietEnd, brightness } = req.body;
+    const { interval, quietStart, quietEnd, brightness, quietMode, quietWeek, sunsetOffset, sunriseOffset } = req.body;
 
     const updates = {};
 
@@ -199,7 +381,41 @@ router.put('/slideshow', async (req, res, next) => {
       updates.brightness = brightness;
     }
 
-    const slideshow = await settingsManager.updateSlideshow(updates);
+    if (quietMode !== undefined) {
+      if (!['fixed', 'weekly', 'sun'].includes(quietMode)) {
+        return res.status(400).json({ error: "Quiet mode must be 'fixed', 'weekly' or 'sun'" });
+      }
+      if (quietMode === 'sun' && !(await settingsManager.getLocation())) {
+        return res.status(400).json({ error: 'Set a location before using sunset/sunrise quiet hours' });
+      }
+      updates.quietMode = quietMode;
+    }
+
+    if (quietWeek !== undefined) {
+      const isHour = (hour) => Number.isInteger(hour) && hour >= 0 && hour <= 23;
+      if (!Array.isArray(quietWeek) || quietWeek.length !== 7 ||
+          !quietWeek.every(day => day === null || (day && isHour(day.start) && isHour(day.end) && day.start !== day.end))) {
+        return res.status(400).json({ error: 'quietWeek must list 7 days (Sunday first), each null or { start, end } with different hours 0-23' });
+      }
+      updates.quietWeek = quietWeek.map(day => day && { start: day.start, end: day.end });
+    }
+
+    for (const [field, value] of [['sunsetOffset', sunsetOffset], ['sunriseOffset', sunriseOffset]]) {
+      if (value !== undefined) {
+        if (!Number.isInteger(value) || value < -240 || value > 240) {
+          return res.status(400).json({ error: `${field} must be -240 to 240 minutes` });
+        }
+        updates[field] = value;
+      }
+    }
+
+    let slideshow = await settingsManager.updateSlideshow(updates, req.device.id);
+
+    const managed = await QuietHours.hoursFor(slideshow);
+    if (managed) {
+      slideshow = await settingsManager.updateSlideshow({ quietStart: managed.quietStart, quietEnd: managed.quietEnd }, req.device.id);
+    }
+
     res.json({ success: true, slideshow });
   } catch (error) {
     next(error);
@@ -207,30 +423,85 @@ router.put('/slideshow', async (req, res, next) => {
 });
 
 /**
- * GET /api/settings/presets
- * Get all presets (built-in + user)
+ * GET /api/settings/brightness-curve
+ * Get the device's brightness curve and where it is now
  */
-router.get('/presets', async (req, res, next) => {
+router.get('/brightness-curve', requireScope('device:read'), resolveDevice, async (req, res, next) => {
   try {
-    // Get built-in presets from config
-    const builtinPresets = config.get('presets');
+    const curve = await settingsManager.getBrightnessCurve(req.device.id);
+    res.json({ curve, status: await req.device.curve.status() });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Get user presets from file
-    const userPresets = await loadUserPresets();
+/**
+ * PUT /api/settings/brightness-curve
+ * Update the brightness curve (saving it ends any manual pause and sends the level now)
+ * Body: { enabled?: boolean, keyframes?: [{ time: 'HH:MM', level: 0.0-1.0 }], step?: number }
+ */
+router.put('/brightness-curve', requireScope('settings:write'), resolveDevice, async (req, res, next) => {
+  try {
+    const { enabled, keyframes, step } = req.body;
+
+    const updates = { pausedUntil: null };
+
+    if (enabled !== undefined) {
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ error: 'enabled must be true or false' });
+      }
+      updates.enabled = enabled;
+    }
 
-    // Combine them, marking which are built-in
-    const allPresets = {};
+    if (keyframes !== undefined) {
+      if (!Array.isArray(keyframes) || keyframes.length > MAX_KEYFRAMES) {
+        return res.status(400).json({ error: `keyframes must be an array of at most ${MAX_KEYFRAMES}` });
+      }
+      for (const keyframe of keyframes) {
+        if (!keyframe || parseTime(keyframe.time) === null) {
+          return res.status(400).json({ error: 'Keyframe times must be HH:MM (24-hour)' });
+        }
+        if (typeof keyframe.level !== 'number' || keyframe.level < 0 || keyframe.level > 1) {
+          return res.status(400).json({ error: 'Keyframe levels must be 0.0-1.0' });
+        }
+      }
+      if (new Set(keyframes.map(k => k.time)).size < keyframes.length) {
+        return res.status(400).json({ error: 'Two keyframes can\'t share a time' });
+      }
+      updates.keyframes = keyframes
+        .map(k => ({ time: k.time, level: k.level }))
+        .sort((a, b) => parseTime(a.time) - parseTime(b.time));
+    }
 
-    // Add built-in presets
-    for (const [id, preset] of Object.entries(builtinPresets)) {
-      allPresets[id] = { ...preset, id, builtin: true };
+    if (step !== undefined) {
+      if (typeof step !== 'number' || step < 0.01 || step > 0.5) {
+        return res.status(400).json({ error: 'Step must be 0.01-0.5' });
+      }
+      updates.step = step;
     }
 
-    // Add user presets (these can override built-in if same ID)
-    for (const [id, preset] of Object.entries(userPresets)) {
-      allPresets[id] = { ...preset, id, builtin: false };
+    const merged = { ...(await settingsManager.getBrightnessCurve(req.device.id)), ...updates };
+    if (merged.enabled && merged.keyframes.length === 0) {
+      return res.status(400).json({ error: 'Add a keyframe before turning the curve on' });
     }
 
+    const curve = await settingsManager.updateBrightnessCurve(updates, req.device.id);
+    await req.device.curve.refresh();
+
+    res.json({ success: true, curve, status: await req.device.curve.status() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/settings/presets
+ * Get all presets (built-in + user)
+ */
+router.get('/presets', requireScope('device:read'), async (req, res, next) => {
+  try {
+    const allPresets = await presetStore.getAll();
+
     res.json({ presets: allPresets });
   } catch (error) {
     next(error);
@@ -242,7 +513,7 @@ router.get('/presets', async (req, res, next) => {
  * Add a new user preset
  * Body: { name: string, url: string } or { name: string, type: 'tag'|'user', value: string }
  */
-router.post('/presets', async (req, res, next) => {
+router.post('/presets', requireScope('settings:write'), async (req, res, next) => {
   try {
     const { name, url, type, value, searchParams: bodySearchParams } = req.body;
 
@@ -342,9 +613,9 @@ router.post('/presets', async (req, res, next) => {
     }
 
     // Load existing presets, add new one, save
-    const userPresets = await loadUserPresets();
+    const userPresets = await presetStore.loadUserPresets();
     userPresets[id] = presetData;
-    await saveUserPresets(userPresets);
+    await presetStore.saveUserPresets(userPresets);
 
     res.json({
       success: true,
@@ -359,7 +630,7 @@ router.post('/presets', async (req, res, next) => {
  * DELETE /api/settings/presets/:id
  * Delete a user preset
  */
-router.delete('/presets/:id', async (req, res, next) => {
+router.delete('/presets/:id', requireScope('settings:write'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -370,7 +641,7 @@ router.delete('/presets/:id', async (req, res, next) => {
     }
 
     // Load user presets
-    const userPresets = await loadUserPresets();
+    const userPresets = await presetStore.loadUserPresets();
 
     if (!userPresets[id]) {
       return res.status(404).json({ error: 'Preset not found' });
@@ -378,7 +649,7 @@ router.delete('/presets/:id', async (req, res, next) => {
 
     // Delete and save
     delete userPresets[id];
-    await saveUserPresets(userPresets);
+    await presetStore.saveUserPresets(userPresets);
 
     res.json({ success: true });
   } catch (error) {
@@ -391,7 +662,7 @@ router.delete('/presets/:id', async (req, res, next) => {
  * Parse a Flickr URL without saving
  * Body: { url: string }
  */
-router.post('/parse-url', (req, res) => {
+router.post('/parse-url', requireScope('flickr:read'), (req, res) => {
   const { url } = req.body;
 
   if (!url) {
@@ -411,9 +682,9 @@ router.post('/parse-url', (req, res) => {
  * GET /api/settings/current-source
  * Get what's currently being displayed on EO1
  */
-router.get('/current-source', async (req, res, next) => {
+router.get('/current-source', requireScope('device:read'), resolveDevice, async (req, res, next) => {
   try {
-    const currentSource = await settingsManager.getCurrentSource();
+    const currentSource = await settingsManager.getCurrentSource(req.device.id);
     res.json({ currentSource });
   } catch (error) {
     next(error);
@@ -425,7 +696,7 @@ router.get('/current-source', async (req, res, next) => {
  * Update what's currently being displayed on EO1
  * Body: { type: 'tag'|'user'|'photo', value: string, name?: string, url?: string }
  */
-router.put('/current-source', async (req, res, next) => {
+router.put('/current-source', requireScope('device:control'), resolveDevice, async (req, res, next) => {
   try {
     const { type, value, name, url } = req.body;
 
@@ -433,7 +704,7 @@ router.put('/current-source', async (req, res, next) => {
       return res.status(400).json({ error: 'type and value are required' });
     }
 
-    const currentSource = await settingsManager.setCurrentSource({ type, value, name, url });
+    const currentSource = await settingsManager.setCurrentSource({ type, value, name, url }, req.device.id);
     res.json({ success: true, currentSource });
   } catch (error) {
     next(error);
@@ -444,9 +715,9 @@ router.put('/current-source', async (req, res, next) => {
  * GET /api/settings/history
  * Get recently displayed photos
  */
-router.get('/history', async (req, res, next) => {
+router.get('/history', requireScope('device:read'), resolveDevice, async (req, res, next) => {
   try {
-    const history = await settingsManager.getHistory();
+    const history = await settingsManager.getHistory(req.device.id);
     res.json({ history });
   } catch (error) {
     next(error);
@@ -457,9 +728,9 @@ router.get('/history', async (req, res, next) => {
  * DELETE /api/settings/history
  * Clear all display history
  */
-router.delete('/history', async (req, res, next) => {
+router.delete('/history', requireScope('settings:write'), resolveDevice, async (req, res, next) => {
   try {
-    await settingsManager.clearHistory();
+    await settingsManager.clearHistory(req.device.id);
     res.json({ success: true, history: [] });
   } catch (error) {
     next(error);
@@ -470,10 +741,10 @@ router.delete('/history', async (req, res, next) => {
  * DELETE /api/settings/history/:photoId
  * Remove a single photo from history
  */
-router.delete('/history/:photoId', async (req, res, next) => {
+router.delete('/history/:photoId', requireScope('settings:write'), resolveDevice, async (req, res, next) => {
   try {
     const { photoId } = req.params;
-    const history = await settingsManager.removeFromHistory(photoId);
+    const history = await settingsManager.removeFromHistory(photoId, req.device.id);
     res.json({ success: true, history });
   } catch (error) {
     next(error);
@@ -0,0 +1,94 @@
+/**
+ * API Token Routes
+ * Create, list and revoke the Bearer tokens scripts and dashboards use
+ *
+ * Scopes:
+ *   device:read - device state, settings, history, playlists and schedules
+ *   device:control - send commands, start playback, run schedules and scans
+ *   settings:write - change settings, devices, groups, presets, playlists, schedules and webhooks
+ *   flickr:read - browse and search Flickr through the controller
+ *
+ * Tokens are managed from the browser only. The full token is only shown
+ * when it's created; only its hash is saved.
+ */
+
+const express = require('express');
+const router = express.Router();
+const settingsManager = require('../../services/settings-manager');
+const auth = require('../../services/auth');
+
+router.use(auth.requireBrowser);
+
+/**
+ * Keep the hash out of responses
+ * @param {Object} apiToken - Saved token
+ * @returns {Object}
+ */
+function mask(apiToken) {
+  const { hash, hint, ...rest } = apiToken;
+  return { ...rest, token: '••••••••' + hint };
+}
+
+/**
+ * GET /api/tokens
+ * List API tokens (masked) and the scopes they can have
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const tokens = await settingsManager.getApiTokens();
+    res.json({ tokens: tokens.map(mask), scopes: auth.SCOPES });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/tokens
+ * Create an API token
+ * Body: { name, scopes: string[] }
+ * The response is the only time the full token is shown.
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { name, scopes } = req.body || {};
+
+    if (!name || typeof name !== 'string' || name.trim().length > 50) {
+      return res.status(400).json({ error: 'Name is required (max 50 characters)' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'scopes must list at least one scope' });
+    }
+    const unknown = scopes.find(scope => !auth.SCOPES.includes(scope));
+    if (unknown !== undefined) {
+      return res.status(400).json({ error: `Unknown scope "${unknown}" (use ${auth.SCOPES.join(', ')})` });
+    }
+
+    const { token, ...saved } = await settingsManager.addApiToken({
+      name: name.trim(),
+      scopes: auth.SCOPES.filter(scope => scopes.includes(scope))
+    });
+    res.json({ success: true, apiToken: mask(saved), token });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/tokens/:id
+ * Revoke an API token
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const removed = await settingsManager.removeApiToken(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+/**
+ * Webhook API Routes
+ * Generate, list and revoke the token URLs that /api/hooks/:token runs
+ *
+ * Each webhook runs one fixed action on its devices:
+ *   preset: { presetId } - play a preset as the browser would
+ *   photo: { photoId, media?: 'photo'|'video', title? } - show one photo or video
+ *   brightness: { level } - 0.0-1.0, or -1 for auto
+ *   resume: {} - skip to the next photo of the device's slideshow
+ *   playlist: { playlistId, shuffle? } - play a playlist
+ *
+ * The token is only shown in full when the webhook is created; only its hash
+ * is saved and lists show its last few characters, so a lost URL means
+ * revoking and making a new one. A webhook controls its devices, so creating
+ * one needs the device:control scope as well as settings:write.
+ */
+
+const express = require('express');
+const router = express.Router();
+const settingsManager = require('../../services/settings-manager');
+const presetStore = require('../../services/preset-store');
+const PlaybackEngine = require('../../services/playback-engine');
+const { requireScope } = require('../../services/auth');
+
+const ACTIONS = ['preset', 'photo', 'brightness', 'resume', 'playlist'];
+
+/**
+ * Validate a new webhook and keep only the fields its action uses
+ * @param {Object} body - Request body
+ * @param {Object[]} devices - Registered devices
+ * @returns {Promise<{ error?: string, webhook?: Object }>}
+ */
+async function validateWebhook(body, devices) {
+  const { name, action, deviceIds } = body;
+
+  if (!name || typeof name !== 'string' || name.trim().length > 50) {
+    return { error: 'Name is required (max 50 characters)' };
+  }
+
+  if (!Array.isArray(deviceIds) || deviceIds.length === 0) {
+    return { error: 'deviceIds must list at least one device' };
+  }
+  const unknown = deviceIds.find(id => !devices.some(d => d.id === id));
+  if (unknown !== undefined) {
+    return { error: `Device "${unknown}" not found` };
+  }
+
+  const webhook = { name: name.trim(), action, deviceIds: [...new Set(deviceIds)] };
+
+  switch (action) {
+    case 'preset': {
+      const preset = typeof body.presetId === 'string' ? await presetStore.get(body.presetId) : null;
+      if (!PlaybackEngine.isPlayable(preset)) {
+        return { error: `Preset "${body.presetId}" not found or can't be played` };
+      }
+      return { webhook: { ...webhook, presetId: body.presetId } };
+    }
+
+    case 'photo': {
+      const { photoId, media = 'photo', title = null } = body;
+      if (!photoId || !/^\d+$/.test(String(photoId))) {
+        return { error: 'Invalid photo ID' };
+      }
+      if (media !== 'photo' && media !== 'video') {
+        return { error: "media must be 'photo' or 'video'" };
+      }
+      if (title !== null && (typeof title !== 'string' || title.length > 200)) {
+        return { error: 'Title must be text (max 200 characters)' };
+      }
+      return { webhook: { ...webhook, photoId: String(photoId), media, title } };
+    }
+
+    case 'brightness': {
+      const { level } = body;
+      if (level !== -1 && !(typeof level === 'number' && level >= 0 && level <= 1)) {
+        return { error: 'Brightness must be -1 (auto) or 0.0-1.0' };
+      }
+      return { webhook: { ...webhook, level } };
+    }
+
+    case 'resume':
+      return { webhook };
+
+    case 'playlist': {
+      const { playlistId, shuffle = false } = body;
+      if (typeof playlistId !== 'string' || !(await settingsManager.getPlaylist(playlistId))) {
+        return { error: `Playlist "${playlistId}" not found` };
+      }
+      if (typeof shuffle !== 'boolean') {
+        return { error: 'shuffle must be true or false' };
+      }
+      return { webhook: { ...webhook, playlistId, shuffle } };
+    }
+
+    default:
+      return { error: `Action must be one of: ${ACTIONS.join(', ')}` };
+  }
+}
+
+/**
+ * Show a webhook without its token hash, with the token masked to its last characters
+ * @param {Object} webhook - Saved webhook
+ * @returns {Object}
+ */
+function mask(webhook) {
+  const { hash, hint, ...rest } = webhook;
+  return { ...rest, token: '••••••••' + hint };
+}
+
+/**
+ * GET /api/webhooks
+ * List webhooks (tokens masked)
+ */
+router.get('/', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const webhooks = await settingsManager.getWebhooks();
+    res.json({ webhooks: webhooks.map(mask) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Create a webhook with a new token (needs device:control too)
+ * Body: { name, action, deviceIds: string[], ...args for the action }
+ * The response is the only time the full token and URL are shown.
+ */
+router.post('/', requireScope('settings:write'), requireScope('device:control'), async (req, res, next) => {
+  try {
+    const devices = await settingsManager.getDevices();
+    const { error, webhook } = await validateWebhook(req.body || {}, devices);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { token, ...saved } = await settingsManager.addWebhook(webhook);
+    res.json({ success: true, webhook: mask(saved), token, url: `/api/hooks/${token}` });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Revoke a webhook
+ */
+router.delete('/:id', requireScope('settings:write'), async (req, res, next) => {
+  try {
+    const removed = await settingsManager.removeWebhook(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
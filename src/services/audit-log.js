@@ -0,0 +1,145 @@
+/**
+ * Audit Log
+ * Records every command sent to an EO1 in rotating JSON-lines files under logs/
+ *
+ * Each line is one command: what was sent, where it came from (route or
+ * background job, client IP and user agent), how it went and how long it took.
+ * When commands.log grows past `audit.maxSize` it's renamed to commands.log.1
+ * (older files shift up) and only `audit.maxFiles` files are kept in total.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('config');
+
+const LOG_NAME = 'commands.log';
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+class AuditLog {
+  constructor() {
+    this.dir = path.resolve(__dirname, '../..', config.get('audit.dir'));
+    this.maxSize = config.get('audit.maxSize');
+    this.maxFiles = config.get('audit.maxFiles');
+    this.size = null;             // Size of the current file, read on first write
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Path of a log file
+   * @param {number} index - 0 for the current file, 1+ for rotated ones (older as it rises)
+   * @returns {string}
+   */
+  file(index) {
+    return path.join(this.dir, index === 0 ? LOG_NAME : `${LOG_NAME}.${index}`);
+  }
+
+  /**
+   * Append an entry
+   * Writes are chained so rotation never races an append. A failed write is
+   * reported but never fails the command being logged.
+   * @param {Object} entry - Command details (a timestamp is added)
+   * @returns {Promise<void>}
+   */
+  record(entry) {
+    const line = JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n';
+
+    this.writing = this.writing
+      .then(() => this.append(line))
+      .catch(error => {
+        console.error('Failed to write audit log:', error.message);
+        this.size = null;
+      });
+    return this.writing;
+  }
+
+  /**
+   * Write a line to the current file, rotating first if it would get too big
+   * @param {string} line
+   */
+  async append(line) {
+    if (this.size === null) {
+      await fs.mkdir(this.dir, { recursive: true });
+      try {
+        this.size = (await fs.stat(this.file(0))).size;
+      } catch (error) {
+        this.size = 0;
+      }
+    }
+
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.maxSize) {
+      await this.rotate();
+    }
+
+    await fs.appendFile(this.file(0), line);
+    this.size += bytes;
+  }
+
+  /**
+   * Shift each file up one place, dropping the oldest
+   */
+  async rotate() {
+    await fs.rm(this.file(this.maxFiles - 1), { force: true });
+    for (let index = this.maxFiles - 2; index >= 0; index--) {
+      try {
+        await fs.rename(this.file(index), this.file(index + 1));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    this.size = 0;
+  }
+
+  /**
+   * Find logged commands, newest first
+   * @param {Object} filters
+   * @param {string} [filters.deviceId] - Only this device
+   * @param {Date} [filters.from] - Only commands at or after this time
+   * @param {Date} [filters.to] - Only commands at or before this time
+   * @param {string[]} [filters.kinds] - Only these command types (e.g. ['brightness', 'tag'])
+   * @param {number} [filters.limit=100] - Maximum entries to return (capped at 1000)
+   * @returns {Promise<Object[]>}
+   */
+  async query({ deviceId, from, to, kinds, limit = DEFAULT_LIMIT } = {}) {
+    // Let pending writes land first so a command shows up straight after it's sent
+    await this.writing;
+
+    const max = Math.min(limit, MAX_LIMIT);
+    const results = [];
+
+    for (let index = 0; index < this.maxFiles && results.length < max; index++) {
+      let data;
+      try {
+        data = await fs.readFile(this.file(index), 'utf8');
+      } catch (error) {
+        continue;
+      }
+
+      const lines = data.split('\n').filter(Boolean).reverse();
+      for (const line of lines) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          continue;  // Partly written line from a crash
+        }
+
+        const at = new Date(entry.at);
+        // Files are in time order, so everything after this is older still
+        if (from && at < from) {
+          return results;
+        }
+        if (to && at > to) continue;
+        if (deviceId && entry.deviceId !== deviceId) continue;
+        if (kinds && kinds.length && !kinds.includes(entry.kind)) continue;
+
+        results.push(entry);
+        if (results.length >= max) break;
+      }
+    }
+    return results;
+  }
+}
+
+module.exports = new AuditLog();
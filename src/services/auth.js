@@ -0,0 +1,367 @@
+/**
+ * Auth
+ * Optional password (or PIN) login for the web UI and API
+ *
+ * With no password set everything stays open, as before. Once one is set,
+ * /api/* and the frame socket need the session cookie POST /api/auth/login
+ * hands out. Only hashes are saved - scrypt for the password and sha256 for
+ * session IDs - so a copy of config/settings.json can't be used to log in.
+ *
+ * Scripts and dashboards use API tokens instead, sent as
+ * `Authorization: Bearer <token>` and accepted with or without a password.
+ * Each token carries scopes, and each route declares the one it needs with
+ * requireScope(); browsers (and an open controller) have every scope.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('config');
+const settingsManager = require('./settings-manager');
+const { readCookie } = require('../utils/cookies');
+
+const scrypt = promisify(crypto.scrypt);
+
+const COOKIE_NAME = 'eo1_session';
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 4;  // Long enough for a PIN
+const MAX_PASSWORD_LENGTH = 200;
+const DAY = 24 * 60 * 60 * 1000;
+const LAST_USED_INTERVAL = 60 * 1000;  // Save a token's lastUsedAt at most this often
+
+const SCOPES = ['device:read', 'device:control', 'settings:write', 'flickr:read'];
+
+class Auth {
+  constructor() {
+    this.failures = new Map();  // Client IP -> { count, lockedUntil }
+    this.protect = this.protect.bind(this);
+  }
+
+  /**
+   * Hash a password for saving
+   * @param {string} password
+   * @returns {Promise<string>} - 'scrypt$<salt>$<hash>', both base64
+   */
+  static async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+  }
+
+  /**
+   * Check a password against a saved hash in constant time
+   * @param {string} password
+   * @param {string} stored - From hashPassword()
+   * @returns {Promise<boolean>}
+   */
+  static async verifyPassword(password, stored) {
+    const [scheme, salt, hash] = stored.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Check a new password is one we'll accept
+   * @param {*} password
+   * @returns {boolean}
+   */
+  isValidPassword(password) {
+    return typeof password === 'string' &&
+      password.length >= MIN_PASSWORD_LENGTH &&
+      password.length <= MAX_PASSWORD_LENGTH;
+  }
+
+  /**
+   * Check a password against the saved one
+   * @param {*} password
+   * @returns {Promise<boolean>} - False when no password is set
+   */
+  async checkPassword(password) {
+    const { passwordHash } = await settingsManager.getAuth();
+    return !!passwordHash && typeof password === 'string' && Auth.verifyPassword(password, passwordHash);
+  }
+
+  /**
+   * The ID a session is saved under: a hash of its cookie
+   * @param {string} token - Cookie value
+   * @returns {string}
+   */
+  static sessionId(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Find the unexpired session a request's cookie belongs to
+   * @param {http.IncomingMessage} req
+   * @returns {Promise<Object|null>} - { id, createdAt, expiresAt }
+   */
+  async findSession(req) {
+    const token = readCookie(req, COOKIE_NAME);
+    if (!token) {
+      return null;
+    }
+    const id = Auth.sessionId(token);
+    const { sessions } = await settingsManager.getAuth();
+    return sessions.find(s => s.id === id && Date.parse(s.expiresAt) > Date.now()) || null;
+  }
+
+  /**
+   * Whether a request may use the API: always with no password set,
+   * otherwise only with a session
+   * @param {http.IncomingMessage} req
+   * @returns {Promise<boolean>}
+   */
+  async isAllowed(req) {
+    const { passwordHash } = await settingsManager.getAuth();
+    return !passwordHash || !!(await this.findSession(req));
+  }
+
+  /**
+   * Login state for the login page and the Security settings
+   * @param {http.IncomingMessage} req
+   * @returns {Promise<Object>} - { enabled, setupNeeded, authenticated }
+   */
+  async status(req) {
+    const { passwordHash, setupDone } = await settingsManager.getAuth();
+    return {
+      enabled: !!passwordHash,
+      setupNeeded: !passwordHash && !setupDone,
+      authenticated: !passwordHash || !!(await this.findSession(req))
+    };
+  }
+
+  /**
+   * Express middleware that turns away API requests without a session or
+   * API token, and sets req.auth to { type: 'open'|'session'|'token', scopes, tokenId? }
+   * Sessions in use are extended once they're half way to expiring, so a
+   * frame on the wall stays logged in.
+   */
+  async protect(req, res, next) {
+    try {
+      const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+      if (bearer) {
+        return await this.useApiToken(bearer[1], req, res, next);
+      }
+
+      const { passwordHash, sessions } = await settingsManager.getAuth();
+      if (!passwordHash) {
+        req.auth = { type: 'open', scopes: SCOPES };
+        return next();
+      }
+
+      const session = await this.findSession(req);
+      if (!session) {
+        return res.status(401).json({ error: 'Login required' });
+      }
+      req.auth = { type: 'session', scopes: SCOPES };
+
+      const lifetime = config.get('auth.sessionDays') * DAY;
+      if (Date.parse(session.expiresAt) - Date.now() < lifetime / 2) {
+        const expiresAt = new Date(Date.now() + lifetime).toISOString();
+        await settingsManager.updateAuth({
+          sessions: sessions.map(s => (s.id === session.id ? { ...s, expiresAt } : s))
+        });
+        this.setCookie(req, res, readCookie(req, COOKIE_NAME), lifetime);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Let a request in on an API token, noting when the token was last used
+   * Tokens are looked up on every request, so a revoked one stops working at once.
+   * @param {string} token - From the Authorization header
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Function} next
+   */
+  async useApiToken(token, req, res, next) {
+    const apiToken = await settingsManager.getApiTokenByToken(token);
+    if (!apiToken) {
+      return res.status(401).json({ error: 'Invalid API token' });
+    }
+
+    if (!apiToken.lastUsedAt || Date.now() - Date.parse(apiToken.lastUsedAt) > LAST_USED_INTERVAL) {
+      await settingsManager.updateApiToken(apiToken.id, { lastUsedAt: new Date().toISOString() });
+    }
+
+    req.auth = { type: 'token', scopes: apiToken.scopes, tokenId: apiToken.id };
+    next();
+  }
+
+  /**
+   * Route middleware requiring a scope of API tokens
+   * Browser sessions, and everyone on a controller without a password, have them all.
+   * @param {string} scope - One of SCOPES
+   * @returns {Function}
+   */
+  requireScope(scope) {
+    return (req, res, next) => {
+      const scopes = req.auth ? req.auth.scopes : [];
+      if (!scopes.includes(scope)) {
+        return res.status(403).json({ error: `This API token doesn't have the ${scope} scope` });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Route middleware that only lets browsers in, not API tokens
+   * Used for managing tokens, so a leaked token can't mint more. That holds
+   * only while the web UI never renders names a token can save (presets,
+   * playlists, schedules, webhooks) as HTML; it sets them with textContent.
+   */
+  requireBrowser(req, res, next) {
+    if (!req.auth || req.auth.type === 'token') {
+      return res.status(403).json({ error: 'API tokens can only be managed from the browser' });
+    }
+    next();
+  }
+
+  /**
+   * How long a client must wait after too many wrong passwords
+   * @param {string} clientIp
+   * @returns {number} - Milliseconds, 0 if it may try now
+   */
+  lockedFor(clientIp) {
+    const entry = this.failures.get(clientIp);
+    return entry ? Math.max(0, entry.lockedUntil - Date.now()) : 0;
+  }
+
+  /**
+   * Count a wrong password, locking the client out after too many
+   * @param {string} clientIp
+   */
+  noteFailure(clientIp) {
+    const entry = this.failures.get(clientIp) || { count: 0, lockedUntil: 0 };
+    entry.count++;
+    if (entry.count >= config.get('auth.maxFailures')) {
+      entry.count = 0;
+      entry.lockedUntil = Date.now() + config.get('auth.lockout');
+    }
+    this.failures.set(clientIp, entry);
+  }
+
+  /**
+   * Log a client in if the password is right
+   * @param {string} password
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response, given the session cookie
+   * @returns {Promise<boolean>} - Whether the password was right
+   */
+  async login(password, req, res) {
+    const clientIp = req.ip || 'unknown';
+
+    if (!(await this.checkPassword(password))) {
+      this.noteFailure(clientIp);
+      return false;
+    }
+
+    this.failures.delete(clientIp);
+    await this.startSession(req, res);
+    return true;
+  }
+
+  /**
+   * Save a new session and give its cookie to the browser
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object[]} [keep] - Sessions to keep alongside it (default: all unexpired)
+   */
+  async startSession(req, res, keep) {
+    const lifetime = config.get('auth.sessionDays') * DAY;
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+
+    const sessions = (keep || (await settingsManager.getAuth()).sessions)
+      .filter(s => Date.parse(s.expiresAt) > now)
+      .slice(-(config.get('auth.maxSessions') - 1));
+    sessions.push({
+      id: Auth.sessionId(token),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + lifetime).toISOString()
+    });
+
+    await settingsManager.updateAuth({ sessions });
+    this.setCookie(req, res, token, lifetime);
+  }
+
+  /**
+   * Log a browser out
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async endSession(req, res) {
+    const token = readCookie(req, COOKIE_NAME);
+    if (token) {
+      const id = Auth.sessionId(token);
+      const { sessions } = await settingsManager.getAuth();
+      await settingsManager.updateAuth({ sessions: sessions.filter(s => s.id !== id) });
+    }
+    res.clearCookie(COOKIE_NAME, { path: '/' });
+  }
+
+  /**
+   * Set or change the password
+   * Every other browser is logged out; this one gets a fresh session.
+   * @param {string} password - Already checked with isValidPassword()
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async setPassword(password, req, res) {
+    await settingsManager.updateAuth({
+      passwordHash: await Auth.hashPassword(password),
+      setupDone: true
+    });
+    await this.startSession(req, res, []);
+  }
+
+  /**
+   * Remove the password, opening the controller to everyone on the network
+   * @param {Object} res - Express response
+   */
+  async removePassword(res) {
+    await settingsManager.updateAuth({ passwordHash: null, setupDone: true, sessions: [] });
+    res.clearCookie(COOKIE_NAME, { path: '/' });
+  }
+
+  /**
+   * Remember that first-run setup chose to stay without a password
+   */
+  async skipSetup() {
+    await settingsManager.updateAuth({ setupDone: true });
+  }
+
+  /**
+   * Forget the password and every session, for `npm run reset-password`
+   * The next browser to open the controller is asked to set a new one.
+   */
+  async reset() {
+    await settingsManager.updateAuth({ passwordHash: null, setupDone: false, sessions: [] });
+  }
+
+  /**
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string} token - Cookie value
+   * @param {number} maxAge - Milliseconds
+   */
+  setCookie(req, res, token, maxAge) {
+    res.cookie(COOKIE_NAME, token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      path: '/',
+      maxAge
+    });
+  }
+}
+
+module.exports = new Auth();
+module.exports.SCOPES = SCOPES;
@@ -0,0 +1,206 @@
+/**
+ * Brightness Curve
+ * Follows a daily brightness curve on one device
+ *
+ * The curve is a set of keyframes ('07:00' -> 0.4, '12:00' -> 0.9, ...) in the
+ * timezone from settings. Between keyframes the level is interpolated in a
+ * straight line, wrapping from the last keyframe of the day to the first. The
+ * level is rounded to the curve's step and only sent as `brightness,<level>`
+ * when that rounded level changes, checked once a minute, so the device sees
+ * a handful of commands an hour at most.
+ *
+ * A manual brightness change pauses the curve until its next keyframe.
+ */
+
+const config = require('config');
+const settingsManager = require('./settings-manager');
+const requestContext = require('../utils/request-context');
+const { parseTime, zonedParts, nextOccurrence } = require('../utils/time');
+
+const MINUTES_PER_DAY = 24 * 60;
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+class BrightnessCurve {
+  /**
+   * @param {DisplayTarget} target - EO1Socket or VirtualFrame for the device
+   * @param {string} deviceId - Registry ID, used for per-device settings
+   */
+  constructor(target, deviceId) {
+    this.target = target;
+    this.deviceId = deviceId;
+    this.timer = null;
+    this.lastSent = null;   // Rounded level last pushed (null = push on next check)
+    this.busy = false;
+  }
+
+  /**
+   * Interpolate the curve at a time of day
+   * @param {Array<{time: string, level: number}>} keyframes - At least one keyframe
+   * @param {number} minutes - Minutes since midnight (may be fractional)
+   * @returns {number} - Level 0.0-1.0
+   */
+  static levelAt(keyframes, minutes) {
+    const points = keyframes
+      .map(k => ({ at: parseTime(k.time), level: k.level }))
+      .sort((a, b) => a.at - b.at);
+
+    // Find the keyframes either side, wrapping past midnight
+    let before = points[points.length - 1];
+    let after = points[0];
+    for (let i = 0; i < points.length; i++) {
+      if (points[i].at <= minutes) {
+        before = points[i];
+        after = points[(i + 1) % points.length];
+      }
+    }
+
+    const span = (after.at - before.at + MINUTES_PER_DAY) % MINUTES_PER_DAY || MINUTES_PER_DAY;
+    const elapsed = (minutes - before.at + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    return before.level + (after.level - before.level) * (elapsed / span);
+  }
+
+  /**
+   * Round a level to the curve's step
+   * @param {number} level - 0.0-1.0
+   * @param {number} step - e.g. 0.05
+   * @returns {number}
+   */
+  static quantise(level, step) {
+    const rounded = Math.round(level / step) * step;
+    return Math.min(1, Math.max(0, Math.round(rounded * 100) / 100));
+  }
+
+  /**
+   * Start checking the curve
+   */
+  start() {
+    clearInterval(this.timer);
+    // Checks mustn't carry the context of whatever request added the device
+    this.timer = setInterval(() => requestContext.run({ origin: 'brightness-curve' }, () => this.tick()), config.get('brightnessCurve.tick'));
+  }
+
+  /**
+   * Stop checking the curve (the device is being removed)
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Re-send the curve's level straight away (after the curve is edited)
+   */
+  async refresh() {
+    this.lastSent = null;
+    await this.tick();
+  }
+
+  /**
+   * Get the level the curve sets right now
+   * @returns {Promise<number>}
+   */
+  async currentLevel() {
+    const curve = await settingsManager.getBrightnessCurve(this.deviceId);
+    return BrightnessCurve.quantise(BrightnessCurve.levelAt(curve.keyframes, await this.minutesNow()), curve.step);
+  }
+
+  /**
+   * Push the curve's current level if it has moved on a step
+   */
+  async tick() {
+    if (this.busy) return;
+    this.busy = true;
+
+    try {
+      const curve = await settingsManager.getBrightnessCurve(this.deviceId);
+      if (!curve.enabled || curve.keyframes.length === 0) return;
+
+      // A screen turned off stays off; turning it on refreshes the curve
+      const screen = await settingsManager.getScreen(this.deviceId);
+      if (!screen.on) return;
+
+      if (curve.pausedUntil) {
+        if (Date.now() < Date.parse(curve.pausedUntil)) return;
+        await settingsManager.updateBrightnessCurve({ pausedUntil: null }, this.deviceId);
+        this.lastSent = null;
+      }
+
+      const level = BrightnessCurve.quantise(BrightnessCurve.levelAt(curve.keyframes, await this.minutesNow()), curve.step);
+      if (level === this.lastSent) return;
+
+      // Otherwise the command (and the change it announces) would carry
+      // whatever context started the timer
+      await requestContext.run({ origin: 'brightness-curve' }, async () => {
+        await this.target.setBrightness(level);
+        this.lastSent = level;
+        await settingsManager.updateSlideshow({ brightness: level }, this.deviceId);
+        await settingsManager.updateScreen({ level }, this.deviceId);
+      });
+    } catch (error) {
+      // lastSent is unchanged, so the next check tries again
+      console.error(`Brightness curve failed on ${this.deviceId}:`, error.message);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Hold the curve after a manual brightness change, until its next keyframe
+   * A dry-run request only works out when that would be.
+   * @returns {Promise<string|null>} - When the curve takes over again, or null if it isn't on
+   */
+  async pause() {
+    const curve = await settingsManager.getBrightnessCurve(this.deviceId);
+    if (!curve.enabled || curve.keyframes.length === 0) {
+      return null;
+    }
+
+    const timezone = await settingsManager.getTimezone();
+    const now = Date.now();
+    const next = Math.min(...curve.keyframes.map(k => nextOccurrence(parseTime(k.time), EVERY_DAY, now, timezone)));
+    const pausedUntil = new Date(next).toISOString();
+    if (requestContext.isDryRun()) {
+      return pausedUntil;
+    }
+
+    await settingsManager.updateBrightnessCurve({ pausedUntil }, this.deviceId);
+    this.lastSent = null;
+    return pausedUntil;
+  }
+
+  /**
+   * Check whether the curve is setting the brightness right now
+   * @returns {Promise<boolean>} - False if it's off, empty or paused
+   */
+  async following() {
+    const curve = await settingsManager.getBrightnessCurve(this.deviceId);
+    const paused = curve.pausedUntil && Date.now() < Date.parse(curve.pausedUntil);
+    return curve.enabled && curve.keyframes.length > 0 && !paused;
+  }
+
+  /**
+   * Get the current time of day in the schedule timezone
+   * @returns {Promise<number>} - Minutes since midnight
+   */
+  async minutesNow() {
+    const now = zonedParts(Date.now(), await settingsManager.getTimezone());
+    return now.hour * 60 + now.minute + now.second / 60;
+  }
+
+  /**
+   * Describe where the curve is
+   * @returns {Promise<Object>} - { level, lastSent, pausedUntil }
+   */
+  async status() {
+    const curve = await settingsManager.getBrightnessCurve(this.deviceId);
+    const active = curve.enabled && curve.keyframes.length > 0;
+
+    return {
+      level: active ? BrightnessCurve.quantise(BrightnessCurve.levelAt(curve.keyframes, await this.minutesNow()), curve.step) : null,
+      lastSent: this.lastSent,
+      pausedUntil: curve.pausedUntil
+    };
+  }
+}
+
+module.exports = BrightnessCurve;
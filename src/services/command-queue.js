@@ -0,0 +1,171 @@
+/**
+ * Command Queue
+ * Serialises commands to each EO1 so only one connection is ever open per host
+ *
+ * The EO1 app crashes easily when connections overlap, so every command to a
+ * host waits its turn, and a minimum gap is left between connections. Commands
+ * whose latest value is all that matters (brightness, options, tag) replace any
+ * waiting command of the same kind instead of queueing behind it. Transient
+ * `Connection failed` errors are retried with exponential backoff.
+ */
+
+const config = require('config');
+
+// Commands where a newer one makes any waiting one pointless
+const COALESCED_KINDS = ['brightness', 'options', 'tag'];
+
+// One queue per host:port, shared by every socket that targets it
+const queues = new Map();
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms
+ */
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class CommandQueue {
+  /**
+   * @param {Object} options
+   * @param {number} options.minGap - Minimum ms between the end of one connection and the next
+   * @param {number} options.retries - Retries after a failed connection
+   * @param {number} options.retryDelay - Delay before the first retry in ms (doubles each time)
+   */
+  constructor({ minGap, retries, retryDelay }) {
+    this.minGap = minGap;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.pending = [];
+    this.busy = false;
+    this.lastFinishedAt = 0;
+    this.lastOutcome = null;
+  }
+
+  /**
+   * Get the shared queue for a host and port
+   * @param {string} host - Device IP
+   * @param {number} port - Device port
+   * @returns {CommandQueue}
+   */
+  static for(host, port) {
+    const key = `${host}:${port}`;
+    if (!queues.has(key)) {
+      queues.set(key, new CommandQueue({
+        minGap: config.get('eo1.minCommandGap'),
+        retries: config.get('eo1.retries'),
+        retryDelay: config.get('eo1.retryDelay')
+      }));
+    }
+    return queues.get(key);
+  }
+
+  /**
+   * Queue a command
+   * @param {string} command - Raw command, e.g. 'brightness,0.5'
+   * @param {Function} write - async (command) => result, opens the connection
+   * @returns {Promise<Object>} - Result of the write that carried this command
+   */
+  enqueue(command, write) {
+    return new Promise((resolve, reject) => {
+      const kind = command.split(',')[0];
+      const waiters = [{ resolve, reject }];
+
+      // A newer value supersedes a waiting one; its callers get the newer result
+      if (COALESCED_KINDS.includes(kind)) {
+        const index = this.pending.findIndex(item => item.kind === kind);
+        if (index !== -1) {
+          const [superseded] = this.pending.splice(index, 1);
+          waiters.unshift(...superseded.waiters);
+        }
+      }
+
+      this.pending.push({ command, kind, write, waiters });
+      this.drain();
+    });
+  }
+
+  /**
+   * Send queued commands one at a time until the queue is empty
+   */
+  async drain() {
+    if (this.busy) return;
+    this.busy = true;
+
+    while (this.pending.length > 0) {
+      const item = this.pending.shift();
+
+      try {
+        const result = await this.send(item);
+        item.waiters.forEach(w => w.resolve(result));
+      } catch (error) {
+        item.waiters.forEach(w => w.reject(error));
+      }
+    }
+
+    this.busy = false;
+  }
+
+  /**
+   * Send one command, leaving the minimum gap and retrying failed connections
+   * @param {Object} item - Queued command
+   * @returns {Promise<Object>}
+   */
+  async send(item) {
+    let attempts = 0;
+
+    while (true) {
+      const wait = this.lastFinishedAt + this.minGap - Date.now();
+      if (wait > 0) {
+        await delay(wait);
+      }
+
+      attempts++;
+      try {
+        const result = await item.write(item.command);
+        this.lastFinishedAt = Date.now();
+        this.record(item.command, attempts, null);
+        return result;
+      } catch (error) {
+        this.lastFinishedAt = Date.now();
+
+        // Only connection failures are worth retrying - a timeout means the device may have hung
+        const retryable = error.message.startsWith('Connection failed');
+        if (!retryable || attempts > this.retries) {
+          this.record(item.command, attempts, error);
+          throw error;
+        }
+
+        await delay(this.retryDelay * 2 ** (attempts - 1));
+      }
+    }
+  }
+
+  /**
+   * Remember how the last command went
+   * @param {string} command - Raw command
+   * @param {number} attempts - Connections made
+   * @param {Error|null} error - Final error, or null on success
+   */
+  record(command, attempts, error) {
+    this.lastOutcome = {
+      command,
+      success: !error,
+      attempts,
+      error: error ? error.message : null,
+      at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get queue state for status reporting
+   * @returns {{ depth: number, busy: boolean, lastOutcome: Object|null }}
+   */
+  status() {
+    return {
+      depth: this.pending.length,
+      busy: this.busy,
+      lastOutcome: this.lastOutcome
+    };
+  }
+}
+
+module.exports = CommandQueue;
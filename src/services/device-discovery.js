@@ -0,0 +1,126 @@
+/**
+ * Device Discovery
+ * Identifies scanned EO1s by hostname and MAC address, and finds them again
+ * when DHCP gives them a new IP
+ *
+ * MAC addresses come from the kernel's ARP table (/proc/net/arp), which only
+ * exists on Linux and only lists hosts on the same network segment. Elsewhere
+ * discovery still works, just without MACs (and so without relocation).
+ */
+
+const fs = require('fs').promises;
+const dns = require('dns').promises;
+const config = require('config');
+const EO1Socket = require('./eo1-socket');
+const { parseCidr } = require('../utils/network');
+
+const ARP_TABLE = '/proc/net/arp';
+const DNS_TIMEOUT = 2000;
+const EMPTY_MAC = '00:00:00:00:00:00';
+
+class DeviceDiscovery {
+  /**
+   * Read IP to MAC mappings from the ARP table
+   * @returns {Promise<Map<string, string>>} - ip -> lowercase MAC
+   */
+  static async readArpTable() {
+    const table = new Map();
+
+    let data;
+    try {
+      data = await fs.readFile(ARP_TABLE, 'utf8');
+    } catch (error) {
+      // Not Linux, or not allowed to read it
+      return table;
+    }
+
+    // IP address  HW type  Flags  HW address  Mask  Device
+    for (const line of data.split('\n').slice(1)) {
+      const [ip, , flags, mac] = line.trim().split(/\s+/);
+      // Flags 0x0 is an incomplete entry (no reply yet)
+      if (ip && mac && flags !== '0x0' && mac !== EMPTY_MAC) {
+        table.set(ip, mac.toLowerCase());
+      }
+    }
+    return table;
+  }
+
+  /**
+   * Look up the hostname for an IP
+   * @param {string} ip
+   * @returns {Promise<string|null>}
+   */
+  static async reverseLookup(ip) {
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), DNS_TIMEOUT);
+    });
+
+    try {
+      const lookup = dns.reverse(ip).then(names => names[0] || null, () => null);
+      return await Promise.race([lookup, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Add hostname and MAC to scan hits
+   * Call straight after scanning, while the ARP entries are fresh
+   * @param {string[]} ips - Hosts found by the scanner
+   * @returns {Promise<Object[]>} - [{ ip, hostname, mac }]
+   */
+  static async identify(ips) {
+    const arp = await DeviceDiscovery.readArpTable();
+    return Promise.all(ips.map(async ip => ({
+      ip,
+      hostname: await DeviceDiscovery.reverseLookup(ip),
+      mac: arp.get(ip) || null
+    })));
+  }
+
+  /**
+   * Find the current IP of a device by its MAC address
+   * Checks the ARP table first, then scans the local networks (which refreshes it).
+   * An ARP hit isn't probed - connecting without a command can crash the EO1 -
+   * so the caller's next command is what confirms it.
+   * @param {string} mac - MAC address to look for
+   * @param {number} port - Device port
+   * @param {string} currentIp - Address that stopped responding
+   * @returns {Promise<string|null>} - New IP, or null if the device wasn't found
+   */
+  static async locate(mac, port, currentIp) {
+    const target = mac.toLowerCase();
+
+    const findInArp = async () => {
+      const arp = await DeviceDiscovery.readArpTable();
+      for (const [ip, entryMac] of arp) {
+        if (entryMac === target && ip !== currentIp) return ip;
+      }
+      return null;
+    };
+
+    // Cheap check first: the kernel may already know the new address
+    const cached = await findInArp();
+    if (cached) {
+      return cached;
+    }
+
+    const ranges = EO1Socket.detectSubnets().map(parseCidr);
+    const total = ranges.reduce((sum, range) => sum + range.count, 0);
+    if (ranges.length === 0 || total > config.get('eo1.scan.maxHosts')) {
+      return null;
+    }
+
+    const found = await EO1Socket.scanNetwork(ranges.map(range => range.cidr), {
+      port,
+      timeout: config.get('eo1.scan.timeout'),
+      concurrency: config.get('eo1.scan.concurrency')
+    });
+
+    const ip = await findInArp();
+    return ip && found.includes(ip) ? ip : null;
+  }
+}
+
+module.exports = DeviceDiscovery;
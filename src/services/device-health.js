@@ -0,0 +1,106 @@
+/**
+ * Device Health
+ * Passive connection health for one EO1, built from the commands it's actually sent
+ *
+ * The EO1 can crash when probed, so health is never tested directly. Instead
+ * every connection EO1Socket makes is recorded here, and the recent history
+ * decides whether the device looks healthy, degraded or unreachable.
+ */
+
+const config = require('config');
+
+class DeviceHealth {
+  constructor() {
+    this.window = config.get('eo1.health.window');
+    this.unreachableAfter = config.get('eo1.health.unreachableAfter');
+    this.slowLatency = config.get('eo1.health.slowLatency');
+    this.reset();
+  }
+
+  /**
+   * Forget all history (e.g. after the device's address changes)
+   */
+  reset() {
+    this.recent = [];  // Last `window` outcomes: { success, latency }
+    this.lastSuccessAt = null;
+    this.lastError = null;
+    this.lastErrorAt = null;
+    this.consecutiveFailures = 0;
+  }
+
+  /**
+   * Record the outcome of one connection
+   * @param {boolean} success - Whether the command was delivered
+   * @param {number} latency - Time from connect to close in ms
+   * @param {Error} [error] - Why it failed
+   */
+  record(success, latency, error) {
+    this.recent.push({ success, latency });
+    if (this.recent.length > this.window) {
+      this.recent.shift();
+    }
+
+    if (success) {
+      this.lastSuccessAt = new Date().toISOString();
+      this.consecutiveFailures = 0;
+    } else {
+      this.lastError = error ? error.message : 'Unknown error';
+      this.lastErrorAt = new Date().toISOString();
+      this.consecutiveFailures++;
+    }
+  }
+
+  /**
+   * Average latency of recent successful connections
+   * @returns {number|null} - Milliseconds, or null if nothing has succeeded yet
+   */
+  averageLatency() {
+    const successes = this.recent.filter(r => r.success);
+    if (successes.length === 0) {
+      return null;
+    }
+    return Math.round(successes.reduce((sum, r) => sum + r.latency, 0) / successes.length);
+  }
+
+  /**
+   * Classify the device from its recent history
+   * - unknown: no commands sent yet
+   * - unreachable: the last few connections all failed
+   * - degraded: recent failures (even if retries got through) or slow responses
+   * - healthy: everything recent succeeded promptly
+   * @returns {string}
+   */
+  classify() {
+    if (this.recent.length === 0) {
+      return 'unknown';
+    }
+    if (this.consecutiveFailures >= this.unreachableAfter) {
+      return 'unreachable';
+    }
+
+    const latency = this.averageLatency();
+    if (this.recent.some(r => !r.success) || (latency !== null && latency > this.slowLatency)) {
+      return 'degraded';
+    }
+    return 'healthy';
+  }
+
+  /**
+   * Get health for status reporting
+   * @returns {Object}
+   */
+  status() {
+    return {
+      status: this.classify(),
+      lastSuccessAt: this.lastSuccessAt,
+      lastError: this.lastError,
+      lastErrorAt: this.lastErrorAt,
+      consecutiveFailures: this.consecutiveFailures,
+      averageLatency: this.averageLatency(),
+      recentFailures: this.recent.filter(r => !r.success).length,
+      sampleSize: this.recent.length
+    };
+  }
+}
+
+module.exports = DeviceHealth;
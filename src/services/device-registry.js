@@ -0,0 +1,217 @@
+/**
+ * Device Registry
+ * Keeps one display target, PlaybackEngine, BrightnessCurve and ScreenPower per registered device
+ *
+ * Devices are persisted by SettingsManager; the registry mirrors them in memory
+ * so routes can pick the right target from an optional device ID. A device is
+ * either a real EO1 (EO1Socket) or a browser frame (`type: 'virtual'`, VirtualFrame).
+ */
+
+const config = require('config');
+const EO1Socket = require('./eo1-socket');
+const VirtualFrame = require('./virtual-frame');
+const DeviceDiscovery = require('./device-discovery');
+const PlaybackEngine = require('./playback-engine');
+const BrightnessCurve = require('./brightness-curve');
+const ScreenPower = require('./screen-power');
+const settingsManager = require('./settings-manager');
+
+class DeviceRegistry {
+  constructor(flickrClient) {
+    this.flickrClient = flickrClient;
+    this.entries = new Map();  // id -> { id, type, target, playback, curve, screen, relocating, lastRelocateAt }
+  }
+
+  /**
+   * Create targets for all saved devices
+   */
+  async load() {
+    const devices = await settingsManager.getDevices();
+    for (const device of devices) {
+      this.attach(device);
+    }
+  }
+
+  /**
+   * Resume any playback and screen timers that were running before a restart
+   */
+  async restore() {
+    for (const entry of this.entries.values()) {
+      await entry.playback.restore();
+      await entry.screen.restore();
+    }
+  }
+
+  /**
+   * Build the in-memory entry for a device
+   * @param {Object} device - { id, type?, ip, port }
+   */
+  attach(device) {
+    const type = device.type || 'eo1';
+    let target;
+    if (type === 'virtual') {
+      target = new VirtualFrame(config.get('eo1.timeout'));
+    } else {
+      target = new EO1Socket(
+        device.ip || config.get('eo1.defaultIp'),
+        device.port || config.get('eo1.port'),
+        config.get('eo1.timeout')
+      );
+      target.onUnreachable = () => this.relocate(device.id);
+    }
+    target.deviceId = device.id;
+
+    const curve = new BrightnessCurve(target, device.id);
+    const entry = {
+      id: device.id,
+      type,
+      target,
+      playback: new PlaybackEngine(target, this.flickrClient, device.id),
+      curve,
+      screen: new ScreenPower(target, device.id, curve),
+      relocating: null,
+      lastRelocateAt: 0
+    };
+    entry.curve.start();
+    this.entries.set(device.id, entry);
+    return entry;
+  }
+
+  /**
+   * Get a device entry
+   * @param {string} [deviceId] - Device ID (defaults to the first registered device)
+   * @returns {Object|null} - { id, type, target, playback, curve, screen }
+   */
+  get(deviceId) {
+    if (!deviceId) {
+      const [first] = this.entries.values();
+      return first || null;
+    }
+    return this.entries.get(deviceId) || null;
+  }
+
+  /**
+   * Get all device entries
+   * @returns {Object[]}
+   */
+  all() {
+    return [...this.entries.values()];
+  }
+
+  /**
+   * Look for a device that stopped responding at a new IP, by its MAC address
+   * Only devices with a known MAC can be relocated, and at most once per
+   * `eo1.relocateCooldown` ms, since it may mean scanning the network
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<boolean>} - Whether the device was found at a new IP
+   */
+  async relocate(deviceId) {
+    const entry = this.entries.get(deviceId);
+    if (!entry) {
+      return false;
+    }
+    // Commands failing at the same time share one search
+    if (entry.relocating) {
+      return entry.relocating;
+    }
+
+    const device = await settingsManager.getDevice(deviceId);
+    if (!device || !device.mac || Date.now() - entry.lastRelocateAt < config.get('eo1.relocateCooldown')) {
+      return false;
+    }
+    entry.lastRelocateAt = Date.now();
+
+    entry.relocating = (async () => {
+      try {
+        const ip = await DeviceDiscovery.locate(device.mac, device.port, device.ip);
+        if (!ip) {
+          return false;
+        }
+
+        console.log(`${device.name} (${device.mac}) moved from ${device.ip} to ${ip}`);
+        await this.update(deviceId, { ip });
+        await settingsManager.recordDiscovered([{
+          ip,
+          mac: device.mac,
+          hostname: await DeviceDiscovery.reverseLookup(ip)
+        }]);
+        return true;
+      } catch (error) {
+        console.error(`Failed to relocate ${device.name}:`, error.message);
+        return false;
+      } finally {
+        entry.relocating = null;
+      }
+    })();
+
+    return entry.relocating;
+  }
+
+  /**
+   * Run a command on several devices in parallel and report each outcome
+   * One unreachable device doesn't stop the others
+   * @param {string[]} deviceIds - Devices to target
+   * @param {Function} task - async (entry) => any, called once per device
+   * @returns {Promise<Object[]>} - [{ deviceId, success, error? }]
+   */
+  async broadcast(deviceIds, task) {
+    return Promise.all(deviceIds.map(async (deviceId) => {
+      const entry = this.entries.get(deviceId);
+      if (!entry) {
+        return { deviceId, success: false, error: 'Device not found' };
+      }
+
+      try {
+        await task(entry);
+        return { deviceId, success: true };
+      } catch (error) {
+        return { deviceId, success: false, error: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Register and persist a new device
+   * @param {Object} device - { name, ip, port?, room? }, or { name, type: 'virtual', room? }
+   * @returns {Promise<Object>} - The saved device
+   */
+  async add(device) {
+    const saved = await settingsManager.addDevice(device);
+    this.attach(saved);
+    return saved;
+  }
+
+  /**
+   * Update a device and point its target at the new address
+   * @param {string} deviceId - Device ID
+   * @param {Object} updates - { name?, ip?, port?, room? }
+   * @returns {Promise<Object|null>} - The updated device, or null if not found
+   */
+  async update(deviceId, updates) {
+    const saved = await settingsManager.updateDevice(deviceId, updates);
+    const entry = this.entries.get(deviceId);
+    if (saved && entry) {
+      entry.target.setHost(saved.ip, saved.port);
+    }
+    return saved;
+  }
+
+  /**
+   * Stop a device's playback and forget it
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<boolean>} - Whether a device was removed
+   */
+  async remove(deviceId) {
+    const entry = this.entries.get(deviceId);
+    if (entry) {
+      entry.playback.reset();
+      entry.curve.stop();
+      entry.screen.stop();
+      entry.target.close();
+      this.entries.delete(deviceId);
+    }
+    return settingsManager.removeDevice(deviceId);
+  }
+}
+
+module.exports = DeviceRegistry;
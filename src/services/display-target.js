@@ -0,0 +1,178 @@
+/**
+ * Display Target
+ * Base class for anything that can show EO1 commands: a real EO1 over TCP
+ * (EO1Socket) or a browser acting as a frame (VirtualFrame)
+ *
+ * Subclasses implement deliver() to get a raw command to the display. This
+ * class builds the commands, records every one in the audit log and the
+ * target's health, and announces shown photos and failures on the event bus.
+ *
+ * Commands: plain text, comma-delimited, built and checked by eo1-command
+ * - image,<flickr_photo_id> - Display specific image
+ * - video,<flickr_photo_id> - Display specific video
+ * - resume, - Skip to next / resume slideshow
+ * - tag,<tagname> - Change Flickr tag
+ * - brightness,<float> - Set brightness (0.0-1.0)
+ * - options,<brightness>,<interval>,<startHour>,<endHour> - Bulk settings
+ */
+
+const DeviceHealth = require('./device-health');
+const eo1Command = require('./eo1-command');
+const auditLog = require('./audit-log');
+const events = require('./event-bus');
+const requestContext = require('../utils/request-context');
+
+class DisplayTarget {
+  constructor() {
+    this.host = null;
+    this.port = null;
+    this.health = new DeviceHealth();
+    this.deviceId = null;       // Set by DeviceRegistry, for the audit log
+  }
+
+  /**
+   * Send a raw command and record the outcome in the audit log
+   * Throws a CommandError, without contacting the display, if it isn't a single line
+   * @param {string} command - The command to send
+   * @returns {Promise<{success: boolean, command: string}>}
+   */
+  async sendCommand(command) {
+    eo1Command.checkLine(command);
+    const started = Date.now();
+    try {
+      const result = await this.deliver(command);
+      // A coalesced command resolves with the newer command that replaced it
+      const outcome = result.dryRun ? 'dry-run' : (result.command === command ? 'sent' : 'superseded');
+      this.audit(command, outcome, Date.now() - started);
+
+      const [kind, photoId] = command.split(',');
+      if (outcome === 'sent' && (kind === 'image' || kind === 'video')) {
+        events.publish('displayed', this.deviceId, { photoId, media: kind === 'video' ? 'video' : 'photo' });
+      }
+      return result;
+    } catch (error) {
+      this.audit(command, 'failed', Date.now() - started, error);
+      events.publish('device-error', this.deviceId, { command, error: error.message, health: this.health.status() });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a command to the display
+   * Failures should use the EO1Socket messages ('Connection failed: ...',
+   * 'Connection timeout') so routes report them as 503s
+   * @param {string} command - The command to send
+   * @returns {Promise<{success: boolean, command: string}>}
+   */
+  async deliver(command) {
+    throw new Error(`${this.constructor.name} can't deliver commands`);
+  }
+
+  /**
+   * Add a command to the audit log, tagged with where it came from
+   * @param {string} command - Raw command
+   * @param {string} result - 'sent', 'superseded', 'dry-run' or 'failed'
+   * @param {number} latency - ms from sending to delivery (including queueing and retries)
+   * @param {Error} [error] - Why it failed
+   */
+  audit(command, result, latency, error) {
+    const { origin, clientIp, userAgent } = requestContext.current();
+    auditLog.record({
+      deviceId: this.deviceId,
+      host: this.host,
+      port: this.port,
+      command,
+      kind: command.split(',')[0],
+      origin,
+      clientIp,
+      userAgent,
+      result,
+      error: error ? error.message : null,
+      latency
+    });
+  }
+
+  /**
+   * Display a specific image by Flickr photo ID
+   * @param {string} photoId - Flickr photo ID
+   */
+  async displayImage(photoId) {
+    return this.sendCommand(eo1Command.image(photoId));
+  }
+
+  /**
+   * Display a specific video by Flickr photo ID
+   * @param {string} photoId - Flickr photo ID
+   */
+  async displayVideo(photoId) {
+    return this.sendCommand(eo1Command.video(photoId));
+  }
+
+  /**
+   * Skip to next slideshow item / resume slideshow
+   */
+  async resume() {
+    return this.sendCommand(eo1Command.resume());
+  }
+
+  /**
+   * Change the Flickr tag to search
+   * @param {string} tag - Flickr tag name (no commas or control characters)
+   */
+  async setTag(tag) {
+    return this.sendCommand(eo1Command.tag(tag));
+  }
+
+  /**
+   * Set screen brightness
+   * @param {number} level - Brightness level (0.0 to 1.0, or -1 for auto)
+   */
+  async setBrightness(level) {
+    return this.sendCommand(eo1Command.brightness(level));
+  }
+
+  /**
+   * Update multiple options at once
+   * @param {number} brightness - Brightness level (0.0 to 1.0, or -1 for auto)
+   * @param {number} interval - Slideshow interval in minutes
+   * @param {number} startHour - Quiet hours start (0-23, or -1 to disable)
+   * @param {number} endHour - Quiet hours end (0-23, or -1 to disable)
+   */
+  async setOptions(brightness, interval, startHour, endHour) {
+    return this.sendCommand(eo1Command.options(brightness, interval, startHour, endHour));
+  }
+
+  /**
+   * Describe how the target is reached, without contacting it
+   * @returns {Promise<Object>} - { host, port, ... }
+   */
+  async checkConnection() {
+    return {
+      host: this.host,
+      port: this.port
+    };
+  }
+
+  /**
+   * Get the command queue state
+   * Targets without a queue are always idle
+   * @returns {{ depth: number, busy: boolean, lastOutcome: Object|null }}
+   */
+  queueStatus() {
+    return { depth: 0, busy: false, lastOutcome: null };
+  }
+
+  /**
+   * Point the target at a new address (only network targets have one)
+   * @param {string} host
+   * @param {number} [port]
+   */
+  setHost(host, port) {}
+
+  /**
+   * Release anything the target holds open
+   */
+  close() {}
+}
+
+module.exports = DisplayTarget;
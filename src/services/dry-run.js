@@ -0,0 +1,128 @@
+/**
+ * Dry Run
+ * Records the commands EO1Socket would send instead of sending them, for
+ * trying out presets, schedules and scripts without touching a real frame
+ *
+ * Dry-run mode is on for everything when the `dryRun` setting is, or for a
+ * single request that sends an `X-Dry-Run: 1` header or a `?dryRun=1` query.
+ * A request's own dry run covers the commands it sends while it's handled
+ * (running a schedule now, a webhook). Slideshows it starts only show what
+ * their first photo would be, without replacing live playback or starting a
+ * timer (see PlaybackEngine.scratch()); timed work only follows the setting.
+ *
+ * Intercepted commands are kept in memory (newest first, `dryRun.maxCommands`
+ * of them), announced as `intercepted` events and added to the response of
+ * the request that sent them as `dryRun: { commands }`.
+ *
+ * With the setting on, the controller otherwise carries on as if the frame
+ * took them. A request's own dry run changes nothing else: live playback, the
+ * brightness curve, the screen state, the current source and history stay as
+ * they were (see requestContext.isDryRun()).
+ */
+
+const config = require('config');
+const settingsManager = require('./settings-manager');
+const events = require('./event-bus');
+const requestContext = require('../utils/request-context');
+
+const HEADER = 'X-Dry-Run';
+const OFF_VALUES = ['0', 'false', 'no', 'off'];
+
+class DryRun {
+  constructor() {
+    this.maxCommands = config.get('dryRun.maxCommands');
+    this.commands = [];   // Newest first
+    this.middleware = this.middleware.bind(this);
+  }
+
+  /**
+   * Whether a request asked for a dry run
+   * @param {express.Request} req
+   * @returns {boolean}
+   */
+  static requested(req) {
+    const value = req.get(HEADER) || req.query.dryRun;
+    return value !== undefined && !OFF_VALUES.includes(String(value).trim().toLowerCase());
+  }
+
+  /**
+   * Express middleware that opens the request's dry run, and lists the
+   * commands it intercepted in JSON responses
+   */
+  middleware(req, res, next) {
+    const dryRun = DryRun.requested(req);
+    const intercepted = [];
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const isObject = body && typeof body === 'object' && !Array.isArray(body);
+      if (isObject && (dryRun || intercepted.length > 0)) {
+        return json({ ...body, dryRun: { commands: intercepted } });
+      }
+      return json(body);
+    };
+    if (dryRun) {
+      res.set(HEADER, '1');
+    }
+
+    requestContext.run({ ...requestContext.current(), dryRun, intercepted }, next);
+  }
+
+  /**
+   * Whether commands should be held back right now
+   * The server loads settings before it starts; the CLI reads the setting
+   * itself and passes it as the context's dryRun, so nothing is created here.
+   * @returns {Promise<boolean>}
+   */
+  async isActive() {
+    if (requestContext.current().dryRun) {
+      return true;
+    }
+    return settingsManager.loaded && settingsManager.getDryRun();
+  }
+
+  /**
+   * Record a command in place of sending it
+   * @param {DisplayTarget} target - Where it would have gone
+   * @param {string} command - Raw command, exactly as it would be written
+   * @returns {{ success: boolean, command: string, dryRun: boolean }}
+   */
+  intercept(target, command) {
+    const { origin, intercepted } = requestContext.current();
+    const entry = {
+      at: new Date().toISOString(),
+      deviceId: target.deviceId,
+      host: target.host,
+      port: target.port,
+      command,
+      origin
+    };
+
+    this.commands.unshift(entry);
+    this.commands.length = Math.min(this.commands.length, this.maxCommands);
+    if (intercepted) {
+      intercepted.push(command);
+    }
+
+    events.publish('intercepted', target.deviceId, entry);
+    return { success: true, command, dryRun: true };
+  }
+
+  /**
+   * Get the intercepted commands
+   * @returns {Object[]} - Newest first: [{ at, deviceId, host, port, command, origin }]
+   */
+  list() {
+    return [...this.commands];
+  }
+
+  /**
+   * Forget the intercepted commands
+   */
+  clear() {
+    this.commands = [];
+    events.publish('intercepted', null, { cleared: true });
+  }
+}
+
+module.exports = new DryRun();
@@ -0,0 +1,177 @@
+/**
+ * EO1 Commands
+ * Builds the raw commands DisplayTarget sends, checking every argument first
+ *
+ * The EO1 reads one comma-separated command per line and can't escape
+ * anything, so an argument with a comma or line break would turn into extra
+ * arguments or a second command. Each builder checks its arguments' type and
+ * range, refuses anything it can't send safely and returns the encoded line.
+ * Problems throw a CommandError, which the routes report as a 400.
+ */
+
+const TAG_MAX_LENGTH = 100;
+const CONTROL_CHARS = /[\x00-\x1f\x7f-\x9f]/;  // C0, DEL and C1 (which includes NEL, U+0085)
+
+class CommandError extends Error {
+  /**
+   * @param {string} message - What's wrong, phrased for the API response
+   * @param {string} kind - Command being built, e.g. 'tag'
+   */
+  constructor(message, kind) {
+    super(message);
+    this.name = 'CommandError';
+    this.kind = kind;
+  }
+}
+
+/**
+ * Check a Flickr photo ID
+ * @param {string|number} photoId
+ * @param {string} kind - 'image' or 'video'
+ * @returns {string}
+ */
+function encodePhotoId(photoId, kind) {
+  const value = typeof photoId === 'number' ? String(photoId) : photoId;
+  if (typeof value !== 'string' || !/^\d{1,20}$/.test(value)) {
+    throw new CommandError('Invalid photo ID', kind);
+  }
+  return value;
+}
+
+/**
+ * Check a brightness level and write it without exponents ('1e-7')
+ * @param {number} level - 0.0-1.0, or -1 for auto
+ * @param {string} kind - Command being built
+ * @param {string} message - Error message if it's out of range
+ * @returns {string}
+ */
+function encodeBrightness(level, kind, message) {
+  if (level === -1) {
+    return '-1';
+  }
+  if (typeof level !== 'number' || !Number.isFinite(level) || level < 0 || level > 1) {
+    throw new CommandError(message, kind);
+  }
+  return String(Math.round(level * 1000) / 1000);
+}
+
+/**
+ * Check a whole number in a range
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @param {string} message - Error message if it isn't
+ * @returns {string}
+ */
+function encodeInteger(value, min, max, message) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new CommandError(message, 'options');
+  }
+  return String(value);
+}
+
+/**
+ * Check a quiet hour
+ * @param {number} hour - 0-23, or -1 to disable
+ * @param {string} label - 'Start' or 'End'
+ * @returns {string}
+ */
+function encodeHour(hour, label) {
+  return hour === -1 ? '-1' : encodeInteger(hour, 0, 23, `${label} hour must be -1 (disabled) or 0-23`);
+}
+
+/**
+ * image,<flickr_photo_id>
+ * @param {string|number} photoId
+ * @returns {string}
+ */
+function image(photoId) {
+  return `image,${encodePhotoId(photoId, 'image')}`;
+}
+
+/**
+ * video,<flickr_photo_id>
+ * @param {string|number} photoId
+ * @returns {string}
+ */
+function video(photoId) {
+  return `video,${encodePhotoId(photoId, 'video')}`;
+}
+
+/**
+ * resume,
+ * @returns {string}
+ */
+function resume() {
+  return 'resume,';
+}
+
+/**
+ * tag,<tagname>
+ * Surrounding spaces are trimmed; the EO1 has no way to take a comma.
+ * @param {string} name - Flickr tag
+ * @returns {string}
+ */
+function tag(name) {
+  const value = typeof name === 'string' ? name.trim() : '';
+  if (!value || value.length > TAG_MAX_LENGTH) {
+    throw new CommandError(`Tag is required (max ${TAG_MAX_LENGTH} characters)`, 'tag');
+  }
+  if (value.includes(',')) {
+    throw new CommandError("Tags can't contain commas", 'tag');
+  }
+  if (CONTROL_CHARS.test(value)) {
+    throw new CommandError("Tags can't contain line breaks or control characters", 'tag');
+  }
+  return `tag,${value}`;
+}
+
+/**
+ * brightness,<float>
+ * @param {number} level - 0.0-1.0, or -1 for auto
+ * @returns {string}
+ */
+function brightness(level) {
+  return `brightness,${encodeBrightness(level, 'brightness', 'Brightness must be -1 (auto) or 0.0-1.0')}`;
+}
+
+/**
+ * options,<brightness>,<interval>,<startHour>,<endHour>
+ * @param {number} level - 0.0-1.0, or -1 for auto
+ * @param {number} interval - Slideshow interval, 1-60 minutes
+ * @param {number} startHour - Quiet hours start (0-23, or -1 to disable)
+ * @param {number} endHour - Quiet hours end (0-23, or -1 to disable)
+ * @returns {string}
+ */
+function options(level, interval, startHour, endHour) {
+  return [
+    'options',
+    encodeBrightness(level, 'options', 'Brightness must be -1 (auto) or 0.0-1.0'),
+    encodeInteger(interval, 1, 60, 'Interval must be 1-60 minutes'),
+    encodeHour(startHour, 'Start'),
+    encodeHour(endHour, 'End')
+  ].join(',');
+}
+
+/**
+ * Last check before a command is written: a single line with no control characters
+ * @param {string} command - Raw command
+ * @returns {string}
+ */
+function checkLine(command) {
+  if (typeof command !== 'string' || !command || CONTROL_CHARS.test(command)) {
+    throw new CommandError('Commands must be a single line without control characters', String(command).split(',')[0]);
+  }
+  return command;
+}
+
+module.exports = {
+  CommandError,
+  image,
+  video,
+  resume,
+  tag,
+  brightness,
+  options,
+  checkLine
+};
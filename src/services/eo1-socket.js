@@ -2,30 +2,77 @@
  * EO1 Socket Client
  * Handles TCP socket communication with the EO1 device on port 12345
  *
- * Protocol: Plain text, comma-delimited commands
- * - image,<flickr_photo_id> - Display specific image
- * - video,<flickr_photo_id> - Display specific video
- * - resume, - Skip to next / resume slideshow
- * - tag,<tagname> - Change Flickr tag
- * - brightness,<float> - Set brightness (0.0-1.0)
- * - options,<brightness>,<interval>,<startHour>,<endHour> - Bulk settings
+ * Protocol: Plain text, comma-delimited commands, one per connection
+ * (see DisplayTarget for the command list)
+ *
+ * Note: We never test the connection on its own, because connecting without
+ * sending a command can crash the EO1 app.
+ *
+ * In dry-run mode (see DryRun) commands are recorded and returned without
+ * opening a socket.
  */
 
 const net = require('net');
+const { parseCidr, networkCidr, expandRanges } = require('../utils/network');
+const CommandQueue = require('./command-queue');
+const DisplayTarget = require('./display-target');
+const dryRun = require('./dry-run');
 
-class EO1Socket {
+class EO1Socket extends DisplayTarget {
   constructor(host, port = 12345, timeout = 5000) {
+    super();
     this.host = host;
     this.port = port;
     this.timeout = timeout;
+    this.onUnreachable = null;  // async () => boolean, set by DeviceRegistry to relocate the device
+  }
+
+  /**
+   * Queue a command, relocating the device and trying once more if it's gone
+   * Goes through the host's command queue so connections never overlap
+   * @param {string} command - The command to send
+   * @returns {Promise<{success: boolean, command: string, dryRun?: boolean}>}
+   */
+  async deliver(command) {
+    if (await dryRun.isActive()) {
+      return dryRun.intercept(this, command);
+    }
+
+    try {
+      return await CommandQueue.for(this.host, this.port).enqueue(command, (cmd) => this.timedWrite(cmd));
+    } catch (error) {
+      // DHCP may have moved the device - if it's found at a new address, try once more there
+      if (error.message.startsWith('Connection failed') && this.onUnreachable && await this.onUnreachable()) {
+        return CommandQueue.for(this.host, this.port).enqueue(command, (cmd) => this.timedWrite(cmd));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write a command and record how the connection went in the device's health
+   * @param {string} command - The command to send
+   * @returns {Promise<{success: boolean, command: string}>}
+   */
+  async timedWrite(command) {
+    const started = Date.now();
+    try {
+      const result = await this.writeCommand(command);
+      this.health.record(true, Date.now() - started);
+      return result;
+    } catch (error) {
+      this.health.record(false, Date.now() - started, error);
+      throw error;
+    }
   }
 
   /**
-   * Send a raw command to the EO1 device
+   * Open a connection and write a single command
+   * Use sendCommand instead - this bypasses the queue
    * @param {string} command - The command to send
    * @returns {Promise<{success: boolean, command: string}>}
    */
-  async sendCommand(command) {
+  async writeCommand(command) {
     return new Promise((resolve, reject) => {
       const socket = new net.Socket();
       socket.setTimeout(this.timeout);
@@ -57,143 +104,141 @@ class EO1Socket {
   }
 
   /**
-   * Display a specific image by Flickr photo ID
-   * @param {string} photoId - Flickr photo ID
-   */
-  async displayImage(photoId) {
-    return this.sendCommand(`image,${photoId}`);
-  }
-
-  /**
-   * Display a specific video by Flickr photo ID
-   * @param {string} photoId - Flickr photo ID
-   */
-  async displayVideo(photoId) {
-    return this.sendCommand(`video,${photoId}`);
-  }
-
-  /**
-   * Skip to next slideshow item / resume slideshow
-   */
-  async resume() {
-    return this.sendCommand('resume,');
-  }
-
-  /**
-   * Change the Flickr tag to search
-   * @param {string} tag - Flickr tag name
+   * Get the command queue state for this device
+   * @returns {{ depth: number, busy: boolean, lastOutcome: Object|null }}
    */
-  async setTag(tag) {
-    return this.sendCommand(`tag,${tag}`);
+  queueStatus() {
+    return CommandQueue.for(this.host, this.port).status();
   }
 
   /**
-   * Set screen brightness
-   * @param {number} level - Brightness level (0.0 to 1.0)
+   * Update the device IP address
+   * @param {string} host - New IP address
+   * @param {number} [port] - New port (unchanged if omitted)
    */
-  async setBrightness(level) {
-    return this.sendCommand(`brightness,${level}`);
+  setHost(host, port = this.port) {
+    if (host !== this.host || port !== this.port) {
+      // History for the old address says nothing about the new one
+      this.health.reset();
+    }
+    this.host = host;
+    this.port = port;
   }
 
   /**
-   * Update multiple options at once
-   * @param {number} brightness - Brightness level (0.0 to 1.0, or -1 for auto)
-   * @param {number} interval - Slideshow interval in minutes
-   * @param {number} startHour - Quiet hours start (0-23, or -1 to disable)
-   * @param {number} endHour - Quiet hours end (0-23, or -1 to disable)
+   * Scan network ranges for EO1 devices
+   * Looks for hosts with the EO1 port open, a limited number at a time
+   * @param {string|string[]} ranges - CIDR ranges (e.g. '10.0.0.0/22'), or a '192.168.1' prefix
+   * @param {Object} options
+   * @param {number} [options.timeout=500] - Connection timeout per host in ms
+   * @param {number} [options.concurrency=64] - Hosts probed at once
+   * @param {number} [options.port=12345] - Port to look for
+   * @param {Function} [options.onFound] - (ip) => void, called as each device is found
+   * @param {Function} [options.onProgress] - ({ scanned, total }) => void, called after each probe
+   * @param {AbortSignal} [options.signal] - Stops launching new probes when aborted
+   * @returns {Promise<string[]>} - IPs with the port open
    */
-  async setOptions(brightness, interval, startHour, endHour) {
-    return this.sendCommand(`options,${brightness},${interval},${startHour},${endHour}`);
-  }
+  static async scanNetwork(ranges = '192.168.1', options = {}) {
+    const {
+      timeout = 500,
+      concurrency = 64,
+      port = 12345,
+      onFound = () => {},
+      onProgress = () => {},
+      signal
+    } = options;
+
+    const parsed = [].concat(ranges).map(parseCidr);
+    if (parsed.some(range => !range)) {
+      throw new Error('Invalid network range');
+    }
 
-  /**
-   * Check if the device is reachable
-   * Note: We don't actually test the socket because connecting without
-   * sending a command can crash the EO1 app. Just return the configured values.
-   * @returns {Promise<{host: string, port: number}>}
-   */
-  async checkConnection() {
-    return {
-      host: this.host,
-      port: this.port
+    const hosts = expandRanges(parsed);
+    const found = [];
+    let next = 0;
+    let scanned = 0;
+
+    // Each worker probes one host at a time until the list runs out
+    const worker = async () => {
+      while (next < hosts.length && !(signal && signal.aborted)) {
+        const ip = hosts[next++];
+        if (await EO1Socket.probe(ip, port, timeout)) {
+          found.push(ip);
+          onFound(ip);
+        }
+        scanned++;
+        onProgress({ scanned, total: hosts.length });
+      }
     };
-  }
 
-  /**
-   * Update the device IP address
-   * @param {string} host - New IP address
-   */
-  setHost(host) {
-    this.host = host;
+    const workers = Array.from({ length: Math.min(concurrency, hosts.length) }, worker);
+    await Promise.all(workers);
+    return found;
   }
 
   /**
-   * Scan network for EO1 devices
-   * Looks for devices with port 12345 open
-   * @param {string} subnet - Subnet to scan (e.g., '192.168.1')
-   * @param {number} timeout - Connection timeout per host in ms
-   * @returns {Promise<string[]>} - Array of IPs with port 12345 open
+   * Check whether a host has a port open
+   * Only used by the scanner - connecting without a command can crash an EO1,
+   * so the socket is dropped the moment it connects
+   * @param {string} ip - Host to check
+   * @param {number} port - Port to check
+   * @param {number} timeout - Connection timeout in ms
+   * @returns {Promise<boolean>}
    */
-  static async scanNetwork(subnet = '192.168.1', timeout = 500) {
-    const net = require('net');
-    const found = [];
-    const promises = [];
-
-    // Scan IPs 1-254
-    for (let i = 1; i <= 254; i++) {
-      const ip = `${subnet}.${i}`;
-
-      const promise = new Promise((resolve) => {
-        const socket = new net.Socket();
-        socket.setTimeout(timeout);
-
-        socket.on('connect', () => {
-          found.push(ip);
-          socket.destroy();
-          resolve();
-        });
-
-        socket.on('error', () => {
-          socket.destroy();
-          resolve();
-        });
+  static probe(ip, port, timeout) {
+    return new Promise((resolve) => {
+      const socket = new net.Socket();
+      socket.setTimeout(timeout);
 
-        socket.on('timeout', () => {
-          socket.destroy();
-          resolve();
-        });
+      socket.on('connect', () => {
+        socket.destroy();
+        resolve(true);
+      });
 
-        socket.connect(12345, ip);
+      socket.on('error', () => {
+        socket.destroy();
+        resolve(false);
       });
 
-      promises.push(promise);
-    }
+      socket.on('timeout', () => {
+        socket.destroy();
+        resolve(false);
+      });
 
-    await Promise.all(promises);
-    return found;
+      socket.connect(port, ip);
+    });
   }
 
   /**
-   * Detect local subnet from network interfaces
-   * @returns {string|null} - Subnet like '192.168.1' or null
+   * Detect the networks of every non-internal IPv4 interface
+   * @returns {string[]} - CIDR ranges like '192.168.1.0/24'
    */
-  static detectSubnet() {
+  static detectSubnets() {
     const os = require('os');
     const interfaces = os.networkInterfaces();
+    const subnets = [];
 
     for (const name of Object.keys(interfaces)) {
       for (const iface of interfaces[name]) {
         // Skip internal and non-IPv4
         if (iface.internal || iface.family !== 'IPv4') continue;
 
-        // Extract subnet (first 3 octets)
-        const parts = iface.address.split('.');
-        if (parts.length === 4) {
-          return `${parts[0]}.${parts[1]}.${parts[2]}`;
+        const cidr = networkCidr(iface.address, iface.netmask);
+        if (cidr && !subnets.includes(cidr)) {
+          subnets.push(cidr);
         }
       }
     }
-    return null;
+    return subnets;
+  }
+
+  /**
+   * Detect local subnet from network interfaces
+   * @returns {string|null} - Subnet like '192.168.1' or null
+   */
+  static detectSubnet() {
+    const [first] = EO1Socket.detectSubnets();
+    return first ? first.split('.').slice(0, 3).join('.') : null;
   }
 }
 
@@ -0,0 +1,42 @@
+/**
+ * Event Bus
+ * Announces state changes so every open browser can follow them live
+ *
+ * SettingsManager publishes whenever per-device state or a shared list is
+ * saved, and DisplayTarget when a photo is shown or a command fails. Events
+ * carry the client ID of the browser whose request caused them (from the
+ * request context), so that browser can skip changes it has already drawn.
+ */
+
+const { EventEmitter } = require('events');
+const requestContext = require('../utils/request-context');
+
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);  // One listener per open browser
+    this.lastId = 0;
+  }
+
+  /**
+   * Announce a change
+   * @param {string} type - e.g. 'source', 'history', 'slideshow', 'device-error'
+   * @param {string|null} deviceId - Device it concerns, or null for shared settings
+   * @param {Object} [data] - What changed
+   * @returns {Object} - The event: { id, type, deviceId, clientId, at, data }
+   */
+  publish(type, deviceId, data = {}) {
+    const event = {
+      id: ++this.lastId,
+      type,
+      deviceId: deviceId || null,
+      clientId: requestContext.current().clientId || null,
+      at: new Date().toISOString(),
+      data
+    };
+    this.emit('event', event);
+    return event;
+  }
+}
+
+module.exports = new EventBus();
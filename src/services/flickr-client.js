@@ -314,6 +314,34 @@ class FlickrClient {
     });
   }
 
+  /**
+   * Transform a Flickr photo object into a standardized format
+   * @param {Object} photo - Raw Flickr photo object
+   * @returns {Object} - Standardized photo object
+   */
+  static transformPhoto(photo) {
+    // Get dimensions - prefer original, fall back to large, then medium
+    const width = photo.o_width ? parseInt(photo.o_width) :
+                  photo.width_l ? parseInt(photo.width_l) :
+                  photo.width_m ? parseInt(photo.width_m) : null;
+    const height = photo.o_height ? parseInt(photo.o_height) :
+                   photo.height_l ? parseInt(photo.height_l) :
+                   photo.height_m ? parseInt(photo.height_m) : null;
+
+    return {
+      id: photo.id,
+      owner: photo.owner,
+      title: photo.title,
+      media: photo.media || 'photo',
+      thumbnailUrl: photo.url_n || photo.url_m || photo.url_sq,
+      mediumUrl: photo.url_m,
+      largeUrl: photo.url_l,
+      originalUrl: photo.url_o,
+      width,
+      height
+    };
+  }
+
   /**
    * Parse a Flickr URL to extract type and identifier
    * @param {string} url - Flickr URL
@@ -464,6 +492,49 @@ class FlickrClient {
     }
   }
 
+  /**
+   * Get the photo a Flickr photo page links to
+   * Handles flickr.com/photos/USER/PHOTO_ID/... and flic.kr/p/SHORT_ID links
+   * @param {string} url - Photo page URL
+   * @returns {{ photoId: string, owner: string|null }|null} - null if it isn't a photo page
+   */
+  static parsePhotoUrl(url) {
+    let normalised = url.trim();
+    if (!normalised.startsWith('http')) {
+      normalised = 'https://' + normalised;
+    }
+
+    try {
+      const parsed = new URL(normalised);
+
+      // Short links are the photo ID in Flickr's base 58
+      if (parsed.hostname === 'flic.kr') {
+        const shortMatch = parsed.pathname.match(/^\/p\/([1-9a-km-zA-HJ-NP-Z]+)\/?$/);
+        if (!shortMatch) {
+          return null;
+        }
+        const alphabet = '123456789abcdefghijkmnopqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ';
+        let photoId = 0n;
+        for (const char of shortMatch[1]) {
+          photoId = photoId * 58n + BigInt(alphabet.indexOf(char));
+        }
+        return { photoId: photoId.toString(), owner: null };
+      }
+
+      if (!parsed.hostname.includes('flickr.com')) {
+        return null;
+      }
+
+      const photoMatch = parsed.pathname.match(/^\/photos\/([^/]+)\/(\d+)(\/|$)/i);
+      if (!photoMatch || photoMatch[1] === 'tags') {
+        return null;
+      }
+      return { photoId: photoMatch[2], owner: decodeURIComponent(photoMatch[1]) };
+    } catch (e) {
+      return null;
+    }
+  }
+
   /**
    * Update the API key
    * @param {string} apiKey - New API key
@@ -0,0 +1,105 @@
+/**
+ * Frame Hub
+ * Accepts WebSocket connections from /frame pages and hands each one to its
+ * VirtualFrame
+ *
+ * A page's first message registers it:
+ *   { type: 'register', id?: string, name?: string }
+ * With the ID of an existing virtual frame the page joins it; otherwise a new
+ * virtual frame device is created. The hub replies with
+ *   { type: 'registered', id, name }
+ * and the page should keep the ID so it comes back as the same frame.
+ *
+ * Pages on other websites are refused, and once a login password is set,
+ * pages need a session cookie to connect.
+ */
+
+const WebSocket = require('ws');
+const settingsManager = require('./settings-manager');
+const auth = require('./auth');
+const requestGuard = require('./request-guard');
+
+const SOCKET_PATH = '/frame/socket';
+const REGISTER_TIMEOUT = 10000;
+
+class FrameHub {
+  /**
+   * @param {DeviceRegistry} devices - Registry that owns the VirtualFrames
+   */
+  constructor(devices) {
+    this.devices = devices;
+    this.server = null;
+  }
+
+  /**
+   * Listen for frame pages on an HTTP server
+   * @param {http.Server} httpServer - The Express app's server
+   */
+  attach(httpServer) {
+    this.server = new WebSocket.Server({
+      server: httpServer,
+      path: SOCKET_PATH,
+      verifyClient: ({ req }, done) => {
+        if (!requestGuard.allowsSocket(req)) {
+          return done(false, 403, 'Origin not allowed');
+        }
+        auth.isAllowed(req)
+          .then(allowed => done(allowed, 401, 'Login required'))
+          .catch(() => done(false, 500));
+      }
+    });
+    this.server.on('connection', (ws) => this.handleConnection(ws));
+  }
+
+  /**
+   * Wait for a new page to register
+   * @param {WebSocket} ws
+   */
+  handleConnection(ws) {
+    // A malformed frame makes ws emit 'error', which would otherwise crash the
+    // server. This stays attached for the socket's lifetime.
+    ws.on('error', (error) => {
+      console.error('Frame socket error:', error.message);
+      ws.terminate();
+    });
+
+    const timer = setTimeout(() => ws.close(1008, 'Not registered'), REGISTER_TIMEOUT);
+    ws.on('close', () => clearTimeout(timer));
+
+    ws.once('message', async (data) => {
+      clearTimeout(timer);
+      try {
+        const message = JSON.parse(data);
+        if (message.type !== 'register') {
+          throw new Error('Expected a register message');
+        }
+
+        const device = await this.register(message);
+        ws.send(JSON.stringify({ type: 'registered', id: device.id, name: device.name }));
+        this.devices.get(device.id).target.addClient(ws);
+      } catch (error) {
+        console.error('Frame registration failed:', error.message);
+        ws.close(1008, error.message.slice(0, 100));
+      }
+    });
+  }
+
+  /**
+   * Find the virtual frame a page belongs to, creating one if needed
+   * @param {Object} message - { id?, name? }
+   * @returns {Promise<Object>} - The saved device
+   */
+  async register({ id, name }) {
+    const entry = id ? this.devices.get(id) : null;
+    if (entry && entry.type === 'virtual') {
+      return settingsManager.getDevice(id);
+    }
+
+    const frameName = typeof name === 'string' && name.trim()
+      ? name.trim().slice(0, 50)
+      : 'Virtual Frame';
+    return this.devices.add({ name: frameName, type: 'virtual', room: '' });
+  }
+}
+
+module.exports = FrameHub;
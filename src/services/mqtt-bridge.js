@@ -0,0 +1,392 @@
+/**
+ * MQTT Bridge
+ * Puts each device in Home Assistant through an MQTT broker
+ *
+ * Optional, and off until a broker is saved in settings. Once connected it
+ * publishes Home Assistant discovery configs, so each device appears with:
+ * - a light: the screen on/off and its brightness
+ * - a select: the playable presets, picked as if from the browser
+ * - a button: skip to the next photo
+ *
+ * States are retained on `<baseTopic>/<deviceId>/<entity>/state` and kept up
+ * to date from the event bus; commands arrive on `<baseTopic>/<deviceId>/<entity>/set`
+ * and go through the same services as the REST routes. mqtt.js reconnects by
+ * itself when the broker drops, and everything is published again once it's
+ * back (or when Home Assistant restarts and announces itself).
+ */
+
+const mqtt = require('mqtt');
+const config = require('config');
+const settingsManager = require('./settings-manager');
+const presetStore = require('./preset-store');
+const PlaybackEngine = require('./playback-engine');
+const events = require('./event-bus');
+const requestContext = require('../utils/request-context');
+
+const ENTITIES = ['light', 'brightness', 'preset', 'skip'];
+
+class MqttBridge {
+  /**
+   * @param {DeviceRegistry} devices - Registry of the devices to expose
+   */
+  constructor(devices) {
+    this.devices = devices;
+    this.client = null;
+    this.settings = null;
+    this.connected = false;
+    this.lastError = null;
+    this.published = new Set();  // Node IDs with discovery configs on the broker
+    this.onEvent = (event) => this.handleEvent(event);
+  }
+
+  /**
+   * Get the Home Assistant node ID for a device
+   * @param {string} deviceId
+   * @returns {string}
+   */
+  static nodeId(deviceId) {
+    return `eo1_${deviceId.replace(/[^a-zA-Z0-9_-]/g, '_')}`;
+  }
+
+  /**
+   * Check a topic prefix (no wildcards, no leading or trailing slash)
+   * @param {*} topic
+   * @returns {boolean}
+   */
+  static isValidTopic(topic) {
+    return typeof topic === 'string' && /^[^#+/\s][^#+\s]*$/.test(topic) && !topic.endsWith('/');
+  }
+
+  /**
+   * Connect if MQTT is enabled in settings
+   */
+  async start() {
+    this.settings = await settingsManager.getMqtt();
+    if (!this.settings.enabled) {
+      return;
+    }
+
+    const { url, username, password, baseTopic } = this.settings;
+    this.client = mqtt.connect(url, {
+      username: username || undefined,
+      password: password || undefined,
+      clientId: `eo1-controller-${Math.random().toString(16).slice(2, 10)}`,
+      reconnectPeriod: config.get('mqtt.reconnectPeriod'),
+      connectTimeout: config.get('mqtt.connectTimeout'),
+      // The broker marks every entity unavailable if we vanish
+      will: { topic: `${baseTopic}/status`, payload: 'offline', retain: true, qos: 1 }
+    });
+
+    this.client.on('connect', () => {
+      this.connected = true;
+      this.lastError = null;
+      console.log(`MQTT connected to ${url}`);
+      this.announce().catch(error => console.error('MQTT announce failed:', error.message));
+    });
+    this.client.on('close', () => {
+      this.connected = false;
+    });
+    this.client.on('error', (error) => {
+      this.lastError = error.message;
+      console.error('MQTT error:', error.message);
+    });
+    this.client.on('message', (topic, payload) => this.handleMessage(topic, payload.toString()));
+
+    events.on('event', this.onEvent);
+  }
+
+  /**
+   * Disconnect, marking the devices unavailable
+   */
+  async stop() {
+    events.off('event', this.onEvent);
+    if (!this.client) {
+      return;
+    }
+
+    const client = this.client;
+    this.client = null;
+    this.connected = false;
+    this.published.clear();
+
+    if (client.connected) {
+      await client.publishAsync(`${this.settings.baseTopic}/status`, 'offline', { retain: true }).catch(() => {});
+    }
+    await client.endAsync();
+  }
+
+  /**
+   * Reconnect with the saved settings (after they change)
+   */
+  async reload() {
+    await this.stop();
+    await this.start();
+  }
+
+  /**
+   * Describe the connection
+   * @returns {{ enabled: boolean, connected: boolean, lastError: string|null }}
+   */
+  status() {
+    return {
+      enabled: !!(this.settings && this.settings.enabled),
+      connected: this.connected,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Subscribe and publish availability, discovery configs and states
+   * Runs on every (re)connect, since a broker may have lost retained messages
+   */
+  async announce() {
+    const { baseTopic, discoveryPrefix } = this.settings;
+    await this.client.subscribeAsync([`${baseTopic}/+/+/set`, `${discoveryPrefix}/status`]);
+    await this.publish(`${baseTopic}/status`, 'online');
+    await this.publishDiscovery();
+    for (const entry of this.devices.all()) {
+      await this.publishState(entry);
+    }
+  }
+
+  /**
+   * Publish a retained message, if connected
+   * @param {string} topic
+   * @param {string|Object} payload - Objects are sent as JSON
+   */
+  async publish(topic, payload) {
+    if (!this.client || !this.client.connected) return;
+    const message = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    await this.client.publishAsync(topic, message, { retain: true });
+  }
+
+  /**
+   * Get the preset select's options
+   * @returns {Promise<Map<string, Object>>} - Option label -> preset
+   */
+  async presetOptions() {
+    const presets = Object.values(await presetStore.getAll()).filter(PlaybackEngine.isPlayable);
+    const options = new Map();
+    for (const preset of presets) {
+      // Labels must be unique, so a repeated name gets its ID
+      const label = options.has(preset.name) ? `${preset.name} (${preset.id})` : preset.name;
+      options.set(label, preset);
+    }
+    return options;
+  }
+
+  /**
+   * Publish discovery configs for every device, and clear those of removed ones
+   */
+  async publishDiscovery() {
+    const { baseTopic, discoveryPrefix } = this.settings;
+    const options = [...(await this.presetOptions()).keys()];
+    const current = new Set();
+
+    for (const device of await settingsManager.getDevices()) {
+      const node = MqttBridge.nodeId(device.id);
+      const topic = `${baseTopic}/${device.id}`;
+      const common = {
+        availability_topic: `${baseTopic}/status`,
+        device: {
+          identifiers: [node],
+          name: device.name,
+          manufacturer: 'Electric Objects',
+          model: device.type === 'virtual' ? 'Virtual frame' : 'EO1',
+          suggested_area: device.room || undefined
+        }
+      };
+      current.add(node);
+
+      await this.publish(`${discoveryPrefix}/light/${node}/screen/config`, {
+        ...common,
+        name: 'Screen',
+        unique_id: `${node}_screen`,
+        command_topic: `${topic}/light/set`,
+        state_topic: `${topic}/light/state`,
+        brightness_command_topic: `${topic}/brightness/set`,
+        brightness_state_topic: `${topic}/brightness/state`,
+        brightness_scale: 100
+      });
+      await this.publish(`${discoveryPrefix}/select/${node}/preset/config`, {
+        ...common,
+        name: 'Preset',
+        unique_id: `${node}_preset`,
+        command_topic: `${topic}/preset/set`,
+        state_topic: `${topic}/preset/state`,
+        options
+      });
+      await this.publish(`${discoveryPrefix}/button/${node}/skip/config`, {
+        ...common,
+        name: 'Skip',
+        unique_id: `${node}_skip`,
+        command_topic: `${topic}/skip/set`
+      });
+    }
+
+    // An empty retained config removes the entity from Home Assistant
+    for (const node of this.published) {
+      if (!current.has(node)) {
+        for (const [component, object] of [['light', 'screen'], ['select', 'preset'], ['button', 'skip']]) {
+          await this.publish(`${discoveryPrefix}/${component}/${node}/${object}/config`, '');
+        }
+      }
+    }
+    this.published = current;
+  }
+
+  /**
+   * Publish a device's light and preset states
+   * @param {Object} entry - Registry entry
+   */
+  async publishState(entry) {
+    await this.publishLight(entry);
+    await this.publishPreset(entry);
+  }
+
+  /**
+   * Publish the screen as a light
+   * @param {Object} entry - Registry entry
+   */
+  async publishLight(entry) {
+    const topic = `${this.settings.baseTopic}/${entry.id}`;
+    const screen = await settingsManager.getScreen(entry.id);
+
+    await this.publish(`${topic}/light/state`, screen.on ? 'ON' : 'OFF');
+    // Auto brightness (-1) has no level to show
+    if (screen.level !== null && screen.level >= 0) {
+      await this.publish(`${topic}/brightness/state`, String(Math.round(screen.level * 100)));
+    }
+  }
+
+  /**
+   * Publish the preset showing, when it matches one: the one the server
+   * slideshow is playing, or a tag preset the device is cycling
+   * @param {Object} entry - Registry entry
+   */
+  async publishPreset(entry) {
+    const playing = entry.playback.status().preset;
+    const source = await settingsManager.getCurrentSource(entry.id);
+
+    for (const [label, preset] of await this.presetOptions()) {
+      const showing = playing
+        ? playing.id === preset.id
+        : source && source.type === 'tag' && preset.type === 'tag' && !preset.searchParams && preset.tag === source.value;
+      if (showing) {
+        await this.publish(`${this.settings.baseTopic}/${entry.id}/preset/state`, label);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Keep states and discovery in step with changes made anywhere
+   * @param {Object} event - From the event bus
+   */
+  async handleEvent({ type, deviceId }) {
+    if (!this.connected) return;
+
+    try {
+      const entry = deviceId ? this.devices.get(deviceId) : null;
+      if (type === 'screen' && entry) {
+        await this.publishLight(entry);
+      } else if ((type === 'source' || type === 'playback') && entry) {
+        await this.publishPreset(entry);
+      } else if (type === 'devices' || type === 'presets') {
+        await this.publishDiscovery();
+        for (const each of this.devices.all()) {
+          await this.publishPreset(each);
+        }
+      }
+    } catch (error) {
+      console.error(`MQTT state update failed (${type}):`, error.message);
+    }
+  }
+
+  /**
+   * Carry out a command from Home Assistant
+   * @param {string} topic
+   * @param {string} payload
+   */
+  async handleMessage(topic, payload) {
+    const { baseTopic, discoveryPrefix } = this.settings;
+
+    // Home Assistant forgets non-retained state when it restarts
+    if (topic === `${discoveryPrefix}/status`) {
+      if (payload === 'online') {
+        await this.announce().catch(error => console.error('MQTT announce failed:', error.message));
+      }
+      return;
+    }
+
+    const [deviceId, entity] = topic.slice(baseTopic.length + 1).split('/');
+    const entry = this.devices.get(deviceId);
+    if (!entry || entry.id !== deviceId || !ENTITIES.includes(entity)) {
+      return;
+    }
+
+    try {
+      // Commands show up in the audit log as coming from MQTT
+      await requestContext.run({ origin: 'mqtt' }, () => this.command(entry, entity, payload));
+    } catch (error) {
+      console.error(`MQTT ${entity} command failed on ${deviceId}:`, error.message);
+      // Put Home Assistant back to how things really are
+      await this.publishState(entry).catch(() => {});
+    }
+  }
+
+  /**
+   * Map a command onto the device's services
+   * @param {Object} entry - Registry entry
+   * @param {string} entity - 'light', 'brightness', 'preset' or 'skip'
+   * @param {string} payload
+   */
+  async command(entry, entity, payload) {
+    switch (entity) {
+      case 'light': {
+        const screen = await entry.screen.status();
+        if (payload === 'ON' && !screen.on) {
+          await entry.screen.turnOn();
+        } else if (payload === 'OFF' && screen.on) {
+          await entry.screen.turnOff();
+        }
+        return;
+      }
+
+      case 'brightness': {
+        const percent = Number(payload);
+        if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+          throw new Error(`Invalid brightness "${payload}"`);
+        }
+        if (percent === 0) {
+          await entry.screen.turnOff();
+          return;
+        }
+        // As for a manual change in the browser
+        const level = Math.round(percent) / 100;
+        await entry.target.setBrightness(level);
+        await entry.curve.pause();
+        await entry.screen.noteBrightness(level);
+        return;
+      }
+
+      case 'preset': {
+        const preset = (await this.presetOptions()).get(payload);
+        if (!preset) {
+          throw new Error(`Unknown preset "${payload}"`);
+        }
+        await entry.playback.play(preset);
+        return;
+      }
+
+      case 'skip':
+        if (entry.playback.active) {
+          await entry.playback.next();
+        } else {
+          await entry.target.resume();
+        }
+    }
+  }
+}
+
+module.exports = MqttBridge;
@@ -0,0 +1,580 @@
+/**
+ * Playback Engine
+ * Server-driven slideshow that can play any preset source on the EO1
+ *
+ * The EO1 can only cycle through a single Flickr tag by itself. For every other
+ * source (users, groups, galleries, albums, explore, filtered searches) the
+ * engine pulls photos through FlickrClient, applies the preset's filters and
+ * pushes `image,<id>` / `video,<id>` to the device on the slideshow interval.
+ * Playlists play the same way, from their saved items, in order or shuffled.
+ */
+
+const FlickrClient = require('./flickr-client');
+const settingsManager = require('./settings-manager');
+const presetStore = require('./preset-store');
+const requestContext = require('../utils/request-context');
+
+const PAGE_SIZE = 100;
+const MAX_EMPTY_PAGES = 5;  // Pages to skip when filters remove every photo
+
+class PlaybackEngine {
+  /**
+   * @param {DisplayTarget} target - EO1Socket or VirtualFrame for the device being played on
+   * @param {FlickrClient} flickrClient - Shared Flickr client
+   * @param {string} deviceId - Registry ID, used for per-device settings and history
+   */
+  constructor(target, flickrClient, deviceId) {
+    this.target = target;
+    this.flickrClient = flickrClient;
+    this.deviceId = deviceId;
+    this.timer = null;
+    this.chain = Promise.resolve();
+    this.preview = false;  // A scratch copy for a dry run (see scratch())
+    this.reset();
+  }
+
+  /**
+   * Clear all playback state (doesn't touch the device or saved settings)
+   */
+  reset() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.preset = null;
+    this.source = null;
+    this.options = {};
+    this.photos = [];
+    this.page = 1;
+    this.pages = 1;
+    this.index = -1;
+    this.nextAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Whether a preset is currently playing
+   */
+  get active() {
+    return !!this.preset;
+  }
+
+  /**
+   * Check if a preset can be played (my-albums is a browser, not a photo source)
+   * @param {Object} preset - Preset object
+   * @returns {boolean}
+   */
+  static isPlayable(preset) {
+    return !!preset && preset.type !== 'my-albums';
+  }
+
+  /**
+   * Describe a playlist as a playable preset
+   * @param {Object|null} playlist - Saved playlist
+   * @returns {Object|null} - { id, name, type: 'playlist', playlistId }
+   */
+  static playlistPreset(playlist) {
+    if (!playlist) return null;
+    return { id: `playlist:${playlist.id}`, name: playlist.name, type: 'playlist', playlistId: playlist.id };
+  }
+
+  /**
+   * Start playing a preset on the device
+   * @param {Object} preset - Preset object (from PresetStore, or playlistPreset())
+   * @param {Object} options
+   * @param {Object} [options.searchParams] - Filters to apply instead of the preset's own
+   * @param {number} [options.interval] - Minutes between photos (defaults to slideshow interval)
+   * @param {boolean} [options.shuffle] - Play a playlist in random order (reshuffled each time round)
+   * @returns {Promise<Object>} - Playback status
+   */
+  async start(preset, options = {}) {
+    if (this.previewing()) {
+      return this.scratch().start(preset, options);
+    }
+
+    return this.enqueue(async () => {
+      if (!PlaybackEngine.isPlayable(preset)) {
+        throw new Error(`Preset type "${preset && preset.type}" cannot be played`);
+      }
+
+      const source = await this.resolveSource(preset, options.searchParams);
+
+      this.reset();
+      this.preset = preset;
+      this.source = source;
+      this.options = {
+        searchParams: options.searchParams || null,
+        interval: options.interval || null,
+        shuffle: !!options.shuffle
+      };
+
+      try {
+        await this.loadPage(1);
+        if (!this.photos.length) {
+          throw new Error('No photos found for this preset');
+        }
+        await this.advance(1);
+      } catch (error) {
+        this.reset();
+        if (!this.preview) {
+          await settingsManager.setPlayback(null, this.deviceId);
+        }
+        throw error;
+      }
+
+      return this.status();
+    });
+  }
+
+  /**
+   * Put a preset on the device the way picking it in the browser does
+   * Unfiltered tags go to the device as `tag,<name>` for it to cycle itself,
+   * stopping any server slideshow; everything else plays through start().
+   * A dry-run request only sends the tag, leaving playback and the current source.
+   * @param {Object} preset - Playable preset
+   * @param {Object} [options] - As for start()
+   */
+  async play(preset, options = {}) {
+    if (preset.type !== 'tag' || preset.searchParams) {
+      return this.start(preset, options);
+    }
+
+    await this.target.setTag(preset.tag);
+    if (requestContext.isDryRun()) {
+      return this.status();
+    }
+    if (this.active) {
+      await this.stop();
+    }
+    await settingsManager.setCurrentSource({
+      type: 'tag',
+      value: preset.tag,
+      name: preset.name,
+      url: `https://www.flickr.com/photos/tags/${encodeURIComponent(preset.tag)}/`
+    }, this.deviceId);
+    return this.status();
+  }
+
+  /**
+   * Stop playback, leaving the current photo on the device
+   */
+  async stop() {
+    return this.enqueue(async () => {
+      this.reset();
+      await settingsManager.setPlayback(null, this.deviceId);
+      return this.status();
+    });
+  }
+
+  /**
+   * Stop playback, if there is any, before a photo, video or tag is chosen
+   * directly; otherwise the slideshow would replace it at its next photo.
+   * A dry-run request leaves it playing.
+   */
+  async yieldToManual() {
+    if (this.active && !requestContext.isDryRun()) {
+      await this.stop();
+    }
+  }
+
+  /**
+   * Show the next photo and restart the interval timer
+   */
+  async next() {
+    if (this.previewing()) {
+      return this.scratch().next();
+    }
+
+    return this.enqueue(async () => {
+      this.assertActive();
+      await this.advance(1);
+      return this.status();
+    });
+  }
+
+  /**
+   * Show the previous photo and restart the interval timer
+   */
+  async previous() {
+    if (this.previewing()) {
+      return this.scratch().previous();
+    }
+
+    return this.enqueue(async () => {
+      this.assertActive();
+      await this.advance(-1);
+      return this.status();
+    });
+  }
+
+  /**
+   * Resume playback saved before a restart
+   * Reloads the photo queue and schedules the next change without pushing immediately
+   */
+  async restore() {
+    const saved = await settingsManager.getPlayback(this.deviceId);
+    if (!saved) return;
+
+    const preset = saved.playlistId
+      ? PlaybackEngine.playlistPreset(await settingsManager.getPlaylist(saved.playlistId))
+      : await presetStore.get(saved.presetId);
+    if (!PlaybackEngine.isPlayable(preset)) {
+      await settingsManager.setPlayback(null, this.deviceId);
+      return;
+    }
+
+    try {
+      this.preset = preset;
+      this.source = await this.resolveSource(preset, saved.searchParams);
+      this.options = {
+        searchParams: saved.searchParams || null,
+        interval: saved.interval || null,
+        shuffle: !!saved.shuffle
+      };
+      await this.loadPage(saved.page || 1);
+      this.index = Math.min(saved.index || 0, this.photos.length - 1);
+      await this.schedule();
+      console.log(`Resumed playback of "${preset.name}" on ${this.deviceId}`);
+    } catch (error) {
+      console.error('Failed to resume playback:', error.message);
+      this.reset();
+    }
+  }
+
+  /**
+   * Get the current playback status
+   */
+  status() {
+    const current = this.photos[this.index] || null;
+
+    return {
+      active: this.active,
+      preset: this.preset ? { id: this.preset.id, name: this.preset.name, type: this.preset.type } : null,
+      interval: this.options.interval || null,
+      shuffle: !!this.options.shuffle,
+      position: this.active ? {
+        index: this.index,
+        count: this.photos.length,
+        page: this.page,
+        pages: this.pages
+      } : null,
+      current: current ? {
+        id: current.id,
+        title: current.title,
+        media: current.media,
+        thumbnailUrl: current.thumbnailUrl
+      } : null,
+      nextAt: this.nextAt ? new Date(this.nextAt).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Run playback operations one at a time so the timer and manual
+   * next/previous calls can't interleave
+   */
+  enqueue(task) {
+    const run = this.chain.then(task);
+    this.chain = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Whether this call is part of a dry-run request, and should go to a scratch copy
+   * @returns {boolean}
+   */
+  previewing() {
+    return !this.preview && requestContext.isDryRun();
+  }
+
+  /**
+   * Copy the engine for a dry-run request
+   * The copy sends the commands playback would (for DryRun to intercept) but
+   * saves nothing and starts no timer, so the live slideshow carries on as it was.
+   * @returns {PlaybackEngine}
+   */
+  scratch() {
+    const copy = new PlaybackEngine(this.target, this.flickrClient, this.deviceId);
+    Object.assign(copy, {
+      preview: true,
+      preset: this.preset,
+      source: this.source,
+      options: this.options,
+      photos: this.photos,
+      page: this.page,
+      pages: this.pages,
+      index: this.index
+    });
+    return copy;
+  }
+
+  assertActive() {
+    if (!this.active) {
+      throw new Error('Playback is not running');
+    }
+  }
+
+  /**
+   * Turn a preset into a fetchable source description
+   * @param {Object} preset - Preset object
+   * @param {Object} [searchParams] - Filter override from the browser
+   * @returns {Promise<Object>} - { type, ...ids, filters }
+   */
+  async resolveSource(preset, searchParams) {
+    const filters = searchParams || preset.searchParams || null;
+
+    switch (preset.type) {
+      case 'playlist':
+        return { type: 'playlist', playlistId: preset.playlistId };
+      case 'tag':
+        // Filtered tags use advanced search, same as the browser does
+        if (searchParams) {
+          return { type: 'search', searchParams: { ...searchParams, text: preset.tag } };
+        }
+        return { type: 'tag', tag: preset.tag };
+      case 'search':
+        return {
+          type: 'search',
+          searchParams: searchParams ? { ...searchParams, text: preset.searchParams.text } : preset.searchParams
+        };
+      case 'my-photos': {
+        const flickr = await settingsManager.getFlickr();
+        if (!flickr.userId) {
+          throw new Error('Add your Flickr User ID in Settings to play your photos');
+        }
+        return { type: 'user', userId: flickr.userId, filters };
+      }
+      case 'explore':
+        return { type: 'explore', filters };
+      case 'group':
+        return { type: 'group', groupId: preset.groupId, filters };
+      case 'gallery':
+        return { type: 'gallery', galleryId: preset.galleryId, filters };
+      case 'album':
+        return { type: 'album', albumId: preset.albumId, userId: preset.userId, filters };
+      default:
+        return { type: 'user', userId: preset.userId, filters };
+    }
+  }
+
+  /**
+   * Fetch one page of photos for the current source
+   * @param {number} page - Page number
+   * @returns {Promise<{photos: Object[], page: number, pages: number}>}
+   */
+  async fetchPage(page) {
+    const flickr = this.flickrClient;
+    const source = this.source;
+    let list;
+
+    if (source.type === 'playlist') {
+      return this.fetchPlaylist();
+    }
+
+    if (source.type === 'tag') {
+      list = (await flickr.searchByTag(source.tag, page, PAGE_SIZE)).photos;
+    } else if (source.type === 'search') {
+      list = (await flickr.advancedSearch(source.searchParams, page, PAGE_SIZE)).photos;
+    } else if (source.type === 'explore') {
+      list = (await flickr.getInterestingPhotos(page, PAGE_SIZE)).photos;
+    } else if (source.type === 'group') {
+      list = (await flickr.getGroupPhotos(source.groupId, page, PAGE_SIZE)).photos;
+    } else if (source.type === 'gallery') {
+      list = (await flickr.getGalleryPhotos(source.galleryId, page, PAGE_SIZE)).photos;
+    } else if (source.type === 'album') {
+      list = (await flickr.getPhotosetPhotos(source.albumId, source.userId, page, PAGE_SIZE)).photoset;
+    } else {
+      list = (await flickr.getUserPhotos(source.userId, page, PAGE_SIZE)).photos;
+    }
+
+    const photos = (list.photo || [])
+      .map(FlickrClient.transformPhoto)
+      .map(photo => ({ ...photo, owner: photo.owner || list.owner || source.userId || null }))
+      .filter(photo => PlaybackEngine.matchesFilters(photo, source.filters));
+
+    return {
+      photos,
+      page: parseInt(list.page) || page,
+      pages: parseInt(list.pages) || 1
+    };
+  }
+
+  /**
+   * Get the playing playlist's items as a single page
+   * Re-read every time round, so edits apply from the next pass
+   * @returns {Promise<{photos: Object[], page: number, pages: number}>}
+   */
+  async fetchPlaylist() {
+    const playlist = await settingsManager.getPlaylist(this.source.playlistId);
+    if (!playlist) {
+      throw new Error('Playlist no longer exists');
+    }
+
+    const photos = [...playlist.items];
+    if (this.options.shuffle) {
+      // Fisher-Yates
+      for (let i = photos.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [photos[i], photos[j]] = [photos[j], photos[i]];
+      }
+    }
+    return { photos, page: 1, pages: 1 };
+  }
+
+  /**
+   * Load a page into the queue, skipping ahead past pages the filters empty out
+   * @param {number} page - Page number to start from
+   */
+  async loadPage(page) {
+    let result = await this.fetchPage(page);
+
+    for (let attempt = 1; !result.photos.length && result.page < result.pages && attempt < MAX_EMPTY_PAGES; attempt++) {
+      result = await this.fetchPage(result.page + 1);
+    }
+
+    this.photos = result.photos;
+    this.page = result.page;
+    this.pages = result.pages;
+  }
+
+  /**
+   * Move through the queue, paging (and wrapping) as needed, and display the photo
+   * @param {number} step - 1 for next, -1 for previous
+   */
+  async advance(step) {
+    let index = this.index + step;
+
+    if (index >= this.photos.length) {
+      await this.loadPage(this.page < this.pages ? this.page + 1 : 1);
+      index = 0;
+    } else if (index < 0) {
+      if (this.page > 1) {
+        await this.loadPage(this.page - 1);
+      }
+      index = this.photos.length - 1;
+    }
+
+    if (!this.photos.length) {
+      throw new Error('No photos found for this preset');
+    }
+
+    this.index = index;
+    try {
+      await this.display(this.photos[index]);
+      this.lastError = null;
+    } finally {
+      // Keep the slideshow going even if the device missed this one
+      if (!this.preview) {
+        await this.schedule();
+        await this.persist();
+      }
+    }
+  }
+
+  /**
+   * Send a photo to the device and record it as the current source
+   * @param {Object} photo - Transformed photo object
+   */
+  async display(photo) {
+    const title = photo.title || 'Untitled';
+    const media = photo.media === 'video' ? 'video' : 'photo';
+
+    try {
+      if (media === 'video') {
+        await this.target.displayVideo(photo.id);
+      } else {
+        await this.target.displayImage(photo.id);
+      }
+    } catch (error) {
+      this.lastError = error.message;
+      throw error;
+    }
+
+    if (this.preview) {
+      return;
+    }
+
+    await settingsManager.setCurrentSource({
+      type: media,
+      value: photo.id,
+      name: title,
+      url: `https://www.flickr.com/photos/${photo.owner || 'any'}/${photo.id}/`,
+      thumbnailUrl: photo.thumbnailUrl || null,
+      preset: this.preset.name
+    }, this.deviceId);
+
+    await settingsManager.addToHistory({
+      id: photo.id,
+      owner: photo.owner,
+      title,
+      thumbnailUrl: photo.thumbnailUrl || null,
+      media
+    }, this.deviceId);
+  }
+
+  /**
+   * Restart the interval timer
+   */
+  async schedule() {
+    clearTimeout(this.timer);
+
+    const slideshow = await settingsManager.getSlideshow(this.deviceId);
+    const minutes = this.options.interval || slideshow.interval || 5;
+    this.nextAt = Date.now() + minutes * 60 * 1000;
+
+    // Otherwise the timer would carry the context of the request that started playback
+    const source = this.source;
+    this.timer = setTimeout(() => requestContext.run({ origin: 'playback' }, () => {
+      this.enqueue(async () => {
+        // Playback may have been stopped or restarted while this waited in the queue
+        if (!this.active || this.source !== source) return;
+        await this.advance(1);
+      }).catch(error => {
+        console.error('Playback advance failed:', error.message);
+        this.lastError = error.message;
+        // Flickr errors happen before the timer is restarted, so retry next interval
+        if (this.active) {
+          this.schedule();
+        }
+      });
+    }), minutes * 60 * 1000);
+  }
+
+  /**
+   * Save playback position so it survives a server restart
+   */
+  async persist() {
+    await settingsManager.setPlayback({
+      presetId: this.preset.id,
+      playlistId: this.preset.playlistId || null,
+      searchParams: this.options.searchParams,
+      interval: this.options.interval || null,
+      shuffle: this.options.shuffle,
+      page: this.page,
+      index: this.index
+    }, this.deviceId);
+  }
+
+  /**
+   * Check a photo against preset filters using its reported dimensions
+   * Search sources are filtered by Flickr; this covers users, groups, galleries etc.
+   * @param {Object} photo - Transformed photo object
+   * @param {Object|null} filters - searchParams-style filters
+   * @returns {boolean}
+   */
+  static matchesFilters(photo, filters) {
+    if (!filters) return true;
+
+    const { width, height } = photo;
+    const hasSize = width && height;
+
+    if (filters.orientation && hasSize) {
+      const orientation = height > width ? 'portrait' : width > height ? 'landscape' : 'square';
+      if (orientation !== filters.orientation) return false;
+    }
+    if (filters.min_width && hasSize && width < filters.min_width) return false;
+    if (filters.min_height && hasSize && height < filters.min_height) return false;
+
+    return true;
+  }
+}
+
+module.exports = PlaybackEngine;
@@ -0,0 +1,69 @@
+/**
+ * Preset Store
+ * Combines built-in presets from config with user presets saved to config/presets.json
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('config');
+const events = require('./event-bus');
+
+const PRESETS_FILE = path.join(__dirname, '../../config/presets.json');
+
+class PresetStore {
+  /**
+   * Load user presets from file
+   * @returns {Promise<Object>} - Presets keyed by ID
+   */
+  async loadUserPresets() {
+    try {
+      const data = await fs.readFile(PRESETS_FILE, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      // File doesn't exist or is invalid, return empty object
+      return {};
+    }
+  }
+
+  /**
+   * Save user presets to file
+   * @param {Object} presets - Presets keyed by ID
+   */
+  async saveUserPresets(presets) {
+    await fs.writeFile(PRESETS_FILE, JSON.stringify(presets, null, 2));
+    events.publish('presets', null);
+  }
+
+  /**
+   * Get all presets (built-in + user), marking which are built-in
+   * @returns {Promise<Object>} - Presets keyed by ID
+   */
+  async getAll() {
+    const builtinPresets = config.get('presets');
+    const userPresets = await this.loadUserPresets();
+    const allPresets = {};
+
+    for (const [id, preset] of Object.entries(builtinPresets)) {
+      allPresets[id] = { ...preset, id, builtin: true };
+    }
+
+    // User presets can override built-in if same ID
+    for (const [id, preset] of Object.entries(userPresets)) {
+      allPresets[id] = { ...preset, id, builtin: false };
+    }
+
+    return allPresets;
+  }
+
+  /**
+   * Get a single preset by ID
+   * @param {string} id - Preset ID
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const presets = await this.getAll();
+    return presets[id] || null;
+  }
+}
+
+module.exports = new PresetStore();
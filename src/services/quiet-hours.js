@@ -0,0 +1,198 @@
+/**
+ * Quiet Hours
+ * Keeps server-managed quiet hours up to date on each device
+ *
+ * The EO1 only takes one pair of whole quiet hours in its `options` command,
+ * so the server works out the pair each device needs right now and re-sends
+ * `options` when it changes:
+ * - 'sun' mode: from the hour nearest sunset + sunsetOffset to the hour nearest
+ *   the next sunrise - sunriseOffset, at the saved location
+ * - 'weekly' mode: a { start, end } pair per weekday, where a period that ends
+ *   at or before its start runs past midnight into the next day. Different
+ *   days need different pairs, so the pair changes at the boundaries and the
+ *   device switches its screen when it gets them
+ *
+ * Quiet hours are whole hours, so checking just after each local hour (and
+ * whenever the location, timezone or a device's settings change) is enough.
+ */
+
+const settingsManager = require('./settings-manager');
+const requestContext = require('../utils/request-context');
+const { sunTimes } = require('../utils/solar');
+const { zonedParts, addDays, nextOccurrence } = require('../utils/time');
+
+const MINUTE = 60 * 1000;
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+const OFF = { quietStart: -1, quietEnd: -1 };
+
+/**
+ * Whether an hour falls in a quiet period, as the device reads its pair
+ * @param {{ start: number, end: number }} period
+ * @param {number} hour - 0-23
+ * @returns {boolean}
+ */
+function inPeriod({ start, end }, hour) {
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+class QuietHours {
+  /**
+   * @param {DeviceRegistry} devices - Registry of the devices to keep up to date
+   */
+  constructor(devices) {
+    this.devices = devices;
+    this.timer = null;
+  }
+
+  /**
+   * Work out today's sunset-to-sunrise quiet hours
+   * @param {Object} slideshow - { sunsetOffset, sunriseOffset } in minutes
+   * @param {Object} location - { latitude, longitude }
+   * @param {string} timeZone - IANA timezone the hours are in
+   * @param {number} [now=Date.now()] - Instant whose local date is used
+   * @returns {{ quietStart: number, quietEnd: number, sunset: number|null, sunrise: number|null, polar: string|null }}
+   *   Hours 0-23, or -1 for both when the sun doesn't set or rise
+   */
+  static sunHours(slideshow, location, timeZone, now = Date.now()) {
+    const today = zonedParts(now, timeZone);
+    const { sunset, polar } = sunTimes(today, location.latitude, location.longitude);
+    const tomorrow = sunTimes(addDays(today, 1), location.latitude, location.longitude);
+
+    if (polar || tomorrow.polar) {
+      return { ...OFF, sunset, sunrise: tomorrow.sunrise, polar: polar || tomorrow.polar };
+    }
+
+    // Round to the nearest hour on the local clock
+    const hourOf = (instant) => zonedParts(instant + 30 * MINUTE, timeZone).hour;
+
+    return {
+      quietStart: hourOf(sunset + slideshow.sunsetOffset * MINUTE),
+      quietEnd: hourOf(tomorrow.sunrise - slideshow.sunriseOffset * MINUTE),
+      sunset,
+      sunrise: tomorrow.sunrise,
+      polar: null
+    };
+  }
+
+  /**
+   * Work out the pair a weekly table needs on the device right now
+   * @param {Array<Object|null>} week - { start, end } or null per weekday (0 = Sunday)
+   * @param {string} timeZone - IANA timezone the table is in
+   * @param {number} [now=Date.now()]
+   * @returns {{ quietStart: number, quietEnd: number }}
+   */
+  static weekHours(week, timeZone, now = Date.now()) {
+    const { weekday, hour } = zonedParts(now, timeZone);
+    const today = week[weekday];
+    const yesterday = week[(weekday + 6) % 7];
+    const pair = ({ start, end }) => ({ quietStart: start, quietEnd: end });
+
+    // Last night's period running past midnight
+    if (yesterday && yesterday.end <= yesterday.start && hour < yesterday.end) {
+      return pair(yesterday);
+    }
+    if (today && hour >= today.start && (today.end <= today.start || hour < today.end)) {
+      return pair(today);
+    }
+    // Tonight's period can go ahead of time, unless the device would read
+    // this morning as part of it
+    if (today && hour < today.start && !inPeriod(today, hour)) {
+      return pair(today);
+    }
+    return { ...OFF };
+  }
+
+  /**
+   * Work out the quiet hours a device needs right now
+   * @param {Object} slideshow - The device's slideshow settings
+   * @param {number} [now=Date.now()]
+   * @returns {Promise<Object|null>} - { quietStart, quietEnd, ... }, or null if the hours are fixed
+   *   (or 'sun' mode has no location)
+   */
+  static async hoursFor(slideshow, now = Date.now()) {
+    const timezone = await settingsManager.getTimezone();
+
+    if (slideshow.quietMode === 'weekly') {
+      return QuietHours.weekHours(slideshow.quietWeek, timezone, now);
+    }
+
+    const location = await settingsManager.getLocation();
+    if (slideshow.quietMode !== 'sun' || !location) {
+      return null;
+    }
+    return QuietHours.sunHours(slideshow, location, timezone, now);
+  }
+
+  /**
+   * Start keeping quiet hours up to date
+   */
+  start() {
+    this.reload();
+  }
+
+  /**
+   * Work the hours out again now (after a location or timezone change)
+   */
+  reload() {
+    this.tick();
+  }
+
+  /**
+   * Stop the timer
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Update every device, then sleep until just after the next local hour
+   */
+  async tick() {
+    clearTimeout(this.timer);
+
+    for (const entry of this.devices.all()) {
+      await this.apply(entry);
+    }
+
+    let delay = 60 * MINUTE;
+    try {
+      const timezone = await settingsManager.getTimezone();
+      const { hour } = zonedParts(Date.now(), timezone);
+      const nextHour = nextOccurrence(((hour + 1) % 24) * 60, EVERY_DAY, Date.now(), timezone);
+      delay = Math.min(nextHour - Date.now(), delay) + 5000;
+    } catch (error) {
+      console.error('Failed to arm quiet hours:', error.message);
+    }
+    // Later checks mustn't carry the context of a request that called reload()
+    this.timer = setTimeout(() => requestContext.run({ origin: 'quiet-hours' }, () => this.tick()), delay);
+  }
+
+  /**
+   * Send a device its quiet hours if they've moved
+   * @param {Object} entry - Registry entry
+   * @returns {Promise<boolean>} - Whether new hours were sent
+   */
+  async apply(entry) {
+    try {
+      const slideshow = await settingsManager.getSlideshow(entry.id);
+      const hours = await QuietHours.hoursFor(slideshow);
+      if (!hours || (hours.quietStart === slideshow.quietStart && hours.quietEnd === slideshow.quietEnd)) {
+        return false;
+      }
+
+      // Saved only once sent, so a device that's offline is tried again next time
+      const brightness = await entry.screen.brightnessFor(slideshow.brightness);
+      await requestContext.run({ origin: 'quiet-hours' }, async () => {
+        await entry.target.setOptions(brightness, slideshow.interval, hours.quietStart, hours.quietEnd);
+        await settingsManager.updateSlideshow({ quietStart: hours.quietStart, quietEnd: hours.quietEnd }, entry.id);
+      });
+      return true;
+    } catch (error) {
+      console.error(`Failed to update quiet hours on ${entry.id}:`, error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = QuietHours;
@@ -0,0 +1,191 @@
+/**
+ * Request Guard
+ * Stops other websites using a visitor's browser to drive the controller
+ *
+ * - CORS: only allowed origins may read responses or send credentials
+ * - Origin check: POST, PUT and DELETE with an Origin (or Referer) from
+ *   anywhere else are refused
+ * - CSRF: browsers get a random `eo1_csrf` cookie, and their state-changing
+ *   requests must echo it in an X-CSRF-Token header (double submit). Another
+ *   site can make the browser send the cookie but can't read it to copy it.
+ *
+ * Allowed origins are the page's own (Origin matching the Host header), the
+ * detected local and Tailscale URLs, and any in `security.allowedOrigins`
+ * or ALLOWED_ORIGINS (comma-separated). Requests with an API token, and
+ * tools like curl that send no Origin, Referer or cookies, aren't browsers
+ * acting for someone, so only the Origin check can apply to them.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const cors = require('cors');
+const config = require('config');
+const { readCookie } = require('../utils/cookies');
+
+const CSRF_COOKIE = 'eo1_csrf';
+const CSRF_HEADER = 'X-CSRF-Token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+class RequestGuard {
+  constructor() {
+    this.configured = new Set();  // From config and ALLOWED_ORIGINS
+    this.local = new Set();       // Detected at startup
+    this.loadConfigured();
+
+    // Allowed origins get credentialed access, others no CORS headers at all
+    this.cors = cors((req, done) => {
+      done(null, { origin: this.isAllowed(RequestGuard.requestOrigin(req), req), credentials: true });
+    });
+    this.issueCsrfCookie = this.issueCsrfCookie.bind(this);
+    this.checkOrigin = this.checkOrigin.bind(this);
+    this.checkCsrf = this.checkCsrf.bind(this);
+  }
+
+  /**
+   * Read allowed origins from config and the environment
+   */
+  loadConfigured() {
+    const fromEnv = (process.env.ALLOWED_ORIGINS || '').split(',');
+    for (const origin of [...config.get('security.allowedOrigins'), ...fromEnv]) {
+      const normalised = RequestGuard.normalise(origin.trim());
+      if (normalised) {
+        this.configured.add(normalised);
+      }
+    }
+  }
+
+  /**
+   * Allow the URLs the controller can be reached at on this machine
+   * @param {number} port - Port the server listens on
+   * @param {string|null} tailscaleIp - Tailscale IPv4, if connected
+   */
+  setLocalOrigins(port, tailscaleIp) {
+    const hosts = ['localhost', '127.0.0.1', os.hostname(), `${os.hostname()}.local`];
+    for (const addresses of Object.values(os.networkInterfaces())) {
+      for (const address of addresses || []) {
+        if (address.family === 'IPv4' && !address.internal) {
+          hosts.push(address.address);
+        }
+      }
+    }
+    if (tailscaleIp) {
+      hosts.push(tailscaleIp);
+    }
+
+    this.local = new Set(hosts.map(host => RequestGuard.normalise(`http://${host}:${port}`)));
+  }
+
+  /**
+   * Reduce a URL to its origin, e.g. 'http://eo1.local:3000'
+   * @param {string} url
+   * @returns {string|null} - null if it isn't an http(s) URL
+   */
+  static normalise(url) {
+    try {
+      const { protocol, origin } = new URL(url);
+      return protocol === 'http:' || protocol === 'https:' ? origin.toLowerCase() : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Where a browser request came from: its Origin, or failing that its Referer's
+   * @param {http.IncomingMessage} req
+   * @returns {string|null} - Origin, 'null' for opaque origins, or null if neither header was sent
+   */
+  static requestOrigin(req) {
+    const origin = req.headers.origin;
+    if (origin) {
+      return origin === 'null' ? 'null' : RequestGuard.normalise(origin) || 'null';
+    }
+    const referer = req.headers.referer;
+    return referer ? RequestGuard.normalise(referer) || 'null' : null;
+  }
+
+  /**
+   * Whether an origin may use the controller from a browser
+   * @param {string} origin - From requestOrigin()
+   * @param {http.IncomingMessage} req - For the Host header (same-origin)
+   * @returns {boolean}
+   */
+  isAllowed(origin, req) {
+    if (!origin || origin === 'null') {
+      return false;
+    }
+    const host = (req.headers.host || '').toLowerCase();
+    if (host && new URL(origin).host === host) {
+      return true;
+    }
+    return this.local.has(origin) || this.configured.has(origin);
+  }
+
+  /**
+   * Give each browser a CSRF cookie the first time it visits
+   * It's readable by our own pages (not HttpOnly) so they can echo it back.
+   */
+  issueCsrfCookie(req, res, next) {
+    if (!readCookie(req, CSRF_COOKIE)) {
+      const token = crypto.randomBytes(32).toString('base64url');
+      res.cookie(CSRF_COOKIE, token, { sameSite: 'strict', secure: req.secure, path: '/' });
+    }
+    next();
+  }
+
+  /**
+   * Refuse state-changing requests from origins that aren't allowed
+   */
+  checkOrigin(req, res, next) {
+    if (SAFE_METHODS.includes(req.method)) {
+      return next();
+    }
+
+    const origin = RequestGuard.requestOrigin(req);
+    if (origin !== null && !this.isAllowed(origin, req)) {
+      return res.status(403).json({
+        error: 'Cross-origin request refused',
+        message: origin === 'null'
+          ? "Pages without an origin (sandboxed frames, local files) can't change the controller."
+          : `${origin} can't change the controller. Add it to security.allowedOrigins or ALLOWED_ORIGINS if it should.`
+      });
+    }
+    next();
+  }
+
+  /**
+   * Require the CSRF token on state-changing requests from browsers
+   */
+  checkCsrf(req, res, next) {
+    if (SAFE_METHODS.includes(req.method) || /^Bearer\s/i.test(req.get('Authorization') || '')) {
+      return next();
+    }
+
+    const fromBrowser = RequestGuard.requestOrigin(req) !== null || !!req.headers.cookie;
+    if (!fromBrowser) {
+      return next();
+    }
+
+    const cookie = readCookie(req, CSRF_COOKIE);
+    const header = req.get(CSRF_HEADER) || '';
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    if (!cookie || !header || !crypto.timingSafeEqual(digest(cookie), digest(header))) {
+      return res.status(403).json({
+        error: 'Missing or invalid CSRF token',
+        message: `Send the ${CSRF_COOKIE} cookie's value in the ${CSRF_HEADER} header. In the browser, reload the page and try again.`
+      });
+    }
+    next();
+  }
+
+  /**
+   * Check a WebSocket handshake's Origin (browsers always send one)
+   * @param {http.IncomingMessage} req - Upgrade request
+   * @returns {boolean}
+   */
+  allowsSocket(req) {
+    const origin = RequestGuard.requestOrigin(req);
+    return origin === null || this.isAllowed(origin, req);
+  }
+}
+
+module.exports = new RequestGuard();
@@ -0,0 +1,201 @@
+/**
+ * Scheduler
+ * Weekly rules that switch a device's source, brightness and interval at set times
+ *
+ * Each schedule fires at a wall-clock time on chosen weekdays, in the timezone
+ * from settings, and applies any of:
+ * - a preset (unfiltered tags go to the device as `tag,<name>`, everything
+ *   else, playlists included, plays through the PlaybackEngine)
+ * - a brightness and slideshow interval, saved to the device's slideshow
+ *   settings and sent as one `options` command
+ *
+ * Rather than one timer per rule, the scheduler wakes for the next rule due
+ * (at least hourly) and fires every rule that came round since it last
+ * looked, so clock changes and a late timer can't skip one.
+ */
+
+const settingsManager = require('./settings-manager');
+const presetStore = require('./preset-store');
+const PlaybackEngine = require('./playback-engine');
+const requestContext = require('../utils/request-context');
+const { parseTime, nextOccurrence } = require('../utils/time');
+
+const MAX_SLEEP = 60 * 60 * 1000;
+
+class Scheduler {
+  /**
+   * @param {DeviceRegistry} devices - Registry of the devices schedules run on
+   */
+  constructor(devices) {
+    this.devices = devices;
+    this.timer = null;
+    this.lastCheck = Date.now();
+    this.lastRuns = new Map();  // schedule ID -> { at, results }
+  }
+
+  /**
+   * Look up the preset a schedule plays
+   * @param {string} presetId - Preset ID, or 'playlist:<id>' for a playlist
+   * @returns {Promise<Object|null>} - Playable preset, or null if not found
+   */
+  static async resolvePreset(presetId) {
+    const preset = presetId.startsWith('playlist:')
+      ? PlaybackEngine.playlistPreset(await settingsManager.getPlaylist(presetId.slice('playlist:'.length)))
+      : await presetStore.get(presetId);
+    return PlaybackEngine.isPlayable(preset) ? preset : null;
+  }
+
+  /**
+   * Start watching the clock
+   */
+  start() {
+    this.reload();
+  }
+
+  /**
+   * Pick up changed schedules or timezone
+   * Rules whose time has already passed today wait for their next turn
+   */
+  reload() {
+    this.lastCheck = Date.now();
+    this.arm().catch(error => console.error('Failed to arm scheduler:', error.message));
+  }
+
+  /**
+   * Stop the timer
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Sleep until the next rule is due, or an hour, whichever is sooner
+   */
+  async arm() {
+    clearTimeout(this.timer);
+
+    const [next] = await this.upcoming({ after: this.lastCheck, limit: 1 });
+    const delay = next ? Math.min(next.at - Date.now(), MAX_SLEEP) : MAX_SLEEP;
+    this.timer = setTimeout(() => this.tick(), Math.max(delay, 0));
+  }
+
+  /**
+   * Fire every rule that came round since the last check, oldest first
+   */
+  async tick() {
+    const now = Date.now();
+    try {
+      const due = await this.upcoming({ after: this.lastCheck, until: now });
+      this.lastCheck = now;
+
+      for (const { schedule } of due) {
+        await this.run(schedule);
+      }
+    } catch (error) {
+      console.error('Scheduler tick failed:', error.message);
+    }
+    await this.arm().catch(error => console.error('Failed to arm scheduler:', error.message));
+  }
+
+  /**
+   * List the coming schedule changes, soonest first
+   * Each enabled rule appears once, at its next time.
+   * @param {Object} [options]
+   * @param {number} [options.after=Date.now()] - Only rules due after this instant (epoch ms)
+   * @param {number} [options.until] - Only rules due by this instant
+   * @param {string} [options.deviceId] - Only rules for this device
+   * @param {number} [options.limit] - Maximum number of entries
+   * @returns {Promise<Array<{ schedule: Object, at: number }>>}
+   */
+  async upcoming({ after = Date.now(), until = Infinity, deviceId, limit = Infinity } = {}) {
+    const [schedules, timezone] = await Promise.all([
+      settingsManager.getSchedules(),
+      settingsManager.getTimezone()
+    ]);
+
+    return schedules
+      .filter(schedule => schedule.enabled && (!deviceId || schedule.deviceIds.includes(deviceId)))
+      .map(schedule => ({
+        schedule,
+        at: nextOccurrence(parseTime(schedule.time), schedule.days, after, timezone)
+      }))
+      .filter(({ at }) => at !== null && at <= until)
+      .sort((a, b) => a.at - b.at)
+      .slice(0, limit);
+  }
+
+  /**
+   * Apply a schedule to each of its devices
+   * @param {Object} schedule - Saved schedule
+   * @param {Object} [context] - Extra request context, e.g. a request's dryRunState()
+   * @returns {Promise<Object>} - { at, results: [{ deviceId, success, error? }] }
+   */
+  async run(schedule, context = {}) {
+    // Commands sent from here show up in the audit log as coming from the schedule
+    return requestContext.run({ ...context, origin: `schedule:${schedule.id}` }, async () => {
+      const preset = schedule.presetId ? await Scheduler.resolvePreset(schedule.presetId) : null;
+      let results;
+
+      if (schedule.presetId && !preset) {
+        results = schedule.deviceIds.map(deviceId => ({ deviceId, success: false, error: 'Preset not found' }));
+      } else {
+        results = await this.devices.broadcast(schedule.deviceIds, entry => this.apply(schedule, preset, entry));
+      }
+
+      for (const result of results.filter(r => !r.success)) {
+        console.error(`Schedule "${schedule.name}" failed on ${result.deviceId}:`, result.error);
+      }
+
+      const run = { at: new Date().toISOString(), results };
+      if (!requestContext.isDryRun()) {
+        this.lastRuns.set(schedule.id, run);
+      }
+      return run;
+    });
+  }
+
+  /**
+   * Apply a schedule to one device
+   * @param {Object} schedule - Saved schedule
+   * @param {Object|null} preset - Resolved preset, if the schedule has one
+   * @param {Object} entry - Registry entry
+   */
+  async apply(schedule, preset, entry) {
+    const { brightness, interval } = schedule;
+
+    // Settings go first so a tag slideshow starts at the new interval
+    if (brightness !== null || interval !== null) {
+      const updates = {};
+      if (brightness !== null) updates.brightness = brightness;
+      if (interval !== null) updates.interval = interval;
+
+      // A dry run sends the options without saving them
+      const slideshow = requestContext.isDryRun()
+        ? { ...await settingsManager.getSlideshow(entry.id), ...updates }
+        : await settingsManager.updateSlideshow(updates, entry.id);
+      const level = brightness !== null ? brightness : await entry.screen.brightnessFor(slideshow.brightness);
+      await entry.target.setOptions(level, slideshow.interval, slideshow.quietStart, slideshow.quietEnd);
+      if (brightness !== null) {
+        // Hold a brightness curve until its next keyframe, as for a manual change
+        await entry.curve.pause();
+        await entry.screen.noteBrightness(brightness);
+      }
+    }
+
+    if (preset) {
+      await entry.playback.play(preset, { interval: interval || undefined });
+    }
+  }
+
+  /**
+   * Get how a schedule went the last time it fired
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Object|null} - { at, results } (not kept across restarts)
+   */
+  lastRun(scheduleId) {
+    return this.lastRuns.get(scheduleId) || null;
+  }
+}
+
+module.exports = Scheduler;
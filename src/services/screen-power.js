@@ -0,0 +1,216 @@
+/**
+ * Screen Power
+ * Tracks whether a device's screen is on, with server-side sleep and wake timers
+ *
+ * The EO1 has no power command, so "off" is `brightness,0` and "on" puts back
+ * the level it had (or hands back to the brightness curve). The state and any
+ * timers are saved per device, so every browser sees the same thing and timers
+ * still fire with the browser closed, or after a restart if one fell due while
+ * the server was down. A dry-run request sends its commands but changes none
+ * of this; it gets back the state it would have made.
+ */
+
+const settingsManager = require('./settings-manager');
+const requestContext = require('../utils/request-context');
+const { parseTime, nextOccurrence } = require('../utils/time');
+
+const MINUTE = 60 * 1000;
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+const MAX_DELAY = 2 ** 31 - 1;  // setTimeout's limit (about 24 days)
+const WAKE_LEVEL = 0.5;         // Used when the screen was never seen lit
+
+class ScreenPower {
+  /**
+   * @param {DisplayTarget} target - EO1Socket or VirtualFrame for the device
+   * @param {string} deviceId - Registry ID, used for per-device settings
+   * @param {BrightnessCurve} curve - The device's brightness curve
+   */
+  constructor(target, deviceId, curve) {
+    this.target = target;
+    this.deviceId = deviceId;
+    this.curve = curve;
+    this.timers = { sleep: null, wake: null };
+  }
+
+  /**
+   * Work out when a timer should fire
+   * @param {Object} when - { minutes } from now, or { time: 'HH:MM' } next time it comes round
+   * @param {string} timeZone - Timezone for `time`
+   * @returns {number|null} - Epoch ms, or null if invalid
+   */
+  static resolveTime({ minutes, time }, timeZone) {
+    if (minutes !== undefined) {
+      return Number.isInteger(minutes) && minutes >= 1 && minutes <= 24 * 60
+        ? Date.now() + minutes * MINUTE
+        : null;
+    }
+    const at = parseTime(time);
+    return at === null ? null : nextOccurrence(at, EVERY_DAY, Date.now(), timeZone);
+  }
+
+  /**
+   * Get the saved screen state
+   * @returns {Promise<Object>} - { on, level, sleepAt, wakeAt }
+   */
+  async status() {
+    return settingsManager.getScreen(this.deviceId);
+  }
+
+  /**
+   * Re-arm timers saved before a restart (overdue ones fire now)
+   */
+  async restore() {
+    const screen = await this.status();
+    for (const type of ['sleep', 'wake']) {
+      if (screen[`${type}At`]) {
+        this.arm(type, Date.parse(screen[`${type}At`]));
+      }
+    }
+  }
+
+  /**
+   * Record a brightness set by hand, so the screen state follows it
+   * @param {number} level - 0.0-1.0, or -1 for auto
+   */
+  async noteBrightness(level) {
+    if (requestContext.isDryRun()) {
+      return;
+    }
+    const updates = { on: level !== 0 };
+    if (level !== 0) {
+      updates.level = level;
+    }
+    await settingsManager.updateScreen(updates, this.deviceId);
+  }
+
+  /**
+   * Get the brightness to send with background `options`, which mustn't light
+   * a screen that's been turned off
+   * @param {number} level - Saved slideshow brightness
+   * @returns {Promise<number>}
+   */
+  async brightnessFor(level) {
+    const screen = await this.status();
+    return screen.on ? level : 0;
+  }
+
+  /**
+   * Turn the screen off (brightness 0), keeping its level for later
+   * @returns {Promise<Object>} - Screen state
+   */
+  async turnOff() {
+    await this.target.setBrightness(0);
+    if (requestContext.isDryRun()) {
+      return { ...await this.status(), on: false, sleepAt: null };
+    }
+    this.cancelTimer('sleep');
+    return settingsManager.updateScreen({ on: false, sleepAt: null }, this.deviceId);
+  }
+
+  /**
+   * Turn the screen back on at its last level, or the brightness curve's
+   * Nothing is saved until the frame has taken the level, as for turnOff().
+   * @returns {Promise<Object>} - Screen state
+   */
+  async turnOn() {
+    const screen = await this.status();
+    const following = await this.curve.following();
+    const level = following ? await this.curve.currentLevel() : await this.wakeLevel(screen);
+
+    // Sent here rather than by the curve's refresh, which only logs a failure
+    await this.target.setBrightness(level);
+    if (requestContext.isDryRun()) {
+      return { ...screen, on: true, wakeAt: null };
+    }
+
+    this.cancelTimer('wake');
+    if (following) {
+      this.curve.lastSent = level;  // So its next tick doesn't send it again
+    }
+    return settingsManager.updateScreen({ on: true, wakeAt: null, ...(following && { level }) }, this.deviceId);
+  }
+
+  /**
+   * Get the level to turn the screen back on at when the curve isn't setting it
+   * @param {Object} screen - Saved screen state
+   * @returns {Promise<number>}
+   */
+  async wakeLevel(screen) {
+    const { brightness } = await settingsManager.getSlideshow(this.deviceId);
+    const level = screen.level !== null ? screen.level : brightness;
+    return level === 0 ? WAKE_LEVEL : level;
+  }
+
+  /**
+   * Set the sleep or wake timer
+   * @param {string} type - 'sleep' or 'wake'
+   * @param {number} at - Epoch ms to fire at
+   * @returns {Promise<Object>} - Screen state
+   */
+  async setTimer(type, at) {
+    const screen = await settingsManager.updateScreen({ [`${type}At`]: new Date(at).toISOString() }, this.deviceId);
+    this.arm(type, at);
+    return screen;
+  }
+
+  /**
+   * Cancel the sleep or wake timer
+   * @param {string} type - 'sleep' or 'wake'
+   * @returns {Promise<Object>} - Screen state
+   */
+  async clearTimer(type) {
+    this.cancelTimer(type);
+    return settingsManager.updateScreen({ [`${type}At`]: null }, this.deviceId);
+  }
+
+  /**
+   * Stop all timers (the device is being removed); saved times are left alone
+   */
+  stop() {
+    this.cancelTimer('sleep');
+    this.cancelTimer('wake');
+  }
+
+  /**
+   * Start a timer's countdown
+   * @param {string} type - 'sleep' or 'wake'
+   * @param {number} at - Epoch ms
+   */
+  arm(type, at) {
+    this.cancelTimer(type);
+    const delay = at - Date.now();
+
+    // Long waits are broken up to stay under setTimeout's limit
+    if (delay > MAX_DELAY) {
+      this.timers[type] = setTimeout(() => this.arm(type, at), MAX_DELAY);
+      return;
+    }
+    this.timers[type] = setTimeout(() => this.fire(type), Math.max(delay, 0));
+  }
+
+  /**
+   * Stop a timer's countdown
+   * @param {string} type - 'sleep' or 'wake'
+   */
+  cancelTimer(type) {
+    clearTimeout(this.timers[type]);
+    this.timers[type] = null;
+  }
+
+  /**
+   * Carry out a timer
+   * @param {string} type - 'sleep' or 'wake'
+   */
+  async fire(type) {
+    this.timers[type] = null;
+    try {
+      // Otherwise the command would carry whatever context armed the timer
+      await requestContext.run({ origin: `${type}-timer` }, () => type === 'sleep' ? this.turnOff() : this.turnOn());
+    } catch (error) {
+      console.error(`Screen ${type} timer failed on ${this.deviceId}:`, error.message);
+      await settingsManager.updateScreen({ [`${type}At`]: null }, this.deviceId).catch(() => {});
+    }
+  }
+}
+
+module.exports = ScreenPower;
@@ -1,21 +1,71 @@
 /**
  * Settings Manager
  * Handles persistent storage of app settings (API keys, device config, etc.)
+ *
+ * Saved changes are announced on the event bus so open browsers stay in sync.
  */
 
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const events = require('./event-bus');
+const { systemTimezone } = require('../utils/time');
 
 const SETTINGS_FILE = path.join(__dirname, '../../config/settings.json');
+const TEMP_FILE = `${SETTINGS_FILE}.tmp`;  // Written first, then renamed over SETTINGS_FILE
+
+const DEFAULT_SLIDESHOW = {
+  interval: 5,        // Minutes between slides (1-60)
+  quietStart: -1,     // Quiet hours start (-1 = disabled)
+  quietEnd: -1,       // Quiet hours end (-1 = disabled)
+  quietMode: 'fixed', // 'fixed' = the hours above, 'weekly' = quietWeek, 'sun' = from sunset/sunrise
+  quietWeek: [null, null, null, null, null, null, null],  // 'weekly' mode: { start, end } hours per weekday (0 = Sunday)
+  sunsetOffset: 0,    // 'sun' mode: quiet from this many minutes after sunset...
+  sunriseOffset: 0,   // ...until this many minutes before sunrise
+  brightness: -1      // -1 = auto, 0.0-1.0 = manual
+};
+
+const DEFAULT_BRIGHTNESS_CURVE = {
+  enabled: false,
+  keyframes: [],      // [{ time: 'HH:MM', level: 0.0-1.0 }], sorted by time
+  step: 0.05,         // Smallest change worth sending to the device
+  pausedUntil: null   // ISO time a manual change holds the curve until
+};
+
+const DEFAULT_MQTT = {
+  enabled: false,
+  url: 'mqtt://localhost:1883',   // Broker, e.g. a local Mosquitto
+  username: '',
+  password: '',
+  baseTopic: 'eo1',               // State and command topics go under this
+  discoveryPrefix: 'homeassistant' // Where Home Assistant looks for discovery configs
+};
+
+const DEFAULT_AUTH = {
+  passwordHash: null, // scrypt hash of the login password or PIN (null = no login)
+  setupDone: false,   // Whether first-run setup set a password or chose to stay open
+  sessions: []        // [{ id: sha256 of the cookie, createdAt, expiresAt }]
+};
+
+const DEFAULT_SCREEN = {
+  on: true,
+  level: null,        // Last lit brightness, restored when the screen comes back on
+  sleepAt: null,      // ISO time the sleep timer turns the screen off
+  wakeAt: null        // ISO time the wake timer turns it back on
+};
 
 class SettingsManager {
   constructor() {
     this.settings = null;
     this.loaded = false;
+    this.saving = Promise.resolve();
   }
 
   /**
    * Load settings from file
+   * Defaults are only created when there's no file yet. A file that can't be
+   * read or parsed is left alone and the error thrown, rather than replacing
+   * every saved device, password and token with defaults.
    */
   async load() {
     try {
@@ -23,24 +73,38 @@ class SettingsManager {
       this.settings = JSON.parse(data);
       this.loaded = true;
     } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error instanceof SyntaxError
+          ? new Error(`${SETTINGS_FILE} isn't valid JSON (${error.message}). Fix it or restore a backup; it hasn't been changed.`)
+          : error;
+      }
+
       // Create default settings if file doesn't exist
       this.settings = {
         flickr: {
           apiKey: process.env.FLICKR_API_KEY || '',
           userId: process.env.FLICKR_USER_ID || ''
         },
-        device: {
+        devices: [{
+          id: 'default',
+          name: 'EO1',
           ip: process.env.EO1_IP || '',
-          port: parseInt(process.env.EO1_PORT) || 12345
-        },
-        slideshow: {
-          interval: 5,        // Minutes between slides (1-60)
-          quietStart: -1,     // Quiet hours start (-1 = disabled)
-          quietEnd: -1,       // Quiet hours end (-1 = disabled)
-          brightness: -1      // -1 = auto, 0.0-1.0 = manual
-        },
-        currentSource: null,  // Tracks what's currently displayed on EO1
-        displayHistory: []     // Recently displayed photos (max 30)
+          port: parseInt(process.env.EO1_PORT) || 12345,
+          room: ''
+        }],
+        // Per-device slideshow settings, current source, history and playback
+        deviceState: {},
+        deviceGroups: [],     // Named groups of devices for broadcast commands
+        discoveredDevices: [], // EO1s seen by network scans
+        playlists: [],        // Named, ordered photo collections
+        schedules: [],        // Weekly rules that switch source, brightness and interval
+        webhooks: [],         // Token URLs that run a fixed action for automation tools
+        apiTokens: [],        // Scoped Bearer tokens for scripts and dashboards (hashes only)
+        timezone: '',         // IANA timezone for schedules ('' = the server's)
+        location: null,       // { latitude, longitude } for sunset/sunrise quiet hours
+        mqtt: { ...DEFAULT_MQTT }, // Optional MQTT broker for Home Assistant
+        auth: { ...DEFAULT_AUTH }, // Optional login for the web UI and API
+        dryRun: false         // Record EO1 commands instead of sending them
       };
       await this.save();
       this.loaded = true;
@@ -54,14 +118,117 @@ class SettingsManager {
       this.settings.flickr.userId = process.env.FLICKR_USER_ID;
     }
 
+    const migrated = [this.migrateDevices(), this.migrateWebhookTokens()];
+    if (migrated.some(Boolean)) {
+      await this.save();
+    }
+
     return this.settings;
   }
 
+  /**
+   * Move single-device settings (device, slideshow, currentSource, displayHistory,
+   * playback) from older settings files into the device registry
+   * @returns {boolean} - Whether anything changed
+   */
+  migrateDevices() {
+    if (Array.isArray(this.settings.devices)) {
+      if (!this.settings.deviceState) {
+        this.settings.deviceState = {};
+        return true;
+      }
+      return false;
+    }
+
+    const legacy = this.settings.device || {};
+    this.settings.devices = [{
+      id: 'default',
+      name: 'EO1',
+      ip: legacy.ip || process.env.EO1_IP || '',
+      port: legacy.port || parseInt(process.env.EO1_PORT) || 12345,
+      room: ''
+    }];
+    this.settings.deviceState = {
+      default: {
+        slideshow: this.settings.slideshow || { ...DEFAULT_SLIDESHOW },
+        currentSource: this.settings.currentSource || null,
+        displayHistory: this.settings.displayHistory || [],
+        playback: this.settings.playback || null
+      }
+    };
+
+    delete this.settings.device;
+    delete this.settings.slideshow;
+    delete this.settings.currentSource;
+    delete this.settings.displayHistory;
+    delete this.settings.playback;
+    return true;
+  }
+
+  /**
+   * Replace webhook tokens saved in full by older versions with their hashes
+   * The URLs keep working; a copy of the settings file just can't be used to run them.
+   * @returns {boolean} - Whether anything changed
+   */
+  migrateWebhookTokens() {
+    let changed = false;
+    for (const webhook of this.settings.webhooks || []) {
+      if (webhook.token) {
+        webhook.hash = crypto.createHash('sha256').update(webhook.token).digest('hex');
+        webhook.hint = webhook.token.slice(-4);
+        delete webhook.token;
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Get the per-device state object, creating it if needed
+   * @param {string} [deviceId] - Device ID (defaults to the first registered device)
+   * @returns {Object} - { slideshow, currentSource, displayHistory, playback, brightnessCurve, screen }
+   */
+  getDeviceState(deviceId) {
+    const id = deviceId || this.getDefaultDeviceId();
+    if (!this.settings.deviceState[id]) {
+      this.settings.deviceState[id] = {
+        slideshow: { ...DEFAULT_SLIDESHOW },
+        currentSource: null,
+        displayHistory: [],
+        playback: null,
+        brightnessCurve: { ...DEFAULT_BRIGHTNESS_CURVE },
+        screen: { ...DEFAULT_SCREEN }
+      };
+    }
+    return this.settings.deviceState[id];
+  }
+
+  /**
+   * Get the ID of the default device (the first one registered)
+   * @returns {string|null}
+   */
+  getDefaultDeviceId() {
+    const [first] = this.settings.devices;
+    return first ? first.id : null;
+  }
+
   /**
    * Save settings to file
+   * Saves are chained so parallel callers (group broadcasts, schedules,
+   * timers) never write at once. Each goes to a temporary file that's renamed
+   * over the old one, so the file is never left half-written.
+   * @returns {Promise<void>}
    */
-  async save() {
-    await fs.writeFile(SETTINGS_FILE, JSON.stringify(this.settings, null, 2));
+  save() {
+    const data = JSON.stringify(this.settings, null, 2);
+    const write = this.saving.then(async () => {
+      await fs.writeFile(TEMP_FILE, data);
+      await fs.rename(TEMP_FILE, SETTINGS_FILE);
+    });
+
+    // A failed save is reported to its caller but doesn't hold up later ones
+    this.saving = write.catch(() => {});
+    return write;
   }
 
   /**
@@ -115,71 +282,826 @@ class SettingsManager {
   }
 
   /**
-   * Get device settings
+   * Get all registered devices
+   * @returns {Promise<Array>} - [{ id, name, ip, port, room, mac? }]
    */
-  async getDevice() {
+  async getDevices() {
     if (!this.loaded) {
       await this.load();
     }
-    return this.settings.device;
+    return this.settings.devices;
+  }
+
+  /**
+   * Get a device's settings
+   * @param {string} [deviceId] - Device ID (defaults to the first registered device)
+   * @returns {Promise<Object|null>}
+   */
+  async getDevice(deviceId) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    const id = deviceId || this.getDefaultDeviceId();
+    return this.settings.devices.find(d => d.id === id) || null;
+  }
+
+  /**
+   * Register a new device
+   * @param {Object} device - { name, ip, port?, room?, mac? }, or { name, type: 'virtual', room? }
+   * @returns {Promise<Object>} - The saved device with its generated ID
+   */
+  async addDevice(device) {
+    if (!this.loaded) {
+      await this.load();
+    }
+
+    // Generate an ID from the name, made unique with a numeric suffix
+    const base = device.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'eo1';
+    let id = base;
+    for (let n = 2; this.settings.devices.some(d => d.id === id); n++) {
+      id = `${base}-${n}`;
+    }
+
+    // Virtual frames are browsers that connect to us, so have no address
+    const saved = device.type === 'virtual'
+      ? { id, name: device.name, type: 'virtual', room: device.room || '' }
+      : { id, name: device.name, ip: device.ip, port: device.port || 12345, room: device.room || '' };
+    if (device.mac) {
+      saved.mac = device.mac;
+    }
+    this.settings.devices.push(saved);
+    await this.save();
+    events.publish('devices', null);
+    return saved;
   }
 
   /**
    * Update device settings
+   * @param {string} deviceId - Device ID
+   * @param {Object} deviceSettings - { name?, ip?, port?, room?, mac? }
+   * @returns {Promise<Object|null>} - The updated device, or null if not found
+   */
+  async updateDevice(deviceId, deviceSettings) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    const device = this.settings.devices.find(d => d.id === deviceId);
+    if (!device) {
+      return null;
+    }
+    Object.assign(device, deviceSettings);
+    await this.save();
+    events.publish('devices', null);
+    return device;
+  }
+
+  /**
+   * Remove a device and its state
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<boolean>} - Whether a device was removed
+   */
+  async removeDevice(deviceId) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    const before = this.settings.devices.length;
+    this.settings.devices = this.settings.devices.filter(d => d.id !== deviceId);
+    delete this.settings.deviceState[deviceId];
+
+    // Drop the device from any groups, schedules and webhooks it belonged to
+    for (const group of this.settings.deviceGroups || []) {
+      group.deviceIds = group.deviceIds.filter(id => id !== deviceId);
+    }
+    for (const schedule of this.settings.schedules || []) {
+      schedule.deviceIds = schedule.deviceIds.filter(id => id !== deviceId);
+    }
+    for (const webhook of this.settings.webhooks || []) {
+      webhook.deviceIds = webhook.deviceIds.filter(id => id !== deviceId);
+    }
+
+    await this.save();
+    events.publish('devices', null);
+    return this.settings.devices.length < before;
+  }
+
+  /**
+   * Get EO1s found by network scans
+   * @returns {Promise<Array>} - [{ ip, hostname, mac, lastSeen }], most recently seen first
+   */
+  async getDiscoveredDevices() {
+    if (!this.loaded) {
+      await this.load();
+    }
+    return [...(this.settings.discoveredDevices || [])]
+      .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+  }
+
+  /**
+   * Remember devices found by a scan
+   * Entries are matched by MAC when known (so a new IP updates the old entry),
+   * otherwise by IP. Registered devices at a discovered IP pick up its MAC.
+   * @param {Array} found - [{ ip, hostname, mac }]
+   */
+  async recordDiscovered(found) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    if (!this.settings.discoveredDevices) {
+      this.settings.discoveredDevices = [];
+    }
+
+    const lastSeen = new Date().toISOString();
+    for (const device of found) {
+      const known = this.settings.discoveredDevices;
+      const existing = (device.mac && known.find(d => d.mac === device.mac)) ||
+        known.find(d => d.ip === device.ip && (!d.mac || !device.mac));
+
+      if (existing) {
+        Object.assign(existing, {
+          ip: device.ip,
+          hostname: device.hostname || existing.hostname || null,
+          mac: device.mac || existing.mac || null,
+          lastSeen
+        });
+      } else {
+        known.push({ ip: device.ip, hostname: device.hostname || null, mac: device.mac || null, lastSeen });
+      }
+
+      if (device.mac) {
+        for (const registered of this.settings.devices) {
+          if (registered.ip === device.ip && !registered.mac) {
+            registered.mac = device.mac;
+          }
+        }
+      }
+    }
+
+    await this.save();
+  }
+
+  /**
+   * Get all device groups
+   * @returns {Promise<Array>} - [{ id, name, deviceIds }]
+   */
+  async getGroups() {
+    if (!this.loaded) {
+      await this.load();
+    }
+    return this.settings.deviceGroups || [];
+  }
+
+  /**
+   * Get a device group
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Object|null>}
+   */
+  async getGroup(groupId) {
+    const groups = await this.getGroups();
+    return groups.find(g => g.id === groupId) || null;
+  }
+
+  /**
+   * Create a device group
+   * @param {Object} group - { name, deviceIds }
+   * @returns {Promise<Object>} - The saved group with its generated ID
+   */
+  async addGroup(group) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    if (!this.settings.deviceGroups) {
+      this.settings.deviceGroups = [];
+    }
+
+    const base = group.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'group';
+    let id = base;
+    for (let n = 2; this.settings.deviceGroups.some(g => g.id === id); n++) {
+      id = `${base}-${n}`;
+    }
+
+    const saved = { id, name: group.name, deviceIds: group.deviceIds };
+    this.settings.deviceGroups.push(saved);
+    await this.save();
+    events.publish('groups', null);
+    return saved;
+  }
+
+  /**
+   * Update a device group
+   * @param {string} groupId - Group ID
+   * @param {Object} updates - { name?, deviceIds? }
+   * @returns {Promise<Object|null>} - The updated group, or null if not found
+   */
+  async updateGroup(groupId, updates) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    const group = (this.settings.deviceGroups || []).find(g => g.id === groupId);
+    if (!group) {
+      return null;
+    }
+    Object.assign(group, updates);
+    await this.save();
+    events.publish('groups', null);
+    return group;
+  }
+
+  /**
+   * Remove a device group
+   * @param {string} groupId - Group ID
+   * @returns {Promise<boolean>} - Whether a group was removed
+   */
+  async removeGroup(groupId) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    const groups = this.settings.deviceGroups || [];
+    this.settings.deviceGroups = groups.filter(g => g.id !== groupId);
+    await this.save();
+    events.publish('groups', null);
+    return this.settings.deviceGroups.length < groups.length;
+  }
+
+  /**
+   * Get all playlists
+   * @returns {Promise<Array>} - [{ id, name, items }]
    */
-  async updateDevice(deviceSettings) {
+  async getPlaylists() {
     if (!this.loaded) {
       await this.load();
     }
-    this.settings.device = {
-      ...this.settings.device,
-      ...deviceSettings
+    return this.settings.playlists || [];
+  }
+
+  /**
+   * Get a playlist
+   * @param {string} playlistId - Playlist ID
+   * @returns {Promise<Object|null>}
+   */
+  async getPlaylist(playlistId) {
+    const playlists = await this.getPlaylists();
+    return playlists.find(p => p.id === playlistId) || null;
+  }
+
+  /**
+   * Create a playlist
+   * @param {Object} playlist - { name, items } (items as stored in display history)
+   * @returns {Promise<Object>} - The saved playlist with its generated ID
+   */
+  async addPlaylist(playlist) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    if (!this.settings.playlists) {
+      this.settings.playlists = [];
+    }
+
+    const base = playlist.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'playlist';
+    let id = base;
+    for (let n = 2; this.settings.playlists.some(p => p.id === id); n++) {
+      id = `${base}-${n}`;
+    }
+
+    const saved = { id, name: playlist.name, items: playlist.items };
+    this.settings.playlists.push(saved);
+    await this.save();
+    events.publish('playlists', null);
+    return saved;
+  }
+
+  /**
+   * Update a playlist
+   * @param {string} playlistId - Playlist ID
+   * @param {Object} updates - { name?, items? }
+   * @returns {Promise<Object|null>} - The updated playlist, or null if not found
+   */
+  async updatePlaylist(playlistId, updates) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    const playlist = (this.settings.playlists || []).find(p => p.id === playlistId);
+    if (!playlist) {
+      return null;
+    }
+    Object.assign(playlist, updates);
+    await this.save();
+    events.publish('playlists', null);
+    return playlist;
+  }
+
+  /**
+   * Remove a playlist
+   * @param {string} playlistId - Playlist ID
+   * @returns {Promise<boolean>} - Whether a playlist was removed
+   */
+  async removePlaylist(playlistId) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    const playlists = this.settings.playlists || [];
+    this.settings.playlists = playlists.filter(p => p.id !== playlistId);
+    await this.save();
+    events.publish('playlists', null);
+    return this.settings.playlists.length < playlists.length;
+  }
+
+  /**
+   * Get the timezone schedules run in
+   * @returns {Promise<string>} - IANA timezone (the server's if none is set)
+   */
+  async getTimezone() {
+    if (!this.loaded) {
+      await this.load();
+    }
+    return this.settings.timezone || systemTimezone();
+  }
+
+  /**
+   * Set the timezone schedules run in
+   * @param {string} timezone - IANA timezone, or '' for the server's
+   * @returns {Promise<string>} - The timezone now in effect
+   */
+  async setTimezone(timezone) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    this.settings.timezone = timezone;
+    await this.save();
+    events.publish('timezone', null, { timezone: this.settings.timezone || systemTimezone() });
+    return this.settings.timezone || systemTimezone();
+  }
+
+  /**
+   * Get the location sun times are worked out for
+   * @returns {Promise<Object|null>} - { latitude, longitude }, or null if not set
+   */
+  async getLocation() {
+    if (!this.loaded) {
+      await this.load();
+    }
+    return this.settings.location || null;
+  }
+
+  /**
+   * Set the location sun times are worked out for
+   * @param {Object|null} location - { latitude, longitude }, or null to clear
+   */
+  async setLocation(location) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    this.settings.location = location;
+    await this.save();
+    events.publish('location', null, { location: this.settings.location });
+    return this.settings.location;
+  }
+
+  /**
+   * Get the MQTT broker settings
+   * @returns {Promise<Object>} - { enabled, url, username, password, baseTopic, discoveryPrefix }
+   */
+  async getMqtt() {
+    if (!this.loaded) {
+      await this.load();
+    }
+    return { ...DEFAULT_MQTT, ...this.settings.mqtt };
+  }
+
+  /**
+   * Update the MQTT broker settings
+   * @param {Object} updates - Any of the fields from getMqtt()
+   */
+  async updateMqtt(updates) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    this.settings.mqtt = {
+      ...DEFAULT_MQTT,
+      ...this.settings.mqtt,
+      ...updates
     };
     await this.save();
-    return this.settings.device;
+    return this.settings.mqtt;
   }
 
   /**
-   * Get slideshow settings
+   * Get the login settings
+   * @returns {Promise<Object>} - { passwordHash, setupDone, sessions }
    */
-  async getSlideshow() {
+  async getAuth() {
     if (!this.loaded) {
       await this.load();
     }
-    // Ensure slideshow settings exist (for existing settings files)
-    if (!this.settings.slideshow) {
-      this.settings.slideshow = {
-        interval: 5,
-        quietStart: -1,
-        quietEnd: -1,
-        brightness: -1
-      };
+    return { ...DEFAULT_AUTH, ...this.settings.auth };
+  }
+
+  /**
+   * Update the login settings
+   * @param {Object} updates - Any of the fields from getAuth()
+   */
+  async updateAuth(updates) {
+    if (!this.loaded) {
+      await this.load();
     }
-    return this.settings.slideshow;
+    this.settings.auth = {
+      ...DEFAULT_AUTH,
+      ...this.settings.auth,
+      ...updates
+    };
+    await this.save();
+    return this.settings.auth;
   }
 
   /**
-   * Update slideshow settings
+   * Whether dry-run mode is on for every command
+   * @returns {Promise<boolean>}
    */
-  async updateSlideshow(slideshowSettings) {
+  async getDryRun() {
     if (!this.loaded) {
       await this.load();
     }
-    // Ensure slideshow settings exist
-    if (!this.settings.slideshow) {
-      this.settings.slideshow = {
-        interval: 5,
-        quietStart: -1,
-        quietEnd: -1,
-        brightness: -1
-      };
+    return this.settings.dryRun === true;
+  }
+
+  /**
+   * Turn dry-run mode on or off for every command
+   * @param {boolean} enabled
+   * @returns {Promise<boolean>}
+   */
+  async setDryRun(enabled) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    this.settings.dryRun = enabled;
+    await this.save();
+    events.publish('dry-run', null, { enabled });
+    return enabled;
+  }
+
+  /**
+   * Get all schedules
+   * @returns {Promise<Array>} - [{ id, name, time, days, deviceIds, presetId, brightness, interval, enabled }]
+   */
+  async getSchedules() {
+    if (!this.loaded) {
+      await this.load();
+    }
+    return this.settings.schedules || [];
+  }
+
+  /**
+   * Get a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object|null>}
+   */
+  async getSchedule(scheduleId) {
+    const schedules = await this.getSchedules();
+    return schedules.find(s => s.id === scheduleId) || null;
+  }
+
+  /**
+   * Create a schedule
+   * @param {Object} schedule - { name, time, days, deviceIds, presetId, brightness, interval, enabled }
+   * @returns {Promise<Object>} - The saved schedule with its generated ID
+   */
+  async addSchedule(schedule) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    if (!this.settings.schedules) {
+      this.settings.schedules = [];
+    }
+
+    const base = schedule.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'schedule';
+    let id = base;
+    for (let n = 2; this.settings.schedules.some(s => s.id === id); n++) {
+      id = `${base}-${n}`;
+    }
+
+    const saved = { id, ...schedule };
+    this.settings.schedules.push(saved);
+    await this.save();
+    events.publish('schedules', null);
+    return saved;
+  }
+
+  /**
+   * Update a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} updates - Any schedule fields
+   * @returns {Promise<Object|null>} - The updated schedule, or null if not found
+   */
+  async updateSchedule(scheduleId, updates) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    const schedule = (this.settings.schedules || []).find(s => s.id === scheduleId);
+    if (!schedule) {
+      return null;
+    }
+    Object.assign(schedule, updates);
+    await this.save();
+    events.publish('schedules', null);
+    return schedule;
+  }
+
+  /**
+   * Remove a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<boolean>} - Whether a schedule was removed
+   */
+  async removeSchedule(scheduleId) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    const schedules = this.settings.schedules || [];
+    this.settings.schedules = schedules.filter(s => s.id !== scheduleId);
+    await this.save();
+    events.publish('schedules', null);
+    return this.settings.schedules.length < schedules.length;
+  }
+
+  /**
+   * Get all webhooks
+   * @returns {Promise<Array>} - [{ id, name, hash, hint, action, deviceIds, ...args, createdAt, lastUsedAt }]
+   */
+  async getWebhooks() {
+    if (!this.loaded) {
+      await this.load();
+    }
+    return this.settings.webhooks || [];
+  }
+
+  /**
+   * Find the webhook a token belongs to
+   * Tokens are compared in constant time, so response times don't give them away
+   * @param {string} token - From the webhook URL
+   * @returns {Promise<Object|null>}
+   */
+  async getWebhookByToken(token) {
+    const webhooks = await this.getWebhooks();
+    const wanted = crypto.createHash('sha256').update(String(token)).digest();
+    return webhooks.find(w => crypto.timingSafeEqual(Buffer.from(w.hash, 'hex'), wanted)) || null;
+  }
+
+  /**
+   * Create a webhook with a new random token
+   * Only the token's hash is saved, as for API tokens.
+   * @param {Object} webhook - { name, action, deviceIds, ...args }
+   * @returns {Promise<Object>} - The saved webhook plus `token`, the only time it's available
+   */
+  async addWebhook(webhook) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    if (!this.settings.webhooks) {
+      this.settings.webhooks = [];
+    }
+
+    const base = webhook.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'webhook';
+    let id = base;
+    for (let n = 2; this.settings.webhooks.some(w => w.id === id); n++) {
+      id = `${base}-${n}`;
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const saved = {
+      id,
+      ...webhook,
+      hash: crypto.createHash('sha256').update(token).digest('hex'),
+      hint: token.slice(-4),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+    this.settings.webhooks.push(saved);
+    await this.save();
+    events.publish('webhooks', null);
+    return { ...saved, token };
+  }
+
+  /**
+   * Update a webhook
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} updates - Any webhook fields
+   * @returns {Promise<Object|null>} - The updated webhook, or null if not found
+   */
+  async updateWebhook(webhookId, updates) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    const webhook = (this.settings.webhooks || []).find(w => w.id === webhookId);
+    if (!webhook) {
+      return null;
+    }
+    Object.assign(webhook, updates);
+    await this.save();
+    events.publish('webhooks', null);
+    return webhook;
+  }
+
+  /**
+   * Revoke a webhook (its URL stops working straight away)
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<boolean>} - Whether a webhook was removed
+   */
+  async removeWebhook(webhookId) {
+    if (!this.loaded) {
+      await this.load();
     }
-    this.settings.slideshow = {
-      ...this.settings.slideshow,
+    const webhooks = this.settings.webhooks || [];
+    this.settings.webhooks = webhooks.filter(w => w.id !== webhookId);
+    await this.save();
+    events.publish('webhooks', null);
+    return this.settings.webhooks.length < webhooks.length;
+  }
+
+  /**
+   * Get all API tokens
+   * @returns {Promise<Array>} - [{ id, name, hash, hint, scopes, createdAt, lastUsedAt }]
+   */
+  async getApiTokens() {
+    if (!this.loaded) {
+      await this.load();
+    }
+    return this.settings.apiTokens || [];
+  }
+
+  /**
+   * Find the API token a Bearer header carries
+   * Only hashes are saved, compared in constant time
+   * @param {string} token - From the Authorization header
+   * @returns {Promise<Object|null>}
+   */
+  async getApiTokenByToken(token) {
+    const tokens = await this.getApiTokens();
+    const wanted = crypto.createHash('sha256').update(String(token)).digest();
+    return tokens.find(t => crypto.timingSafeEqual(Buffer.from(t.hash, 'hex'), wanted)) || null;
+  }
+
+  /**
+   * Create an API token
+   * @param {Object} apiToken - { name, scopes }
+   * @returns {Promise<Object>} - The saved token plus `token`, the only time it's available
+   */
+  async addApiToken(apiToken) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    if (!this.settings.apiTokens) {
+      this.settings.apiTokens = [];
+    }
+
+    const base = apiToken.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'token';
+    let id = base;
+    for (let n = 2; this.settings.apiTokens.some(t => t.id === id); n++) {
+      id = `${base}-${n}`;
+    }
+
+    const token = `eo1_${crypto.randomBytes(24).toString('base64url')}`;
+    const saved = {
+      id,
+      ...apiToken,
+      hash: crypto.createHash('sha256').update(token).digest('hex'),
+      hint: token.slice(-4),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+    this.settings.apiTokens.push(saved);
+    await this.save();
+    events.publish('tokens', null);
+    return { ...saved, token };
+  }
+
+  /**
+   * Update an API token
+   * @param {string} tokenId - Token ID
+   * @param {Object} updates - Any token fields
+   * @returns {Promise<Object|null>} - The updated token, or null if not found
+   */
+  async updateApiToken(tokenId, updates) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    const apiToken = (this.settings.apiTokens || []).find(t => t.id === tokenId);
+    if (!apiToken) {
+      return null;
+    }
+    Object.assign(apiToken, updates);
+    await this.save();
+    events.publish('tokens', null);
+    return apiToken;
+  }
+
+  /**
+   * Revoke an API token (requests with it are refused straight away)
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<boolean>} - Whether a token was removed
+   */
+  async removeApiToken(tokenId) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    const apiTokens = this.settings.apiTokens || [];
+    this.settings.apiTokens = apiTokens.filter(t => t.id !== tokenId);
+    await this.save();
+    events.publish('tokens', null);
+    return this.settings.apiTokens.length < apiTokens.length;
+  }
+
+  /**
+   * Get slideshow settings
+   * @param {string} [deviceId] - Device ID (defaults to the first registered device)
+   */
+  async getSlideshow(deviceId) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    // Older settings files predate some fields
+    return { ...DEFAULT_SLIDESHOW, ...this.getDeviceState(deviceId).slideshow };
+  }
+
+  /**
+   * Update slideshow settings
+   * @param {Object} slideshowSettings - { interval?, quietStart?, quietEnd?, quietMode?, quietWeek?, sunsetOffset?, sunriseOffset?, brightness? }
+   * @param {string} [deviceId] - Device ID (defaults to the first registered device)
+   */
+  async updateSlideshow(slideshowSettings, deviceId) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    const state = this.getDeviceState(deviceId);
+    state.slideshow = {
+      ...DEFAULT_SLIDESHOW,
+      ...state.slideshow,
       ...slideshowSettings
     };
     await this.save();
-    return this.settings.slideshow;
+    events.publish('slideshow', deviceId || this.getDefaultDeviceId(), { slideshow: state.slideshow });
+    return state.slideshow;
+  }
+
+  /**
+   * Get the brightness curve
+   * @param {string} [deviceId] - Device ID (defaults to the first registered device)
+   * @returns {Promise<Object>} - { enabled, keyframes, step, pausedUntil }
+   */
+  async getBrightnessCurve(deviceId) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    return this.getDeviceState(deviceId).brightnessCurve || { ...DEFAULT_BRIGHTNESS_CURVE };
+  }
+
+  /**
+   * Update the brightness curve
+   * @param {Object} updates - { enabled?, keyframes?, step?, pausedUntil? }
+   * @param {string} [deviceId] - Device ID (defaults to the first registered device)
+   */
+  async updateBrightnessCurve(updates, deviceId) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    const state = this.getDeviceState(deviceId);
+    state.brightnessCurve = {
+      ...DEFAULT_BRIGHTNESS_CURVE,
+      ...state.brightnessCurve,
+      ...updates
+    };
+    await this.save();
+    events.publish('curve', deviceId || this.getDefaultDeviceId(), { curve: state.brightnessCurve });
+    return state.brightnessCurve;
+  }
+
+  /**
+   * Get the screen power state
+   * @param {string} [deviceId] - Device ID (defaults to the first registered device)
+   * @returns {Promise<Object>} - { on, level, sleepAt, wakeAt }
+   */
+  async getScreen(deviceId) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    return { ...DEFAULT_SCREEN, ...this.getDeviceState(deviceId).screen };
+  }
+
+  /**
+   * Update the screen power state
+   * @param {Object} updates - { on?, level?, sleepAt?, wakeAt? }
+   * @param {string} [deviceId] - Device ID (defaults to the first registered device)
+   */
+  async updateScreen(updates, deviceId) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    const state = this.getDeviceState(deviceId);
+    state.screen = {
+      ...DEFAULT_SCREEN,
+      ...state.screen,
+      ...updates
+    };
+    await this.save();
+    events.publish('screen', deviceId || this.getDefaultDeviceId(), { screen: state.screen });
+    return state.screen;
   }
 
   /**
@@ -194,60 +1116,91 @@ class SettingsManager {
 
   /**
    * Get current source (what's displaying on EO1)
+   * @param {string} [deviceId] - Device ID (defaults to the first registered device)
    */
-  async getCurrentSource() {
+  async getCurrentSource(deviceId) {
     if (!this.loaded) {
       await this.load();
     }
-    return this.settings.currentSource || null;
+    return this.getDeviceState(deviceId).currentSource || null;
   }
 
   /**
    * Update current source
    * @param {Object} source - { type: 'tag'|'user'|'photo', value: string, name?: string, url?: string }
+   * @param {string} [deviceId] - Device ID (defaults to the first registered device)
    */
-  async setCurrentSource(source) {
+  async setCurrentSource(source, deviceId) {
     if (!this.loaded) {
       await this.load();
     }
-    this.settings.currentSource = {
+    const state = this.getDeviceState(deviceId);
+    state.currentSource = {
       ...source,
       updatedAt: new Date().toISOString()
     };
     await this.save();
-    return this.settings.currentSource;
+    events.publish('source', deviceId || this.getDefaultDeviceId(), { source: state.currentSource });
+    return state.currentSource;
+  }
+
+  /**
+   * Get saved playback state
+   * @param {string} [deviceId] - Device ID (defaults to the first registered device)
+   * @returns {Object|null} - { presetId, searchParams, interval, page, index } or null if stopped
+   */
+  async getPlayback(deviceId) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    return this.getDeviceState(deviceId).playback || null;
+  }
+
+  /**
+   * Save playback state
+   * @param {Object|null} playback - Playback state, or null when stopped
+   * @param {string} [deviceId] - Device ID (defaults to the first registered device)
+   */
+  async setPlayback(playback, deviceId) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    const state = this.getDeviceState(deviceId);
+    state.playback = playback;
+    await this.save();
+    events.publish('playback', deviceId || this.getDefaultDeviceId());
+    return state.playback;
   }
 
   /**
    * Get display history
+   * @param {string} [deviceId] - Device ID (defaults to the first registered device)
    * @returns {Array} - Array of recently displayed photos
    */
-  async getHistory() {
+  async getHistory(deviceId) {
     if (!this.loaded) {
       await this.load();
     }
-    return this.settings.displayHistory || [];
+    return this.getDeviceState(deviceId).displayHistory || [];
   }
 
   /**
    * Add a photo to display history
    * @param {Object} photo - { id, owner, title, thumbnailUrl, media }
+   * @param {string} [deviceId] - Device ID (defaults to the first registered device)
    */
-  async addToHistory(photo) {
+  async addToHistory(photo, deviceId) {
     if (!this.loaded) {
       await this.load();
     }
 
-    // Ensure displayHistory exists
-    if (!this.settings.displayHistory) {
-      this.settings.displayHistory = [];
-    }
+    const state = this.getDeviceState(deviceId);
 
     // Remove if already exists (to move to front)
-    this.settings.displayHistory = this.settings.displayHistory.filter(p => p.id !== photo.id);
+    state.displayHistory = (state.displayHistory || []).filter(p => p.id !== photo.id);
 
     // Add to front with timestamp
-    this.settings.displayHistory.unshift({
+    state.displayHistory.unshift({
       id: photo.id,
       owner: photo.owner,
       title: photo.title,
@@ -257,42 +1210,48 @@ class SettingsManager {
     });
 
     // Cap at 30 items
-    if (this.settings.displayHistory.length > 30) {
-      this.settings.displayHistory = this.settings.displayHistory.slice(0, 30);
+    if (state.displayHistory.length > 30) {
+      state.displayHistory = state.displayHistory.slice(0, 30);
     }
 
     await this.save();
-    return this.settings.displayHistory;
+    events.publish('history', deviceId || this.getDefaultDeviceId(), { history: state.displayHistory });
+    return state.displayHistory;
   }
 
   /**
    * Remove a photo from history
    * @param {string} photoId - Photo ID to remove
+   * @param {string} [deviceId] - Device ID (defaults to the first registered device)
    */
-  async removeFromHistory(photoId) {
+  async removeFromHistory(photoId, deviceId) {
     if (!this.loaded) {
       await this.load();
     }
 
-    if (!this.settings.displayHistory) {
+    const state = this.getDeviceState(deviceId);
+    if (!state.displayHistory) {
       return [];
     }
 
-    this.settings.displayHistory = this.settings.displayHistory.filter(p => p.id !== photoId);
+    state.displayHistory = state.displayHistory.filter(p => p.id !== photoId);
     await this.save();
-    return this.settings.displayHistory;
+    events.publish('history', deviceId || this.getDefaultDeviceId(), { history: state.displayHistory });
+    return state.displayHistory;
   }
 
   /**
    * Clear all display history
+   * @param {string} [deviceId] - Device ID (defaults to the first registered device)
    */
-  async clearHistory() {
+  async clearHistory(deviceId) {
     if (!this.loaded) {
       await this.load();
     }
 
-    this.settings.displayHistory = [];
+    this.getDeviceState(deviceId).displayHistory = [];
     await this.save();
+    events.publish('history', deviceId || this.getDefaultDeviceId(), { history: [] });
     return [];
   }
 }
@@ -0,0 +1,178 @@
+/**
+ * Virtual Frame
+ * A browser showing /frame (e.g. a spare tablet), driven like an EO1
+ *
+ * Commands go to every page open for the frame over WebSocket, as the same
+ * raw strings an EO1 would get. A command counts as delivered when the first
+ * page acknowledges it; the time that takes feeds the frame's health.
+ *
+ * The frame remembers the latest options, brightness, tag and photo so a page
+ * that connects (or reconnects) picks up where the others are.
+ */
+
+const WebSocket = require('ws');
+const DisplayTarget = require('./display-target');
+
+class VirtualFrame extends DisplayTarget {
+  /**
+   * @param {number} timeout - ms to wait for a page to acknowledge a command
+   */
+  constructor(timeout = 5000) {
+    super();
+    this.timeout = timeout;
+    this.clients = new Set();
+    this.pending = new Map();   // seq -> { resolve, reject, timer }
+    this.seq = 0;
+    this.state = {
+      options: null,
+      brightness: null,
+      tag: null,
+      photo: null
+    };
+  }
+
+  /**
+   * Start sending commands to a connected page
+   * @param {WebSocket} ws - Socket from FrameHub, already registered
+   */
+  addClient(ws) {
+    this.clients.add(ws);
+
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        return;
+      }
+      if (message.type === 'ack') {
+        this.acknowledge(message);
+      }
+    });
+
+    ws.on('close', () => {
+      this.clients.delete(ws);
+    });
+
+    // FrameHub logs and terminates a failed socket; stop sending to it now
+    ws.on('error', () => {
+      this.clients.delete(ws);
+    });
+
+    // Catch up with the other pages; replayed commands aren't acknowledged
+    for (const command of Object.values(this.state)) {
+      if (command) {
+        ws.send(JSON.stringify({ type: 'command', command }));
+      }
+    }
+  }
+
+  /**
+   * Send a command to every open page, resolving on the first acknowledgement
+   * @param {string} command - The command to send
+   * @returns {Promise<{success: boolean, command: string}>}
+   */
+  async deliver(command) {
+    const open = [...this.clients].filter(ws => ws.readyState === WebSocket.OPEN);
+    if (open.length === 0) {
+      const error = new Error('Connection failed: virtual frame not open in any browser');
+      this.health.record(false, 0, error);
+      throw error;
+    }
+
+    const seq = ++this.seq;
+    const started = Date.now();
+
+    try {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          this.pending.delete(seq);
+          reject(new Error('Connection timeout'));
+        }, this.timeout);
+        this.pending.set(seq, { resolve, reject, timer });
+
+        const message = JSON.stringify({ type: 'command', seq, command });
+        for (const ws of open) {
+          ws.send(message);
+        }
+      });
+      this.health.record(true, Date.now() - started);
+    } catch (error) {
+      this.health.record(false, Date.now() - started, error);
+      throw error;
+    }
+
+    this.remember(command);
+    return { success: true, command };
+  }
+
+  /**
+   * Settle a waiting command when a page reports back
+   * @param {Object} message - { seq, error? }
+   */
+  acknowledge({ seq, error }) {
+    const waiting = this.pending.get(seq);
+    if (!waiting) {
+      return;  // Another page already answered
+    }
+    clearTimeout(waiting.timer);
+    this.pending.delete(seq);
+
+    if (error) {
+      waiting.reject(new Error(`Frame rejected command: ${error}`));
+    } else {
+      waiting.resolve();
+    }
+  }
+
+  /**
+   * Keep the latest command of each kind for pages that connect later
+   * @param {string} command - Delivered command
+   */
+  remember(command) {
+    const kind = command.split(',')[0];
+    switch (kind) {
+      case 'options':
+        this.state.options = command;
+        this.state.brightness = null;   // options carries brightness too
+        break;
+      case 'brightness':
+        this.state.brightness = command;
+        break;
+      case 'tag':
+        this.state.tag = command;
+        this.state.photo = null;
+        break;
+      case 'image':
+      case 'video':
+        this.state.photo = command;
+        break;
+      case 'resume':
+        this.state.photo = null;        // Back to the tag slideshow
+        break;
+    }
+  }
+
+  /**
+   * Describe the frame without contacting it
+   * @returns {Promise<{host: null, port: null, clients: number}>}
+   */
+  async checkConnection() {
+    return {
+      host: null,
+      port: null,
+      clients: this.clients.size
+    };
+  }
+
+  /**
+   * Disconnect every page (the frame is being removed)
+   */
+  close() {
+    for (const ws of this.clients) {
+      ws.close(1000, 'Frame removed');
+    }
+  }
+}
+
+module.exports = VirtualFrame;
@@ -0,0 +1,28 @@
+/**
+ * Cookie helpers
+ * Express can set cookies but doesn't parse them without another dependency
+ */
+
+/**
+ * Read a cookie from a request
+ * @param {http.IncomingMessage} req - Express request or WebSocket upgrade request
+ * @param {string} name
+ * @returns {string|null}
+ */
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      try {
+        return decodeURIComponent(value.join('=')) || null;
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  readCookie
+};
@@ -0,0 +1,111 @@
+/**
+ * Network Utilities
+ * IPv4 and CIDR helpers for the network scanner
+ */
+
+/**
+ * Convert a dotted IPv4 address to an unsigned 32-bit integer
+ * @param {string} ip - e.g. '192.168.1.20'
+ * @returns {number|null} - null if the address is invalid
+ */
+function ipToInt(ip) {
+  const parts = String(ip).split('.');
+  if (parts.length !== 4) return null;
+
+  let value = 0;
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+    value = value * 256 + Number(part);
+  }
+  return value;
+}
+
+/**
+ * Convert an unsigned 32-bit integer to a dotted IPv4 address
+ * @param {number} value
+ * @returns {string}
+ */
+function intToIp(value) {
+  return [24, 16, 8, 0].map(shift => Math.floor(value / 2 ** shift) % 256).join('.');
+}
+
+/**
+ * Parse a CIDR range
+ * Also accepts a bare address (a /32) and the older three-octet prefix
+ * form ('192.168.1', meaning 192.168.1.0/24)
+ * @param {string} cidr - e.g. '10.0.0.0/22'
+ * @returns {{ cidr: string, first: number, last: number, count: number }|null}
+ *   Usable host range (network and broadcast addresses skipped below /31), or null if invalid
+ */
+function parseCidr(cidr) {
+  let [address, bits] = String(cidr).trim().split('/');
+
+  if (/^\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(address) && bits === undefined) {
+    address = `${address}.0`;
+    bits = '24';
+  }
+
+  if (bits !== undefined && !/^\d{1,2}$/.test(bits)) return null;
+
+  const ip = ipToInt(address);
+  const prefix = bits === undefined ? 32 : Number(bits);
+  if (ip === null || prefix > 32) return null;
+
+  const size = 2 ** (32 - prefix);
+  const network = Math.floor(ip / size) * size;
+  const broadcast = network + size - 1;
+
+  // /31 and /32 have no network or broadcast address to skip
+  const first = prefix >= 31 ? network : network + 1;
+  const last = prefix >= 31 ? broadcast : broadcast - 1;
+
+  return {
+    cidr: `${intToIp(network)}/${prefix}`,
+    first,
+    last,
+    count: last - first + 1
+  };
+}
+
+/**
+ * Work out the network range for an interface address and netmask
+ * @param {string} address - Interface IPv4 address
+ * @param {string} netmask - e.g. '255.255.255.0'
+ * @returns {string|null} - CIDR, e.g. '192.168.1.0/24'
+ */
+function networkCidr(address, netmask) {
+  const mask = ipToInt(netmask);
+  if (ipToInt(address) === null || mask === null) return null;
+
+  const prefix = mask.toString(2).replace(/0+$/, '').length;
+  const range = parseCidr(`${address}/${prefix}`);
+  return range ? range.cidr : null;
+}
+
+/**
+ * List every usable host address in a set of ranges, without duplicates
+ * @param {Object[]} ranges - Results of parseCidr
+ * @returns {string[]}
+ */
+function expandRanges(ranges) {
+  const seen = new Set();
+  const hosts = [];
+
+  for (const range of ranges) {
+    for (let ip = range.first; ip <= range.last; ip++) {
+      if (!seen.has(ip)) {
+        seen.add(ip);
+        hosts.push(intToIp(ip));
+      }
+    }
+  }
+  return hosts;
+}
+
+module.exports = {
+  ipToInt,
+  intToIp,
+  parseCidr,
+  networkCidr,
+  expandRanges
+};
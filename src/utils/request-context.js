@@ -0,0 +1,77 @@
+/**
+ * Request Context
+ * Carries who asked for something (route and client) through async calls,
+ * so deep code like EO1Socket can say where a command came from without
+ * every caller passing it along
+ *
+ * It also carries a request's dry run (see DryRun): `dryRun` is whether the
+ * request asked for one, and `intercepted` collects the commands held back
+ * for its response. Contexts opened with run() start live; pass dryRunState()
+ * along when the work is part of the request, like running a schedule now.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Express middleware that opens a context for each request
+ * Timers started while handling the request inherit it, so background work
+ * should open its own context with run()
+ */
+function middleware(req, res, next) {
+  storage.run({
+    origin: `${req.method} ${req.originalUrl.split('?')[0]}`,
+    clientIp: req.ip || null,
+    userAgent: req.get('User-Agent') || null,
+    clientId: req.get('X-Client-Id') || null,  // Browser page, so it can skip its own events
+    dryRun: false,
+    intercepted: null
+  }, next);
+}
+
+/**
+ * Run a function in a context of its own
+ * @param {Object} context - { origin, clientIp?, userAgent?, clientId?, dryRun?, intercepted? }
+ * @param {Function} fn
+ * @returns {*} - Whatever fn returns
+ */
+function run(context, fn) {
+  return storage.run({ clientIp: null, userAgent: null, clientId: null, dryRun: false, intercepted: null, ...context }, fn);
+}
+
+/**
+ * Get the current context
+ * @returns {{ origin: string, clientIp: string|null, userAgent: string|null, clientId: string|null,
+ *   dryRun: boolean, intercepted: string[]|null }}
+ */
+function current() {
+  return storage.getStore() || { origin: 'internal', clientIp: null, userAgent: null, clientId: null, dryRun: false, intercepted: null };
+}
+
+/**
+ * Whether the current request is a dry run of its own (not just dry-run mode)
+ * Such a request only reports the commands it would send: it mustn't change
+ * live playback or anything else saved or shown.
+ * @returns {boolean}
+ */
+function isDryRun() {
+  return current().dryRun;
+}
+
+/**
+ * The current request's dry run, to pass on to a context run() opens for it
+ * @returns {{ dryRun: boolean, intercepted: string[]|null }}
+ */
+function dryRunState() {
+  const { dryRun, intercepted } = current();
+  return { dryRun, intercepted };
+}
+
+module.exports = {
+  middleware,
+  run,
+  current,
+  isDryRun,
+  dryRunState
+};
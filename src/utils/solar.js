@@ -0,0 +1,112 @@
+/**
+ * Solar Utilities
+ * Sunrise and sunset from latitude and longitude, without a network lookup
+ *
+ * Uses the NOAA solar calculator equations (accurate to about a minute between
+ * the polar circles). Times are worked out for a calendar date and returned as
+ * instants, so callers convert them to wall-clock time in whatever timezone
+ * they need.
+ */
+
+const ZENITH = 90.833;     // Sun's centre below the horizon at rise/set, allowing for refraction
+const MINUTE = 60 * 1000;
+
+const rad = (deg) => deg * Math.PI / 180;
+const deg = (rad) => rad * 180 / Math.PI;
+
+/**
+ * Work out the sun's declination and the equation of time at an instant
+ * @param {number} at - Epoch ms
+ * @returns {{ declination: number, equationOfTime: number }} - Degrees, and minutes
+ */
+function sunPosition(at) {
+  const julianCentury = (at / 86400000 + 2440587.5 - 2451545) / 36525;
+  const t = julianCentury;
+
+  const meanLongitude = (280.46646 + t * (36000.76983 + t * 0.0003032)) % 360;
+  const meanAnomaly = 357.52911 + t * (35999.05029 - 0.0001537 * t);
+  const eccentricity = 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+
+  const centre = Math.sin(rad(meanAnomaly)) * (1.914602 - t * (0.004817 + 0.000014 * t)) +
+    Math.sin(rad(2 * meanAnomaly)) * (0.019993 - 0.000101 * t) +
+    Math.sin(rad(3 * meanAnomaly)) * 0.000289;
+  const omega = 125.04 - 1934.136 * t;
+  const apparentLongitude = meanLongitude + centre - 0.00569 - 0.00478 * Math.sin(rad(omega));
+
+  const meanObliquity = 23 + (26 + (21.448 - t * (46.815 + t * (0.00059 - t * 0.001813))) / 60) / 60;
+  const obliquity = meanObliquity + 0.00256 * Math.cos(rad(omega));
+
+  const declination = deg(Math.asin(Math.sin(rad(obliquity)) * Math.sin(rad(apparentLongitude))));
+
+  const y = Math.tan(rad(obliquity / 2)) ** 2;
+  const equationOfTime = 4 * deg(
+    y * Math.sin(2 * rad(meanLongitude)) -
+    2 * eccentricity * Math.sin(rad(meanAnomaly)) +
+    4 * eccentricity * y * Math.sin(rad(meanAnomaly)) * Math.cos(2 * rad(meanLongitude)) -
+    0.5 * y * y * Math.sin(4 * rad(meanLongitude)) -
+    1.25 * eccentricity * eccentricity * Math.sin(2 * rad(meanAnomaly))
+  );
+
+  return { declination, equationOfTime };
+}
+
+/**
+ * Find sunrise or sunset on a date, refining once at the event itself
+ * @param {number} midnight - The date's 00:00 UTC, epoch ms
+ * @param {number} latitude - Degrees north
+ * @param {number} longitude - Degrees east
+ * @param {number} sign - -1 for sunrise, 1 for sunset
+ * @returns {number|string} - Epoch ms, or 'day'/'night' if the sun doesn't rise or set
+ */
+function sunEvent(midnight, latitude, longitude, sign) {
+  // Start from solar noon, then recompute the sun's position at the first estimate
+  let at = midnight + (720 - 4 * longitude) * MINUTE;
+
+  for (let pass = 0; pass < 2; pass++) {
+    const { declination, equationOfTime } = sunPosition(at);
+    const cosHourAngle = Math.cos(rad(ZENITH)) / (Math.cos(rad(latitude)) * Math.cos(rad(declination))) -
+      Math.tan(rad(latitude)) * Math.tan(rad(declination));
+
+    if (cosHourAngle > 1) return 'night';
+    if (cosHourAngle < -1) return 'day';
+
+    const noon = 720 - 4 * longitude - equationOfTime;
+    at = midnight + (noon + sign * 4 * deg(Math.acos(cosHourAngle))) * MINUTE;
+  }
+  return at;
+}
+
+/**
+ * Get sunrise and sunset for a calendar date at a location
+ * @param {{ year: number, month: number, day: number }} date - Local calendar date (month 1-12)
+ * @param {number} latitude - Degrees north (-90 to 90)
+ * @param {number} longitude - Degrees east (-180 to 180)
+ * @returns {{ sunrise: number|null, sunset: number|null, polar: 'day'|'night'|null }}
+ *   Epoch ms; both null with `polar` set when the sun stays up or down all day
+ */
+function sunTimes({ year, month, day }, latitude, longitude) {
+  const midnight = Date.UTC(year, month - 1, day);
+  const sunrise = sunEvent(midnight, latitude, longitude, -1);
+  const sunset = sunEvent(midnight, latitude, longitude, 1);
+
+  if (typeof sunrise === 'string' || typeof sunset === 'string') {
+    return { sunrise: null, sunset: null, polar: typeof sunrise === 'string' ? sunrise : sunset };
+  }
+  return { sunrise, sunset, polar: null };
+}
+
+/**
+ * Check a latitude/longitude pair
+ * @param {*} latitude
+ * @param {*} longitude
+ * @returns {boolean}
+ */
+function isValidLocation(latitude, longitude) {
+  return typeof latitude === 'number' && Number.isFinite(latitude) && latitude >= -90 && latitude <= 90 &&
+    typeof longitude === 'number' && Number.isFinite(longitude) && longitude >= -180 && longitude <= 180;
+}
+
+module.exports = {
+  sunTimes,
+  isValidLocation
+};
@@ -0,0 +1,194 @@
+/**
+ * Time Utilities
+ * Wall-clock helpers for schedules in a configured IANA timezone
+ *
+ * Node's Intl data does the timezone work, so there are no tz tables to ship.
+ * Times of day are handled as minutes since midnight; days of the week are
+ * 0 (Sunday) to 6 (Saturday), as in Date#getDay.
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MINUTE = 60 * 1000;
+
+const formatters = new Map();  // timeZone -> Intl.DateTimeFormat
+
+/**
+ * Get the server's own timezone
+ * @returns {string} - e.g. 'Europe/London'
+ */
+function systemTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Check an IANA timezone name
+ * @param {string} timeZone - e.g. 'America/New_York'
+ * @returns {boolean}
+ */
+function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the (cached) formatter that splits a date into wall-clock fields
+ * @param {string} timeZone
+ * @returns {Intl.DateTimeFormat}
+ */
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      weekday: 'short',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Read the wall-clock date and time of an instant in a timezone
+ * @param {Date|number} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {{ year: number, month: number, day: number, weekday: number, hour: number, minute: number, second: number }}
+ *   month is 1-12
+ */
+function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second)
+  };
+}
+
+/**
+ * How far a timezone's wall clock is ahead of UTC at an instant
+ * @param {Date|number} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} - Offset in ms (e.g. 3600000 for UTC+1)
+ */
+function timezoneOffset(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wall - Math.floor(new Date(date).getTime() / 1000) * 1000;
+}
+
+/**
+ * Find the instant a wall-clock time happens on a date in a timezone
+ * A time skipped by a DST change resolves to the same clock time after the
+ * jump (02:30 becomes 03:30); a time that happens twice resolves to the first.
+ * @param {{ year: number, month: number, day: number }} date - Calendar date (month 1-12)
+ * @param {number} minutes - Minutes since midnight
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} - Epoch ms
+ */
+function zonedTime({ year, month, day }, minutes, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, 0, minutes);
+  // Try the offsets either side of the date; the earliest that round-trips wins
+  const candidates = [wall - timezoneOffset(wall - 12 * 60 * MINUTE, timeZone),
+    wall - timezoneOffset(wall + 12 * 60 * MINUTE, timeZone)].sort((a, b) => a - b);
+
+  for (const instant of candidates) {
+    if (instant + timezoneOffset(instant, timeZone) === wall) {
+      return instant;
+    }
+  }
+  // In a DST gap the wall time never happens; use the later offset, as clocks would read after the jump
+  return candidates[1];
+}
+
+/**
+ * Move a calendar date by a number of days
+ * @param {{ year: number, month: number, day: number }} date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {{ year: number, month: number, day: number, weekday: number }}
+ */
+function addDays({ year, month, day }, days) {
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    weekday: shifted.getUTCDay()
+  };
+}
+
+/**
+ * Parse a 24-hour 'HH:MM' time
+ * @param {string} value - e.g. '07:30'
+ * @returns {number|null} - Minutes since midnight, or null if invalid
+ */
+function parseTime(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Format minutes since midnight as 'HH:MM'
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Find the next time a weekly wall-clock time comes round, strictly after an instant
+ * @param {number} minutes - Minutes since midnight
+ * @param {number[]} days - Weekdays it happens on (0 = Sunday)
+ * @param {Date|number} after - Instant to search from
+ * @param {string} timeZone - IANA timezone
+ * @returns {number|null} - Epoch ms, or null if there are no days
+ */
+function nextOccurrence(minutes, days, after, timeZone) {
+  if (!days.length) return null;
+
+  const from = new Date(after).getTime();
+  const today = zonedParts(from, timeZone);
+
+  // Today through to a week today covers every weekday, including today's time having passed
+  for (let offset = 0; offset <= 7; offset++) {
+    const date = addDays(today, offset);
+    if (!days.includes(date.weekday)) continue;
+
+    const at = zonedTime(date, minutes, timeZone);
+    if (at > from) {
+      return at;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  WEEKDAYS,
+  systemTimezone,
+  isValidTimezone,
+  zonedParts,
+  timezoneOffset,
+  zonedTime,
+  addDays,
+  parseTime,
+  formatTime,
+  nextOccurrence
+};